@@ -56,6 +56,14 @@ const categoriaServicioRoutes = require('./routes/categoriaServicioRoutes');
 const categoriaProductoRoutes = require('./routes/categoriaProductoRoutes');
 const reservacionRoutes = require('./routes/reservacionRoutes');
 const empleadoCitaRoutes = require('./routes/empleadoCitaRoutes');
+const listaEsperaRoutes = require('./routes/listaEsperaRoutes');
+const recursoRoutes = require('./routes/recursoRoutes');
+const excepcionHorarioRoutes = require('./routes/excepcionHorarioRoutes');
+const plantillaHorarioRoutes = require('./routes/plantillaHorarioRoutes');
+const nominaRoutes = require('./routes/nominaRoutes');
+const recepcionRoutes = require('./routes/recepcionRoutes');
+const bandejaSalidaRoutes = require('./routes/bandejaSalidaRoutes');
+const plantillaMensajeRoutes = require('./routes/plantillaMensajeRoutes');
 
 // Importar middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -194,6 +202,14 @@ app.use('/api/categorias-servicio', categoriaServicioRoutes);
 app.use('/api/categorias-producto', categoriaProductoRoutes);
 app.use('/api/reservacion', reservacionRoutes);
 app.use('/api/empleado-citas', empleadoCitaRoutes);
+app.use('/api/lista-espera', listaEsperaRoutes);
+app.use('/api/recursos', recursoRoutes);
+app.use('/api/excepciones-horario', excepcionHorarioRoutes);
+app.use('/api/plantillas-horario', plantillaHorarioRoutes);
+app.use('/api/nomina', nominaRoutes);
+app.use('/api/recepcion', recepcionRoutes);
+app.use('/api/bandeja-salida', bandejaSalidaRoutes);
+app.use('/api/plantillas-mensaje', plantillaMensajeRoutes);
 
 // Ruta de prueba
 app.get('/api/health', (req, res) => {
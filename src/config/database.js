@@ -55,7 +55,7 @@ const inicializarBaseDatos = async () => {
       'id', 'firebase_uid', 'email', 'nombre', 'apellido', 
       'telefono', 'foto_perfil', 'rol_id', 'activo', 
       'fecha_registro', 'ultimo_acceso', 'notificacion_correo',
-      'notificacion_push', 'notificacion_sms', 'recordatorio_horas_antes',
+      'notificacion_push', 'notificacion_sms', 'notificacion_whatsapp', 'recordatorio_horas_antes',
       'created_at', 'updated_at'
     ];
     
@@ -149,11 +149,32 @@ async function query(sql, params) {
   }
 }
 
+/**
+ * Ejecutar un bloque de operaciones dentro de una transacción.
+ * Hace commit si el callback termina bien y rollback ante cualquier error.
+ * @param {Function} callback - async (connection) => resultado
+ * @returns {Promise<*>} Resultado del callback
+ */
+async function transaccion(callback) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const resultado = await callback(connection);
+    await connection.commit();
+    return resultado;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
 
 module.exports = {
   pool,
   inicializarBaseDatos,
   cerrarConexion,
   dbConfig,
-  query
+  query,
+  transaccion
 };
@@ -0,0 +1,21 @@
+/**
+ * Nombres de los estados de las citas tal como están en la tabla estados_citas
+ * (los mismos que usa la máquina de estados de estadoCitaService)
+ */
+
+const ESTADOS_CITA = {
+  PENDIENTE: 'Pendiente',
+  CONFIRMADA: 'Confirmada',
+  EN_PROCESO: 'En proceso',
+  COMPLETADA: 'Completada',
+  CANCELADA: 'Cancelada',
+  NO_ASISTIO: 'No asistió'
+};
+
+// Citas en estos estados ya no ocupan al empleado ni a los recursos
+const ESTADOS_LIBERAN = [ESTADOS_CITA.CANCELADA, ESTADOS_CITA.NO_ASISTIO];
+
+module.exports = {
+  ESTADOS_CITA,
+  ESTADOS_LIBERAN
+};
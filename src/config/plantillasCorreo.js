@@ -0,0 +1,429 @@
+/**
+ * Catálogo de los correos transaccionales del sistema.
+ * Por cada tipo: las variables que recibe la plantilla y la plantilla predeterminada, que se
+ * usa cuando plantillas_correo no tiene una activa de ese tipo. La sintaxis de las plantillas
+ * (bloques y filtros) está en src/utils/motorPlantillas.js.
+ * Ver NOTIFICACIONES_API_DOCS.md para cuándo se envía cada uno.
+ */
+
+// Datos del negocio, disponibles en todas las plantillas (tabla configuraciones)
+const VARIABLES_NEGOCIO = {
+  NOMBRE_NEGOCIO: 'Nombre del negocio (configuración negocio_nombre)',
+  TELEFONO_SALON: 'Teléfono de contacto (configuración negocio_telefono)',
+  EMAIL_SALON: 'Correo de contacto (configuración negocio_email)'
+};
+
+const VARIABLES_CITA = {
+  NOMBRE_CLIENTE: 'Nombre y apellido del cliente',
+  FECHA_CITA: 'Fecha de la cita en la zona horaria del barbero (ej. lunes, 3 de marzo de 2025)',
+  HORA_CITA: 'Hora de inicio (HH:MM)',
+  HORA_FIN_CITA: 'Hora de fin (HH:MM)',
+  NOMBRE_ESTILISTA: 'Barbero que atiende la cita',
+  SERVICIOS: 'Servicios de la cita separados por comas',
+  INICIO_CITA: 'Inicio de la cita sin formato, para los filtros fecha y hora',
+  FIN_CITA: 'Fin de la cita sin formato, para los filtros fecha y hora'
+};
+
+// Detalle de cobro de una cita ya reservada
+const VARIABLES_COBRO = {
+  LISTA_SERVICIOS: 'Servicios de la cita, para {{#each}}: NOMBRE, DURACION (minutos), PRECIO, DESCUENTO',
+  SUBTOTAL: 'Suma de los precios de los servicios',
+  DESCUENTO: 'Descuento total aplicado (0 si no hubo promoción)',
+  TOTAL: 'Total a pagar con impuestos'
+};
+
+// Valores de ejemplo para previsualizar una plantilla sin una cita real
+const VARIABLES_EJEMPLO = {
+  NOMBRE_CLIENTE: 'Carlos Pérez',
+  FECHA_CITA: 'viernes, 14 de marzo de 2025',
+  HORA_CITA: '10:00',
+  HORA_FIN_CITA: '10:45',
+  NOMBRE_ESTILISTA: 'Andrés Gómez',
+  SERVICIOS: 'Corte clásico, Arreglo de barba',
+  INICIO_CITA: '2025-03-14 15:00:00',
+  FIN_CITA: '2025-03-14 15:45:00',
+  LISTA_SERVICIOS: [
+    { NOMBRE: 'Corte clásico', DURACION: 30, PRECIO: 12, DESCUENTO: 2 },
+    { NOMBRE: 'Arreglo de barba', DURACION: 15, PRECIO: 8, DESCUENTO: 0 }
+  ],
+  SUBTOTAL: 20,
+  DESCUENTO: 2,
+  TOTAL: 18,
+  ENLACE_RESERVAR: 'http://localhost:3000/reservacion',
+  FECHA_ANTERIOR: 'jueves, 13 de marzo de 2025',
+  HORA_ANTERIOR: '16:30',
+  ESTILISTA_ANTERIOR: 'Luis Martínez',
+  ENLACE_RESENA: 'http://localhost:3000/resenas/nueva?cita=1',
+  HORA_EXPIRACION: '09:30',
+  ENLACE_OFERTA: 'http://localhost:3000/lista-espera/oferta/ejemplo',
+  NOMBRE_EMPLEADO: 'Andrés Gómez',
+  DECISION: 'aprobada',
+  ICONO_DECISION: '✅',
+  REVISADO_POR: 'María López',
+  INICIO_AUSENCIA: 'lunes, 17 de marzo de 2025 09:00',
+  FIN_AUSENCIA: 'martes, 18 de marzo de 2025 18:00',
+  MOTIVO_AUSENCIA: 'Cita médica',
+  COMENTARIO_REVISION: 'Sin comentarios',
+  MENSAJE_AGENDA: 'Tu agenda quedará bloqueada durante ese período.'
+};
+
+/**
+ * Armar el documento HTML común de los correos predeterminados
+ * @param {Object} partes - { titulo, encabezado, cuerpo }
+ * @returns {string} HTML con variables {{NOMBRE}}
+ */
+const documento = ({ titulo, encabezado, cuerpo }) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${titulo}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: #2c3e50; color: white; padding: 20px; text-align: center; }
+    .content { padding: 20px; background: #f9f9f9; }
+    .details { background: white; padding: 20px; margin: 20px 0; border-radius: 5px; }
+    .anterior { color: #999; text-decoration: line-through; }
+    .button { background: #3498db; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; }
+    .footer { text-align: center; padding: 20px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>✂️ {{NOMBRE_NEGOCIO}}</h1>
+      <h2>${encabezado}</h2>
+    </div>
+
+    <div class="content">
+${cuerpo}
+    </div>
+
+    <div class="footer">
+      <p>{{NOMBRE_NEGOCIO}} - Tu estilo, nuestra pasión</p>
+      <p>📧 {{EMAIL_SALON}} | 📞 {{TELEFONO_SALON}}</p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+const DETALLES_CITA = `      <div class="details">
+        <h3>📅 Detalles de la Cita</h3>
+        <p><strong>Fecha:</strong> {{FECHA_CITA}}</p>
+        <p><strong>Hora:</strong> {{HORA_CITA}} - {{HORA_FIN_CITA}}</p>
+        <p><strong>Barbero:</strong> {{NOMBRE_ESTILISTA}}</p>
+        <p><strong>Servicios:</strong> {{SERVICIOS}}</p>
+      </div>`;
+
+const RESUMEN_COBRO = `      {{#if LISTA_SERVICIOS}}
+      <div class="details">
+        <h3>💳 Resumen</h3>
+        {{#each LISTA_SERVICIOS}}
+        <p>{{NOMBRE}} ({{DURACION}} min): {{PRECIO | moneda}}</p>
+        {{/each}}
+        {{#if DESCUENTO}}
+        <p><strong>Descuento:</strong> -{{DESCUENTO | moneda}}</p>
+        {{/if}}
+        <p><strong>Total:</strong> {{TOTAL | moneda}}</p>
+      </div>
+      {{/if}}`;
+
+const PIE_TEXTO = '{{NOMBRE_NEGOCIO}} - {{EMAIL_SALON}} | {{TELEFONO_SALON}}';
+
+const PLANTILLAS_CORREO = {
+  confirmacion_cita: {
+    nombre: 'Confirmación de Cita',
+    descripcion: 'Al cliente cuando se confirma una reservación',
+    variables: { ...VARIABLES_NEGOCIO, ...VARIABLES_CITA, ...VARIABLES_COBRO },
+    asunto: '✅ Confirmación de Cita - {{NOMBRE_NEGOCIO}}',
+    contenido_html: documento({
+      titulo: 'Confirmación de Cita',
+      encabezado: '✅ Confirmación de Cita',
+      cuerpo: `      <p>Hola <strong>{{NOMBRE_CLIENTE}}</strong>,</p>
+
+      <p>Tu cita ha sido confirmada exitosamente. Aquí están los detalles:</p>
+
+${DETALLES_CITA}
+
+${RESUMEN_COBRO}
+
+      <p>Te esperamos en nuestro local. Si necesitas cancelar o modificar tu cita, contáctanos con anticipación.</p>
+
+      <p>¡Gracias por elegir {{NOMBRE_NEGOCIO}}!</p>`
+    }),
+    contenido_texto: `Hola {{NOMBRE_CLIENTE}},
+
+Tu cita ha sido confirmada para el {{FECHA_CITA}} de {{HORA_CITA}} a {{HORA_FIN_CITA}} con {{NOMBRE_ESTILISTA}}.
+{{#each LISTA_SERVICIOS}}- {{NOMBRE}}: {{PRECIO | moneda}}
+{{else}}Servicios: {{SERVICIOS}}
+{{/each}}{{#if DESCUENTO}}Descuento: -{{DESCUENTO | moneda}}
+{{/if}}{{#if TOTAL}}Total: {{TOTAL | moneda}}
+{{/if}}
+Si necesitas cancelar o modificar tu cita, contáctanos con anticipación.
+
+${PIE_TEXTO}`
+  },
+
+  recordatorio_cita: {
+    nombre: 'Recordatorio de Cita',
+    descripcion: 'Al cliente antes de su cita, según las horas que eligió en sus preferencias',
+    variables: { ...VARIABLES_NEGOCIO, ...VARIABLES_CITA, ...VARIABLES_COBRO },
+    asunto: '⏰ Recordatorio de Cita - {{NOMBRE_NEGOCIO}}',
+    contenido_html: documento({
+      titulo: 'Recordatorio de Cita',
+      encabezado: '⏰ Recordatorio de Cita',
+      cuerpo: `      <p>Hola <strong>{{NOMBRE_CLIENTE}}</strong>,</p>
+
+      <p>Te recordamos que tienes una cita programada:</p>
+
+${DETALLES_CITA}
+
+      <p>Por favor, llega 10 minutos antes de tu hora programada.</p>
+
+      <p>¡Te esperamos!</p>`
+    }),
+    contenido_texto: `Hola {{NOMBRE_CLIENTE}},
+
+Te recordamos tu cita del {{FECHA_CITA}} de {{HORA_CITA}} a {{HORA_FIN_CITA}} con {{NOMBRE_ESTILISTA}}.
+Servicios: {{SERVICIOS}}
+
+Por favor, llega 10 minutos antes de tu hora programada.
+
+${PIE_TEXTO}`
+  },
+
+  cancelacion_cita: {
+    nombre: 'Cancelación de Cita',
+    descripcion: 'Al cliente cuando su cita se cancela',
+    variables: {
+      ...VARIABLES_NEGOCIO,
+      ...VARIABLES_CITA,
+      ...VARIABLES_COBRO,
+      ENLACE_RESERVAR: 'Enlace del frontend para reservar una nueva cita'
+    },
+    asunto: '❌ Cita Cancelada - {{NOMBRE_NEGOCIO}}',
+    contenido_html: documento({
+      titulo: 'Cita Cancelada',
+      encabezado: '❌ Cita Cancelada',
+      cuerpo: `      <p>Hola <strong>{{NOMBRE_CLIENTE}}</strong>,</p>
+
+      <p>Tu cita ha sido cancelada:</p>
+
+${DETALLES_CITA}
+
+      <p style="text-align: center;"><a class="button" href="{{ENLACE_RESERVAR}}">Reservar otra cita</a></p>
+
+      <p>Si no solicitaste la cancelación, contáctanos.</p>`
+    }),
+    contenido_texto: `Hola {{NOMBRE_CLIENTE}},
+
+Tu cita del {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}} ha sido cancelada.
+
+Puedes reservar otra cita en {{ENLACE_RESERVAR}}
+
+${PIE_TEXTO}`
+  },
+
+  reprogramacion_cita: {
+    nombre: 'Cita Reprogramada',
+    descripcion: 'Al cliente cuando su cita cambia de horario',
+    variables: {
+      ...VARIABLES_NEGOCIO,
+      ...VARIABLES_CITA,
+      ...VARIABLES_COBRO,
+      FECHA_ANTERIOR: 'Fecha que tenía la cita antes del cambio',
+      HORA_ANTERIOR: 'Hora de inicio que tenía la cita antes del cambio'
+    },
+    asunto: '🔄 Cita Reprogramada - {{NOMBRE_NEGOCIO}}',
+    contenido_html: documento({
+      titulo: 'Cita Reprogramada',
+      encabezado: '🔄 Cita Reprogramada',
+      cuerpo: `      <p>Hola <strong>{{NOMBRE_CLIENTE}}</strong>,</p>
+
+      <p>Tu cita ha sido reprogramada. Estos son los nuevos detalles:</p>
+
+      <p class="anterior">Antes: {{FECHA_ANTERIOR}} a las {{HORA_ANTERIOR}}</p>
+
+${DETALLES_CITA}
+
+      <p>Tu pago y los servicios reservados se mantienen sin cambios.</p>
+
+      <p>¡Gracias por elegir {{NOMBRE_NEGOCIO}}!</p>`
+    }),
+    contenido_texto: `Hola {{NOMBRE_CLIENTE}},
+
+Tu cita del {{FECHA_ANTERIOR}} a las {{HORA_ANTERIOR}} pasó al {{FECHA_CITA}} de {{HORA_CITA}} a {{HORA_FIN_CITA}} con {{NOMBRE_ESTILISTA}}.
+Tu pago y los servicios reservados se mantienen sin cambios.
+
+${PIE_TEXTO}`
+  },
+
+  reasignacion_cita: {
+    nombre: 'Cambio de Barbero',
+    descripcion: 'Al cliente cuando otro barbero atenderá su cita a la misma hora',
+    variables: {
+      ...VARIABLES_NEGOCIO,
+      ...VARIABLES_CITA,
+      ...VARIABLES_COBRO,
+      ESTILISTA_ANTERIOR: 'Barbero que tenía la cita (o "Tu barbero" si no se conoce)'
+    },
+    asunto: '💈 Cambio de barbero en tu cita - {{NOMBRE_NEGOCIO}}',
+    contenido_html: documento({
+      titulo: 'Cambio de Barbero',
+      encabezado: '💈 Cambio de Barbero',
+      cuerpo: `      <p>Hola <strong>{{NOMBRE_CLIENTE}}</strong>,</p>
+
+      <p>{{ESTILISTA_ANTERIOR}} no estará disponible y otro barbero atenderá tu cita a la misma hora:</p>
+
+${DETALLES_CITA}
+
+      <p>Tu pago y los servicios reservados se mantienen sin cambios.</p>
+
+      <p>¡Gracias por elegir {{NOMBRE_NEGOCIO}}!</p>`
+    }),
+    contenido_texto: `Hola {{NOMBRE_CLIENTE}},
+
+{{ESTILISTA_ANTERIOR}} no estará disponible y {{NOMBRE_ESTILISTA}} atenderá tu cita del {{FECHA_CITA}} a las {{HORA_CITA}}.
+Tu pago y los servicios reservados se mantienen sin cambios.
+
+${PIE_TEXTO}`
+  },
+
+  bienvenida: {
+    nombre: 'Bienvenida',
+    descripcion: 'Al cliente la primera vez que inicia sesión',
+    variables: {
+      ...VARIABLES_NEGOCIO,
+      NOMBRE_CLIENTE: 'Nombre y apellido del cliente',
+      ENLACE_RESERVAR: 'Enlace del frontend para reservar una cita'
+    },
+    asunto: '👋 Bienvenido a {{NOMBRE_NEGOCIO}}',
+    contenido_html: documento({
+      titulo: 'Bienvenida',
+      encabezado: '👋 ¡Bienvenido!',
+      cuerpo: `      <p>Hola <strong>{{NOMBRE_CLIENTE}}</strong>,</p>
+
+      <p>Gracias por registrarte en {{NOMBRE_NEGOCIO}}. Desde tu cuenta puedes reservar citas, elegir a tu barbero y recibir recordatorios.</p>
+
+      <p style="text-align: center;"><a class="button" href="{{ENLACE_RESERVAR}}">Reservar mi primera cita</a></p>`
+    }),
+    contenido_texto: `Hola {{NOMBRE_CLIENTE}},
+
+Gracias por registrarte en {{NOMBRE_NEGOCIO}}. Reserva tu primera cita en {{ENLACE_RESERVAR}}
+
+${PIE_TEXTO}`
+  },
+
+  invitacion_resena: {
+    nombre: 'Invitación a Reseñar',
+    descripcion: 'Al cliente después de completarse su cita',
+    variables: {
+      ...VARIABLES_NEGOCIO,
+      ...VARIABLES_CITA,
+      ...VARIABLES_COBRO,
+      ENLACE_RESENA: 'Enlace del frontend para reseñar la cita'
+    },
+    asunto: '⭐ ¿Qué tal tu visita? - {{NOMBRE_NEGOCIO}}',
+    contenido_html: documento({
+      titulo: 'Califica tu Visita',
+      encabezado: '⭐ ¿Qué tal tu visita?',
+      cuerpo: `      <p>Hola <strong>{{NOMBRE_CLIENTE}}</strong>,</p>
+
+      <p>Gracias por visitarnos. Nos encantaría saber cómo te fue:</p>
+
+      <div class="details">
+        <h3>📅 Tu Visita</h3>
+        <p><strong>Fecha:</strong> {{FECHA_CITA}}</p>
+        <p><strong>Barbero:</strong> {{NOMBRE_ESTILISTA}}</p>
+        <p><strong>Servicios:</strong> {{SERVICIOS}}</p>
+      </div>
+
+      <p style="text-align: center;"><a class="button" href="{{ENLACE_RESENA}}">Dejar mi reseña</a></p>
+
+      <p>Tu opinión ayuda a {{NOMBRE_ESTILISTA}} y a otros clientes.</p>`
+    }),
+    contenido_texto: `Hola {{NOMBRE_CLIENTE}},
+
+Gracias por visitarnos el {{FECHA_CITA}}. Cuéntanos cómo te fue con {{NOMBRE_ESTILISTA}}: {{ENLACE_RESENA}}
+
+${PIE_TEXTO}`
+  },
+
+  oferta_lista_espera: {
+    nombre: 'Oferta de Lista de Espera',
+    descripcion: 'Al cliente en lista de espera cuando se libera un horario para él',
+    variables: {
+      ...VARIABLES_NEGOCIO,
+      ...VARIABLES_CITA,
+      HORA_EXPIRACION: 'Hora hasta la que se guarda el horario (HH:MM)',
+      ENLACE_OFERTA: 'Enlace del frontend para ver y aceptar la oferta'
+    },
+    asunto: '🎉 Se liberó un horario para ti - {{NOMBRE_NEGOCIO}}',
+    contenido_html: documento({
+      titulo: 'Horario Disponible',
+      encabezado: '🎉 Se liberó un horario',
+      cuerpo: `      <p>Hola <strong>{{NOMBRE_CLIENTE}}</strong>,</p>
+
+      <p>Estabas en lista de espera y se liberó un horario que encaja con tu solicitud:</p>
+
+${DETALLES_CITA}
+
+      <p>Te lo guardamos hasta las <strong>{{HORA_EXPIRACION}}</strong>. Después se ofrecerá al siguiente cliente.</p>
+
+      <p style="text-align: center;"><a class="button" href="{{ENLACE_OFERTA}}">Ver y aceptar horario</a></p>`
+    }),
+    contenido_texto: `Hola {{NOMBRE_CLIENTE}},
+
+Se liberó un horario el {{FECHA_CITA}} de {{HORA_CITA}} a {{HORA_FIN_CITA}} con {{NOMBRE_ESTILISTA}} ({{SERVICIOS}}).
+Te lo guardamos hasta las {{HORA_EXPIRACION}}: {{ENLACE_OFERTA}}
+
+${PIE_TEXTO}`
+  },
+
+  decision_ausencia: {
+    nombre: 'Decisión de Ausencia',
+    descripcion: 'Al barbero cuando se aprueba o rechaza su solicitud de ausencia',
+    variables: {
+      ...VARIABLES_NEGOCIO,
+      NOMBRE_EMPLEADO: 'Nombre y apellido del barbero',
+      DECISION: '"aprobada" o "rechazada"',
+      ICONO_DECISION: '✅ si se aprobó, ❌ si se rechazó',
+      REVISADO_POR: 'Quién revisó la solicitud (o "La administración")',
+      INICIO_AUSENCIA: 'Fecha y hora de inicio de la ausencia',
+      FIN_AUSENCIA: 'Fecha y hora de fin de la ausencia',
+      MOTIVO_AUSENCIA: 'Motivo indicado por el barbero',
+      COMENTARIO_REVISION: 'Comentario de quien revisó (o "Sin comentarios")',
+      MENSAJE_AGENDA: 'Qué pasa con la agenda del barbero en ese período'
+    },
+    asunto: '{{ICONO_DECISION}} Ausencia {{DECISION}} - {{NOMBRE_NEGOCIO}}',
+    contenido_html: documento({
+      titulo: 'Solicitud de Ausencia',
+      encabezado: '{{ICONO_DECISION}} Ausencia {{DECISION}}',
+      cuerpo: `      <p>Hola <strong>{{NOMBRE_EMPLEADO}}</strong>,</p>
+
+      <p>{{REVISADO_POR}} revisó tu solicitud de ausencia: fue <strong>{{DECISION}}</strong>.</p>
+
+      <div class="details">
+        <h3>📅 Detalles de la Ausencia</h3>
+        <p><strong>Desde:</strong> {{INICIO_AUSENCIA}}</p>
+        <p><strong>Hasta:</strong> {{FIN_AUSENCIA}}</p>
+        <p><strong>Motivo:</strong> {{MOTIVO_AUSENCIA}}</p>
+        <p><strong>Comentario:</strong> {{COMENTARIO_REVISION}}</p>
+      </div>
+
+      <p>{{MENSAJE_AGENDA}}</p>`
+    }),
+    contenido_texto: `Hola {{NOMBRE_EMPLEADO}},
+
+Tu ausencia del {{INICIO_AUSENCIA}} al {{FIN_AUSENCIA}} fue {{DECISION}}.
+Comentario: {{COMENTARIO_REVISION}}
+{{MENSAJE_AGENDA}}
+
+${PIE_TEXTO}`
+  }
+};
+
+module.exports = {
+  PLANTILLAS_CORREO,
+  VARIABLES_EJEMPLO
+};
@@ -1,4 +1,5 @@
 const PlantillaCorreo = require('../models/PlantillaCorreo');
+const emailService = require('../services/emailService');
 
 module.exports = {
   async listar(req, res) {
@@ -11,6 +12,11 @@ module.exports = {
     }
   },
 
+  // Variables que recibe cada tipo de correo que envía el sistema
+  async catalogo(req, res) {
+    res.json(PlantillaCorreo.obtenerCatalogo());
+  },
+
   async obtenerPorId(req, res) {
     try {
       const { id } = req.params;
@@ -22,6 +28,20 @@ module.exports = {
     }
   },
 
+  // Renderizar una plantilla con datos de ejemplo o con los de la cita indicada, sin enviar nada
+  async previsualizar(req, res) {
+    try {
+      const plantilla = await PlantillaCorreo.obtenerPorId(req.params.id);
+      if (!plantilla) return res.status(404).json({ mensaje: 'No encontrado' });
+
+      const vista = await emailService.previsualizar(plantilla, req.body.cita_id ? parseInt(req.body.cita_id) : null);
+      res.json({ plantilla_id: plantilla.id, tipo: plantilla.tipo, cita_id: req.body.cita_id || null, ...vista });
+    } catch (error) {
+      const estados = { ValidationError: 400, NotFoundError: 404 };
+      res.status(estados[error.name] || 500).json({ mensaje: error.message });
+    }
+  },
+
   async crear(req, res) {
     try {
       const nuevo = await PlantillaCorreo.crear(req.body);
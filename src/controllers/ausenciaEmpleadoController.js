@@ -1,4 +1,5 @@
 const AusenciaEmpleado = require('../models/AusenciaEmpleado');
+const ausenciaService = require('../services/ausenciaService');
 const asyncHandler = require('../middleware/asyncHandler');
 
 class ErrorResponse extends Error {
@@ -15,7 +16,8 @@ class ErrorResponse extends Error {
 // @access  Private (Admin, Dueño)
 exports.createAusenciaEmpleado = asyncHandler(async (req, res, next) => {
     try {
-        const ausencia = await AusenciaEmpleado.crear(req.body);
+        // Registrada por un administrador o dueño: queda aprobada por él
+        const ausencia = await AusenciaEmpleado.crear({ ...req.body, estado: 'Aprobada', revisado_por: req.usuario.id });
         res.status(201).json({
             success: true,
             mensaje: 'Ausencia registrada exitosamente.',
@@ -145,4 +147,120 @@ exports.getAusenciasPorRango = asyncHandler(async (req, res, next) => {
     } catch (error) {
         next(new ErrorResponse(error.message, 500));
     }
-}); 
\ No newline at end of file
+});
+
+// @desc    Obtener solicitudes de ausencia pendientes de revisión
+// @route   GET /api/ausencias-empleado/pendientes
+// @access  Private (Admin, Dueño)
+exports.getAusenciasPendientes = asyncHandler(async (req, res, next) => {
+    try {
+        const { ausencias, paginacion } = await AusenciaEmpleado.obtenerTodas({
+            estado: 'Pendiente',
+            empleado_id: req.query.empleado_id,
+            pagina: parseInt(req.query.pagina) || 1,
+            limite: parseInt(req.query.limite) || 50,
+            direccion: 'ASC'
+        });
+        res.status(200).json({
+            success: true,
+            count: ausencias.length,
+            paginacion,
+            data: ausencias
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Aprobar una solicitud de ausencia
+// @route   PATCH /api/ausencias-empleado/:id/aprobar
+// @access  Private (Admin, Dueño)
+exports.aprobarAusencia = asyncHandler(async (req, res, next) => {
+    try {
+        const ausencia = await ausenciaService.revisar(req.params.id, {
+            decision: 'Aprobada',
+            usuarioId: req.usuario.id,
+            comentario: req.body.comentario
+        });
+        // Citas que el barbero ya no podrá atender, con la propuesta para cada una
+        const citasAfectadas = await ausenciaService.proponerDesplazamiento(ausencia.id);
+
+        res.status(200).json({
+            success: true,
+            mensaje: citasAfectadas.length > 0
+                ? `Ausencia aprobada. Se notificó al barbero. Hay ${citasAfectadas.length} cita(s) por desplazar.`
+                : 'Ausencia aprobada. Se notificó al barbero.',
+            data: ausencia,
+            citas_afectadas: citasAfectadas
+        });
+    } catch (error) {
+        if (['NotFoundError', 'ConflictError', 'ValidationError'].includes(error.name)) {
+            return next(error);
+        }
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Rechazar una solicitud de ausencia
+// @route   PATCH /api/ausencias-empleado/:id/rechazar
+// @access  Private (Admin, Dueño)
+exports.rechazarAusencia = asyncHandler(async (req, res, next) => {
+    try {
+        const ausencia = await ausenciaService.revisar(req.params.id, {
+            decision: 'Rechazada',
+            usuarioId: req.usuario.id,
+            comentario: req.body.comentario
+        });
+        res.status(200).json({
+            success: true,
+            mensaje: 'Ausencia rechazada. Se notificó al barbero.',
+            data: ausencia
+        });
+    } catch (error) {
+        if (['NotFoundError', 'ConflictError', 'ValidationError'].includes(error.name)) {
+            return next(error);
+        }
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Listar las citas afectadas por una ausencia aprobada y la propuesta para cada una
+// @route   GET /api/ausencias-empleado/:id/desplazamiento
+// @access  Private (Admin, Dueño)
+exports.getDesplazamiento = asyncHandler(async (req, res, next) => {
+    try {
+        const citasAfectadas = await ausenciaService.proponerDesplazamiento(req.params.id);
+        res.status(200).json({
+            success: true,
+            count: citasAfectadas.length,
+            data: citasAfectadas
+        });
+    } catch (error) {
+        if (['NotFoundError', 'ConflictError'].includes(error.name)) {
+            return next(error);
+        }
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Aplicar en bloque las propuestas de desplazamiento y avisar a los clientes
+// @route   POST /api/ausencias-empleado/:id/desplazamiento/aplicar
+// @access  Private (Admin, Dueño)
+exports.aplicarDesplazamiento = asyncHandler(async (req, res, next) => {
+    try {
+        const resultado = await ausenciaService.aplicarDesplazamiento(req.params.id, {
+            citaIds: req.body.cita_ids,
+            usuarioId: req.usuario.id
+        });
+        res.status(200).json({
+            success: true,
+            mensaje: `${resultado.aplicadas.length} cita(s) desplazada(s), ${resultado.pendientes.length} sin resolver. Se notificó a los clientes.`,
+            data: resultado
+        });
+    } catch (error) {
+        if (['NotFoundError', 'ConflictError'].includes(error.name)) {
+            return next(error);
+        }
+        next(new ErrorResponse(error.message, 500));
+    }
+});
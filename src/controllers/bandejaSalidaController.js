@@ -0,0 +1,111 @@
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const BandejaSalida = require('../models/BandejaSalida');
+const bandejaSalidaService = require('../services/bandejaSalidaService');
+
+/**
+ * @desc    Obtener mensajes de la bandeja de salida con el resumen por estado
+ * @route   GET /api/bandeja-salida
+ * @access  Private (Admin, Dueño)
+ */
+exports.getMensajes = asyncHandler(async (req, res, next) => {
+  try {
+    const { mensajes, resumen, paginacion } = await bandejaSalidaService.obtenerMensajes({
+      estado: req.query.estado,
+      canal: req.query.canal,
+      tipo: req.query.tipo,
+      cita_id: req.query.cita_id ? parseInt(req.query.cita_id) : null,
+      pagina: parseInt(req.query.pagina) || 1,
+      limite: parseInt(req.query.limite) || 20
+    });
+
+    res.status(200).json({
+      success: true,
+      count: mensajes.length,
+      resumen,
+      paginacion,
+      data: mensajes
+    });
+  } catch (error) {
+    console.error('❌ [bandejaSalidaController.getMensajes] Error:', error);
+    next(new ErrorResponse('Error al obtener la bandeja de salida', 500));
+  }
+});
+
+/**
+ * @desc    Obtener un mensaje de la bandeja de salida
+ * @route   GET /api/bandeja-salida/:id
+ * @access  Private (Admin, Dueño)
+ */
+exports.getMensaje = asyncHandler(async (req, res, next) => {
+  try {
+    const mensaje = await BandejaSalida.obtenerPorId(parseInt(req.params.id));
+
+    if (!mensaje) {
+      return next(new ErrorResponse('Mensaje no encontrado', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: mensaje
+    });
+  } catch (error) {
+    console.error('❌ [bandejaSalidaController.getMensaje] Error:', error);
+    next(new ErrorResponse('Error al obtener el mensaje', 500));
+  }
+});
+
+/**
+ * @desc    Volver a encolar un mensaje Fallido
+ * @route   POST /api/bandeja-salida/:id/reintentar
+ * @access  Private (Admin, Dueño)
+ */
+exports.reintentarMensaje = asyncHandler(async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id);
+    const mensaje = await BandejaSalida.obtenerPorId(id);
+
+    if (!mensaje) {
+      return next(new ErrorResponse('Mensaje no encontrado', 404));
+    }
+
+    if (mensaje.estado !== 'Fallido') {
+      return next(new ErrorResponse(`Solo se pueden reintentar mensajes Fallidos (estado actual: ${mensaje.estado})`, 409));
+    }
+
+    await bandejaSalidaService.reintentar({ id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Mensaje encolado de nuevo',
+      data: await BandejaSalida.obtenerPorId(id)
+    });
+  } catch (error) {
+    console.error('❌ [bandejaSalidaController.reintentarMensaje] Error:', error);
+    next(new ErrorResponse('Error al reintentar el mensaje', 500));
+  }
+});
+
+/**
+ * @desc    Volver a encolar todos los mensajes Fallidos (opcionalmente por canal, tipo o cita)
+ * @route   POST /api/bandeja-salida/reintentar
+ * @access  Private (Admin, Dueño)
+ */
+exports.reintentarFallidos = asyncHandler(async (req, res, next) => {
+  try {
+    const reencolados = await bandejaSalidaService.reintentar({
+      canal: req.body.canal,
+      tipo: req.body.tipo,
+      cita_id: req.body.cita_id ? parseInt(req.body.cita_id) : null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${reencolados} mensaje(s) encolado(s) de nuevo`,
+      data: { reencolados }
+    });
+  } catch (error) {
+    console.error('❌ [bandejaSalidaController.reintentarFallidos] Error:', error);
+    next(new ErrorResponse('Error al reintentar los mensajes fallidos', 500));
+  }
+});
@@ -1,5 +1,14 @@
 const Cita = require('../models/Cita');
+const AsignacionAutomatica = require('../models/AsignacionAutomatica');
+const EstadoCita = require('../models/EstadoCita');
+const HistorialEstadoCita = require('../models/HistorialEstadoCita');
+const ZonaHoraria = require('../utils/zonaHoraria');
 const asyncHandler = require('../middleware/asyncHandler');
+const cancelacionService = require('../services/cancelacionService');
+const estadoCitaService = require('../services/estadoCitaService');
+const recepcionService = require('../services/recepcionService');
+const reservacionService = require('../services/reservacionService');
+const serieCitasService = require('../services/serieCitasService');
 
 // Clase ErrorResponse local
 class ErrorResponse extends Error {
@@ -16,7 +25,7 @@ class ErrorResponse extends Error {
 // @access  Private (Admin, Dueño, Empleado)
 exports.createCita = asyncHandler(async (req, res, next) => {
     try {
-        const cita = await Cita.crear(req.body);
+        const cita = await Cita.crear(req.body, req.usuario.id);
         res.status(201).json({
             success: true,
             mensaje: 'Cita creada exitosamente.',
@@ -62,6 +71,11 @@ exports.getCitaById = asyncHandler(async (req, res, next) => {
 // @access  Private (Admin, Dueño, Empleado)
 exports.updateCita = asyncHandler(async (req, res, next) => {
     try {
+        // El estado solo cambia por las transiciones permitidas (y la cancelación, por su política)
+        if (req.body.estado_id !== undefined) {
+            return next(new ErrorResponse('Para cambiar el estado usa PATCH /api/citas/:id/estado o PATCH /api/citas/:id/cancelar', 400));
+        }
+
         const cita = await Cita.actualizar(req.params.id, req.body);
         res.status(200).json({
             success: true,
@@ -159,42 +173,211 @@ exports.getCitasPorEstado = asyncHandler(async (req, res, next) => {
     }
 });
 
-// @desc    Cambiar estado de una cita
+// @desc    Cambiar estado de una cita según las transiciones permitidas a su rol
 // @route   PATCH /api/citas/:id/estado
 // @access  Private (Admin, Dueño, Empleado)
 exports.cambiarEstadoCita = asyncHandler(async (req, res, next) => {
-    console.log('📦 BODY recibido en /estado:', req.body);
-
     try {
-        const estadoId = req.body.estado_id;
-        console.log('🔍 estado_id recibido:', estadoId);
-
-        // Validar que estado_id exista y sea un número válido
-        if (!estadoId || isNaN(Number(estadoId))) {
-            const msg = "El campo 'estado_id' es requerido y debe ser un número válido.";
-            console.error('❌ Validación:', msg);
-            return next(new ErrorResponse(msg, 400));
-        }
+        const estado = await EstadoCita.obtenerPorId(req.body.estado_id);
 
-        // Cambiar estado en la base de datos
-        const cita = await Cita.cambiarEstado(req.params.id, estadoId);
+        if (!estado) {
+            return next(new ErrorResponse('Estado de cita no encontrado', 404));
+        }
 
-        if (!cita) {
-            return next(new ErrorResponse('Cita no encontrada', 404));
+        // Las cancelaciones deben pasar por la política de cancelación
+        if (await cancelacionService.esEstadoCancelada(estado.id)) {
+            return next(new ErrorResponse('Para cancelar una cita usa PATCH /api/citas/:id/cancelar', 400));
         }
 
+        const opciones = {
+            usuarioId: req.usuario.id,
+            rolId: req.usuario.rol_id,
+            motivo: req.body.motivo || null
+        };
+
+        // Empezar la atención exige que el barbero no esté atendiendo a otro cliente
+        const cambio = estadoCitaService.obtenerEstado(estado.nombre) === 'En proceso'
+            ? await recepcionService.iniciarCita(parseInt(req.params.id), opciones)
+            : await estadoCitaService.cambiarEstado(req.params.id, estado.nombre, opciones);
+        const cita = await Cita.obtenerPorId(req.params.id);
+
         res.status(200).json({
             success: true,
-            mensaje: 'Estado de cita actualizado exitosamente',
+            mensaje: `Cita cambiada de ${cambio.desde} a ${cambio.hacia}`,
             data: cita
         });
     } catch (error) {
         console.error('❌ Error al cambiar estado:', error.message);
+        if (['ValidationError', 'NotFoundError', 'ConflictError', 'PermissionError'].includes(error.name)) {
+            return next(error);
+        }
         next(new ErrorResponse(error.message, 500));
     }
 });
 
-  
+// @desc    Obtener el historial de estados de una cita y los cambios que puede hacer el usuario
+// @route   GET /api/citas/:id/historial
+// @access  Private (Admin, Dueño, Empleado)
+exports.getHistorialEstados = asyncHandler(async (req, res, next) => {
+    try {
+        const cita = await Cita.obtenerPorId(req.params.id);
+        if (!cita) {
+            return next(new ErrorResponse(`Cita no encontrada con el id ${req.params.id}`, 404));
+        }
+
+        const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria();
+        const historial = await HistorialEstadoCita.obtenerPorCita(cita.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                cita_id: cita.id,
+                estado: cita.estado_nombre,
+                transiciones_permitidas: estadoCitaService.obtenerTransicionesPermitidas(cita.estado_nombre, req.usuario.rol_id),
+                historial: historial.map(cambio => ({
+                    ...cambio,
+                    created_at: ZonaHoraria.utcALocal(cambio.created_at, zonaHoraria, 'T')
+                }))
+            }
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Obtener las transiciones de estado de las citas y los roles que pueden hacerlas
+// @route   GET /api/citas/transiciones
+// @access  Private (Admin, Dueño, Empleado)
+exports.getTransicionesEstado = asyncHandler(async (req, res, next) => {
+    res.status(200).json({
+        success: true,
+        data: estadoCitaService.obtenerGrafo()
+    });
+});
+
+// @desc    Cancelar una cita aplicando la política de cancelación
+//          (alcance 'futuras' cancela también las siguientes citas de su serie)
+// @route   PATCH /api/citas/:id/cancelar
+// @access  Private (Admin, Dueño, Empleado)
+exports.cancelarCita = asyncHandler(async (req, res, next) => {
+    try {
+        const datosCancelacion = {
+            citaId: req.params.id,
+            usuarioId: req.usuario.id,
+            rolId: req.usuario.rol_id,
+            motivo: req.body.motivo_cancelacion || null,
+            esPersonal: true,
+            exonerarCargo: req.body.exonerar_cargo === true
+        };
+
+        if (req.body.alcance === 'futuras') {
+            const resultadoSerie = await serieCitasService.cancelarFuturas(datosCancelacion);
+
+            return res.status(200).json({
+                success: true,
+                mensaje: `Se cancelaron ${resultadoSerie.canceladas.length} citas de la serie`,
+                data: resultadoSerie
+            });
+        }
+
+        const resultado = await cancelacionService.cancelar(datosCancelacion);
+
+        res.status(200).json({
+            success: true,
+            mensaje: 'Cita cancelada exitosamente',
+            data: resultado
+        });
+    } catch (error) {
+        console.error('❌ Error al cancelar cita:', error.message);
+        if (['ValidationError', 'NotFoundError', 'ConflictError', 'PermissionError'].includes(error.name)) {
+            return next(error);
+        }
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Reprogramar una cita a otro horario del mismo barbero
+//          (alcance 'futuras' mueve también las siguientes citas de su serie)
+// @route   PATCH /api/citas/:id/reprogramar
+// @access  Private (Admin, Dueño, Empleado)
+exports.reprogramarCita = asyncHandler(async (req, res, next) => {
+    try {
+        const datos = {
+            citaId: parseInt(req.params.id),
+            fecha: req.body.fecha,
+            horaInicio: req.body.hora_inicio,
+            usuarioId: req.usuario.id,
+            motivo: req.body.motivo || null
+        };
+
+        if (req.body.alcance === 'futuras') {
+            const resultadoSerie = await serieCitasService.reprogramarFuturas(datos);
+
+            return res.status(200).json({
+                success: true,
+                mensaje: `Se reprogramaron ${resultadoSerie.reprogramadas.length} citas de la serie`,
+                data: {
+                    serie_id: resultadoSerie.serie_id,
+                    reprogramadas: resultadoSerie.reprogramadas.map(reprogramada => ({
+                        cita_id: reprogramada.cita_id,
+                        indice: reprogramada.indice,
+                        fecha: reprogramada.fecha,
+                        hora_inicio: reprogramada.hora
+                    })),
+                    conflictos: resultadoSerie.conflictos
+                }
+            });
+        }
+
+        const resultado = await reservacionService.reprogramar(datos);
+
+        res.status(200).json({
+            success: true,
+            mensaje: 'Cita reprogramada exitosamente',
+            data: { cita_id: resultado.cita_id, fecha: datos.fecha, hora_inicio: datos.horaInicio }
+        });
+    } catch (error) {
+        console.error('❌ Error al reprogramar cita:', error.message);
+        if (['ConflictError', 'ValidationError', 'NotFoundError'].includes(error.name)) {
+            return next(error);
+        }
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Crear una serie de citas recurrentes para un cliente
+// @route   POST /api/citas/series
+// @access  Private (Admin, Dueño, Empleado)
+exports.crearSerie = asyncHandler(async (req, res, next) => {
+    try {
+        const serie = await serieCitasService.crear({
+            clienteId: req.body.cliente_id,
+            usuarioId: req.usuario.id,
+            empleadoId: req.body.empleado_id,
+            servicios: req.body.servicios,
+            horaInicio: req.body.hora_inicio,
+            regla: {
+                fechaInicio: req.body.fecha_inicio,
+                frecuenciaSemanas: req.body.frecuencia_semanas,
+                diaSemana: req.body.dia_semana,
+                fechaFin: req.body.fecha_fin || null,
+                ocurrencias: req.body.ocurrencias || null
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            mensaje: `Se crearon ${serie.citas.length} citas de la serie`,
+            data: serie
+        });
+    } catch (error) {
+        console.error('❌ Error al crear serie de citas:', error.message);
+        if (error.name === 'ConflictError' || error.name === 'ValidationError') {
+            return next(error);
+        }
+        next(new ErrorResponse(error.message, 500));
+    }
+});
 
 // @desc    Obtener horarios disponibles
 // @route   GET /api/citas/horarios-disponibles
@@ -229,6 +412,36 @@ exports.getDisponibilidadEmpleado = asyncHandler(async (req, res, next) => {
     }
 });
 
+// @desc    Obtener las citas en las que el servidor eligió al barbero, con la estrategia y los candidatos evaluados
+// @route   GET /api/citas/asignaciones-automaticas
+// @access  Private (Admin, Dueño, Empleado)
+exports.getAsignacionesAutomaticas = asyncHandler(async (req, res, next) => {
+    try {
+        const { cita_id, empleado_id, estrategia, fecha_inicio, fecha_fin } = req.query;
+        const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria();
+
+        const asignaciones = await AsignacionAutomatica.obtenerTodas({
+            citaId: cita_id,
+            empleadoId: empleado_id,
+            estrategia,
+            fechaDesde: fecha_inicio ? ZonaHoraria.aFechaSQL(ZonaHoraria.rangoDiaUtc(fecha_inicio, zonaHoraria).inicio) : null,
+            fechaHasta: fecha_fin ? ZonaHoraria.aFechaSQL(ZonaHoraria.rangoDiaUtc(fecha_fin, zonaHoraria).fin) : null
+        });
+
+        res.status(200).json({
+            success: true,
+            count: asignaciones.length,
+            data: asignaciones.map(asignacion => ({
+                ...asignacion,
+                fecha_hora_inicio: ZonaHoraria.utcALocal(asignacion.fecha_hora_inicio, zonaHoraria, 'T'),
+                fecha_hora_fin: ZonaHoraria.utcALocal(asignacion.fecha_hora_fin, zonaHoraria, 'T')
+            }))
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
 // @desc    Obtener estadísticas de citas
 // @route   GET /api/citas/stats
 // @access  Private (Admin, Dueño)
@@ -1,4 +1,5 @@
 const Configuracion = require('../models/Configuracion');
+const ZonaHoraria = require('../utils/zonaHoraria');
 const asyncHandler = require('../middleware/asyncHandler');
 
 // Clase ErrorResponse local
@@ -146,4 +147,43 @@ exports.getConfiguracionSistema = asyncHandler(async (req, res, next) => {
     } catch (error) {
         next(new ErrorResponse(error.message, 500));
     }
-}); 
\ No newline at end of file
+});
+
+// @desc    Obtener la zona horaria del negocio o de un barbero
+// @route   GET /api/configuraciones/zona-horaria
+// @access  Public
+exports.getZonaHoraria = asyncHandler(async (req, res, next) => {
+    try {
+        const empleadoId = req.query.empleado_id ? parseInt(req.query.empleado_id) : null;
+        const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId });
+        res.status(200).json({
+            success: true,
+            data: {
+                zona_horaria: zonaHoraria,
+                empleado_id: empleadoId
+            }
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Establecer la zona horaria del negocio o de un barbero
+// @route   PUT /api/configuraciones/zona-horaria
+// @access  Private (Admin, Dueño)
+exports.updateZonaHoraria = asyncHandler(async (req, res, next) => {
+    try {
+        const { zona_horaria, empleado_id } = req.body;
+        if (!ZonaHoraria.esValida(zona_horaria)) {
+            return next(new ErrorResponse(`Zona horaria inválida: ${zona_horaria}. Use un identificador IANA (ej. America/Bogota)`, 400));
+        }
+        const configuracion = await ZonaHoraria.establecerZonaHoraria(zona_horaria, { empleadoId: empleado_id || null });
+        res.status(200).json({
+            success: true,
+            mensaje: 'Zona horaria actualizada exitosamente',
+            data: configuracion
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 400));
+    }
+});
@@ -3,6 +3,8 @@ const ErrorResponse = require('../utils/errorResponse');
 const { query } = require('../config/database');
 const Cita = require('../models/Cita');
 const AusenciaEmpleado = require('../models/AusenciaEmpleado');
+const ausenciaService = require('../services/ausenciaService');
+const nominaService = require('../services/nominaService');
 
 /**
  * @desc    Obtener citas del empleado autenticado
@@ -49,19 +51,21 @@ exports.getCitasHoy = asyncHandler(async (req, res, next) => {
              u_cliente.telefono as cliente_telefono,
              ec.nombre as estado_nombre,
              ec.color as estado_color,
-             GROUP_CONCAT(s.nombre SEPARATOR ', ') as servicios
+             GROUP_CONCAT(s.nombre ORDER BY cs.orden SEPARATOR ', ') as servicios,
+             MIN(cs.fecha_hora_inicio) as porcion_inicio,
+             MAX(cs.fecha_hora_fin) as porcion_fin
       FROM citas c
       INNER JOIN clientes cl ON c.cliente_id = cl.id
       INNER JOIN usuarios u_cliente ON cl.usuario_id = u_cliente.id
       INNER JOIN estados_citas ec ON c.estado_id = ec.id
-      LEFT JOIN cita_servicio cs ON c.id = cs.cita_id
+      LEFT JOIN cita_servicio cs ON c.id = cs.cita_id AND COALESCE(cs.empleado_id, c.empleado_id) = ?
       LEFT JOIN servicios s ON cs.servicio_id = s.id
-      WHERE c.empleado_id = ? AND DATE(c.fecha_hora_inicio) = CURDATE()
+      WHERE (c.empleado_id = ? OR cs.cita_id IS NOT NULL) AND DATE(c.fecha_hora_inicio) = CURDATE()
       GROUP BY c.id
       ORDER BY c.fecha_hora_inicio
     `;
     
-    const citas = await query(sql, [empleado_id]);
+    const citas = (await query(sql, [empleado_id, empleado_id])).map(cita => Cita.aPorcionEmpleado(cita));
     
     res.status(200).json({
       success: true,
@@ -94,21 +98,23 @@ exports.getCitasProximas = asyncHandler(async (req, res, next) => {
              u_cliente.telefono as cliente_telefono,
              ec.nombre as estado_nombre,
              ec.color as estado_color,
-             GROUP_CONCAT(s.nombre SEPARATOR ', ') as servicios
+             GROUP_CONCAT(s.nombre ORDER BY cs.orden SEPARATOR ', ') as servicios,
+             MIN(cs.fecha_hora_inicio) as porcion_inicio,
+             MAX(cs.fecha_hora_fin) as porcion_fin
       FROM citas c
       INNER JOIN clientes cl ON c.cliente_id = cl.id
       INNER JOIN usuarios u_cliente ON cl.usuario_id = u_cliente.id
       INNER JOIN estados_citas ec ON c.estado_id = ec.id
-      LEFT JOIN cita_servicio cs ON c.id = cs.cita_id
+      LEFT JOIN cita_servicio cs ON c.id = cs.cita_id AND COALESCE(cs.empleado_id, c.empleado_id) = ?
       LEFT JOIN servicios s ON cs.servicio_id = s.id
-      WHERE c.empleado_id = ? 
+      WHERE (c.empleado_id = ? OR cs.cita_id IS NOT NULL)
         AND c.fecha_hora_inicio BETWEEN NOW() AND DATE_ADD(NOW(), INTERVAL ? DAY)
         AND c.estado_id NOT IN (SELECT id FROM estados_citas WHERE nombre IN ('Cancelada', 'No asistió'))
       GROUP BY c.id
       ORDER BY c.fecha_hora_inicio
     `;
     
-    const citas = await query(sql, [empleado_id, dias]);
+    const citas = (await query(sql, [empleado_id, empleado_id, dias])).map(cita => Cita.aPorcionEmpleado(cita));
     
     res.status(200).json({
       success: true,
@@ -122,76 +128,47 @@ exports.getCitasProximas = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Solicitar ausencia
+ * @desc    Solicitar ausencia (queda pendiente hasta que un administrador o dueño la revise)
  * @route   POST /api/empleado/ausencias
  * @access  Private (Empleado)
  */
 exports.solicitarAusencia = asyncHandler(async (req, res, next) => {
   try {
     const empleado_id = req.usuario.empleado_id;
-    const { fecha_inicio, fecha_fin, motivo, tipo_ausencia } = req.body;
+    const { fecha, fecha_inicio, fecha_fin, motivo, tipo } = req.body;
     
     if (!empleado_id) {
       return next(new ErrorResponse('Usuario no es un empleado válido', 400));
     }
     
-    // Validaciones
-    if (!fecha_inicio || !fecha_fin || !motivo) {
-      return next(new ErrorResponse('fecha_inicio, fecha_fin y motivo son requeridos', 400));
+    // Un día completo con fecha, o un periodo con fecha_inicio y fecha_fin
+    if ((!fecha && (!fecha_inicio || !fecha_fin)) || !motivo) {
+      return next(new ErrorResponse('fecha (o fecha_inicio y fecha_fin) y motivo son requeridos', 400));
     }
     
-    // Verificar que las fechas sean válidas
-    const inicio = new Date(fecha_inicio);
-    const fin = new Date(fecha_fin);
-    const hoy = new Date();
-    hoy.setHours(0, 0, 0, 0);
-    
-    if (inicio < hoy) {
-      return next(new ErrorResponse('No se pueden solicitar ausencias en fechas pasadas', 400));
-    }
-    
-    if (fin < inicio) {
-      return next(new ErrorResponse('La fecha de fin debe ser posterior a la fecha de inicio', 400));
-    }
-    
-    // Verificar que no haya citas en ese período
-    const citasSql = `
-      SELECT COUNT(*) as total_citas
-      FROM citas
-      WHERE empleado_id = ? 
-        AND fecha_hora_inicio BETWEEN ? AND ?
-        AND estado_id NOT IN (SELECT id FROM estados_citas WHERE nombre IN ('Cancelada', 'No asistió'))
-    `;
-    
-    const [citasExistentes] = await query(citasSql, [empleado_id, fecha_inicio, fecha_fin]);
-    
-    if (citasExistentes.total_citas > 0) {
-      return next(new ErrorResponse('No se puede solicitar ausencia porque tienes citas agendadas en ese período', 400));
-    }
-    
-    // Crear la solicitud de ausencia
-    const ausenciaSql = `
-      INSERT INTO ausencias_empleados (empleado_id, fecha_inicio, fecha_fin, motivo, tipo_ausencia, estado, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, 'pendiente', NOW(), NOW())
-    `;
-    
-    const result = await query(ausenciaSql, [empleado_id, fecha_inicio, fecha_fin, motivo, tipo_ausencia || 'personal']);
+    // tipo se guarda como motivo de la tabla y el texto libre como descripción
+    const ausencia = await ausenciaService.solicitar({
+      empleadoId: empleado_id,
+      fecha,
+      fechaInicio: fecha_inicio,
+      fechaFin: fecha_fin,
+      tipo,
+      descripcion: motivo
+    });
     
     res.status(201).json({
       success: true,
-      message: 'Solicitud de ausencia enviada exitosamente',
-      data: {
-        id: result.insertId,
-        fecha_inicio,
-        fecha_fin,
-        motivo,
-        tipo_ausencia: tipo_ausencia || 'personal',
-        estado: 'pendiente'
-      }
+      message: ausencia.citas_afectadas > 0
+        ? `Solicitud de ausencia enviada. Tienes ${ausencia.citas_afectadas} cita(s) en ese período que se reasignarán o reprogramarán si se aprueba.`
+        : 'Solicitud de ausencia enviada. Te avisaremos cuando sea revisada.',
+      data: ausencia
     });
     
   } catch (error) {
     console.error('❌ [empleadoCitaController.solicitarAusencia] Error:', error);
+    if (['ValidationError', 'ConflictError'].includes(error.name)) {
+      return next(error);
+    }
     next(new ErrorResponse('Error al solicitar ausencia', 500));
   }
 });
@@ -209,7 +186,7 @@ exports.getMisAusencias = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse('Usuario no es un empleado válido', 400));
     }
     
-    const ausencias = await AusenciaEmpleado.obtenerPorEmpleado(empleado_id, req.query);
+    const ausencias = await AusenciaEmpleado.obtenerPorEmpleado(empleado_id, { estado: req.query.estado });
     
     res.status(200).json({
       success: true,
@@ -236,39 +213,20 @@ exports.cancelarAusencia = asyncHandler(async (req, res, next) => {
       return next(new ErrorResponse('Usuario no es un empleado válido', 400));
     }
     
-    // Verificar que la ausencia pertenece al empleado
-    const ausenciaSql = `
-      SELECT * FROM ausencias_empleados 
-      WHERE id = ? AND empleado_id = ?
-    `;
-    
-    const [ausencia] = await query(ausenciaSql, [ausencia_id, empleado_id]);
-    
-    if (!ausencia) {
-      return next(new ErrorResponse('Ausencia no encontrada', 404));
-    }
-    
-    // Verificar que se puede cancelar
-    if (ausencia.estado !== 'pendiente') {
-      return next(new ErrorResponse('Solo se pueden cancelar solicitudes pendientes', 400));
-    }
-    
-    // Actualizar estado
-    const actualizarSql = `
-      UPDATE ausencias_empleados 
-      SET estado = 'cancelada', updated_at = NOW()
-      WHERE id = ?
-    `;
-    
-    await query(actualizarSql, [ausencia_id]);
+    // Solo se retiran solicitudes propias que sigan pendientes
+    const ausencia = await ausenciaService.cancelar(ausencia_id, empleado_id);
     
     res.status(200).json({
       success: true,
-      message: 'Solicitud de ausencia cancelada exitosamente'
+      message: 'Solicitud de ausencia cancelada exitosamente',
+      data: ausencia
     });
     
   } catch (error) {
     console.error('❌ [empleadoCitaController.cancelarAusencia] Error:', error);
+    if (['NotFoundError', 'ConflictError'].includes(error.name)) {
+      return next(error);
+    }
     next(new ErrorResponse('Error al cancelar ausencia', 500));
   }
 });
@@ -306,7 +264,11 @@ exports.getEstadisticas = asyncHandler(async (req, res, next) => {
         COUNT(CASE WHEN c.estado_id IN (SELECT id FROM estados_citas WHERE nombre = 'Completada') THEN 1 END) as citas_completadas,
         COUNT(CASE WHEN c.estado_id IN (SELECT id FROM estados_citas WHERE nombre = 'Cancelada') THEN 1 END) as citas_canceladas,
         COUNT(CASE WHEN c.estado_id IN (SELECT id FROM estados_citas WHERE nombre = 'No asistió') THEN 1 END) as citas_no_asistio,
-        SUM(c.precio_total) as ingresos_totales
+        SUM(CASE WHEN c.estado_id IN (SELECT id FROM estados_citas WHERE nombre = 'Completada') THEN (
+          SELECT SUM(cs.precio_aplicado - COALESCE(cs.descuento, 0))
+          FROM cita_servicio cs
+          WHERE cs.cita_id = c.id AND COALESCE(cs.empleado_id, c.empleado_id) = c.empleado_id
+        ) END) as ingresos_totales
       FROM citas c
       WHERE c.empleado_id = ? ${fechaFiltro}
     `;
@@ -354,6 +316,38 @@ exports.getEstadisticas = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Obtener la liquidación del empleado en un período de nómina
+ * @route   GET /api/empleado-citas/nomina/:periodoId
+ * @access  Private (Empleado)
+ */
+exports.getMiLiquidacion = asyncHandler(async (req, res, next) => {
+  try {
+    const empleado_id = req.usuario.empleado_id;
+    
+    if (!empleado_id) {
+      return next(new ErrorResponse('Usuario no es un empleado válido', 400));
+    }
+    
+    const { periodo, liquidaciones } = await nominaService.obtenerLiquidaciones(req.params.periodoId, empleado_id);
+    
+    if (liquidaciones.length === 0) {
+      return next(new ErrorResponse('No hay liquidación para este período', 404));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: { periodo, liquidacion: liquidaciones[0] }
+    });
+  } catch (error) {
+    console.error('❌ [empleadoCitaController.getMiLiquidacion] Error:', error);
+    if (error.name === 'NotFoundError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al obtener liquidación', 500));
+  }
+});
+
 /**
  * @desc    Obtener información del empleado
  * @route   GET /api/empleado-citas/info
@@ -0,0 +1,115 @@
+const ExcepcionHorario = require('../models/ExcepcionHorario');
+const asyncHandler = require('../middleware/asyncHandler');
+
+// Clase ErrorResponse local
+class ErrorResponse extends Error {
+    constructor(message, statusCode, errors = null) {
+        super(message);
+        this.statusCode = statusCode;
+        if (errors) this.errors = errors;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+// @desc    Registrar un cierre o un horario especial
+// @route   POST /api/excepciones-horario
+// @access  Private (Admin, Dueño)
+exports.createExcepcionHorario = asyncHandler(async (req, res, next) => {
+    try {
+        const excepcion = await ExcepcionHorario.crear(req.body);
+        res.status(201).json({
+            success: true,
+            mensaje: excepcion.tipo === 'Cerrado'
+                ? 'Cierre registrado exitosamente.'
+                : 'Horario especial registrado exitosamente.',
+            data: excepcion
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 400));
+    }
+});
+
+// @desc    Obtener el calendario de excepciones
+// @route   GET /api/excepciones-horario
+// @access  Public
+exports.getAllExcepcionesHorario = asyncHandler(async (req, res, next) => {
+    try {
+        const { desde, hasta, empleado_id, solo_barberia } = req.query;
+
+        const excepciones = await ExcepcionHorario.obtenerTodas({
+            desde,
+            hasta,
+            empleadoId: empleado_id,
+            soloBarberia: solo_barberia === 'true'
+        });
+
+        res.status(200).json({
+            success: true,
+            count: excepciones.length,
+            data: excepciones
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Obtener una excepción por ID
+// @route   GET /api/excepciones-horario/:id
+// @access  Public
+exports.getExcepcionHorarioById = asyncHandler(async (req, res, next) => {
+    try {
+        const excepcion = await ExcepcionHorario.obtenerPorId(req.params.id);
+
+        if (!excepcion) {
+            return next(new ErrorResponse(`Excepción de horario no encontrada con el id ${req.params.id}`, 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: excepcion
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Actualizar una excepción
+// @route   PUT /api/excepciones-horario/:id
+// @access  Private (Admin, Dueño)
+exports.updateExcepcionHorario = asyncHandler(async (req, res, next) => {
+    try {
+        const excepcion = await ExcepcionHorario.actualizar(req.params.id, req.body);
+
+        res.status(200).json({
+            success: true,
+            mensaje: 'Excepción de horario actualizada exitosamente',
+            data: excepcion
+        });
+    } catch (error) {
+        if (error.message.includes('no encontrada')) {
+            next(new ErrorResponse(error.message, 404));
+        } else {
+            next(new ErrorResponse(error.message, 400));
+        }
+    }
+});
+
+// @desc    Eliminar una excepción (la fecha vuelve al horario semanal)
+// @route   DELETE /api/excepciones-horario/:id
+// @access  Private (Admin, Dueño)
+exports.deleteExcepcionHorario = asyncHandler(async (req, res, next) => {
+    try {
+        const eliminada = await ExcepcionHorario.eliminar(req.params.id);
+
+        if (!eliminada) {
+            return next(new ErrorResponse(`Excepción de horario no encontrada con el id ${req.params.id}`, 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            mensaje: 'Excepción de horario eliminada exitosamente'
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
@@ -0,0 +1,185 @@
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { query } = require('../config/database');
+const ListaEspera = require('../models/ListaEspera');
+const listaEsperaService = require('../services/listaEsperaService');
+const ZonaHoraria = require('../utils/zonaHoraria');
+
+/**
+ * Obtener el ID de cliente del usuario autenticado
+ * @param {Object} usuario - req.usuario
+ * @returns {Promise<number|null>} ID del cliente
+ */
+const obtenerClienteId = async (usuario) => {
+  if (usuario.cliente_id) return usuario.cliente_id;
+
+  const [cliente] = await query('SELECT id FROM clientes WHERE usuario_id = ?', [usuario.id]);
+  return cliente ? cliente.id : null;
+};
+
+/**
+ * @desc    Registrarse en la lista de espera
+ * @route   POST /api/lista-espera
+ * @access  Private (Cliente)
+ */
+exports.registrarSolicitud = asyncHandler(async (req, res, next) => {
+  try {
+    const { empleadoId, fechaDesde, fechaHasta, horaDesde, horaHasta, servicios, notas } = req.body;
+
+    console.log('🔍 [listaEsperaController.registrarSolicitud] Datos recibidos:', req.body);
+
+    const clienteId = await obtenerClienteId(req.usuario);
+    if (!clienteId) {
+      return next(new ErrorResponse('Usuario no es un cliente válido', 400));
+    }
+
+    const solicitud = await listaEsperaService.registrar({
+      clienteId,
+      empleadoId: empleadoId || null,
+      fechaDesde,
+      fechaHasta,
+      horaDesde: horaDesde || null,
+      horaHasta: horaHasta || null,
+      servicios,
+      notas
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Te avisaremos si se libera un horario',
+      data: solicitud
+    });
+  } catch (error) {
+    console.error('❌ [listaEsperaController.registrarSolicitud] Error:', error);
+    if (error.name === 'ValidationError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al registrar en la lista de espera', 500));
+  }
+});
+
+/**
+ * @desc    Obtener las solicitudes de lista de espera del cliente
+ * @route   GET /api/lista-espera/mis-solicitudes
+ * @access  Private (Cliente)
+ */
+exports.getMisSolicitudes = asyncHandler(async (req, res, next) => {
+  try {
+    const clienteId = await obtenerClienteId(req.usuario);
+    const solicitudes = clienteId ? await ListaEspera.obtenerPorCliente(clienteId) : [];
+
+    res.status(200).json({
+      success: true,
+      count: solicitudes.length,
+      data: solicitudes
+    });
+  } catch (error) {
+    console.error('❌ [listaEsperaController.getMisSolicitudes] Error:', error);
+    next(new ErrorResponse('Error al obtener la lista de espera', 500));
+  }
+});
+
+/**
+ * @desc    Salir de la lista de espera
+ * @route   DELETE /api/lista-espera/:id
+ * @access  Private (Cliente)
+ */
+exports.cancelarSolicitud = asyncHandler(async (req, res, next) => {
+  try {
+    const clienteId = await obtenerClienteId(req.usuario);
+    if (!clienteId) {
+      return next(new ErrorResponse('Usuario no es un cliente válido', 400));
+    }
+
+    await listaEsperaService.cancelarSolicitud(req.params.id, clienteId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Solicitud de lista de espera cancelada'
+    });
+  } catch (error) {
+    console.error('❌ [listaEsperaController.cancelarSolicitud] Error:', error);
+    if (error.name === 'NotFoundError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al cancelar la solicitud de lista de espera', 500));
+  }
+});
+
+/**
+ * @desc    Ver una oferta de horario (el token del enlace es la credencial)
+ * @route   GET /api/lista-espera/ofertas/:token
+ * @access  Public
+ */
+exports.getOferta = asyncHandler(async (req, res, next) => {
+  try {
+    const oferta = await listaEsperaService.obtenerOferta(req.params.token);
+
+    if (!oferta) {
+      return res.status(404).json({ success: false, mensaje: 'Oferta no encontrada' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: oferta.token,
+        estado: oferta.estado,
+        vigente: oferta.vigente,
+        empleado_nombre: oferta.empleado_nombre,
+        servicios: oferta.servicios_nombres,
+        fecha_hora_inicio: ZonaHoraria.utcALocal(oferta.fecha_hora_inicio, oferta.zona_horaria, 'T'),
+        fecha_hora_fin: ZonaHoraria.utcALocal(oferta.fecha_hora_fin, oferta.zona_horaria, 'T'),
+        expira_en: ZonaHoraria.parsearFechaUtc(oferta.expira_en).toISOString(),
+        zona_horaria: oferta.zona_horaria
+      }
+    });
+  } catch (error) {
+    console.error('❌ [listaEsperaController.getOferta] Error:', error);
+    next(new ErrorResponse('Error al obtener la oferta', 500));
+  }
+});
+
+/**
+ * @desc    Aceptar una oferta de horario y crear la reservación
+ * @route   POST /api/lista-espera/ofertas/:token/aceptar
+ * @access  Public
+ */
+exports.aceptarOferta = asyncHandler(async (req, res, next) => {
+  try {
+    const { citaId } = await listaEsperaService.aceptarOferta(req.params.token);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reservación creada exitosamente',
+      data: { citaId }
+    });
+  } catch (error) {
+    console.error('❌ [listaEsperaController.aceptarOferta] Error:', error);
+    if (['ConflictError', 'NotFoundError', 'ValidationError'].includes(error.name)) {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al aceptar la oferta', 500));
+  }
+});
+
+/**
+ * @desc    Rechazar una oferta de horario (se ofrece al siguiente cliente)
+ * @route   POST /api/lista-espera/ofertas/:token/rechazar
+ * @access  Public
+ */
+exports.rechazarOferta = asyncHandler(async (req, res, next) => {
+  try {
+    await listaEsperaService.rechazarOferta(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Oferta rechazada. Seguirás en la lista de espera.'
+    });
+  } catch (error) {
+    console.error('❌ [listaEsperaController.rechazarOferta] Error:', error);
+    if (error.name === 'ConflictError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al rechazar la oferta', 500));
+  }
+});
@@ -0,0 +1,221 @@
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const ComisionServicio = require('../models/ComisionServicio');
+const PeriodoNomina = require('../models/PeriodoNomina');
+const nominaService = require('../services/nominaService');
+
+/**
+ * @desc    Obtener comisiones por servicio
+ * @route   GET /api/nomina/comisiones-servicio
+ * @access  Private (Admin, Dueño)
+ */
+exports.getComisionesServicio = asyncHandler(async (req, res, next) => {
+  try {
+    const comisiones = await ComisionServicio.obtenerTodas({
+      servicioId: req.query.servicio_id,
+      empleadoId: req.query.empleado_id
+    });
+
+    res.status(200).json({
+      success: true,
+      count: comisiones.length,
+      data: comisiones
+    });
+  } catch (error) {
+    console.error('❌ [nominaController.getComisionesServicio] Error:', error);
+    next(new ErrorResponse('Error al obtener comisiones por servicio', 500));
+  }
+});
+
+/**
+ * @desc    Registrar la comisión de un servicio (general o de un empleado)
+ * @route   POST /api/nomina/comisiones-servicio
+ * @access  Private (Admin, Dueño)
+ */
+exports.createComisionServicio = asyncHandler(async (req, res, next) => {
+  try {
+    const comision = await ComisionServicio.crear(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comisión registrada exitosamente',
+      data: comision
+    });
+  } catch (error) {
+    console.error('❌ [nominaController.createComisionServicio] Error:', error);
+    next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Actualizar el porcentaje de una comisión por servicio
+ * @route   PUT /api/nomina/comisiones-servicio/:id
+ * @access  Private (Admin, Dueño)
+ */
+exports.updateComisionServicio = asyncHandler(async (req, res, next) => {
+  try {
+    const comision = await ComisionServicio.actualizar(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Comisión actualizada exitosamente',
+      data: comision
+    });
+  } catch (error) {
+    console.error('❌ [nominaController.updateComisionServicio] Error:', error);
+    next(new ErrorResponse(error.message, error.message.includes('no encontrada') ? 404 : 400));
+  }
+});
+
+/**
+ * @desc    Eliminar una comisión por servicio
+ * @route   DELETE /api/nomina/comisiones-servicio/:id
+ * @access  Private (Admin, Dueño)
+ */
+exports.deleteComisionServicio = asyncHandler(async (req, res, next) => {
+  try {
+    const eliminada = await ComisionServicio.eliminar(req.params.id);
+
+    if (!eliminada) {
+      return next(new ErrorResponse('Comisión de servicio no encontrada', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Comisión eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('❌ [nominaController.deleteComisionServicio] Error:', error);
+    next(new ErrorResponse('Error al eliminar comisión por servicio', 500));
+  }
+});
+
+/**
+ * @desc    Obtener períodos de nómina
+ * @route   GET /api/nomina/periodos
+ * @access  Private (Admin, Dueño)
+ */
+exports.getPeriodos = asyncHandler(async (req, res, next) => {
+  try {
+    const periodos = await PeriodoNomina.obtenerTodos({ estado: req.query.estado });
+
+    res.status(200).json({
+      success: true,
+      count: periodos.length,
+      data: periodos
+    });
+  } catch (error) {
+    console.error('❌ [nominaController.getPeriodos] Error:', error);
+    next(new ErrorResponse('Error al obtener períodos de nómina', 500));
+  }
+});
+
+/**
+ * @desc    Crear un período de nómina
+ * @route   POST /api/nomina/periodos
+ * @access  Private (Admin, Dueño)
+ */
+exports.createPeriodo = asyncHandler(async (req, res, next) => {
+  try {
+    const periodo = await PeriodoNomina.crear(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Período de nómina creado exitosamente',
+      data: periodo
+    });
+  } catch (error) {
+    console.error('❌ [nominaController.createPeriodo] Error:', error);
+    next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Eliminar un período de nómina abierto
+ * @route   DELETE /api/nomina/periodos/:id
+ * @access  Private (Admin, Dueño)
+ */
+exports.deletePeriodo = asyncHandler(async (req, res, next) => {
+  try {
+    const eliminado = await PeriodoNomina.eliminar(req.params.id);
+
+    if (!eliminado) {
+      return next(new ErrorResponse('Período de nómina no encontrado', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Período de nómina eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('❌ [nominaController.deletePeriodo] Error:', error);
+    next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Obtener las liquidaciones de un período (calculadas si está abierto)
+ * @route   GET /api/nomina/periodos/:id/liquidaciones
+ * @access  Private (Admin, Dueño)
+ */
+exports.getLiquidaciones = asyncHandler(async (req, res, next) => {
+  try {
+    const resultado = await nominaService.obtenerLiquidaciones(req.params.id, req.query.empleado_id || null);
+
+    res.status(200).json({
+      success: true,
+      count: resultado.liquidaciones.length,
+      data: resultado
+    });
+  } catch (error) {
+    console.error('❌ [nominaController.getLiquidaciones] Error:', error);
+    if (error.name === 'NotFoundError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al obtener liquidaciones', 500));
+  }
+});
+
+/**
+ * @desc    Cerrar un período de nómina y guardar sus liquidaciones
+ * @route   POST /api/nomina/periodos/:id/cerrar
+ * @access  Private (Admin, Dueño)
+ */
+exports.cerrarPeriodo = asyncHandler(async (req, res, next) => {
+  try {
+    const resultado = await nominaService.cerrarPeriodo(req.params.id, req.usuario.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Período de nómina cerrado exitosamente',
+      data: resultado
+    });
+  } catch (error) {
+    console.error('❌ [nominaController.cerrarPeriodo] Error:', error);
+    if (['NotFoundError', 'ConflictError', 'ValidationError'].includes(error.name)) {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al cerrar período de nómina', 500));
+  }
+});
+
+/**
+ * @desc    Exportar las liquidaciones de un período en CSV
+ * @route   GET /api/nomina/periodos/:id/exportar
+ * @access  Private (Admin, Dueño)
+ */
+exports.exportarLiquidaciones = asyncHandler(async (req, res, next) => {
+  try {
+    const { periodo, liquidaciones } = await nominaService.obtenerLiquidaciones(req.params.id);
+
+    res.attachment(`nomina_${periodo.fecha_inicio}_${periodo.fecha_fin}.csv`);
+    res.type('text/csv; charset=utf-8');
+    res.status(200).send(nominaService.generarCSV(liquidaciones));
+  } catch (error) {
+    console.error('❌ [nominaController.exportarLiquidaciones] Error:', error);
+    if (error.name === 'NotFoundError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al exportar liquidaciones', 500));
+  }
+});
@@ -203,26 +203,19 @@ exports.enviarRecordatorioManual = asyncHandler(async (req, res, next) => {
     
     console.log('🔔 [notificacionController.enviarRecordatorioManual] Enviando recordatorio manual para cita:', citaId);
     
-    // Verificar que la cita existe
-    const citaSql = 'SELECT id FROM citas WHERE id = ?';
-    const [cita] = await query(citaSql, [citaId]);
-    
-    if (!cita) {
-      return next(new ErrorResponse('Cita no encontrada', 404));
-    }
-    
-    // Enviar recordatorio
-    await notificacionService.enviarNotificacionesRecordatorio(citaId);
-    
-    // Marcar recordatorio como enviado
-    await query('UPDATE citas SET recordatorio_enviado = 1 WHERE id = ?', [citaId]);
+    // Registrar el recordatorio en recordatorios_cita y encolarlo por los canales del cliente
+    const recordatorio = await notificacionService.enviarRecordatorioManual(citaId);
     
     res.status(200).json({
       success: true,
-      message: 'Recordatorio enviado exitosamente'
+      message: 'Recordatorio encolado para envío',
+      data: recordatorio
     });
     
   } catch (error) {
+    if (['NotFoundError', 'ConflictError', 'ValidationError'].includes(error.name)) {
+      return next(error);
+    }
     console.error('❌ [notificacionController.enviarRecordatorioManual] Error:', error);
     return next(new ErrorResponse('Error al enviar recordatorio', 500));
   }
@@ -250,7 +243,7 @@ exports.reenviarConfirmacion = asyncHandler(async (req, res, next) => {
     
     res.status(200).json({
       success: true,
-      message: 'Confirmación reenviada exitosamente'
+      message: 'Confirmación encolada para reenvío'
     });
     
   } catch (error) {
@@ -266,11 +259,12 @@ exports.programarRecordatorios = asyncHandler(async (req, res, next) => {
   try {
     console.log('⏰ [notificacionController.programarRecordatorios] Iniciando programación de recordatorios');
     
-    await notificacionService.programarRecordatorios();
+    const resultado = await notificacionService.programarRecordatorios();
     
     res.status(200).json({
       success: true,
-      message: 'Recordatorios programados exitosamente'
+      message: 'Recordatorios programados exitosamente',
+      data: resultado
     });
     
   } catch (error) {
@@ -351,6 +345,7 @@ exports.actualizarConfiguracionNotificaciones = asyncHandler(async (req, res, ne
       notificacion_correo, 
       notificacion_push, 
       notificacion_sms, 
+      notificacion_whatsapp,
       recordatorio_horas_antes 
     } = req.body;
     
@@ -362,6 +357,7 @@ exports.actualizarConfiguracionNotificaciones = asyncHandler(async (req, res, ne
         notificacion_correo = ?,
         notificacion_push = ?,
         notificacion_sms = ?,
+        notificacion_whatsapp = ?,
         recordatorio_horas_antes = ?,
         updated_at = NOW()
       WHERE id = ?
@@ -371,7 +367,8 @@ exports.actualizarConfiguracionNotificaciones = asyncHandler(async (req, res, ne
       notificacion_correo || 0,
       notificacion_push || 0,
       notificacion_sms || 0,
-      recordatorio_horas_antes || 24,
+      notificacion_whatsapp || 0,
+      recordatorio_horas_antes === undefined || recordatorio_horas_antes === null ? 24 : recordatorio_horas_antes,
       usuarioId
     ]);
     
@@ -398,6 +395,7 @@ exports.getConfiguracionNotificaciones = asyncHandler(async (req, res, next) =>
         notificacion_correo,
         notificacion_push,
         notificacion_sms,
+        notificacion_whatsapp,
         recordatorio_horas_antes
       FROM usuarios 
       WHERE id = ?
@@ -0,0 +1,211 @@
+const PlantillaHorario = require('../models/PlantillaHorario');
+const planificadorHorarioService = require('../services/planificadorHorarioService');
+const asyncHandler = require('../middleware/asyncHandler');
+
+// Clase ErrorResponse local
+class ErrorResponse extends Error {
+    constructor(message, statusCode, errors = null) {
+        super(message);
+        this.statusCode = statusCode;
+        if (errors) this.errors = errors;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+// @desc    Crear una plantilla de horario con sus turnos
+// @route   POST /api/plantillas-horario
+// @access  Private (Admin, Dueño)
+exports.createPlantillaHorario = asyncHandler(async (req, res, next) => {
+    try {
+        const plantilla = await PlantillaHorario.crear(req.body);
+        res.status(201).json({
+            success: true,
+            mensaje: 'Plantilla de horario creada exitosamente.',
+            data: plantilla
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 400));
+    }
+});
+
+// @desc    Obtener todas las plantillas de horario
+// @route   GET /api/plantillas-horario
+// @access  Private (Admin, Dueño, Empleado)
+exports.getAllPlantillasHorario = asyncHandler(async (req, res, next) => {
+    try {
+        const plantillas = await PlantillaHorario.obtenerTodas();
+        res.status(200).json({
+            success: true,
+            count: plantillas.length,
+            data: plantillas
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Obtener una plantilla de horario con sus turnos
+// @route   GET /api/plantillas-horario/:id
+// @access  Private (Admin, Dueño, Empleado)
+exports.getPlantillaHorarioById = asyncHandler(async (req, res, next) => {
+    try {
+        const plantilla = await PlantillaHorario.obtenerPorId(req.params.id);
+
+        if (!plantilla) {
+            return next(new ErrorResponse(`Plantilla de horario no encontrada con el id ${req.params.id}`, 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: plantilla
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Actualizar una plantilla de horario (los turnos enviados reemplazan a los anteriores)
+// @route   PUT /api/plantillas-horario/:id
+// @access  Private (Admin, Dueño)
+exports.updatePlantillaHorario = asyncHandler(async (req, res, next) => {
+    try {
+        const plantilla = await PlantillaHorario.actualizar(req.params.id, req.body);
+        res.status(200).json({
+            success: true,
+            mensaje: 'Plantilla de horario actualizada exitosamente',
+            data: plantilla
+        });
+    } catch (error) {
+        if (error.message.includes('no encontrada')) {
+            next(new ErrorResponse(error.message, 404));
+        } else {
+            next(new ErrorResponse(error.message, 400));
+        }
+    }
+});
+
+// @desc    Eliminar una plantilla de horario sin asignaciones
+// @route   DELETE /api/plantillas-horario/:id
+// @access  Private (Admin, Dueño)
+exports.deletePlantillaHorario = asyncHandler(async (req, res, next) => {
+    try {
+        const eliminada = await PlantillaHorario.eliminar(req.params.id);
+
+        if (!eliminada) {
+            return next(new ErrorResponse(`Plantilla de horario no encontrada con el id ${req.params.id}`, 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            mensaje: 'Plantilla de horario eliminada exitosamente'
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 400));
+    }
+});
+
+// @desc    Asignar una plantilla a uno o varios empleados
+// @route   POST /api/plantillas-horario/:id/asignaciones
+// @access  Private (Admin, Dueño)
+exports.asignarPlantillaHorario = asyncHandler(async (req, res, next) => {
+    try {
+        const asignaciones = await PlantillaHorario.asignar(req.params.id, req.body);
+        res.status(201).json({
+            success: true,
+            mensaje: `Plantilla asignada a ${asignaciones.length} empleado(s).`,
+            data: asignaciones
+        });
+    } catch (error) {
+        if (error.message.includes('no encontrada')) {
+            next(new ErrorResponse(error.message, 404));
+        } else {
+            next(new ErrorResponse(error.message, 400));
+        }
+    }
+});
+
+// @desc    Obtener asignaciones de plantillas
+// @route   GET /api/plantillas-horario/asignaciones
+// @access  Private (Admin, Dueño, Empleado)
+exports.getAsignacionesPlantilla = asyncHandler(async (req, res, next) => {
+    try {
+        const { plantilla_id, empleado_id, vigentes_en } = req.query;
+
+        const asignaciones = await PlantillaHorario.obtenerAsignaciones({
+            plantillaId: plantilla_id,
+            empleadoId: empleado_id,
+            vigentesEn: vigentes_en
+        });
+
+        res.status(200).json({
+            success: true,
+            count: asignaciones.length,
+            data: asignaciones
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Eliminar una asignación de plantilla (el empleado vuelve a su horario semanal)
+// @route   DELETE /api/plantillas-horario/asignaciones/:id
+// @access  Private (Admin, Dueño)
+exports.deleteAsignacionPlantilla = asyncHandler(async (req, res, next) => {
+    try {
+        const eliminada = await PlantillaHorario.eliminarAsignacion(req.params.id);
+
+        if (!eliminada) {
+            return next(new ErrorResponse(`Asignación no encontrada con el id ${req.params.id}`, 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            mensaje: 'Asignación eliminada exitosamente'
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Obtener el plan de turnos de una semana
+// @route   GET /api/plantillas-horario/plan
+// @access  Private (Admin, Dueño, Empleado)
+exports.getPlanSemana = asyncHandler(async (req, res, next) => {
+    try {
+        const empleadoIds = req.query.empleado_id ? [req.query.empleado_id] : null;
+        const plan = await planificadorHorarioService.obtenerPlanSemana(req.query.fecha, empleadoIds);
+
+        res.status(200).json({
+            success: true,
+            data: plan
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Copiar el plan de una semana a las siguientes
+// @route   POST /api/plantillas-horario/plan/copiar
+// @access  Private (Admin, Dueño)
+exports.copiarPlanSemana = asyncHandler(async (req, res, next) => {
+    try {
+        const resultado = await planificadorHorarioService.copiarSemana({
+            fecha: req.body.fecha,
+            semanas: req.body.semanas,
+            empleadoIds: req.body.empleado_ids
+        });
+
+        res.status(200).json({
+            success: true,
+            mensaje: resultado.dias_omitidos.length > 0
+                ? `Plan de la semana del ${resultado.semana_origen} copiado a ${resultado.semanas} semana(s). ${resultado.dias_omitidos.length} día(s) no se modificaron porque tienen citas fuera del plan.`
+                : `Plan de la semana del ${resultado.semana_origen} copiado a ${resultado.semanas} semana(s).`,
+            data: resultado
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return next(error);
+        }
+        next(new ErrorResponse(error.message, 500));
+    }
+});
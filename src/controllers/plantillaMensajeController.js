@@ -0,0 +1,94 @@
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const PlantillaMensaje = require('../models/PlantillaMensaje');
+
+/**
+ * @desc    Obtener plantillas de SMS y WhatsApp
+ * @route   GET /api/plantillas-mensaje
+ * @access  Private (Admin, Dueño)
+ */
+exports.getPlantillas = asyncHandler(async (req, res, next) => {
+  try {
+    const plantillas = await PlantillaMensaje.obtenerTodas({
+      canal: req.query.canal,
+      tipo: req.query.tipo,
+      activo: req.query.activo !== undefined ? (req.query.activo === 'true' ? 1 : 0) : null
+    });
+
+    res.status(200).json({
+      success: true,
+      count: plantillas.length,
+      data: plantillas
+    });
+  } catch (error) {
+    console.error('❌ [plantillaMensajeController.getPlantillas] Error:', error);
+    next(new ErrorResponse('Error al obtener plantillas de mensaje', 500));
+  }
+});
+
+/**
+ * @desc    Obtener una plantilla de mensaje
+ * @route   GET /api/plantillas-mensaje/:id
+ * @access  Private (Admin, Dueño)
+ */
+exports.getPlantilla = asyncHandler(async (req, res, next) => {
+  try {
+    const plantilla = await PlantillaMensaje.obtenerPorId(parseInt(req.params.id));
+
+    if (!plantilla) {
+      return next(new ErrorResponse('Plantilla de mensaje no encontrada', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: plantilla
+    });
+  } catch (error) {
+    console.error('❌ [plantillaMensajeController.getPlantilla] Error:', error);
+    next(new ErrorResponse('Error al obtener la plantilla de mensaje', 500));
+  }
+});
+
+/**
+ * @desc    Crear una plantilla de mensaje (la activa más reciente de su tipo y canal es la que se usa)
+ * @route   POST /api/plantillas-mensaje
+ * @access  Private (Admin, Dueño)
+ */
+exports.createPlantilla = asyncHandler(async (req, res, next) => {
+  try {
+    const plantilla = await PlantillaMensaje.crear(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plantilla de mensaje creada exitosamente',
+      data: plantilla
+    });
+  } catch (error) {
+    console.error('❌ [plantillaMensajeController.createPlantilla] Error:', error);
+    next(new ErrorResponse(error.message, 400));
+  }
+});
+
+/**
+ * @desc    Actualizar una plantilla de mensaje
+ * @route   PUT /api/plantillas-mensaje/:id
+ * @access  Private (Admin, Dueño)
+ */
+exports.updatePlantilla = asyncHandler(async (req, res, next) => {
+  try {
+    const plantilla = await PlantillaMensaje.actualizar(parseInt(req.params.id), req.body);
+
+    if (!plantilla) {
+      return next(new ErrorResponse('Plantilla de mensaje no encontrada', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Plantilla de mensaje actualizada exitosamente',
+      data: plantilla
+    });
+  } catch (error) {
+    console.error('❌ [plantillaMensajeController.updatePlantilla] Error:', error);
+    next(new ErrorResponse(error.message, 400));
+  }
+});
@@ -0,0 +1,212 @@
+const asyncHandler = require('../middleware/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const recepcionService = require('../services/recepcionService');
+
+// Errores del servicio que llegan tal cual al cliente
+const ERRORES_CONOCIDOS = ['ValidationError', 'NotFoundError', 'ConflictError', 'PermissionError'];
+
+/**
+ * @desc    Obtener la cola de hoy con la espera estimada
+ * @route   GET /api/recepcion/cola
+ * @access  Private (Admin, Dueño, Empleado)
+ */
+exports.getCola = asyncHandler(async (req, res, next) => {
+  try {
+    const cola = await recepcionService.obtenerCola();
+
+    res.status(200).json({
+      success: true,
+      count: cola.cola.length,
+      data: cola
+    });
+  } catch (error) {
+    console.error('❌ [recepcionController.getCola] Error:', error);
+    next(new ErrorResponse('Error al obtener la cola de recepción', 500));
+  }
+});
+
+/**
+ * @desc    Registrar a un cliente que llega sin cita
+ * @route   POST /api/recepcion/cola
+ * @access  Private (Admin, Dueño, Empleado)
+ */
+exports.registrarSinCita = asyncHandler(async (req, res, next) => {
+  try {
+    const { cliente_id, empleado_id, servicios, notas } = req.body;
+
+    const entrada = await recepcionService.registrarSinCita({
+      clienteId: parseInt(cliente_id),
+      empleadoId: parseInt(empleado_id) || null,
+      servicios,
+      notas: notas || null,
+      usuarioId: req.usuario.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cliente registrado en la cola',
+      data: entrada
+    });
+  } catch (error) {
+    console.error('❌ [recepcionController.registrarSinCita] Error:', error);
+    if (ERRORES_CONOCIDOS.includes(error.name)) {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al registrar al cliente en la cola', 500));
+  }
+});
+
+/**
+ * @desc    Registrar la llegada de un cliente con cita
+ * @route   POST /api/recepcion/citas/:id/llegada
+ * @access  Private (Admin, Dueño, Empleado)
+ */
+exports.registrarLlegada = asyncHandler(async (req, res, next) => {
+  try {
+    const entrada = await recepcionService.registrarLlegada(parseInt(req.params.id), req.usuario.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Llegada registrada',
+      data: entrada
+    });
+  } catch (error) {
+    console.error('❌ [recepcionController.registrarLlegada] Error:', error);
+    if (ERRORES_CONOCIDOS.includes(error.name)) {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al registrar la llegada', 500));
+  }
+});
+
+/**
+ * @desc    Llamar a un cliente de la cola
+ * @route   POST /api/recepcion/cola/:id/llamar
+ * @access  Private (Admin, Dueño, Empleado)
+ */
+exports.llamar = asyncHandler(async (req, res, next) => {
+  try {
+    const resultado = await recepcionService.llamar(parseInt(req.params.id), {
+      empleadoId: parseInt(req.body.empleado_id) || null,
+      usuarioId: req.usuario.id,
+      rolId: req.usuario.rol_id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cliente llamado; la cita está en proceso',
+      data: resultado
+    });
+  } catch (error) {
+    console.error('❌ [recepcionController.llamar] Error:', error);
+    if (ERRORES_CONOCIDOS.includes(error.name)) {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al llamar al cliente', 500));
+  }
+});
+
+/**
+ * @desc    Llamar al siguiente cliente que puede atender un barbero
+ *          (el indicado en empleado_id o el empleado autenticado)
+ * @route   POST /api/recepcion/llamar-siguiente
+ * @access  Private (Admin, Dueño, Empleado)
+ */
+exports.llamarSiguiente = asyncHandler(async (req, res, next) => {
+  try {
+    const empleadoId = parseInt(req.body.empleado_id) || req.usuario.empleado_id;
+
+    if (!empleadoId) {
+      return next(new ErrorResponse('Indica el barbero que atenderá al cliente', 400));
+    }
+
+    const resultado = await recepcionService.llamarSiguiente(empleadoId, {
+      usuarioId: req.usuario.id,
+      rolId: req.usuario.rol_id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cliente llamado; la cita está en proceso',
+      data: resultado
+    });
+  } catch (error) {
+    console.error('❌ [recepcionController.llamarSiguiente] Error:', error);
+    if (ERRORES_CONOCIDOS.includes(error.name)) {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al llamar al siguiente cliente', 500));
+  }
+});
+
+/**
+ * @desc    Sacar de la cola a un cliente que se fue
+ * @route   DELETE /api/recepcion/cola/:id
+ * @access  Private (Admin, Dueño, Empleado)
+ */
+exports.retirar = asyncHandler(async (req, res, next) => {
+  try {
+    await recepcionService.retirar(parseInt(req.params.id));
+
+    res.status(200).json({
+      success: true,
+      message: 'Cliente retirado de la cola'
+    });
+  } catch (error) {
+    console.error('❌ [recepcionController.retirar] Error:', error);
+    if (ERRORES_CONOCIDOS.includes(error.name)) {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al retirar al cliente de la cola', 500));
+  }
+});
+
+/**
+ * @desc    Empezar a atender una cita
+ * @route   POST /api/recepcion/citas/:id/iniciar
+ * @access  Private (Admin, Dueño, Empleado)
+ */
+exports.iniciarCita = asyncHandler(async (req, res, next) => {
+  try {
+    await recepcionService.iniciarCita(parseInt(req.params.id), {
+      usuarioId: req.usuario.id,
+      rolId: req.usuario.rol_id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cita en proceso'
+    });
+  } catch (error) {
+    console.error('❌ [recepcionController.iniciarCita] Error:', error);
+    if (ERRORES_CONOCIDOS.includes(error.name)) {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al iniciar la cita', 500));
+  }
+});
+
+/**
+ * @desc    Terminar la atención de una cita
+ * @route   POST /api/recepcion/citas/:id/completar
+ * @access  Private (Admin, Dueño, Empleado)
+ */
+exports.completarCita = asyncHandler(async (req, res, next) => {
+  try {
+    await recepcionService.completarCita(parseInt(req.params.id), {
+      usuarioId: req.usuario.id,
+      rolId: req.usuario.rol_id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cita completada'
+    });
+  } catch (error) {
+    console.error('❌ [recepcionController.completarCita] Error:', error);
+    if (ERRORES_CONOCIDOS.includes(error.name)) {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al completar la cita', 500));
+  }
+});
@@ -0,0 +1,111 @@
+const Recurso = require('../models/Recurso');
+const asyncHandler = require('../middleware/asyncHandler');
+
+// Clase ErrorResponse local
+class ErrorResponse extends Error {
+    constructor(message, statusCode, errors = null) {
+        super(message);
+        this.statusCode = statusCode;
+        if (errors) this.errors = errors;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+// @desc    Crear un nuevo recurso
+// @route   POST /api/recursos
+// @access  Private (Admin, Dueño)
+exports.createRecurso = asyncHandler(async (req, res, next) => {
+    try {
+        const recurso = await Recurso.crear(req.body);
+        res.status(201).json({
+            success: true,
+            mensaje: 'Recurso creado exitosamente.',
+            data: recurso
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 400));
+    }
+});
+
+// @desc    Obtener todos los recursos
+// @route   GET /api/recursos
+// @access  Public
+exports.getAllRecursos = asyncHandler(async (req, res, next) => {
+    try {
+        const { tipo, solo_activos } = req.query;
+
+        const recursos = await Recurso.obtenerTodos({
+            tipo,
+            soloActivos: solo_activos === 'true'
+        });
+
+        res.status(200).json({
+            success: true,
+            count: recursos.length,
+            data: recursos
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Obtener un recurso por ID
+// @route   GET /api/recursos/:id
+// @access  Public
+exports.getRecursoById = asyncHandler(async (req, res, next) => {
+    try {
+        const recurso = await Recurso.obtenerPorId(req.params.id);
+
+        if (!recurso) {
+            return next(new ErrorResponse(`Recurso no encontrado con el id ${req.params.id}`, 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: recurso
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
+
+// @desc    Actualizar un recurso
+// @route   PUT /api/recursos/:id
+// @access  Private (Admin, Dueño)
+exports.updateRecurso = asyncHandler(async (req, res, next) => {
+    try {
+        const recurso = await Recurso.actualizar(req.params.id, req.body);
+
+        res.status(200).json({
+            success: true,
+            mensaje: 'Recurso actualizado exitosamente',
+            data: recurso
+        });
+    } catch (error) {
+        if (error.message.includes('no encontrado')) {
+            next(new ErrorResponse(error.message, 404));
+        } else {
+            next(new ErrorResponse(error.message, 400));
+        }
+    }
+});
+
+// @desc    Eliminar un recurso (se desactiva si ya tiene citas asignadas)
+// @route   DELETE /api/recursos/:id
+// @access  Private (Admin, Dueño)
+exports.deleteRecurso = asyncHandler(async (req, res, next) => {
+    try {
+        const eliminado = await Recurso.eliminar(req.params.id);
+
+        if (!eliminado) {
+            return next(new ErrorResponse(`Recurso no encontrado con el id ${req.params.id}`, 404));
+        }
+
+        res.status(200).json({
+            success: true,
+            mensaje: 'Recurso eliminado exitosamente'
+        });
+    } catch (error) {
+        next(new ErrorResponse(error.message, 500));
+    }
+});
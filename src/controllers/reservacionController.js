@@ -1,6 +1,6 @@
 const asyncHandler = require('../middleware/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
-const { query } = require('../config/database');
+const { query, transaccion } = require('../config/database');
 const Servicio = require('../models/Servicio');
 const Empleado = require('../models/Empleado');
 const Cita = require('../models/Cita');
@@ -9,29 +9,63 @@ const HorarioEmpleado = require('../models/HorarioEmpleado');
 const AusenciaEmpleado = require('../models/AusenciaEmpleado');
 const EmpleadoServicio = require('../models/EmpleadoServicio');
 const Pago = require('../models/Pago');
+const Resena = require('../models/Resena');
 const Notificacion = require('../models/Notificacion');
 const CorreoProgramado = require('../models/CorreoProgramado');
 const EventoGoogleCalendar = require('../models/EventoGoogleCalendar');
 const notificacionService = require('../services/notificacionService');
+const disponibilidadService = require('../services/disponibilidadService');
+const cotizacionService = require('../services/cotizacionService');
+const retencionHorarioService = require('../services/retencionHorarioService');
+const cancelacionService = require('../services/cancelacionService');
+const reservacionService = require('../services/reservacionService');
+const serieCitasService = require('../services/serieCitasService');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const { ConflictError, ValidationError, NotFoundError } = require('../middleware/errorHandler');
 
 /**
- * @desc    Obtener servicios disponibles para reservación
+ * @desc    Obtener servicios disponibles para reservación.
+ *          Con empleadoId, solo los que realiza ese empleado con su precio y duración;
+ *          sin él, el rango de precio y duración entre los empleados que los realizan.
  * @route   GET /api/reservacion/servicios
  * @access  Public
  */
 exports.getServiciosDisponibles = asyncHandler(async (req, res, next) => {
   try {
-    console.log('🔍 [reservacionController.getServiciosDisponibles] Iniciando...');
-    
-    const sql = `
-      SELECT s.*, cs.nombre as categoria_nombre
-      FROM servicios s
-      LEFT JOIN categorias_servicios cs ON s.categoria_id = cs.id
-      WHERE s.activo = 1
-      ORDER BY cs.nombre, s.nombre
-    `;
-    
-    const servicios = await query(sql);
+    const { empleadoId } = req.query;
+
+    console.log('🔍 [reservacionController.getServiciosDisponibles] Iniciando...', { empleadoId });
+
+    let servicios;
+    if (empleadoId) {
+      servicios = await Empleado.obtenerServicios(parseInt(empleadoId));
+    } else {
+      const sql = `
+        SELECT s.*, cs.nombre as categoria_nombre,
+               COALESCE(r.precio_minimo, s.precio) as precio_minimo,
+               COALESCE(r.precio_maximo, s.precio) as precio_maximo,
+               COALESCE(r.duracion_minima, s.duracion) as duracion_minima,
+               COALESCE(r.duracion_maxima, s.duracion) as duracion_maxima
+        FROM servicios s
+        LEFT JOIN categorias_servicios cs ON s.categoria_id = cs.id
+        LEFT JOIN (
+          SELECT es.servicio_id,
+                 MIN(COALESCE(es.precio, sv.precio)) as precio_minimo,
+                 MAX(COALESCE(es.precio, sv.precio)) as precio_maximo,
+                 MIN(COALESCE(es.duracion, sv.duracion)) as duracion_minima,
+                 MAX(COALESCE(es.duracion, sv.duracion)) as duracion_maxima
+          FROM empleado_servicio es
+          INNER JOIN servicios sv ON es.servicio_id = sv.id
+          INNER JOIN empleados e ON es.empleado_id = e.id
+          WHERE es.puede_realizar = 1 AND e.activo = 1
+          GROUP BY es.servicio_id
+        ) r ON r.servicio_id = s.id
+        WHERE s.activo = 1
+        ORDER BY cs.nombre, s.nombre
+      `;
+
+      servicios = await query(sql);
+    }
     
     console.log('🔍 [reservacionController.getServiciosDisponibles] Servicios encontrados:', servicios.length);
     
@@ -47,17 +81,71 @@ exports.getServiciosDisponibles = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Obtener empleados disponibles para servicios seleccionados
+ * @desc    Obtener el perfil público de un barbero con sus servicios, precios y duraciones
+ * @route   GET /api/reservacion/empleados/:id
+ * @access  Public
+ */
+exports.getPerfilEmpleado = asyncHandler(async (req, res, next) => {
+  try {
+    const [empleado] = await query(`
+      SELECT e.id, u.nombre, u.apellido, u.foto_perfil, e.titulo, e.biografia
+      FROM empleados e
+      INNER JOIN usuarios u ON e.usuario_id = u.id
+      WHERE e.id = ? AND e.activo = 1 AND u.activo = 1
+    `, [req.params.id]);
+
+    if (!empleado) {
+      return next(new ErrorResponse('Empleado no encontrado', 404));
+    }
+
+    const [especialidades, servicios] = await Promise.all([
+      Empleado.obtenerEspecialidades(empleado.id),
+      Empleado.obtenerServicios(empleado.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { ...empleado, especialidades, servicios }
+    });
+  } catch (error) {
+    console.error('❌ [reservacionController.getPerfilEmpleado] Error:', error);
+    next(new ErrorResponse('Error al obtener el perfil del empleado', 500));
+  }
+});
+
+/**
+ * @desc    Obtener empleados que realizan todos los servicios seleccionados.
+ *          Con fecha, solo los que tienen horario libre ese día, ordenados por
+ *          disponibilidad y luego por calificación de sus reseñas.
  * @route   GET /api/reservacion/empleados
  * @access  Public
  */
 exports.getEmpleadosDisponibles = asyncHandler(async (req, res, next) => {
   try {
-    const { fecha, hora_inicio, hora_fin } = req.query;
+    const { fecha, hora_inicio, hora_fin, servicios } = req.query;
     
-    console.log('🔍 [reservacionController.getEmpleadosDisponibles] Parámetros:', { fecha, hora_inicio, hora_fin });
+    console.log('🔍 [reservacionController.getEmpleadosDisponibles] Parámetros:', { fecha, hora_inicio, hora_fin, servicios });
+
+    const servicioIds = servicios
+      ? [...new Set(disponibilidadService.normalizarServicios(servicios).map(servicio => servicio.id))]
+      : [];
 
-    let sql = `
+    if (servicios && (servicioIds.length === 0 || !await disponibilidadService.calcularDuracionServicios(servicioIds))) {
+      return next(new ErrorResponse('Alguno de los servicios seleccionados no existe o no está activo', 400));
+    }
+
+    // Solo quienes pueden realizar todos los servicios seleccionados
+    const filtroServicios = servicioIds.length > 0
+      ? `AND e.id IN (
+          SELECT es.empleado_id
+          FROM empleado_servicio es
+          WHERE es.servicio_id IN (${servicioIds.map(() => '?').join(', ')}) AND es.puede_realizar = 1
+          GROUP BY es.empleado_id
+          HAVING COUNT(DISTINCT es.servicio_id) = ?
+        )`
+      : '';
+
+    const sql = `
       SELECT DISTINCT 
         e.id,
         u.nombre,
@@ -79,46 +167,57 @@ exports.getEmpleadosDisponibles = asyncHandler(async (req, res, next) => {
       WHERE e.activo = 1 
         AND u.activo = 1
         AND u.rol_id = 2
-    `;
-
-    // Si se proporcionan fecha y horario, filtrar empleados ocupados
-    if (fecha && hora_inicio && hora_fin) {
-      sql += `
-        AND e.id NOT IN (
-          SELECT c.empleado_id
-          FROM citas c
-          WHERE DATE(CONVERT_TZ(c.fecha_hora_inicio, '+00:00', '-05:00')) = ?
-            AND c.estado_id NOT IN (
-              SELECT id FROM estados_citas 
-              WHERE nombre IN ('Cancelada', 'No Asistió')
-            )
-            AND (
-              (TIME(CONVERT_TZ(c.fecha_hora_inicio, '+00:00', '-05:00')) < ? AND TIME(CONVERT_TZ(c.fecha_hora_fin, '+00:00', '-05:00')) > ?)
-              OR (TIME(CONVERT_TZ(c.fecha_hora_inicio, '+00:00', '-05:00')) < ? AND TIME(CONVERT_TZ(c.fecha_hora_fin, '+00:00', '-05:00')) > ?)
-              OR (TIME(CONVERT_TZ(c.fecha_hora_inicio, '+00:00', '-05:00')) >= ? AND TIME(CONVERT_TZ(c.fecha_hora_fin, '+00:00', '-05:00')) <= ?)
-            )
-        )
-      `;
-    }
-
-    sql += `
+        ${filtroServicios}
       GROUP BY e.id
       ORDER BY u.nombre, u.apellido
     `;
 
-    let empleados;
-    if (fecha && hora_inicio && hora_fin) {
-      empleados = await query(sql, [fecha, hora_fin, hora_inicio, hora_fin, hora_inicio, hora_inicio, hora_fin]);
-    } else {
-      empleados = await query(sql);
+    const empleados = await query(sql, servicioIds.length > 0 ? [...servicioIds, servicioIds.length] : []);
+
+    const resultado = [];
+    for (const empleado of empleados) {
+      const estadisticas = await Resena.obtenerEstadisticasEmpleado(empleado.id);
+      const item = {
+        ...empleado,
+        calificacion_promedio: estadisticas.calificacion_promedio !== null
+          ? Math.round(Number(estadisticas.calificacion_promedio) * 10) / 10
+          : null,
+        total_resenas: Number(estadisticas.total_resenas) || 0
+      };
+
+      // Cada empleado puede tardar distinto en los mismos servicios
+      if (servicioIds.length > 0) {
+        item.duracion = await disponibilidadService.calcularDuracionServicios(servicios, empleado.id);
+      } else if (hora_inicio && hora_fin) {
+        item.duracion = disponibilidadService.horaAMinutos(hora_fin) - disponibilidadService.horaAMinutos(hora_inicio);
+      }
+
+      // Si se proporciona fecha, filtrar con el motor de disponibilidad
+      if (fecha) {
+        if (hora_inicio) {
+          if (!await disponibilidadService.verificarDisponibilidad(empleado.id, fecha, hora_inicio, item.duracion)) continue;
+        } else {
+          const horarios = await disponibilidadService.obtenerHorariosDisponibles(empleado.id, fecha, item.duracion);
+          if (horarios.length === 0) continue;
+          item.horarios_disponibles = horarios.length;
+        }
+      }
+
+      resultado.push(item);
     }
 
-    console.log('🔍 [reservacionController.getEmpleadosDisponibles] Empleados encontrados:', empleados.length);
+    // Primero quien tiene más horarios libres ese día, luego la mejor calificación y más reseñas
+    resultado.sort((a, b) =>
+      (b.horarios_disponibles || 0) - (a.horarios_disponibles || 0)
+      || (b.calificacion_promedio || 0) - (a.calificacion_promedio || 0)
+      || b.total_resenas - a.total_resenas);
+
+    console.log('🔍 [reservacionController.getEmpleadosDisponibles] Empleados encontrados:', resultado.length);
 
     res.status(200).json({
       success: true,
-      count: empleados.length,
-      empleados
+      count: resultado.length,
+      empleados: resultado
     });
   } catch (error) {
     console.error('❌ [reservacionController.getEmpleadosDisponibles] Error:', error);
@@ -126,6 +225,34 @@ exports.getEmpleadosDisponibles = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Obtener horarios en los que una visita con varios servicios tiene empleados y recursos libres
+ * @route   POST /api/reservacion/horarios-combinados
+ * @access  Public
+ */
+exports.getHorariosCombinados = asyncHandler(async (req, res, next) => {
+  try {
+    const { fecha, lineas } = req.body;
+
+    console.log('🔍 [reservacionController.getHorariosCombinados] Parámetros:', { fecha, lineas });
+
+    const lineasVisita = disponibilidadService.normalizarLineas(lineas);
+    const horarios = await disponibilidadService.obtenerHorariosCombinados(fecha, lineasVisita);
+
+    res.status(200).json({
+      success: true,
+      count: horarios.length,
+      horarios
+    });
+  } catch (error) {
+    console.error('❌ [reservacionController.getHorariosCombinados] Error:', error);
+    if (error.name === 'ValidationError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al obtener horarios disponibles', 500));
+  }
+});
+
 /**
  * @desc    Obtener horarios disponibles para un empleado en una fecha
  * @route   GET /api/reservacion/horarios
@@ -145,96 +272,130 @@ exports.getHorariosDisponibles = asyncHandler(async (req, res, next) => {
     const empleadoIdInt = parseInt(empleadoId);
     console.log('👨‍🔧 Consultando horarios para empleado ID:', empleadoIdInt);
 
-    const [year, month, day] = fecha.split("-").map(Number);
-    const fechaLocal = new Date(year, month - 1, day);
-    const diaSemana = fechaLocal.getDay();
-
-    let horariosDisponibles = [];
-    if (diaSemana === 0) {
-      horariosDisponibles = [
-        { inicio: '09:30', fin: '10:00' },
-        { inicio: '10:00', fin: '10:30' },
-        { inicio: '10:30', fin: '11:00' },
-        { inicio: '11:00', fin: '11:30' },
-        { inicio: '11:30', fin: '12:00' },
-        { inicio: '12:00', fin: '12:30' },
-        { inicio: '12:30', fin: '13:00' },
-        { inicio: '13:00', fin: '13:30' },
-        { inicio: '13:30', fin: '14:00' }
-      ];
-    } else {
-      horariosDisponibles = [
-        { inicio: '09:15', fin: '09:45' },
-        { inicio: '09:45', fin: '10:15' },
-        { inicio: '10:15', fin: '10:45' },
-        { inicio: '10:45', fin: '11:15' },
-        { inicio: '11:15', fin: '11:45' },
-        { inicio: '11:45', fin: '12:15' },
-        { inicio: '12:15', fin: '12:45' },
-        { inicio: '14:15', fin: '14:45' },
-        { inicio: '14:45', fin: '15:15' },
-        { inicio: '15:15', fin: '15:45' },
-        { inicio: '15:45', fin: '16:15' },
-        { inicio: '16:15', fin: '16:45' },
-        { inicio: '16:45', fin: '17:15' },
-        { inicio: '17:15', fin: '17:45' },
-        { inicio: '17:45', fin: '18:15' },
-        { inicio: '18:15', fin: '18:45' }
-      ];
+    const duracionTotal = await disponibilidadService.calcularDuracionServicios(servicios, empleadoIdInt);
+    if (!duracionTotal) {
+      return next(new ErrorResponse('Alguno de los servicios seleccionados no existe o no está activo', 400));
     }
 
-    const sqlHorariosOcupados = `
-      SELECT 
-        TIME(CONVERT_TZ(fecha_hora_inicio, '+00:00', '-05:00')) as hora_inicio,
-        TIME(CONVERT_TZ(fecha_hora_fin, '+00:00', '-05:00')) as hora_fin
-      FROM citas
-      WHERE empleado_id = ? 
-        AND DATE(CONVERT_TZ(fecha_hora_inicio, '+00:00', '-05:00')) = ?
-        AND estado_id NOT IN (
-          SELECT id FROM estados_citas 
-          WHERE nombre IN ('Cancelada', 'No Asistió')
-        )
-    `;
+    // Mismo motor que la reservación: también exige los recursos que necesiten los servicios
+    const horariosLibres = await disponibilidadService.obtenerHorariosCombinados(
+      fecha,
+      disponibilidadService.normalizarLineas(servicios, empleadoIdInt)
+    );
 
-    const horariosOcupados = await query(sqlHorariosOcupados, [empleadoIdInt, fecha]);
+    console.log('🔍 [reservacionController.getHorariosDisponibles] Horarios disponibles filtrados:', horariosLibres);
 
-    console.log('🔍 [reservacionController.getHorariosDisponibles] Horarios ocupados:', horariosOcupados);
+    res.status(200).json({
+      success: true,
+      count: horariosLibres.length,
+      duracion: duracionTotal,
+      horarios: horariosLibres
+    });
 
-    // Función para convertir 'HH:MM' a minutos totales para comparación numérica
-    const horaATotalMinutos = (hora) => {
-      const [h, m] = hora.split(":").map(Number);
-      return h * 60 + m;
-    };
+  } catch (error) {
+    console.error('❌ [reservacionController.getHorariosDisponibles] Error:', error);
+    if (error.name === 'ValidationError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al obtener horarios disponibles', 500));
+  }
+});
 
-    const horariosLibres = horariosDisponibles.filter(horario => {
-      const inicioHorario = horaATotalMinutos(horario.inicio);
-      const finHorario = horaATotalMinutos(horario.fin);
 
-      // Si algún horario ocupado se solapa, filtramos fuera ese horario disponible
-      return !horariosOcupados.some(ocupado => {
-        const inicioOcupado = horaATotalMinutos(ocupado.hora_inicio);
-        const finOcupado = horaATotalMinutos(ocupado.hora_fin);
+/**
+ * @desc    Cotizar una reservación (precio, promociones e impuesto calculados en el servidor)
+ * @route   POST /api/reservacion/cotizar
+ * @access  Public
+ */
+exports.cotizarReservacion = asyncHandler(async (req, res, next) => {
+  try {
+    const { servicios, codigoPromocion, fecha, empleadoId } = req.body;
 
-        return (
-          inicioHorario < finOcupado && finHorario > inicioOcupado
-        );
-      });
-    });
+    console.log('🔍 [reservacionController.cotizarReservacion] Datos recibidos:', { servicios, codigoPromocion, fecha, empleadoId });
 
-    console.log('🔍 [reservacionController.getHorariosDisponibles] Horarios disponibles filtrados:', horariosLibres);
+    // El precio depende del barbero: el de cada servicio (servicios[].empleadoId) o empleadoId para todos
+    const cotizacion = await cotizacionService.cotizar({ servicios, codigoPromocion, fecha, empleadoId });
 
     res.status(200).json({
       success: true,
-      count: horariosLibres.length,
-      horarios: horariosLibres
+      data: cotizacion
     });
+  } catch (error) {
+    console.error('❌ [reservacionController.cotizarReservacion] Error:', error);
+    if (error.name === 'ValidationError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al cotizar la reservación', 500));
+  }
+});
+
+/**
+ * @desc    Retener temporalmente un horario mientras el cliente completa la reservación
+ * @route   POST /api/reservacion/retener
+ * @access  Private (Cliente)
+ */
+exports.retenerHorario = asyncHandler(async (req, res, next) => {
+  try {
+    const { empleadoId, servicios, lineas, fecha, horario } = req.body;
+
+    console.log('🔍 [reservacionController.retenerHorario] Datos recibidos:', { empleadoId, servicios, lineas, fecha, horario });
 
+    if ((!lineas && !servicios) || !fecha || !horario || !horario.inicio) {
+      return next(new ErrorResponse('servicios o lineas, fecha y horario son requeridos', 400));
+    }
+
+    // La misma visita que se enviará a procesarReservacion
+    const lineasVisita = disponibilidadService.normalizarLineas(lineas || servicios, empleadoId);
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: lineasVisita[0].empleadoId });
+
+    const retencion = await reservacionService.retenerHorario({
+      lineas: lineasVisita,
+      fecha,
+      horaInicio: horario.inicio,
+      zonaHoraria,
+      usuarioId: req.usuario.id
+    });
+
+    console.log('✅ [reservacionController.retenerHorario] Horario retenido hasta:', retencion.expira_en);
+
+    res.status(201).json({
+      success: true,
+      message: 'Horario retenido temporalmente',
+      data: retencion
+    });
   } catch (error) {
-    console.error('❌ [reservacionController.getHorariosDisponibles] Error:', error);
-    next(new ErrorResponse('Error al obtener horarios disponibles', 500));
+    console.error('❌ [reservacionController.retenerHorario] Error:', error);
+    if (error.name === 'ConflictError' || error.name === 'ValidationError') {
+      return next(error);
+    }
+    if (error.code === 'ER_LOCK_WAIT_TIMEOUT' || error.code === 'ER_LOCK_DEADLOCK') {
+      return next(new ConflictError('El horario seleccionado está siendo reservado por otro cliente. Intenta nuevamente.'));
+    }
+    next(new ErrorResponse('Error al retener el horario', 500));
   }
 });
 
+/**
+ * @desc    Liberar un horario retenido
+ * @route   DELETE /api/reservacion/retener/:token
+ * @access  Private (Cliente)
+ */
+exports.liberarRetencion = asyncHandler(async (req, res, next) => {
+  try {
+    await retencionHorarioService.liberar(req.params.token, req.usuario.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Horario liberado'
+    });
+  } catch (error) {
+    console.error('❌ [reservacionController.liberarRetencion] Error:', error);
+    if (error.name === 'NotFoundError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al liberar el horario', 500));
+  }
+});
 
 /**
  * @desc    Procesar pago y crear cita
@@ -243,121 +404,189 @@ exports.getHorariosDisponibles = asyncHandler(async (req, res, next) => {
  */
 exports.procesarReservacion = asyncHandler(async (req, res, next) => {
   try {
-    const { empleadoId, servicios, fecha, horario, total } = req.body;
+    const { empleadoId, servicios, lineas, fecha, horario, total, codigoPromocion } = req.body;
     let clienteId = req.usuario.cliente_id;
 
-    console.log('🔍 [reservacionController.procesarReservacion] Datos recibidos:', { empleadoId, servicios, fecha, horario, total });
+    console.log('🔍 [reservacionController.procesarReservacion] Datos recibidos:', { empleadoId, servicios, lineas, fecha, horario, total, codigoPromocion });
 
-    if (!empleadoId || !servicios || !fecha || !horario || !total) {
+    // Una visita se reserva con un barbero y sus servicios, con líneas que reparten los servicios entre varios,
+    // o solo con servicios para que el servidor elija a cualquier barbero libre
+    if ((!lineas && !servicios) || !fecha || !horario || total === undefined || total === null) {
       return next(new ErrorResponse('Todos los campos son requeridos', 400));
     }
 
-    if (!clienteId) {
-      const clienteExistenteSql = 'SELECT id FROM clientes WHERE usuario_id = ?';
-      const [clienteExistente] = await query(clienteExistenteSql, [req.usuario.id]);
-
-      if (clienteExistente) {
-        clienteId = clienteExistente.id;
-      } else {
-        const insertClienteSql = `INSERT INTO clientes (usuario_id, fecha_nacimiento, genero) VALUES (?, NULL, NULL)`;
-        const result = await query(insertClienteSql, [req.usuario.id]);
-        clienteId = result.insertId;
-      }
-    }
-
-    const duracionTotal = servicios.reduce((totalDuracion, servicio) => {
-      return totalDuracion + ((servicio.duracion || 30) * servicio.cantidad);
-    }, 0);
+    const lineasVisita = disponibilidadService.normalizarLineas(lineas || servicios, empleadoId);
 
     const { inicio: horaInicio } = horario;
 
-    // Crear objeto Date con zona horaria local (-05:00)
-    const inicio = new Date(`${fecha}T${horaInicio}:00-05:00`);
-    // Calcular fin sumando duración total en milisegundos
-    const fin = new Date(inicio.getTime() + duracionTotal * 60000);
-
-    // Convertir a formato 'YYYY-MM-DD HH:mm:ss' en UTC para la BD
-    const fechaHoraInicio = inicio.toISOString().slice(0, 19).replace('T', ' ');
-    const fechaHoraFin = fin.toISOString().slice(0, 19).replace('T', ' ');
-
-    // Verificar disponibilidad antes de crear la cita
-    const verificarDisponibilidadSql = `
-      SELECT COUNT(*) as conflictos
-      FROM citas
-      WHERE empleado_id = ? 
-        AND DATE(CONVERT_TZ(fecha_hora_inicio, '+00:00', '-05:00')) = ?
-        AND estado_id NOT IN (
-          SELECT id FROM estados_citas 
-          WHERE nombre IN ('Cancelada', 'No Asistió')
-        )
-        AND (
-          (TIME(CONVERT_TZ(fecha_hora_inicio, '+00:00', '-05:00')) < ? AND TIME(CONVERT_TZ(fecha_hora_fin, '+00:00', '-05:00')) > ?)
-          OR (TIME(CONVERT_TZ(fecha_hora_inicio, '+00:00', '-05:00')) < ? AND TIME(CONVERT_TZ(fecha_hora_fin, '+00:00', '-05:00')) > ?)
-          OR (TIME(CONVERT_TZ(fecha_hora_inicio, '+00:00', '-05:00')) >= ? AND TIME(CONVERT_TZ(fecha_hora_fin, '+00:00', '-05:00')) <= ?)
-        )
-    `;
-    
-    const horaInicioFormateada = horaInicio + ':00';
-    const horaFinFormateada = fin.toISOString().slice(11, 19);
-    
-    const [verificacion] = await query(verificarDisponibilidadSql, [
-      empleadoId, 
-      fecha, 
-      horaFinFormateada, 
-      horaInicioFormateada,
-      horaFinFormateada, 
-      horaInicioFormateada,
-      horaInicioFormateada, 
-      horaFinFormateada
-    ]);
-    
-    if (verificacion.conflictos > 0) {
-      return next(new ErrorResponse('El empleado no está disponible en ese horario', 400));
-    }
+    // Hora local del negocio (o del barbero del primer servicio) que se convierte a UTC para la BD
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: lineasVisita[0].empleadoId });
+
+    // Toda la reservación se ejecuta en una transacción: o se crea todo o nada
+    let cotizacion;
+    let visita;
+    const citaId = await transaccion(async (connection) => {
+      // Bloquea las agendas y recursos involucrados y verifica con el mismo motor que ofrece los horarios.
+      // La retención del propio cliente no cuenta como ocupada.
+      visita = await reservacionService.asignarLineas(connection, {
+        lineas: lineasVisita,
+        fecha,
+        horaInicio,
+        zonaHoraria,
+        excluirRetencionesDe: req.usuario.id
+      });
 
-    const insertCitaSql = `
-      INSERT INTO citas (cliente_id, empleado_id, fecha_hora_inicio, fecha_hora_fin, estado_id, created_at, updated_at)
-      VALUES (?, ?, ?, ?, 1, NOW(), NOW())
-    `;
-    const resultadoCita = await query(insertCitaSql, [clienteId, empleadoId, fechaHoraInicio, fechaHoraFin]);
-    const citaId = resultadoCita.insertId;
+      // Precio, cantidades y duración se toman del catálogo y del barbero asignado a cada servicio,
+      // no de lo enviado por el cliente
+      cotizacion = await cotizacionService.cotizar({
+        servicios: lineasVisita.map(linea => ({ id: linea.servicioId, cantidad: linea.cantidad })),
+        asignaciones: visita.asignaciones,
+        codigoPromocion,
+        fecha
+      });
 
-    const insertPagoSql = `
-      INSERT INTO pagos (cita_id, monto_total, metodo_pago_id, estado_pago_id, created_at, updated_at)
-      VALUES (?, ?, 1, 1, NOW(), NOW())
-    `;
-    await query(insertPagoSql, [citaId, total]);
+      if (!cotizacionService.totalCoincide(total, cotizacion)) {
+        throw new ValidationError(`El total enviado (${total}) no coincide con el calculado por el servidor (${cotizacion.total}). Vuelve a cotizar la reservación.`);
+      }
 
-    for (const servicio of servicios) {
-      const precioServicioSql = 'SELECT precio FROM servicios WHERE id = ?';
-      const [servicioData] = await query(precioServicioSql, [servicio.id]);
+      if (!clienteId) {
+        clienteId = await reservacionService.obtenerOCrearCliente(connection, req.usuario.id);
+      }
 
-      if (!servicioData) continue;
+      const nuevaCitaId = await reservacionService.crearCita(connection, {
+        clienteId,
+        empleadoId: visita.empleadoId,
+        fechaHoraInicio: visita.fechaHoraInicio,
+        fechaHoraFin: visita.fechaHoraFin,
+        asignaciones: visita.asignaciones,
+        asignacionAutomatica: visita.asignacionAutomatica,
+        usuarioId: req.usuario.id,
+        cotizacion
+      });
 
-      const precioUnitario = servicioData.precio;
+      // La retención temporal pasa a ser la cita recién creada
+      await retencionHorarioService.convertir(connection, req.usuario.id);
 
-      const insertDetalleSql = `
-        INSERT INTO cita_servicio (cita_id, servicio_id, precio_aplicado, descuento, notas)
-        VALUES (?, ?, ?, 0.00, NULL)
-      `;
-      await query(insertDetalleSql, [citaId, servicio.id, precioUnitario]);
-    }
+      await notificacionService.enviarNotificacionesConfirmacion(nuevaCitaId, connection);
 
-    try {
-      await notificacionService.enviarNotificacionesConfirmacion(citaId);
-    } catch {}
+      return nuevaCitaId;
+    });
 
     res.status(200).json({
       success: true,
       message: 'Reservación procesada exitosamente',
-      data: { citaId, fecha, horaInicio, total }
+      data: {
+        citaId,
+        fecha,
+        horaInicio,
+        empleadoId: visita.empleadoId,
+        estrategiaAsignacion: visita.asignacionAutomatica ? visita.asignacionAutomatica.estrategia : null,
+        total: cotizacion.total,
+        cotizacion
+      }
     });
   } catch (error) {
     console.error('❌ [reservacionController.procesarReservacion] Error:', error);
+    if (error.name === 'ConflictError' || error.name === 'ValidationError') {
+      return next(error);
+    }
+    // Espera de bloqueo agotada o interbloqueo: otra reserva tomó la agenda al mismo tiempo
+    if (error.code === 'ER_LOCK_WAIT_TIMEOUT' || error.code === 'ER_LOCK_DEADLOCK') {
+      return next(new ConflictError('El horario seleccionado está siendo reservado por otro cliente. Intenta nuevamente.'));
+    }
     return next(new ErrorResponse('Error al procesar la reservación', 500));
   }
 });
 
+/**
+ * Convertir el body de una serie en los datos del servicio de series
+ * @param {Object} body - { empleadoId, servicios, horario: { inicio }, fechaInicio, frecuenciaSemanas,
+ *                        diaSemana, fechaFin, ocurrencias }
+ * @returns {Object} { empleadoId, servicios, horaInicio, regla }
+ * @throws {ValidationError} Si falta el horario o los servicios
+ */
+const obtenerDatosSerie = (body) => {
+  const { empleadoId, servicios, horario } = body;
+
+  if (!horario || typeof horario !== 'object' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(horario.inicio || '')) {
+    throw new ValidationError('horario.inicio debe tener formato HH:MM');
+  }
+  if (!Array.isArray(servicios) || servicios.length === 0) {
+    throw new ValidationError('servicios debe ser un array con al menos un servicio');
+  }
+
+  return {
+    empleadoId,
+    servicios,
+    horaInicio: horario.inicio,
+    regla: {
+      fechaInicio: body.fechaInicio,
+      frecuenciaSemanas: body.frecuenciaSemanas,
+      diaSemana: body.diaSemana,
+      fechaFin: body.fechaFin || null,
+      ocurrencias: body.ocurrencias || null
+    }
+  };
+};
+
+/**
+ * @desc    Revisar la disponibilidad de cada fecha de una serie recurrente sin reservar
+ * @route   POST /api/reservacion/series/previsualizar
+ * @access  Private (Cliente)
+ */
+exports.previsualizarSerie = asyncHandler(async (req, res, next) => {
+  try {
+    const previsualizacion = await serieCitasService.previsualizar(obtenerDatosSerie(req.body));
+
+    res.status(200).json({
+      success: true,
+      data: previsualizacion
+    });
+  } catch (error) {
+    console.error('❌ [reservacionController.previsualizarSerie] Error:', error);
+    if (error.name === 'ValidationError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al revisar la serie de citas', 500));
+  }
+});
+
+/**
+ * @desc    Reservar una serie de citas recurrentes (mismo barbero, servicios y hora)
+ * @route   POST /api/reservacion/series
+ * @access  Private (Cliente)
+ */
+exports.crearSerie = asyncHandler(async (req, res, next) => {
+  try {
+    console.log('🔍 [reservacionController.crearSerie] Datos recibidos:', req.body);
+
+    const datosSerie = obtenerDatosSerie(req.body);
+
+    const clienteId = req.usuario.cliente_id
+      || await transaccion(connection => reservacionService.obtenerOCrearCliente(connection, req.usuario.id));
+
+    const serie = await serieCitasService.crear({
+      ...datosSerie,
+      clienteId,
+      usuarioId: req.usuario.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: serie.conflictos.length > 0
+        ? `Se reservaron ${serie.citas.length} citas; ${serie.conflictos.length} fechas no tienen disponibilidad`
+        : `Se reservaron ${serie.citas.length} citas`,
+      data: serie
+    });
+  } catch (error) {
+    console.error('❌ [reservacionController.crearSerie] Error:', error);
+    if (error.name === 'ConflictError' || error.name === 'ValidationError') {
+      return next(error);
+    }
+    next(new ErrorResponse('Error al reservar la serie de citas', 500));
+  }
+});
+
 /**
  * @desc    Obtener citas del cliente
  * @route   GET /api/reservacion/mis-citas
@@ -389,8 +618,10 @@ SELECT
   c.id,
   c.cliente_id,
   c.empleado_id,
-  DATE_FORMAT(CONVERT_TZ(c.fecha_hora_inicio, '+00:00', '-05:00'), '%Y-%m-%dT%H:%i:%s') AS fecha_hora_inicio,
-  DATE_FORMAT(CONVERT_TZ(c.fecha_hora_fin, '+00:00', '-05:00'), '%Y-%m-%dT%H:%i:%s') AS fecha_hora_fin,
+  c.fecha_hora_inicio,
+  c.fecha_hora_fin,
+  c.serie_id,
+  c.serie_indice,
   CONCAT(u.nombre, ' ', u.apellido) AS empleado_nombre,
   u.foto_perfil AS empleado_foto,
   ec.nombre AS estado_nombre,
@@ -403,17 +634,26 @@ INNER JOIN estados_citas ec ON c.estado_id = ec.id
 LEFT JOIN cita_servicio cs ON c.id = cs.cita_id
 LEFT JOIN servicios s ON cs.servicio_id = s.id
 WHERE c.cliente_id = ?
-GROUP BY c.id, c.cliente_id, c.empleado_id, fecha_hora_inicio, fecha_hora_fin, empleado_nombre, empleado_foto, estado_nombre, estado_color
-ORDER BY fecha_hora_inicio DESC;
+GROUP BY c.id, c.cliente_id, c.empleado_id, c.fecha_hora_inicio, c.fecha_hora_fin, c.serie_id, c.serie_indice, empleado_nombre, empleado_foto, estado_nombre, estado_color
+ORDER BY c.fecha_hora_inicio DESC;
 `;
 
     const citas = await query(sql, [clienteId]);
 
+    // Mostrar cada cita en la zona horaria de su barbero
+    const zonas = {};
+    for (const empleadoId of new Set(citas.map(cita => cita.empleado_id))) {
+      zonas[empleadoId] = await ZonaHoraria.obtenerZonaHoraria({ empleadoId });
+    }
+
     res.status(200).json({
       success: true,
       count: citas.length,
       citas: citas.map(cita => ({
         ...cita,
+        fecha_hora_inicio: ZonaHoraria.utcALocal(cita.fecha_hora_inicio, zonas[cita.empleado_id], 'T'),
+        fecha_hora_fin: ZonaHoraria.utcALocal(cita.fecha_hora_fin, zonas[cita.empleado_id], 'T'),
+        zona_horaria: zonas[cita.empleado_id],
         servicios: cita.servicios ? cita.servicios.split(', ') : []
       }))
     });
@@ -424,7 +664,7 @@ ORDER BY fecha_hora_inicio DESC;
 });
 
 /**
- * @desc    Cancelar cita del cliente
+ * @desc    Cancelar cita del cliente. Con alcance 'futuras' cancela también las siguientes citas de su serie.
  * @route   PUT /api/reservacion/cancelar/:id
  * @access  Private (Cliente)
  */
@@ -445,34 +685,135 @@ exports.cancelarCita = asyncHandler(async (req, res, next) => {
       clienteId = cliente.id;
     }
     
-    // Verificar que la cita pertenece al cliente
-    const citaSql = `
-      SELECT * FROM citas 
-      WHERE id = ? AND cliente_id = ?
-    `;
-    
-    const [cita] = await query(citaSql, [citaId, clienteId]);
-    
-    if (!cita) {
-      return next(new ErrorResponse('Cita no encontrada', 404));
+    const datosCancelacion = {
+      citaId,
+      clienteId,
+      usuarioId: req.usuario.id,
+      rolId: req.usuario.rol_id,
+      motivo: req.body.motivo_cancelacion || null
+    };
+
+    // "Esta y las siguientes": cada cita de la serie pasa por la política de cancelación
+    if (req.body.alcance === 'futuras') {
+      const resultadoSerie = await serieCitasService.cancelarFuturas(datosCancelacion);
+
+      return res.status(200).json({
+        success: true,
+        message: `Se cancelaron ${resultadoSerie.canceladas.length} citas de la serie`,
+        data: resultadoSerie
+      });
     }
-    
-    // Actualizar estado a cancelada
-    const actualizarSql = `
-      UPDATE citas 
-      SET estado_id = (SELECT id FROM estados_citas WHERE nombre = 'Cancelada'),
-          updated_at = NOW()
-      WHERE id = ?
-    `;
-    
-    await query(actualizarSql, [citaId]);
-    
+
+    // La política de cancelación valida estado y plazo, y ajusta el pago de la cita
+    const resultado = await cancelacionService.cancelar(datosCancelacion);
+
     res.status(200).json({
       success: true,
-      message: 'Cita cancelada exitosamente'
+      message: resultado.cargo > 0
+        ? `Cita cancelada con un cargo por cancelación tardía de ${resultado.cargo.toFixed(2)}`
+        : 'Cita cancelada exitosamente',
+      data: resultado
     });
   } catch (error) {
     console.error('❌ [reservacionController.cancelarCita] Error:', error);
+    if (['ValidationError', 'NotFoundError', 'ConflictError', 'PermissionError'].includes(error.name)) {
+      return next(error);
+    }
     next(new ErrorResponse('Error al cancelar la cita', 500));
   }
 });
+
+/**
+ * @desc    Reprogramar cita del cliente (misma cita, pago y servicios en un nuevo horario).
+ *          Con alcance 'futuras' mueve también las siguientes citas de su serie.
+ * @route   PUT /api/reservacion/reprogramar/:id
+ * @access  Private (Cliente)
+ */
+exports.reprogramarCita = asyncHandler(async (req, res, next) => {
+  try {
+    const citaId = parseInt(req.params.id);
+    const { fecha, horario, motivo = null, alcance = 'una' } = req.body;
+    let clienteId = req.usuario.cliente_id;
+
+    console.log('🔍 [reservacionController.reprogramarCita] Datos recibidos:', { citaId, fecha, horario, motivo, alcance });
+
+    if (!fecha || !horario || !horario.inicio) {
+      return next(new ErrorResponse('fecha y horario son requeridos', 400));
+    }
+
+    // Si el usuario no es cliente, verificar si existe un registro
+    if (!clienteId) {
+      const [cliente] = await query('SELECT id FROM clientes WHERE usuario_id = ?', [req.usuario.id]);
+
+      if (!cliente) {
+        return next(new ErrorResponse('Usuario no es un cliente válido', 400));
+      }
+
+      clienteId = cliente.id;
+    }
+
+    const horaInicio = horario.inicio;
+
+    // "Esta y las siguientes": se mueve cada ocurrencia de la serie y se informan los conflictos
+    if (alcance === 'futuras') {
+      const resultadoSerie = await serieCitasService.reprogramarFuturas({
+        citaId,
+        clienteId,
+        fecha,
+        horaInicio,
+        usuarioId: req.usuario.id,
+        motivo
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: resultadoSerie.conflictos.length > 0
+          ? `Se reprogramaron ${resultadoSerie.reprogramadas.length} citas; ${resultadoSerie.conflictos.length} no tienen disponibilidad en el nuevo horario`
+          : 'Citas de la serie reprogramadas exitosamente',
+        data: {
+          serieId: resultadoSerie.serie_id,
+          reprogramadas: resultadoSerie.reprogramadas.map(reprogramada => ({
+            citaId: reprogramada.cita_id,
+            indice: reprogramada.indice,
+            fecha: reprogramada.fecha,
+            horaInicio: reprogramada.hora
+          })),
+          conflictos: resultadoSerie.conflictos
+        }
+      });
+    }
+
+    const resultado = await reservacionService.reprogramar({
+      citaId,
+      clienteId,
+      fecha,
+      horaInicio,
+      usuarioId: req.usuario.id,
+      motivo
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cita reprogramada exitosamente',
+      data: {
+        citaId,
+        fecha,
+        horaInicio,
+        horaFin: ZonaHoraria.formatearHora(resultado.fin, resultado.zonaHoraria),
+        anterior: {
+          fecha_hora_inicio: ZonaHoraria.utcALocal(resultado.anterior.fecha_hora_inicio, resultado.zonaHoraria, 'T'),
+          fecha_hora_fin: ZonaHoraria.utcALocal(resultado.anterior.fecha_hora_fin, resultado.zonaHoraria, 'T')
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ [reservacionController.reprogramarCita] Error:', error);
+    if (['ConflictError', 'ValidationError', 'NotFoundError'].includes(error.name)) {
+      return next(error);
+    }
+    if (error.code === 'ER_LOCK_WAIT_TIMEOUT' || error.code === 'ER_LOCK_DEADLOCK') {
+      return next(new ConflictError('El horario seleccionado está siendo reservado por otro cliente. Intenta nuevamente.'));
+    }
+    next(new ErrorResponse('Error al reprogramar la cita', 500));
+  }
+});
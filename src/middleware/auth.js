@@ -459,6 +459,15 @@ const protect = async (req, res, next) => {
     return res.status(401).json({ success: false, mensaje: 'Token inválido o expirado' });
   }
 };
+
+// IDs de rol por nombre, tal como los usa authorize
+const ROLES = {
+  'administrador': 3,
+  'empleado': 2,
+  'cliente': 1,
+  'dev':4
+};
+
 // Función para autorizar roles específicos
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -470,13 +479,7 @@ const authorize = (...roles) => {
       });
     }
     // Convertir nombres de roles a IDs
-    const roleMap = {
-      'administrador': 3,
-      'empleado': 2,
-      'cliente': 1,
-      'dev':4
-    };
-    const roleIds = roles.map(role => roleMap[role] || role);
+    const roleIds = roles.map(role => ROLES[role] || role);
     console.log('[authorize] Usuario:', req.usuario, 'Roles permitidos:', roleIds);
     if (!roleIds.includes(req.usuario.rol_id)) {
       console.log('[authorize] Acceso denegado. Rol del usuario:', req.usuario.rol_id);
@@ -490,6 +493,7 @@ const authorize = (...roles) => {
 };
 
 module.exports = {
+  ROLES,
   protect,
   authorize,
   verificarToken,
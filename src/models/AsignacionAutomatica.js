@@ -0,0 +1,98 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para el registro de asignaciones automáticas de barbero
+ * Cada reservación hecha "con cualquier barbero" guarda a quién eligió el servidor,
+ * con qué estrategia y qué candidatos evaluó, para que el personal pueda revisarlo.
+ */
+class AsignacionAutomatica {
+  /**
+   * Obtener las estrategias de asignación disponibles
+   * @returns {Array<string>} Estrategias válidas
+   */
+  static obtenerEstrategias() {
+    return ['rotacion', 'menos_citas', 'prioridad_comision'];
+  }
+
+  /**
+   * Registrar la asignación de una cita dentro de una transacción
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {Object} asignacion - { cita_id, empleado_id, estrategia, candidatos, usuario_id }
+   * @returns {Promise<number>} ID del registro
+   */
+  static async crear(conexion, asignacion) {
+    const { cita_id, empleado_id, estrategia, candidatos, usuario_id = null } = asignacion;
+
+    const [result] = await conexion.query(`
+      INSERT INTO asignaciones_automaticas (cita_id, empleado_id, estrategia, candidatos, usuario_id)
+      VALUES (?, ?, ?, ?, ?)
+    `, [cita_id, empleado_id, estrategia, JSON.stringify(candidatos), usuario_id]);
+
+    return result.insertId;
+  }
+
+  /**
+   * Obtener asignaciones con filtros
+   * @param {Object} opciones - { citaId, empleadoId, estrategia, fechaDesde, fechaHasta } (fechas de la cita, en UTC)
+   * @returns {Promise<Array>} Asignaciones con cita, empleado y cliente, de la más reciente a la más antigua
+   */
+  static async obtenerTodas(opciones = {}) {
+    const { citaId = null, empleadoId = null, estrategia = null, fechaDesde = null, fechaHasta = null } = opciones;
+
+    const condiciones = [];
+    const params = [];
+
+    if (citaId) {
+      condiciones.push('a.cita_id = ?');
+      params.push(citaId);
+    }
+
+    if (empleadoId) {
+      condiciones.push('a.empleado_id = ?');
+      params.push(empleadoId);
+    }
+
+    if (estrategia) {
+      condiciones.push('a.estrategia = ?');
+      params.push(estrategia);
+    }
+
+    if (fechaDesde) {
+      condiciones.push('c.fecha_hora_inicio >= ?');
+      params.push(fechaDesde);
+    }
+
+    if (fechaHasta) {
+      condiciones.push('c.fecha_hora_inicio < ?');
+      params.push(fechaHasta);
+    }
+
+    const sql = `
+      SELECT a.id, a.cita_id, a.empleado_id, a.estrategia, a.candidatos, a.usuario_id, a.created_at,
+             c.fecha_hora_inicio, c.fecha_hora_fin,
+             CONCAT(ue.nombre, ' ', ue.apellido) as empleado_nombre,
+             CONCAT(uc.nombre, ' ', uc.apellido) as cliente_nombre
+      FROM asignaciones_automaticas a
+      INNER JOIN citas c ON a.cita_id = c.id
+      INNER JOIN empleados e ON a.empleado_id = e.id
+      INNER JOIN usuarios ue ON e.usuario_id = ue.id
+      INNER JOIN clientes cl ON c.cliente_id = cl.id
+      INNER JOIN usuarios uc ON cl.usuario_id = uc.id
+      ${condiciones.length > 0 ? 'WHERE ' + condiciones.join(' AND ') : ''}
+      ORDER BY a.created_at DESC, a.id DESC
+    `;
+
+    try {
+      const rows = await query(sql, params);
+
+      return rows.map(asignacion => ({
+        ...asignacion,
+        candidatos: typeof asignacion.candidatos === 'string' ? JSON.parse(asignacion.candidatos) : asignacion.candidatos
+      }));
+    } catch (error) {
+      throw new Error(`Error al obtener asignaciones automáticas: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AsignacionAutomatica;
@@ -2,7 +2,8 @@ const { query } = require('../config/database');
 
 /**
  * Modelo para la gestión de ausencias de empleados
- * Maneja operaciones CRUD, búsquedas, filtros y estadísticas de ausencias
+ * Maneja operaciones CRUD, búsquedas, filtros y estadísticas de ausencias.
+ * Solo las ausencias con estado 'Aprobada' cuentan como ausencia efectiva.
  */
 class AusenciaEmpleado {
   /**
@@ -16,7 +17,9 @@ class AusenciaEmpleado {
       fecha_inicio,
       fecha_fin,
       motivo,
-      descripcion = null
+      descripcion = null,
+      estado = 'Aprobada',
+      revisado_por = null
     } = ausencia;
 
     // Validar que la fecha de inicio sea menor que la fecha de fin
@@ -30,14 +33,22 @@ class AusenciaEmpleado {
       throw new Error('Motivo no válido');
     }
 
+    if (!this.obtenerEstados().includes(estado)) {
+      throw new Error('Estado no válido');
+    }
+
+    // Las registradas directamente por un administrador o dueño nacen aprobadas por él
+    const revisada = estado !== 'Pendiente';
+
     const sql = `
-      INSERT INTO ausencias_empleados (empleado_id, fecha_inicio, fecha_fin, motivo, descripcion)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO ausencias_empleados (
+        empleado_id, fecha_inicio, fecha_fin, motivo, descripcion, estado, revisado_por, revisado_en
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ${revisada ? 'CURRENT_TIMESTAMP' : 'NULL'})
     `;
 
     try {
       const result = await query(sql, [
-        empleado_id, fecha_inicio, fecha_fin, motivo, descripcion
+        empleado_id, fecha_inicio, fecha_fin, motivo, descripcion, estado, revisada ? revisado_por : null
       ]);
       return this.obtenerPorId(result.insertId);
     } catch (error) {
@@ -55,10 +66,13 @@ class AusenciaEmpleado {
       SELECT ae.*,
              CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre,
              e.titulo as empleado_titulo,
+             e.usuario_id as empleado_usuario_id,
+             CONCAT(ur.nombre, ' ', ur.apellido) as revisado_por_nombre,
              DATEDIFF(ae.fecha_fin, ae.fecha_inicio) + 1 as dias_ausencia
       FROM ausencias_empleados ae
       JOIN empleados e ON ae.empleado_id = e.id
       JOIN usuarios u ON e.usuario_id = u.id
+      LEFT JOIN usuarios ur ON ae.revisado_por = ur.id
       WHERE ae.id = ?
     `;
 
@@ -81,6 +95,7 @@ class AusenciaEmpleado {
       limite = 10,
       empleado_id = null,
       motivo = null,
+      estado = null,
       fecha_inicio = null,
       fecha_fin = null,
       orden = 'fecha_inicio',
@@ -100,6 +115,11 @@ class AusenciaEmpleado {
       params.push(motivo);
     }
 
+    if (estado) {
+      whereConditions.push('ae.estado = ?');
+      params.push(estado);
+    }
+
     if (fecha_inicio) {
       whereConditions.push('ae.fecha_inicio >= ?');
       params.push(fecha_inicio);
@@ -222,22 +242,24 @@ class AusenciaEmpleado {
    * @returns {Promise<Array>} Ausencias del empleado
    */
   static async obtenerPorEmpleado(empleado_id, opciones = {}) {
-    const { orden = 'fecha_inicio DESC' } = opciones;
+    const { orden = 'fecha_inicio DESC', estado = null } = opciones;
 
     const sql = `
       SELECT ae.*,
              CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre,
              e.titulo as empleado_titulo,
+             CONCAT(ur.nombre, ' ', ur.apellido) as revisado_por_nombre,
              DATEDIFF(ae.fecha_fin, ae.fecha_inicio) + 1 as dias_ausencia
       FROM ausencias_empleados ae
       JOIN empleados e ON ae.empleado_id = e.id
       JOIN usuarios u ON e.usuario_id = u.id
-      WHERE ae.empleado_id = ?
+      LEFT JOIN usuarios ur ON ae.revisado_por = ur.id
+      WHERE ae.empleado_id = ?${estado ? ' AND ae.estado = ?' : ''}
       ORDER BY ae.${orden}
     `;
 
     try {
-      const rows = await query(sql, [empleado_id]);
+      const rows = await query(sql, estado ? [empleado_id, estado] : [empleado_id]);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener ausencias por empleado: ${error.message}`);
@@ -289,7 +311,7 @@ class AusenciaEmpleado {
       FROM ausencias_empleados ae
       JOIN empleados e ON ae.empleado_id = e.id
       JOIN usuarios u ON e.usuario_id = u.id
-      WHERE ae.fecha_inicio <= CURDATE() AND ae.fecha_fin >= CURDATE()
+      WHERE ae.estado = 'Aprobada' AND ae.fecha_inicio <= CURDATE() AND ae.fecha_fin >= CURDATE()
       ORDER BY ae.${orden}
     `;
 
@@ -344,6 +366,7 @@ class AusenciaEmpleado {
       JOIN empleados e ON ae.empleado_id = e.id
       JOIN usuarios u ON e.usuario_id = u.id
       WHERE ae.empleado_id = ?
+        AND ae.estado = 'Aprobada'
         AND ? BETWEEN ae.fecha_inicio AND ae.fecha_fin
     `;
 
@@ -364,7 +387,7 @@ class AusenciaEmpleado {
   static async obtenerEmpleadosAusentes(fecha, opciones = {}) {
     const { motivo = null } = opciones;
 
-    let whereConditions = ['? BETWEEN ae.fecha_inicio AND ae.fecha_fin'];
+    let whereConditions = ["ae.estado = 'Aprobada'", '? BETWEEN ae.fecha_inicio AND ae.fecha_fin'];
     let params = [fecha];
 
     if (motivo) {
@@ -531,6 +554,14 @@ class AusenciaEmpleado {
     return ['Vacaciones', 'Enfermedad', 'Permiso', 'Otro'];
   }
 
+  /**
+   * Obtener estados de una solicitud de ausencia
+   * @returns {Array} Estados disponibles
+   */
+  static obtenerEstados() {
+    return ['Pendiente', 'Aprobada', 'Rechazada', 'Cancelada'];
+  }
+
   /**
    * Exportar ausencias a formato CSV
    * @param {Object} opciones - Opciones de exportación
@@ -0,0 +1,278 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para la bandeja de salida de notificaciones
+ * Cada correo, push o cambio de Google Calendar se registra aquí en la misma transacción
+ * que el cambio que lo origina y un proceso aparte lo entrega con reintentos.
+ */
+class BandejaSalida {
+  /**
+   * Obtener los canales de entrega
+   * @returns {Array<string>} Canales válidos
+   */
+  static obtenerCanales() {
+    return ['email', 'push', 'calendario', 'sms', 'whatsapp'];
+  }
+
+  /**
+   * Obtener los estados de un mensaje
+   * @returns {Array<string>} Estados válidos (Fallido: agotó sus intentos)
+   */
+  static obtenerEstados() {
+    return ['Pendiente', 'Procesando', 'Enviado', 'Fallido'];
+  }
+
+  /**
+   * Encolar un mensaje
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta (null fuera de una transacción)
+   * @param {Object} mensaje - { canal, tipo, cita_id, usuario_id, datos, maximo_intentos, proximo_intento }
+   * @returns {Promise<number>} ID del mensaje
+   */
+  static async crear(conexion, mensaje) {
+    const {
+      canal, tipo, cita_id = null, usuario_id = null, datos = null,
+      maximo_intentos = 5, proximo_intento = null
+    } = mensaje;
+
+    const sql = `
+      INSERT INTO bandeja_salida (canal, tipo, cita_id, usuario_id, datos, maximo_intentos, proximo_intento)
+      VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, UTC_TIMESTAMP()))
+    `;
+    const params = [canal, tipo, cita_id, usuario_id, datos ? JSON.stringify(datos) : null, maximo_intentos, proximo_intento];
+
+    if (conexion) {
+      const [result] = await conexion.query(sql, params);
+      return result.insertId;
+    }
+
+    const result = await query(sql, params);
+    return result.insertId;
+  }
+
+  /**
+   * Obtener mensaje por ID
+   * @param {number} id - ID del mensaje
+   * @returns {Promise<Object|null>} Mensaje encontrado
+   */
+  static async obtenerPorId(id) {
+    const { mensajes } = await this.obtenerTodas({ id });
+    return mensajes[0] || null;
+  }
+
+  /**
+   * Obtener mensajes con paginación
+   * @param {Object} opciones - { id, estado, canal, tipo, cita_id, usuario_id, pagina, limite }
+   * @returns {Promise<Object>} { mensajes, resumen, paginacion } resumen: cantidad por estado
+   */
+  static async obtenerTodas(opciones = {}) {
+    const {
+      id = null, estado = null, canal = null, tipo = null, cita_id = null, usuario_id = null,
+      pagina = 1, limite = 20
+    } = opciones;
+
+    const condiciones = [];
+    const params = [];
+
+    if (id) {
+      condiciones.push('b.id = ?');
+      params.push(id);
+    }
+
+    if (canal) {
+      condiciones.push('b.canal = ?');
+      params.push(canal);
+    }
+
+    if (tipo) {
+      condiciones.push('b.tipo = ?');
+      params.push(tipo);
+    }
+
+    if (cita_id) {
+      condiciones.push('b.cita_id = ?');
+      params.push(cita_id);
+    }
+
+    if (usuario_id) {
+      condiciones.push('b.usuario_id = ?');
+      params.push(usuario_id);
+    }
+
+    // El resumen cuenta todos los estados con los demás filtros
+    const whereResumen = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+    const paramsResumen = [...params];
+
+    if (estado) {
+      condiciones.push('b.estado = ?');
+      params.push(estado);
+    }
+
+    const whereClause = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+    const offset = (pagina - 1) * limite;
+
+    const sql = `
+      SELECT b.*,
+             CONCAT(u.nombre, ' ', u.apellido) as usuario_nombre,
+             c.fecha_hora_inicio as cita_fecha
+      FROM bandeja_salida b
+      LEFT JOIN usuarios u ON b.usuario_id = u.id
+      LEFT JOIN citas c ON b.cita_id = c.id
+      ${whereClause}
+      ORDER BY b.created_at DESC, b.id DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    try {
+      const rows = await query(sql, [...params, limite, offset]);
+      const [{ total }] = await query(`SELECT COUNT(*) as total FROM bandeja_salida b ${whereClause}`, params);
+      const porEstado = await query(`
+        SELECT b.estado, COUNT(*) as total FROM bandeja_salida b ${whereResumen} GROUP BY b.estado
+      `, paramsResumen);
+
+      return {
+        mensajes: rows.map(mensaje => this.parsear(mensaje)),
+        resumen: Object.fromEntries(this.obtenerEstados().map(nombre => [
+          nombre,
+          Number((porEstado.find(fila => fila.estado === nombre) || {}).total || 0)
+        ])),
+        paginacion: {
+          pagina,
+          limite,
+          total,
+          totalPaginas: Math.ceil(total / limite)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener la bandeja de salida: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convertir la columna JSON de datos
+   * @param {Object} mensaje - Fila de bandeja_salida
+   * @returns {Object} Mensaje con datos como objeto
+   */
+  static parsear(mensaje) {
+    return {
+      ...mensaje,
+      datos: typeof mensaje.datos === 'string' ? JSON.parse(mensaje.datos) : mensaje.datos
+    };
+  }
+
+  /**
+   * Tomar los mensajes listos para entregar y marcarlos Procesando.
+   * Incluye los que quedaron Procesando de un proceso que se detuvo (bloqueo vencido).
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {number} limite - Máximo de mensajes
+   * @param {number} minutosBloqueo - Tiempo que el mensaje queda reservado para este proceso
+   * @returns {Promise<Array>} Mensajes tomados, con intentos ya incrementado
+   */
+  static async tomarPendientes(conexion, limite, minutosBloqueo) {
+    // SKIP LOCKED: dos procesos a la vez se reparten los mensajes en lugar de esperarse
+    const [rows] = await conexion.query(`
+      SELECT * FROM bandeja_salida
+      WHERE (estado = 'Pendiente' AND proximo_intento <= UTC_TIMESTAMP())
+         OR (estado = 'Procesando' AND bloqueado_hasta < UTC_TIMESTAMP())
+      ORDER BY proximo_intento, id
+      LIMIT ?
+      FOR UPDATE SKIP LOCKED
+    `, [limite]);
+
+    if (rows.length === 0) return [];
+
+    const ids = rows.map(mensaje => mensaje.id);
+    await conexion.query(`
+      UPDATE bandeja_salida
+      SET estado = 'Procesando',
+          intentos = intentos + 1,
+          bloqueado_hasta = UTC_TIMESTAMP() + INTERVAL ? MINUTE
+      WHERE id IN (${ids.map(() => '?').join(', ')})
+    `, [minutosBloqueo, ...ids]);
+
+    return rows.map(mensaje => this.parsear({ ...mensaje, estado: 'Procesando', intentos: mensaje.intentos + 1 }));
+  }
+
+  /**
+   * Marcar un mensaje como entregado
+   * @param {number} id - ID del mensaje
+   * @returns {Promise<void>}
+   */
+  static async marcarEnviado(id) {
+    await query(`
+      UPDATE bandeja_salida
+      SET estado = 'Enviado', fecha_envio = UTC_TIMESTAMP(), bloqueado_hasta = NULL, ultimo_error = NULL
+      WHERE id = ?
+    `, [id]);
+  }
+
+  /**
+   * Registrar un intento fallido
+   * @param {number} id - ID del mensaje
+   * @param {string} error - Mensaje de error
+   * @param {number|null} segundosEspera - Espera hasta el siguiente intento; null lo marca Fallido
+   * @returns {Promise<void>}
+   */
+  static async marcarError(id, error, segundosEspera) {
+    if (segundosEspera === null) {
+      await query(`
+        UPDATE bandeja_salida
+        SET estado = 'Fallido', bloqueado_hasta = NULL, ultimo_error = ?
+        WHERE id = ?
+      `, [error, id]);
+      return;
+    }
+
+    await query(`
+      UPDATE bandeja_salida
+      SET estado = 'Pendiente', bloqueado_hasta = NULL, ultimo_error = ?,
+          proximo_intento = UTC_TIMESTAMP() + INTERVAL ? SECOND
+      WHERE id = ?
+    `, [error, segundosEspera, id]);
+  }
+
+  /**
+   * Volver a poner en la cola mensajes fallidos, con sus intentos desde cero
+   * @param {Object} filtros - { id, canal, tipo, cita_id }
+   * @returns {Promise<number>} Mensajes reencolados
+   */
+  static async reintentarFallidos(filtros = {}) {
+    const { id = null, canal = null, tipo = null, cita_id = null } = filtros;
+
+    const condiciones = ["estado = 'Fallido'"];
+    const params = [];
+
+    if (id) {
+      condiciones.push('id = ?');
+      params.push(id);
+    }
+
+    if (canal) {
+      condiciones.push('canal = ?');
+      params.push(canal);
+    }
+
+    if (tipo) {
+      condiciones.push('tipo = ?');
+      params.push(tipo);
+    }
+
+    if (cita_id) {
+      condiciones.push('cita_id = ?');
+      params.push(cita_id);
+    }
+
+    try {
+      const result = await query(`
+        UPDATE bandeja_salida
+        SET estado = 'Pendiente', intentos = 0, proximo_intento = UTC_TIMESTAMP()
+        WHERE ${condiciones.join(' AND ')}
+      `, params);
+
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Error al reintentar mensajes de la bandeja de salida: ${error.message}`);
+    }
+  }
+}
+
+module.exports = BandejaSalida;
@@ -1,4 +1,5 @@
-const { query } = require('../config/database');
+const { query, transaccion } = require('../config/database');
+const HistorialEstadoCita = require('./HistorialEstadoCita');
 
 /**
  * Modelo para la tabla citas
@@ -7,10 +8,13 @@ const { query } = require('../config/database');
 class Cita {
   /**
    * Crear una nueva cita
-   * @param {Object} citaData - Datos de la cita
+   * La cita siempre nace Pendiente y con su primer registro en el historial de estados;
+   * los cambios posteriores pasan por estadoCitaService.
+   * @param {Object} citaData - Datos de la cita (estado_id se ignora)
+   * @param {number|null} usuarioId - Usuario que crea la cita
    * @returns {Object} - Cita creada
    */
-  static async crear(citaData) {
+  static async crear(citaData, usuarioId = null) {
     try {
       const {
         cliente_id,
@@ -20,7 +24,6 @@ class Cita {
         hora_fin,
         fecha_hora_inicio,
         fecha_hora_fin,
-        estado_id,
         notas,
         recordatorio_enviado = 0,
         recordatorio_correo_enviado = 0,
@@ -41,18 +44,24 @@ class Cita {
           estado_id, notas, recordatorio_enviado, recordatorio_correo_enviado,
           recordatorio_push_enviado, sincronizado_calendar, event_id_calendar,
           meet_link, origen
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, (SELECT id FROM estados_citas WHERE nombre = 'Pendiente'), ?, ?, ?, ?, ?, ?, ?, ?)
       `;
   
       const params = [
         cliente_id, empleado_id, inicio, fin,
-        estado_id, notas, recordatorio_enviado, recordatorio_correo_enviado,
+        notas, recordatorio_enviado, recordatorio_correo_enviado,
         recordatorio_push_enviado, sincronizado_calendar, event_id_calendar,
         meet_link, origen
       ];
   
-      const result = await query(sql, params);
-      return { id: result.insertId, ...citaData, fecha_hora_inicio: inicio, fecha_hora_fin: fin };
+      const id = await transaccion(async (conexion) => {
+        const [result] = await conexion.query(sql, params);
+        await HistorialEstadoCita.crear(conexion, { cita_id: result.insertId, estado_nuevo: 'Pendiente', usuario_id: usuarioId });
+        return result.insertId;
+      });
+
+      const { estado_id, ...datos } = citaData;
+      return { id, ...datos, estado_nombre: 'Pendiente', fecha_hora_inicio: inicio, fecha_hora_fin: fin };
     } catch (error) {
       console.error('Error creando cita:', error);
       throw error;
@@ -163,8 +172,28 @@ class Cita {
     }
   }
 
+  /**
+   * Reducir una cita de varios empleados a la parte que atiende uno de ellos.
+   * Espera las columnas porcion_inicio y porcion_fin (MIN/MAX de sus líneas); el horario
+   * completo de la visita queda en cita_fecha_hora_inicio y cita_fecha_hora_fin.
+   * @param {Object} cita - Fila de la consulta por empleado
+   * @returns {Object} - Cita con el horario del empleado
+   */
+  static aPorcionEmpleado(cita) {
+    const { porcion_inicio, porcion_fin, ...datos } = cita;
+
+    return {
+      ...datos,
+      cita_fecha_hora_inicio: cita.fecha_hora_inicio,
+      cita_fecha_hora_fin: cita.fecha_hora_fin,
+      fecha_hora_inicio: porcion_inicio || cita.fecha_hora_inicio,
+      fecha_hora_fin: porcion_fin || cita.fecha_hora_fin
+    };
+  }
+
   /**
    * Obtener citas por empleado
+   * Incluye las visitas en las que solo atiende algunos servicios, con únicamente su parte
    * @param {number} empleado_id - ID del empleado
    * @param {Object} filtros - Filtros opcionales
    * @returns {Array} - Lista de citas del empleado
@@ -177,17 +206,19 @@ class Cita {
                u_cliente.telefono as cliente_telefono,
                ec.nombre as estado_nombre,
                ec.color as estado_color,
-               GROUP_CONCAT(s.nombre SEPARATOR ', ') as servicios
+               GROUP_CONCAT(s.nombre ORDER BY cs.orden SEPARATOR ', ') as servicios,
+               MIN(cs.fecha_hora_inicio) as porcion_inicio,
+               MAX(cs.fecha_hora_fin) as porcion_fin
         FROM citas c
         INNER JOIN clientes cl ON c.cliente_id = cl.id
         INNER JOIN usuarios u_cliente ON cl.usuario_id = u_cliente.id
         INNER JOIN estados_citas ec ON c.estado_id = ec.id
-        LEFT JOIN cita_servicio cs ON c.id = cs.cita_id
+        LEFT JOIN cita_servicio cs ON c.id = cs.cita_id AND COALESCE(cs.empleado_id, c.empleado_id) = ?
         LEFT JOIN servicios s ON cs.servicio_id = s.id
-        WHERE c.empleado_id = ?
+        WHERE (c.empleado_id = ? OR cs.cita_id IS NOT NULL)
       `;
       
-      const params = [empleado_id];
+      const params = [empleado_id, empleado_id];
       const condiciones = [];
 
       // Aplicar filtros
@@ -231,7 +262,7 @@ class Cita {
       }
 
       const citas = await query(sql, params);
-      return citas;
+      return citas.map(cita => this.aPorcionEmpleado(cita));
     } catch (error) {
       console.error('Error obteniendo citas por empleado:', error);
       throw error;
@@ -340,7 +371,7 @@ class Cita {
     try {
       const camposPermitidos = [
         'cliente_id', 'empleado_id', 'fecha_hora_inicio', 'fecha_hora_fin',
-        'estado_id', 'notas', 'recordatorio_enviado', 'recordatorio_correo_enviado',
+        'notas', 'recordatorio_enviado', 'recordatorio_correo_enviado',
         'recordatorio_push_enviado', 'sincronizado_calendar', 'event_id_calendar',
         'meet_link', 'origen', 'cancelado_por', 'motivo_cancelacion'
       ];
@@ -379,34 +410,6 @@ class Cita {
   }
   
 
-  /**
-   * Cancelar cita
-   * @param {number} id - ID de la cita
-   * @param {number} cancelado_por - ID del usuario que cancela
-   * @param {string} motivo_cancelacion - Motivo de la cancelación
-   * @returns {boolean} - True si se canceló correctamente
-   */
-  static async cancelar(id, cancelado_por, motivo_cancelacion) {
-    try {
-      // Obtener el ID del estado "Cancelada"
-      const estadoCancelada = await query('SELECT id FROM estados_citas WHERE nombre = ?', ['Cancelada']);
-      if (estadoCancelada.length === 0) {
-        throw new Error('Estado "Cancelada" no encontrado');
-      }
-
-      const sql = `
-        UPDATE citas 
-        SET estado_id = ?, cancelado_por = ?, motivo_cancelacion = ? 
-        WHERE id = ?
-      `;
-      
-      const result = await query(sql, [estadoCancelada[0].id, cancelado_por, motivo_cancelacion, id]);
-      return result.affectedRows > 0;
-    } catch (error) {
-      console.error('Error cancelando cita:', error);
-      throw error;
-    }
-  }
 
   /**
    * Eliminar cita
@@ -675,27 +678,6 @@ class Cita {
 
 
 
-/**
- * Cambiar el estado de una cita
- * @param {number} id - ID de la cita
- * @param {number} estado_id - Nuevo ID del estado
- * @returns {Object} - Cita actualizada
- */
-static async cambiarEstado(id, estado_id) {
-  try {
-    const sql = `UPDATE citas SET estado_id = ? WHERE id = ?`;
-    const result = await query(sql, [estado_id, id]);
-
-    if (result.affectedRows === 0) {
-      throw new Error('Cita no encontrada o no actualizada');
-    }
-
-    return await this.obtenerPorId(id);
-  } catch (error) {
-    console.error('Error cambiando estado de la cita:', error);
-    throw error;
-  }
-}
 
 
 
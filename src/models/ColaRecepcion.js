@@ -0,0 +1,173 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para la cola de recepción
+ * Clientes presentes en la barbería esperando turno: llegadas sin cita y clientes
+ * con reservación que ya registraron su llegada.
+ */
+class ColaRecepcion {
+  /**
+   * Obtener los estados de una entrada de la cola
+   * @returns {Array<string>} Estados válidos
+   */
+  static obtenerEstados() {
+    return ['En espera', 'Llamado', 'Atendido', 'Retirado'];
+  }
+
+  /**
+   * Registrar una entrada en la cola
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {Object} entrada - { cliente_id, tipo, cita_id, empleado_id, servicios, duracion, notas, registrado_por, fecha_llegada }
+   * @returns {Promise<number>} ID de la entrada
+   */
+  static async crear(conexion, entrada) {
+    const {
+      cliente_id, tipo = 'Sin cita', cita_id = null, empleado_id = null,
+      servicios, duracion, notas = null, registrado_por = null, fecha_llegada
+    } = entrada;
+
+    const [result] = await conexion.query(`
+      INSERT INTO cola_recepcion (
+        cliente_id, tipo, cita_id, empleado_id, servicios, duracion, notas, registrado_por, fecha_llegada
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [cliente_id, tipo, cita_id, empleado_id, JSON.stringify(servicios), duracion, notas, registrado_por, fecha_llegada]);
+
+    return result.insertId;
+  }
+
+  /**
+   * Obtener entrada por ID
+   * @param {number} id - ID de la entrada
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta (bloquea la fila)
+   * @returns {Promise<Object|null>} Entrada encontrada
+   */
+  static async obtenerPorId(id, conexion = null) {
+    if (conexion) {
+      const [rows] = await conexion.query('SELECT * FROM cola_recepcion WHERE id = ? FOR UPDATE', [id]);
+      return rows[0] ? this.parsear(rows[0]) : null;
+    }
+
+    const rows = await this.obtenerTodas({ id });
+    return rows[0] || null;
+  }
+
+  /**
+   * Obtener entradas con cliente, barbero y cita
+   * @param {Object} opciones - { id, estados, desde } desde: fecha_llegada mínima (UTC)
+   * @returns {Promise<Array>} Entradas por orden de llegada
+   */
+  static async obtenerTodas(opciones = {}) {
+    const { id = null, estados = null, desde = null } = opciones;
+
+    const condiciones = [];
+    const params = [];
+
+    if (id) {
+      condiciones.push('q.id = ?');
+      params.push(id);
+    }
+
+    if (estados && estados.length > 0) {
+      condiciones.push(`q.estado IN (${estados.map(() => '?').join(', ')})`);
+      params.push(...estados);
+    }
+
+    if (desde) {
+      condiciones.push('q.fecha_llegada >= ?');
+      params.push(desde);
+    }
+
+    const sql = `
+      SELECT q.*,
+             CONCAT(uc.nombre, ' ', uc.apellido) as cliente_nombre,
+             uc.telefono as cliente_telefono,
+             CONCAT(ue.nombre, ' ', ue.apellido) as empleado_nombre,
+             c.fecha_hora_inicio as cita_inicio,
+             c.fecha_hora_fin as cita_fin,
+             ec.nombre as cita_estado
+      FROM cola_recepcion q
+      INNER JOIN clientes cl ON q.cliente_id = cl.id
+      INNER JOIN usuarios uc ON cl.usuario_id = uc.id
+      LEFT JOIN empleados e ON q.empleado_id = e.id
+      LEFT JOIN usuarios ue ON e.usuario_id = ue.id
+      LEFT JOIN citas c ON q.cita_id = c.id
+      LEFT JOIN estados_citas ec ON c.estado_id = ec.id
+      ${condiciones.length > 0 ? 'WHERE ' + condiciones.join(' AND ') : ''}
+      ORDER BY q.fecha_llegada, q.id
+    `;
+
+    try {
+      const rows = await query(sql, params);
+      return rows.map(entrada => this.parsear(entrada));
+    } catch (error) {
+      throw new Error(`Error al obtener la cola de recepción: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convertir la columna JSON de servicios
+   * @param {Object} entrada - Fila de cola_recepcion
+   * @returns {Object} Entrada con servicios como array
+   */
+  static parsear(entrada) {
+    return {
+      ...entrada,
+      servicios: typeof entrada.servicios === 'string' ? JSON.parse(entrada.servicios) : entrada.servicios
+    };
+  }
+
+  /**
+   * Cambiar el estado de una entrada dentro de una transacción
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {number} id - ID de la entrada
+   * @param {string} estado - Nuevo estado
+   * @param {Object} datos - { empleado_id, cita_id } al llamar al cliente
+   * @returns {Promise<void>}
+   */
+  static async cambiarEstado(conexion, id, estado, datos = {}) {
+    const campos = ['estado = ?'];
+    const params = [estado];
+
+    if (estado === 'Llamado') {
+      campos.push('fecha_llamado = UTC_TIMESTAMP()');
+    }
+    if (estado === 'Atendido' || estado === 'Retirado') {
+      campos.push('fecha_salida = UTC_TIMESTAMP()');
+    }
+    if (datos.empleado_id) {
+      campos.push('empleado_id = ?');
+      params.push(datos.empleado_id);
+    }
+    if (datos.cita_id) {
+      campos.push('cita_id = ?');
+      params.push(datos.cita_id);
+    }
+
+    await conexion.query(`UPDATE cola_recepcion SET ${campos.join(', ')} WHERE id = ?`, [...params, id]);
+  }
+
+  /**
+   * Acompañar el cambio de estado de una cita en su entrada de la cola, si la tiene
+   * @param {number} citaId - ID de la cita
+   * @param {string} estado - 'Llamado' (la cita empezó), 'Atendido' o 'Retirado'
+   * @returns {Promise<number>} Entradas actualizadas
+   */
+  static async actualizarPorCita(citaId, estado) {
+    const abiertas = estado === 'Llamado' ? ['En espera'] : ['En espera', 'Llamado'];
+    const fecha = estado === 'Llamado' ? 'fecha_llamado' : 'fecha_salida';
+
+    try {
+      const result = await query(`
+        UPDATE cola_recepcion
+        SET estado = ?, ${fecha} = UTC_TIMESTAMP()
+        WHERE cita_id = ? AND estado IN (${abiertas.map(() => '?').join(', ')})
+      `, [estado, citaId, ...abiertas]);
+
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Error al actualizar la cola de recepción: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ColaRecepcion;
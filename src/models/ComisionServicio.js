@@ -0,0 +1,159 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para comisiones por servicio
+ * Reemplazan el porcentaje general del empleado (empleados.comision_porcentaje) para un servicio,
+ * para un empleado concreto o para todos (empleado_id NULL).
+ */
+class ComisionServicio {
+  /**
+   * Validar una comisión contra las ya registradas para el mismo servicio y empleado
+   * @param {Object} comision - { servicio_id, empleado_id, comision_porcentaje }
+   * @param {number|null} excluirId - Comisión que se está actualizando
+   * @returns {Promise<void>}
+   */
+  static async validar(comision, excluirId = null) {
+    const { servicio_id, empleado_id = null, comision_porcentaje } = comision;
+    const porcentaje = Number(comision_porcentaje);
+
+    if (Number.isNaN(porcentaje) || porcentaje < 0 || porcentaje > 100) {
+      throw new Error('El porcentaje de comisión debe estar entre 0 y 100');
+    }
+
+    // empleado_id NULL no cuenta en el índice único, por eso se valida aquí
+    const existentes = await query(`
+      SELECT id FROM comisiones_servicio
+      WHERE servicio_id = ? AND empleado_id <=> ? AND id <> ?
+    `, [servicio_id, empleado_id, excluirId || 0]);
+
+    if (existentes.length > 0) {
+      throw new Error(empleado_id
+        ? 'El empleado ya tiene una comisión para este servicio'
+        : 'El servicio ya tiene una comisión general');
+    }
+  }
+
+  /**
+   * Crear una nueva comisión por servicio
+   * @param {Object} comision - { servicio_id, empleado_id, comision_porcentaje }
+   * @returns {Promise<Object>} Comisión creada
+   */
+  static async crear(comision) {
+    const { servicio_id, comision_porcentaje } = comision;
+    const empleado_id = comision.empleado_id || null;
+
+    await this.validar({ servicio_id, empleado_id, comision_porcentaje });
+
+    try {
+      const result = await query(`
+        INSERT INTO comisiones_servicio (servicio_id, empleado_id, comision_porcentaje)
+        VALUES (?, ?, ?)
+      `, [servicio_id, empleado_id, comision_porcentaje]);
+
+      return this.obtenerPorId(result.insertId);
+    } catch (error) {
+      throw new Error(`Error al crear comisión de servicio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener comisión por ID
+   * @param {number} id - ID de la comisión
+   * @returns {Promise<Object|null>} Comisión encontrada
+   */
+  static async obtenerPorId(id) {
+    const rows = await this.obtenerTodas({ id });
+    return rows[0] || null;
+  }
+
+  /**
+   * Obtener comisiones con filtros
+   * @param {Object} opciones - { id, servicioId, empleadoId }
+   *                            con empleadoId se incluyen también las generales del servicio
+   * @returns {Promise<Array>} Comisiones con nombre de servicio y empleado
+   */
+  static async obtenerTodas(opciones = {}) {
+    const { id = null, servicioId = null, empleadoId = null } = opciones;
+
+    const condiciones = [];
+    const params = [];
+
+    if (id) {
+      condiciones.push('cs.id = ?');
+      params.push(id);
+    }
+
+    if (servicioId) {
+      condiciones.push('cs.servicio_id = ?');
+      params.push(servicioId);
+    }
+
+    if (empleadoId) {
+      condiciones.push('(cs.empleado_id = ? OR cs.empleado_id IS NULL)');
+      params.push(empleadoId);
+    }
+
+    const sql = `
+      SELECT cs.id, cs.servicio_id, cs.empleado_id, cs.comision_porcentaje,
+             cs.created_at, cs.updated_at,
+             s.nombre as servicio_nombre,
+             CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre
+      FROM comisiones_servicio cs
+      INNER JOIN servicios s ON cs.servicio_id = s.id
+      LEFT JOIN empleados e ON cs.empleado_id = e.id
+      LEFT JOIN usuarios u ON e.usuario_id = u.id
+      ${condiciones.length > 0 ? 'WHERE ' + condiciones.join(' AND ') : ''}
+      ORDER BY s.nombre, cs.empleado_id IS NOT NULL, u.nombre
+    `;
+
+    try {
+      return await query(sql, params);
+    } catch (error) {
+      throw new Error(`Error al obtener comisiones de servicio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar el porcentaje de una comisión
+   * @param {number} id - ID de la comisión
+   * @param {Object} datos - { comision_porcentaje }
+   * @returns {Promise<Object>} Comisión actualizada
+   */
+  static async actualizar(id, datos) {
+    const actual = await this.obtenerPorId(id);
+
+    if (!actual) {
+      throw new Error('Comisión de servicio no encontrada');
+    }
+
+    await this.validar({ ...actual, comision_porcentaje: datos.comision_porcentaje }, id);
+
+    try {
+      await query(`
+        UPDATE comisiones_servicio
+        SET comision_porcentaje = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [datos.comision_porcentaje, id]);
+
+      return this.obtenerPorId(id);
+    } catch (error) {
+      throw new Error(`Error al actualizar comisión de servicio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eliminar comisión
+   * @param {number} id - ID de la comisión
+   * @returns {Promise<boolean>} Resultado de la operación
+   */
+  static async eliminar(id) {
+    try {
+      const result = await query('DELETE FROM comisiones_servicio WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error al eliminar comisión de servicio: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ComisionServicio;
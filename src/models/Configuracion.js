@@ -27,13 +27,13 @@ class Configuracion {
       throw new Error('Ya existe una configuración con esa clave');
     }
 
-    const query = `
+    const sql = `
       INSERT INTO configuraciones (clave, valor, descripcion, tipo, categoria, editable, visible)
       VALUES (?, ?, ?, ?, ?, ?, ?)
     `;
 
     try {
-      const result = await query(query, [
+      const result = await query(sql, [
         clave, valor, descripcion, tipo, categoria, editable, visible
       ]);
 
@@ -49,10 +49,10 @@ class Configuracion {
    * @returns {Promise<Object|null>} Configuración encontrada
    */
   static async obtenerPorId(id) {
-    const query = 'SELECT * FROM configuraciones WHERE id = ?';
+    const sql = 'SELECT * FROM configuraciones WHERE id = ?';
 
     try {
-      const rows = await query(query, [id]);
+      const rows = await query(sql, [id]);
       return rows[0] || null;
     } catch (error) {
       throw new Error(`Error al obtener configuración: ${error.message}`);
@@ -65,10 +65,10 @@ class Configuracion {
    * @returns {Promise<Object|null>} Configuración encontrada
    */
   static async obtenerPorClave(clave) {
-    const query = 'SELECT * FROM configuraciones WHERE clave = ?';
+    const sql = 'SELECT * FROM configuraciones WHERE clave = ?';
 
     try {
-      const rows = await query(query, [clave]);
+      const rows = await query(sql, [clave]);
       return rows[0] || null;
     } catch (error) {
       throw new Error(`Error al obtener configuración por clave: ${error.message}`);
@@ -160,7 +160,7 @@ class Configuracion {
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
     const offset = (pagina - 1) * limite;
-    const query = `
+    const sql = `
       SELECT * FROM configuraciones
       ${whereClause}
       ORDER BY ${orden} ${direccion}
@@ -174,7 +174,7 @@ class Configuracion {
     `;
 
     try {
-      const rows = await query(query, [...params, limite, offset]);
+      const rows = await query(sql, [...params, limite, offset]);
       const countResult = await query(countQuery, params);
 
       return {
@@ -223,14 +223,14 @@ class Configuracion {
     }
 
     valores.push(id);
-    const query = `
+    const sql = `
       UPDATE configuraciones 
       SET ${camposActualizar.join(', ')}, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `;
 
     try {
-      const result = await query(query, valores);
+      const result = await query(sql, valores);
       
       if (result.affectedRows === 0) {
         throw new Error('Configuración no encontrada');
@@ -272,10 +272,10 @@ class Configuracion {
       throw new Error('Esta configuración no se puede eliminar');
     }
 
-    const query = 'DELETE FROM configuraciones WHERE id = ?';
+    const sql = 'DELETE FROM configuraciones WHERE id = ?';
 
     try {
-      const result = await query(query, [id]);
+      const result = await query(sql, [id]);
       return result.affectedRows > 0;
     } catch (error) {
       throw new Error(`Error al eliminar configuración: ${error.message}`);
@@ -291,7 +291,7 @@ class Configuracion {
   static async buscarPorTexto(texto, opciones = {}) {
     const { limite = 20 } = opciones;
 
-    const query = `
+    const sql = `
       SELECT * FROM configuraciones
       WHERE clave LIKE ? OR descripcion LIKE ? OR valor LIKE ?
       ORDER BY categoria ASC, clave ASC
@@ -301,7 +301,7 @@ class Configuracion {
     const searchTerm = `%${texto}%`;
 
     try {
-      const rows = await query(query, [searchTerm, searchTerm, searchTerm, limite]);
+      const rows = await query(sql, [searchTerm, searchTerm, searchTerm, limite]);
       return rows;
     } catch (error) {
       throw new Error(`Error al buscar configuraciones: ${error.message}`);
@@ -325,14 +325,14 @@ class Configuracion {
       params.push(visible);
     }
 
-    const query = `
+    const sql = `
       SELECT * FROM configuraciones
       WHERE ${whereConditions.join(' AND ')}
       ORDER BY ${orden}
     `;
 
     try {
-      const rows = await query(query, params);
+      const rows = await query(sql, params);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener configuraciones por categoría: ${error.message}`);
@@ -355,14 +355,14 @@ class Configuracion {
       params.push(categoria);
     }
 
-    const query = `
+    const sql = `
       SELECT * FROM configuraciones
       WHERE ${whereConditions.join(' AND ')}
       ORDER BY ${orden}
     `;
 
     try {
-      const rows = await query(query, params);
+      const rows = await query(sql, params);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener configuraciones editables: ${error.message}`);
@@ -385,14 +385,14 @@ class Configuracion {
       params.push(categoria);
     }
 
-    const query = `
+    const sql = `
       SELECT * FROM configuraciones
       WHERE ${whereConditions.join(' AND ')}
       ORDER BY ${orden}
     `;
 
     try {
-      const rows = await query(query, params);
+      const rows = await query(sql, params);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener configuraciones visibles: ${error.message}`);
@@ -417,14 +417,14 @@ class Configuracion {
 
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
-    const query = `
+    const sql = `
       SELECT * FROM configuraciones
       ${whereClause}
       ORDER BY categoria ASC, clave ASC
     `;
 
     try {
-      const rows = await query(query, params);
+      const rows = await query(sql, params);
       
       const configuraciones = {};
       rows.forEach(row => {
@@ -446,7 +446,7 @@ class Configuracion {
    * @returns {Promise<Array>} Categorías disponibles
    */
   static async obtenerCategorias() {
-    const query = `
+    const sql = `
       SELECT DISTINCT categoria, COUNT(*) as cantidad
       FROM configuraciones
       GROUP BY categoria
@@ -454,7 +454,7 @@ class Configuracion {
     `;
 
     try {
-      const rows = await query(query);
+      const rows = await query(sql);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener categorías: ${error.message}`);
@@ -466,7 +466,7 @@ class Configuracion {
    * @returns {Promise<Array>} Tipos disponibles
    */
   static async obtenerTipos() {
-    const query = `
+    const sql = `
       SELECT DISTINCT tipo, COUNT(*) as cantidad
       FROM configuraciones
       GROUP BY tipo
@@ -474,7 +474,7 @@ class Configuracion {
     `;
 
     try {
-      const rows = await query(query);
+      const rows = await query(sql);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener tipos: ${error.message}`);
@@ -486,7 +486,7 @@ class Configuracion {
    * @returns {Promise<Object>} Estadísticas de configuraciones
    */
   static async obtenerEstadisticas() {
-    const query = `
+    const sql = `
       SELECT 
         COUNT(*) as total_configuraciones,
         COUNT(CASE WHEN editable = 1 THEN 1 END) as editables,
@@ -499,7 +499,7 @@ class Configuracion {
     `;
 
     try {
-      const rows = await query(query);
+      const rows = await query(sql);
       return rows[0];
     } catch (error) {
       throw new Error(`Error al obtener estadísticas: ${error.message}`);
@@ -563,6 +563,97 @@ class Configuracion {
         tipo: 'string',
         categoria: 'database'
       },
+      {
+        clave: 'zona_horaria',
+        valor: 'America/Guayaquil',
+        descripcion: 'Zona horaria del negocio (IANA). Por barbero: zona_horaria_empleado_<id>',
+        tipo: 'string',
+        categoria: 'general'
+      },
+      {
+        clave: 'moneda',
+        valor: 'USD',
+        descripcion: 'Código ISO 4217 de la moneda del negocio (filtro moneda de las plantillas)',
+        tipo: 'string',
+        categoria: 'general'
+      },
+      {
+        clave: 'impuesto_porcentaje',
+        valor: '0',
+        descripcion: 'Porcentaje de impuesto aplicado a las reservaciones',
+        tipo: 'number',
+        categoria: 'reservaciones'
+      },
+      {
+        clave: 'retencion_minutos',
+        valor: '10',
+        descripcion: 'Minutos que se reserva un horario mientras el cliente completa la reservación',
+        tipo: 'number',
+        categoria: 'reservaciones'
+      },
+      {
+        clave: 'cancelacion_horas_minimas',
+        valor: '24',
+        descripcion: 'Horas mínimas de anticipación para cancelar una cita sin cargo',
+        tipo: 'number',
+        categoria: 'reservaciones'
+      },
+      {
+        clave: 'cancelacion_permitir_tardia',
+        valor: 'true',
+        descripcion: 'Permitir que el cliente cancele dentro del plazo mínimo pagando el cargo',
+        tipo: 'boolean',
+        categoria: 'reservaciones'
+      },
+      {
+        clave: 'cancelacion_cargo_tipo',
+        valor: 'porcentaje',
+        descripcion: 'Tipo de cargo por cancelación tardía (porcentaje o monto)',
+        tipo: 'string',
+        categoria: 'reservaciones'
+      },
+      {
+        clave: 'cancelacion_cargo_valor',
+        valor: '0',
+        descripcion: 'Porcentaje del total o monto fijo cobrado por cancelación tardía',
+        tipo: 'number',
+        categoria: 'reservaciones'
+      },
+      {
+        clave: 'cancelacion_estados_permitidos',
+        valor: '["Pendiente","Confirmada"]',
+        descripcion: 'Estados de cita que se pueden cancelar',
+        tipo: 'json',
+        categoria: 'reservaciones'
+      },
+      {
+        clave: 'lista_espera_minutos_oferta',
+        valor: '30',
+        descripcion: 'Minutos que tiene un cliente en lista de espera para aceptar un horario ofrecido',
+        tipo: 'number',
+        categoria: 'reservaciones'
+      },
+      {
+        clave: 'serie_max_ocurrencias',
+        valor: '26',
+        descripcion: 'Cantidad máxima de citas que puede generar una serie recurrente',
+        tipo: 'number',
+        categoria: 'reservaciones'
+      },
+      {
+        clave: 'asignacion_empleado_estrategia',
+        valor: 'rotacion',
+        descripcion: 'Cómo se elige barbero cuando el cliente reserva con cualquiera (rotacion, menos_citas o prioridad_comision)',
+        tipo: 'string',
+        categoria: 'reservaciones'
+      },
+      {
+        clave: 'recordatorio_horas_ultimo_aviso',
+        valor: '2',
+        descripcion: 'Horas antes de la cita del último recordatorio, además del que elige cada cliente (0 lo desactiva)',
+        tipo: 'number',
+        categoria: 'notificaciones'
+      },
       {
         clave: 'upload_max_size',
         valor: '5242880',
@@ -591,6 +682,27 @@ class Configuracion {
         tipo: 'string',
         categoria: 'email'
       },
+      {
+        clave: 'negocio_nombre',
+        valor: 'BarberShot',
+        descripcion: 'Nombre del negocio en los correos ({{NOMBRE_NEGOCIO}})',
+        tipo: 'string',
+        categoria: 'email'
+      },
+      {
+        clave: 'negocio_telefono',
+        valor: '(123) 456-7890',
+        descripcion: 'Teléfono de contacto en los correos ({{TELEFONO_SALON}})',
+        tipo: 'string',
+        categoria: 'email'
+      },
+      {
+        clave: 'negocio_email',
+        valor: 'info@barbershot.com',
+        descripcion: 'Correo de contacto en los correos ({{EMAIL_SALON}})',
+        tipo: 'string',
+        categoria: 'email'
+      },
       {
         clave: 'pagination_default_limit',
         valor: '10',
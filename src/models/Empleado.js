@@ -465,13 +465,16 @@ INNER JOIN roles r ON u.rol_id = r.id
 
   /**
    * Obtener servicios de un empleado
+   * precio_efectivo y duracion_efectiva son los propios del empleado si los tiene, o los del servicio
    * @param {number} empleadoId - ID del empleado
    * @returns {Array} - Lista de servicios
    */
   static async obtenerServicios(empleadoId) {
     try {
       const sql = `
-        SELECT s.*, cs.nombre as categoria_nombre, es.puede_realizar
+        SELECT s.*, cs.nombre as categoria_nombre, es.puede_realizar,
+               COALESCE(es.precio, s.precio) as precio_efectivo,
+               COALESCE(es.duracion, s.duracion) as duracion_efectiva
         FROM servicios s
         INNER JOIN empleado_servicio es ON s.id = es.servicio_id
         LEFT JOIN categorias_servicios cs ON s.categoria_id = cs.id
@@ -3,8 +3,27 @@ const { query } = require('../config/database');
 /**
  * Modelo para la gestión de relaciones empleado-servicio
  * Maneja operaciones CRUD, búsquedas, filtros y estadísticas de servicios por empleado
+ * Cada relación puede fijar un precio y una duración propios del empleado; las consultas
+ * devuelven precio_efectivo y duracion_efectiva con el valor que se cobra y se agenda.
  */
 class EmpleadoServicio {
+  /**
+   * Validar el precio y la duración propios de un empleado para un servicio
+   * Ambos son opcionales: null significa usar los de servicios
+   * @param {Object} condiciones - { precio, duracion }
+   */
+  static validarCondiciones(condiciones) {
+    const { precio = null, duracion = null } = condiciones;
+
+    if (precio !== null && (isNaN(Number(precio)) || Number(precio) < 0)) {
+      throw new Error('El precio del empleado debe ser un número mayor o igual a 0');
+    }
+
+    if (duracion !== null && (!Number.isInteger(Number(duracion)) || Number(duracion) <= 0)) {
+      throw new Error('La duración del empleado debe ser un número entero de minutos mayor a 0');
+    }
+  }
+
   /**
    * Crear una nueva relación empleado-servicio
    * @param {Object} relacion - Datos de la relación
@@ -14,22 +33,26 @@ class EmpleadoServicio {
     const {
       empleado_id,
       servicio_id,
-      puede_realizar = 1
+      puede_realizar = 1,
+      precio = null,
+      duracion = null
     } = relacion;
 
+    this.validarCondiciones({ precio, duracion });
+
     // Verificar que la relación no exista
     const existente = await this.obtenerPorEmpleadoServicio(empleado_id, servicio_id);
     if (existente) {
       throw new Error('El empleado ya tiene este servicio asignado');
     }
 
-    const query = `
-      INSERT INTO empleado_servicio (empleado_id, servicio_id, puede_realizar)
-      VALUES (?, ?, ?)
+    const sql = `
+      INSERT INTO empleado_servicio (empleado_id, servicio_id, puede_realizar, precio, duracion)
+      VALUES (?, ?, ?, ?, ?)
     `;
 
     try {
-      const result = await query(query, [empleado_id, servicio_id, puede_realizar]);
+      const result = await query(sql, [empleado_id, servicio_id, puede_realizar, precio, duracion]);
       return this.obtenerPorId(empleado_id, servicio_id);
     } catch (error) {
       throw new Error(`Error al crear relación empleado-servicio: ${error.message}`);
@@ -43,7 +66,7 @@ class EmpleadoServicio {
    * @returns {Promise<Object|null>} Relación encontrada
    */
   static async obtenerPorId(empleado_id, servicio_id) {
-    const query = `
+    const sql = `
       SELECT es.*,
              CONCAT(eu.nombre, ' ', eu.apellido) as empleado_nombre,
              e.titulo as empleado_titulo,
@@ -51,6 +74,8 @@ class EmpleadoServicio {
              s.descripcion as servicio_descripcion,
              s.precio as servicio_precio,
              s.duracion as servicio_duracion,
+             COALESCE(es.precio, s.precio) as precio_efectivo,
+             COALESCE(es.duracion, s.duracion) as duracion_efectiva,
              cs.nombre as categoria_servicio
       FROM empleado_servicio es
       JOIN empleados e ON es.empleado_id = e.id
@@ -61,7 +86,7 @@ class EmpleadoServicio {
     `;
 
     try {
-      const rows = await query(query, [empleado_id, servicio_id]);
+      const rows = await query(sql, [empleado_id, servicio_id]);
       return rows[0] || null;
     } catch (error) {
       throw new Error(`Error al obtener relación empleado-servicio: ${error.message}`);
@@ -115,7 +140,7 @@ class EmpleadoServicio {
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
     const offset = (pagina - 1) * limite;
-    const query = `
+    const sql = `
       SELECT es.*,
              CONCAT(eu.nombre, ' ', eu.apellido) as empleado_nombre,
              e.titulo as empleado_titulo,
@@ -123,6 +148,8 @@ class EmpleadoServicio {
              s.descripcion as servicio_descripcion,
              s.precio as servicio_precio,
              s.duracion as servicio_duracion,
+             COALESCE(es.precio, s.precio) as precio_efectivo,
+             COALESCE(es.duracion, s.duracion) as duracion_efectiva,
              cs.nombre as categoria_servicio
       FROM empleado_servicio es
       JOIN empleados e ON es.empleado_id = e.id
@@ -141,7 +168,7 @@ class EmpleadoServicio {
     `;
 
     try {
-      const rows = await query(query, [...params, limite, offset]);
+      const rows = await query(sql, [...params, limite, offset]);
       const countResult = await query(countQuery, params);
 
       return {
@@ -166,7 +193,12 @@ class EmpleadoServicio {
    * @returns {Promise<Object>} Relación actualizada
    */
   static async actualizar(empleado_id, servicio_id, datos) {
-    const camposPermitidos = ['puede_realizar'];
+    const camposPermitidos = ['puede_realizar', 'precio', 'duracion'];
+
+    this.validarCondiciones({
+      precio: datos.precio !== undefined ? datos.precio : null,
+      duracion: datos.duracion !== undefined ? datos.duracion : null
+    });
     const camposActualizar = [];
     const valores = [];
 
@@ -182,14 +214,14 @@ class EmpleadoServicio {
     }
 
     valores.push(empleado_id, servicio_id);
-    const query = `
+    const sql = `
       UPDATE empleado_servicio 
       SET ${camposActualizar.join(', ')}, updated_at = CURRENT_TIMESTAMP
       WHERE empleado_id = ? AND servicio_id = ?
     `;
 
     try {
-      const result = await query(query, valores);
+      const result = await query(sql, valores);
       
       if (result.affectedRows === 0) {
         throw new Error('Relación empleado-servicio no encontrada');
@@ -208,10 +240,10 @@ class EmpleadoServicio {
    * @returns {Promise<boolean>} Resultado de la operación
    */
   static async eliminar(empleado_id, servicio_id) {
-    const query = 'DELETE FROM empleado_servicio WHERE empleado_id = ? AND servicio_id = ?';
+    const sql = 'DELETE FROM empleado_servicio WHERE empleado_id = ? AND servicio_id = ?';
 
     try {
-      const result = await query(query, [empleado_id, servicio_id]);
+      const result = await query(sql, [empleado_id, servicio_id]);
       return result.affectedRows > 0;
     } catch (error) {
       throw new Error(`Error al eliminar relación: ${error.message}`);
@@ -235,7 +267,7 @@ class EmpleadoServicio {
       params.push(puede_realizar);
     }
 
-    const query = `
+    const sql = `
       SELECT es.*,
              CONCAT(eu.nombre, ' ', eu.apellido) as empleado_nombre,
              e.titulo as empleado_titulo,
@@ -243,6 +275,8 @@ class EmpleadoServicio {
              s.descripcion as servicio_descripcion,
              s.precio as servicio_precio,
              s.duracion as servicio_duracion,
+             COALESCE(es.precio, s.precio) as precio_efectivo,
+             COALESCE(es.duracion, s.duracion) as duracion_efectiva,
              cs.nombre as categoria_servicio
       FROM empleado_servicio es
       JOIN empleados e ON es.empleado_id = e.id
@@ -254,7 +288,7 @@ class EmpleadoServicio {
     `;
 
     try {
-      const rows = await query(query, params);
+      const rows = await query(sql, params);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener servicios por empleado: ${error.message}`);
@@ -278,7 +312,7 @@ class EmpleadoServicio {
       params.push(puede_realizar);
     }
 
-    const query = `
+    const sql = `
       SELECT es.*,
              CONCAT(eu.nombre, ' ', eu.apellido) as empleado_nombre,
              e.titulo as empleado_titulo,
@@ -286,6 +320,8 @@ class EmpleadoServicio {
              s.descripcion as servicio_descripcion,
              s.precio as servicio_precio,
              s.duracion as servicio_duracion,
+             COALESCE(es.precio, s.precio) as precio_efectivo,
+             COALESCE(es.duracion, s.duracion) as duracion_efectiva,
              cs.nombre as categoria_servicio
       FROM empleado_servicio es
       JOIN empleados e ON es.empleado_id = e.id
@@ -297,7 +333,7 @@ class EmpleadoServicio {
     `;
 
     try {
-      const rows = await query(query, params);
+      const rows = await query(sql, params);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener empleados por servicio: ${error.message}`);
@@ -310,14 +346,16 @@ class EmpleadoServicio {
    * @returns {Promise<Array>} Empleados disponibles
    */
   static async obtenerEmpleadosDisponibles(servicio_id) {
-    const query = `
+    const sql = `
       SELECT es.*,
              CONCAT(eu.nombre, ' ', eu.apellido) as empleado_nombre,
              e.titulo as empleado_titulo,
              s.nombre as servicio_nombre,
              s.descripcion as servicio_descripcion,
              s.precio as servicio_precio,
-             s.duracion as servicio_duracion
+             s.duracion as servicio_duracion,
+             COALESCE(es.precio, s.precio) as precio_efectivo,
+             COALESCE(es.duracion, s.duracion) as duracion_efectiva
       FROM empleado_servicio es
       JOIN empleados e ON es.empleado_id = e.id
       JOIN usuarios eu ON e.usuario_id = eu.id
@@ -329,7 +367,7 @@ class EmpleadoServicio {
     `;
 
     try {
-      const rows = await query(query, [servicio_id]);
+      const rows = await query(sql, [servicio_id]);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener empleados disponibles: ${error.message}`);
@@ -345,7 +383,7 @@ class EmpleadoServicio {
   static async buscarEmpleadosPorServicio(texto, opciones = {}) {
     const { limite = 20 } = opciones;
 
-    const query = `
+    const sql = `
       SELECT es.*,
              CONCAT(eu.nombre, ' ', eu.apellido) as empleado_nombre,
              e.titulo as empleado_titulo,
@@ -353,6 +391,8 @@ class EmpleadoServicio {
              s.descripcion as servicio_descripcion,
              s.precio as servicio_precio,
              s.duracion as servicio_duracion,
+             COALESCE(es.precio, s.precio) as precio_efectivo,
+             COALESCE(es.duracion, s.duracion) as duracion_efectiva,
              cs.nombre as categoria_servicio
       FROM empleado_servicio es
       JOIN empleados e ON es.empleado_id = e.id
@@ -371,7 +411,7 @@ class EmpleadoServicio {
     const searchTerm = `%${texto}%`;
 
     try {
-      const rows = await query(query, [
+      const rows = await query(sql, [
         searchTerm, searchTerm, searchTerm, searchTerm, searchTerm, limite
       ]);
       return rows;
@@ -385,7 +425,7 @@ class EmpleadoServicio {
    * @returns {Promise<Object>} Estadísticas de servicios
    */
   static async obtenerEstadisticas() {
-    const query = `
+    const sql = `
       SELECT 
         COUNT(*) as total_relaciones,
         COUNT(DISTINCT empleado_id) as empleados_con_servicios,
@@ -396,7 +436,7 @@ class EmpleadoServicio {
     `;
 
     try {
-      const rows = await query(query);
+      const rows = await query(sql);
       return rows[0];
     } catch (error) {
       throw new Error(`Error al obtener estadísticas: ${error.message}`);
@@ -409,7 +449,7 @@ class EmpleadoServicio {
    * @returns {Promise<Object>} Estadísticas del empleado
    */
   static async obtenerEstadisticasEmpleado(empleado_id) {
-    const query = `
+    const sql = `
       SELECT 
         COUNT(*) as total_servicios,
         COUNT(CASE WHEN puede_realizar = 1 THEN 1 END) as servicios_habilitados,
@@ -422,7 +462,7 @@ class EmpleadoServicio {
     `;
 
     try {
-      const rows = await query(query, [empleado_id]);
+      const rows = await query(sql, [empleado_id]);
       return rows[0];
     } catch (error) {
       throw new Error(`Error al obtener estadísticas del empleado: ${error.message}`);
@@ -434,7 +474,7 @@ class EmpleadoServicio {
    * @returns {Promise<Array>} Estadísticas por servicio
    */
   static async obtenerEstadisticasPorServicio() {
-    const query = `
+    const sql = `
       SELECT s.id,
              s.nombre as servicio_nombre,
              s.precio as servicio_precio,
@@ -448,7 +488,7 @@ class EmpleadoServicio {
     `;
 
     try {
-      const rows = await query(query);
+      const rows = await query(sql);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener estadísticas por servicio: ${error.message}`);
@@ -469,7 +509,9 @@ class EmpleadoServicio {
         const servicioAsignado = await this.crear({
           empleado_id,
           servicio_id: servicio.servicio_id,
-          puede_realizar: servicio.puede_realizar !== undefined ? servicio.puede_realizar : 1
+          puede_realizar: servicio.puede_realizar !== undefined ? servicio.puede_realizar : 1,
+          precio: servicio.precio !== undefined ? servicio.precio : null,
+          duracion: servicio.duracion !== undefined ? servicio.duracion : null
         });
         serviciosAsignados.push(servicioAsignado);
       } catch (error) {
@@ -486,10 +528,10 @@ class EmpleadoServicio {
    * @returns {Promise<number>} Cantidad de servicios eliminados
    */
   static async eliminarServiciosEmpleado(empleado_id) {
-    const query = 'DELETE FROM empleado_servicio WHERE empleado_id = ?';
+    const sql = 'DELETE FROM empleado_servicio WHERE empleado_id = ?';
 
     try {
-      const result = await query(query, [empleado_id]);
+      const result = await query(sql, [empleado_id]);
       return result.affectedRows;
     } catch (error) {
       throw new Error(`Error al eliminar servicios del empleado: ${error.message}`);
@@ -539,13 +581,15 @@ class EmpleadoServicio {
 
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
-    const query = `
-      SELECT es.empleado_id, es.servicio_id, es.puede_realizar, es.created_at,
+    const sql = `
+      SELECT es.empleado_id, es.servicio_id, es.puede_realizar, es.precio, es.duracion, es.created_at,
              CONCAT(eu.nombre, ' ', eu.apellido) as empleado_nombre,
              e.titulo as empleado_titulo,
              s.nombre as servicio_nombre,
              s.precio as servicio_precio,
              s.duracion as servicio_duracion,
+             COALESCE(es.precio, s.precio) as precio_efectivo,
+             COALESCE(es.duracion, s.duracion) as duracion_efectiva,
              cs.nombre as categoria_servicio
       FROM empleado_servicio es
       JOIN empleados e ON es.empleado_id = e.id
@@ -557,7 +601,7 @@ class EmpleadoServicio {
     `;
 
     try {
-      const rows = await query(query, params);
+      const rows = await query(sql, params);
       return rows;
     } catch (error) {
       throw new Error(`Error al exportar relaciones: ${error.message}`);
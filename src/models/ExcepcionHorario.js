@@ -0,0 +1,221 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para el calendario de excepciones de horario
+ * Cierres y horarios especiales por fecha, de toda la barbería (empleado_id NULL) o de un empleado.
+ * Un cierre anula el día; un horario especial reemplaza el horario semanal de esa fecha.
+ */
+class ExcepcionHorario {
+  /**
+   * Obtener los tipos de excepción disponibles
+   * @returns {Array<string>} Tipos válidos
+   */
+  static obtenerTipos() {
+    return ['Cerrado', 'Horario especial'];
+  }
+
+  /**
+   * Normalizar fecha y horas de una excepción ('YYYY-MM-DD' y 'HH:MM:SS')
+   * Los cierres no llevan horas
+   * @param {Object} excepcion - Datos de la excepción
+   * @returns {Object} Excepción normalizada
+   */
+  static normalizar(excepcion) {
+    const cerrado = excepcion.tipo === 'Cerrado';
+    const aHora = (hora) => (hora ? String(hora).slice(0, 8).padEnd(8, ':00') : null);
+
+    return {
+      ...excepcion,
+      empleado_id: excepcion.empleado_id || null,
+      fecha: String(excepcion.fecha).slice(0, 10),
+      hora_inicio: cerrado ? null : aHora(excepcion.hora_inicio),
+      hora_fin: cerrado ? null : aHora(excepcion.hora_fin)
+    };
+  }
+
+  /**
+   * Validar una excepción contra las ya registradas para la misma fecha y alcance
+   * @param {Object} excepcion - { empleado_id, fecha, tipo, hora_inicio, hora_fin }
+   * @param {number|null} excluirId - Excepción que se está actualizando
+   * @returns {Promise<void>}
+   */
+  static async validar(excepcion, excluirId = null) {
+    const { empleado_id = null, fecha, tipo, hora_inicio = null, hora_fin = null } = excepcion;
+
+    if (!this.obtenerTipos().includes(tipo)) {
+      throw new Error(`Tipo inválido. Debe ser: ${this.obtenerTipos().join(', ')}`);
+    }
+
+    if (tipo === 'Horario especial' && (!hora_inicio || !hora_fin || hora_fin <= hora_inicio)) {
+      throw new Error('Un horario especial necesita hora_inicio anterior a hora_fin');
+    }
+
+    const existentes = await query(`
+      SELECT id, tipo, hora_inicio, hora_fin
+      FROM excepciones_horario
+      WHERE fecha = ? AND empleado_id <=> ? AND id <> ?
+    `, [fecha, empleado_id, excluirId || 0]);
+
+    if (tipo === 'Cerrado' && existentes.length > 0) {
+      throw new Error('Ya hay excepciones para esa fecha; elimínalas antes de registrar un cierre');
+    }
+
+    if (existentes.some(existente => existente.tipo === 'Cerrado')) {
+      throw new Error('La fecha ya está marcada como cerrada');
+    }
+
+    // Varios horarios especiales en un mismo día (turno partido) no pueden solaparse
+    const solapado = existentes.some(existente => existente.hora_inicio < hora_fin && existente.hora_fin > hora_inicio);
+    if (solapado) {
+      throw new Error('El horario especial se solapa con otro de la misma fecha');
+    }
+  }
+
+  /**
+   * Crear una nueva excepción
+   * @param {Object} excepcion - Datos de la excepción
+   * @returns {Promise<Object>} Excepción creada
+   */
+  static async crear(excepcion) {
+    const { empleado_id, fecha, tipo, hora_inicio, hora_fin, motivo = null } = this.normalizar(excepcion);
+
+    await this.validar({ empleado_id, fecha, tipo, hora_inicio, hora_fin });
+
+    const sql = `
+      INSERT INTO excepciones_horario (empleado_id, fecha, tipo, hora_inicio, hora_fin, motivo)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const result = await query(sql, [empleado_id, fecha, tipo, hora_inicio, hora_fin, motivo]);
+      return this.obtenerPorId(result.insertId);
+    } catch (error) {
+      throw new Error(`Error al crear excepción de horario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener excepción por ID
+   * @param {number} id - ID de la excepción
+   * @returns {Promise<Object|null>} Excepción encontrada
+   */
+  static async obtenerPorId(id) {
+    const sql = `
+      SELECT x.id, x.empleado_id, DATE_FORMAT(x.fecha, '%Y-%m-%d') as fecha, x.tipo,
+             x.hora_inicio, x.hora_fin, x.motivo, x.created_at, x.updated_at,
+             CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre
+      FROM excepciones_horario x
+      LEFT JOIN empleados e ON x.empleado_id = e.id
+      LEFT JOIN usuarios u ON e.usuario_id = u.id
+      WHERE x.id = ?
+    `;
+
+    try {
+      const rows = await query(sql, [id]);
+      return rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error al obtener excepción de horario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener excepciones con filtros
+   * @param {Object} opciones - { desde, hasta, empleadoId, soloBarberia }
+   *                            con empleadoId se incluyen también las de toda la barbería
+   * @returns {Promise<Array>} Excepciones ordenadas por fecha
+   */
+  static async obtenerTodas(opciones = {}) {
+    const { desde = null, hasta = null, empleadoId = null, soloBarberia = false } = opciones;
+
+    const condiciones = [];
+    const params = [];
+
+    if (desde) {
+      condiciones.push('x.fecha >= ?');
+      params.push(desde);
+    }
+
+    if (hasta) {
+      condiciones.push('x.fecha <= ?');
+      params.push(hasta);
+    }
+
+    if (soloBarberia) {
+      condiciones.push('x.empleado_id IS NULL');
+    } else if (empleadoId) {
+      condiciones.push('(x.empleado_id = ? OR x.empleado_id IS NULL)');
+      params.push(empleadoId);
+    }
+
+    const sql = `
+      SELECT x.id, x.empleado_id, DATE_FORMAT(x.fecha, '%Y-%m-%d') as fecha, x.tipo,
+             x.hora_inicio, x.hora_fin, x.motivo, x.created_at, x.updated_at,
+             CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre
+      FROM excepciones_horario x
+      LEFT JOIN empleados e ON x.empleado_id = e.id
+      LEFT JOIN usuarios u ON e.usuario_id = u.id
+      ${condiciones.length > 0 ? 'WHERE ' + condiciones.join(' AND ') : ''}
+      ORDER BY x.fecha, x.empleado_id IS NOT NULL, x.empleado_id, x.hora_inicio
+    `;
+
+    try {
+      return await query(sql, params);
+    } catch (error) {
+      throw new Error(`Error al obtener excepciones de horario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar excepción
+   * @param {number} id - ID de la excepción
+   * @param {Object} datos - Datos a actualizar
+   * @returns {Promise<Object>} Excepción actualizada
+   */
+  static async actualizar(id, datos) {
+    const actual = await this.obtenerPorId(id);
+
+    if (!actual) {
+      throw new Error('Excepción de horario no encontrada');
+    }
+
+    const cambios = { ...actual };
+    ['empleado_id', 'fecha', 'tipo', 'hora_inicio', 'hora_fin', 'motivo'].forEach(campo => {
+      if (datos[campo] !== undefined) cambios[campo] = datos[campo];
+    });
+    const excepcion = this.normalizar(cambios);
+
+    await this.validar(excepcion, id);
+
+    const sql = `
+      UPDATE excepciones_horario
+      SET empleado_id = ?, fecha = ?, tipo = ?, hora_inicio = ?, hora_fin = ?, motivo = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    try {
+      await query(sql, [
+        excepcion.empleado_id, excepcion.fecha, excepcion.tipo,
+        excepcion.hora_inicio, excepcion.hora_fin, excepcion.motivo, id
+      ]);
+      return this.obtenerPorId(id);
+    } catch (error) {
+      throw new Error(`Error al actualizar excepción de horario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eliminar excepción
+   * @param {number} id - ID de la excepción
+   * @returns {Promise<boolean>} Resultado de la operación
+   */
+  static async eliminar(id) {
+    try {
+      const result = await query('DELETE FROM excepciones_horario WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error al eliminar excepción de horario: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ExcepcionHorario;
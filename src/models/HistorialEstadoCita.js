@@ -0,0 +1,60 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para el historial de estados de las citas
+ * Cada cambio de estado (y el estado con el que se creó la cita) queda registrado
+ * con el usuario que lo hizo y el motivo.
+ */
+class HistorialEstadoCita {
+  /**
+   * Registrar un cambio de estado dentro de una transacción
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {Object} cambio - { cita_id, estado_anterior, estado_nuevo, usuario_id, motivo }
+   *                          estados por nombre; estado_anterior null al crear la cita
+   * @returns {Promise<number>} ID del registro
+   */
+  static async crear(conexion, cambio) {
+    const { cita_id, estado_anterior = null, estado_nuevo, usuario_id = null, motivo = null } = cambio;
+
+    const [result] = await conexion.query(`
+      INSERT INTO historial_estados_cita (cita_id, estado_anterior_id, estado_nuevo_id, usuario_id, motivo)
+      VALUES (
+        ?,
+        (SELECT id FROM estados_citas WHERE nombre = ?),
+        (SELECT id FROM estados_citas WHERE nombre = ?),
+        ?,
+        ?
+      )
+    `, [cita_id, estado_anterior, estado_nuevo, usuario_id, motivo]);
+
+    return result.insertId;
+  }
+
+  /**
+   * Obtener el historial de una cita
+   * @param {number} citaId - ID de la cita
+   * @returns {Promise<Array>} Cambios del más antiguo al más reciente
+   */
+  static async obtenerPorCita(citaId) {
+    const sql = `
+      SELECT h.id, h.cita_id, h.estado_anterior_id, ea.nombre as estado_anterior,
+             h.estado_nuevo_id, en.nombre as estado_nuevo, en.color as estado_nuevo_color,
+             h.usuario_id, CONCAT(u.nombre, ' ', u.apellido) as usuario_nombre,
+             h.motivo, h.created_at
+      FROM historial_estados_cita h
+      LEFT JOIN estados_citas ea ON h.estado_anterior_id = ea.id
+      INNER JOIN estados_citas en ON h.estado_nuevo_id = en.id
+      LEFT JOIN usuarios u ON h.usuario_id = u.id
+      WHERE h.cita_id = ?
+      ORDER BY h.created_at, h.id
+    `;
+
+    try {
+      return await query(sql, [citaId]);
+    } catch (error) {
+      throw new Error(`Error al obtener el historial de estados: ${error.message}`);
+    }
+  }
+}
+
+module.exports = HistorialEstadoCita;
@@ -1,4 +1,5 @@
 const { query } = require('../config/database');
+const disponibilidadService = require('../services/disponibilidadService');
 
 /**
  * Modelo para la gestión de horarios de empleados
@@ -19,15 +20,12 @@ class HorarioEmpleado {
       es_descanso = 0
     } = horario;
 
-    // Validar que la hora de inicio sea menor que la hora de fin
-    if (hora_inicio >= hora_fin) {
-      throw new Error('La hora de inicio debe ser menor que la hora de fin');
-    }
-
-    // Validar que el día de la semana esté entre 1 y 7
-    if (dia_semana < 1 || dia_semana > 7) {
-      throw new Error('El día de la semana debe estar entre 1 y 7');
-    }
+    // Validar horas, día y solapes con los turnos que ya tiene ese día
+    const existentes = await query(
+      'SELECT dia_semana, hora_inicio, hora_fin, es_descanso FROM horarios_empleados WHERE empleado_id = ? AND dia_semana = ?',
+      [empleado_id, dia_semana]
+    );
+    this.validarTurnos([...existentes, { dia_semana, hora_inicio, hora_fin, es_descanso }]);
 
     const sql = `
       INSERT INTO horarios_empleados (empleado_id, dia_semana, hora_inicio, hora_fin, es_descanso)
@@ -163,11 +161,19 @@ class HorarioEmpleado {
       throw new Error('No hay campos válidos para actualizar');
     }
 
-    // Validar horas si se están actualizando
-    if (datos.hora_inicio !== undefined && datos.hora_fin !== undefined) {
-      if (datos.hora_inicio >= datos.hora_fin) {
-        throw new Error('La hora de inicio debe ser menor que la hora de fin');
-      }
+    // Validar el turno resultante junto con los demás de ese día
+    const [actual] = await query('SELECT * FROM horarios_empleados WHERE id = ?', [id]);
+    if (actual) {
+      const resultante = { ...actual };
+      camposPermitidos.forEach(campo => {
+        if (datos[campo] !== undefined) resultante[campo] = datos[campo];
+      });
+
+      const otros = await query(
+        'SELECT dia_semana, hora_inicio, hora_fin, es_descanso FROM horarios_empleados WHERE empleado_id = ? AND dia_semana = ? AND id <> ?',
+        [resultante.empleado_id, resultante.dia_semana, id]
+      );
+      this.validarTurnos([...otros, resultante]);
     }
 
     valores.push(id);
@@ -385,28 +391,57 @@ class HorarioEmpleado {
 
   /**
    * Obtener empleados disponibles en un horario específico
-   * @param {number} dia_semana - Día de la semana (1-7)
+   * Con una fecha se usa la jornada de disponibilidadService, que aplica plantillas asignadas
+   * y el calendario de excepciones (cierres y horarios especiales).
+   * @param {number|string} dia_semana - Día de la semana (1-7) o fecha 'YYYY-MM-DD'
    * @param {string} hora_inicio - Hora de inicio
    * @param {string} hora_fin - Hora de fin
    * @returns {Promise<Array>} Empleados disponibles
    */
   static async obtenerEmpleadosDisponibles(dia_semana, hora_inicio, hora_fin) {
-    const sql = `
-      SELECT DISTINCT e.id,
-             CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre,
-             e.titulo as empleado_titulo
-      FROM empleados e
-      JOIN usuarios u ON e.usuario_id = u.id
-      JOIN horarios_empleados he ON e.id = he.empleado_id
-      WHERE e.activo = 1
-        AND he.dia_semana = ?
-        AND he.es_descanso = 0
-        AND he.hora_inicio <= ?
-        AND he.hora_fin >= ?
-      ORDER BY u.nombre, u.apellido
-    `;
+    const fecha = /^\d{4}-\d{2}-\d{2}$/.test(String(dia_semana)) ? String(dia_semana) : null;
 
     try {
+      if (fecha) {
+        const empleados = await query(`
+          SELECT e.id,
+                 CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre,
+                 e.titulo as empleado_titulo
+          FROM empleados e
+          JOIN usuarios u ON e.usuario_id = u.id
+          WHERE e.activo = 1
+          ORDER BY u.nombre, u.apellido
+        `);
+
+        const inicio = disponibilidadService.horaAMinutos(hora_inicio);
+        const fin = disponibilidadService.horaAMinutos(hora_fin);
+        const disponibles = [];
+
+        for (const empleado of empleados) {
+          const jornada = await disponibilidadService.obtenerJornada(empleado.id, fecha);
+          if (jornada.intervalos.some(intervalo => intervalo.inicio <= inicio && intervalo.fin >= fin)) {
+            disponibles.push(empleado);
+          }
+        }
+
+        return disponibles;
+      }
+
+      const sql = `
+        SELECT DISTINCT e.id,
+               CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre,
+               e.titulo as empleado_titulo
+        FROM empleados e
+        JOIN usuarios u ON e.usuario_id = u.id
+        JOIN horarios_empleados he ON e.id = he.empleado_id
+        WHERE e.activo = 1
+          AND he.dia_semana = ?
+          AND he.es_descanso = 0
+          AND he.hora_inicio <= ?
+          AND he.hora_fin >= ?
+        ORDER BY u.nombre, u.apellido
+      `;
+
       const rows = await query(sql, [dia_semana, hora_inicio, hora_fin]);
       return rows;
     } catch (error) {
@@ -478,6 +513,13 @@ class HorarioEmpleado {
   static async crearHorarioSemanal(empleado_id, horarios) {
     const horariosCreados = [];
 
+    // Se valida la semana completa antes de crear nada
+    const existentes = await query(
+      'SELECT dia_semana, hora_inicio, hora_fin, es_descanso FROM horarios_empleados WHERE empleado_id = ?',
+      [empleado_id]
+    );
+    this.validarTurnos([...existentes, ...horarios]);
+
     for (const horario of horarios) {
       try {
         const horarioCreado = await this.crear({
@@ -512,6 +554,65 @@ class HorarioEmpleado {
     }
   }
 
+  /**
+   * Validar un conjunto de turnos y descansos.
+   * Por día (y por semana de rotación en las plantillas) los turnos no pueden solaparse,
+   * y cada descanso debe quedar dentro de un turno sin solaparse con otro descanso.
+   * @param {Array} turnos - [{ semana, dia_semana, hora_inicio, hora_fin, es_descanso }]
+   * @returns {void}
+   */
+  static validarTurnos(turnos) {
+    const nombres = this.obtenerNombresDias();
+    const aMinutos = (hora) => {
+      const [h, m] = String(hora).split(':').map(Number);
+      return h * 60 + m;
+    };
+    const porDia = new Map();
+
+    for (const turno of turnos) {
+      const dia = parseInt(turno.dia_semana);
+      if (!(dia >= 1 && dia <= 7)) {
+        throw new Error('El día de la semana debe estar entre 1 y 7');
+      }
+
+      const inicio = aMinutos(turno.hora_inicio);
+      const fin = aMinutos(turno.hora_fin);
+      if (isNaN(inicio) || isNaN(fin) || inicio >= fin) {
+        throw new Error(`La hora de inicio debe ser menor que la hora de fin (${nombres[dia]} ${turno.hora_inicio}-${turno.hora_fin})`);
+      }
+
+      const clave = `${turno.semana || 1}-${dia}`;
+      if (!porDia.has(clave)) porDia.set(clave, []);
+      porDia.get(clave).push({
+        ...turno,
+        inicio,
+        fin,
+        descanso: Boolean(Number(turno.es_descanso)),
+        etiqueta: `${nombres[dia]}${turno.semana ? ` (semana ${turno.semana})` : ''}`
+      });
+    }
+
+    for (const lista of porDia.values()) {
+      const ordenar = (a, b) => a.inicio - b.inicio;
+      const trabajo = lista.filter(turno => !turno.descanso).sort(ordenar);
+      const descansos = lista.filter(turno => turno.descanso).sort(ordenar);
+
+      for (const grupo of [trabajo, descansos]) {
+        for (let i = 1; i < grupo.length; i++) {
+          if (grupo[i].inicio < grupo[i - 1].fin) {
+            throw new Error(`${grupo[i].descanso ? 'Los descansos' : 'Los turnos'} del ${grupo[i].etiqueta} se solapan: ${grupo[i - 1].hora_inicio}-${grupo[i - 1].hora_fin} y ${grupo[i].hora_inicio}-${grupo[i].hora_fin}`);
+          }
+        }
+      }
+
+      for (const descanso of descansos) {
+        if (!trabajo.some(turno => descanso.inicio >= turno.inicio && descanso.fin <= turno.fin)) {
+          throw new Error(`El descanso del ${descanso.etiqueta} de ${descanso.hora_inicio} a ${descanso.hora_fin} queda fuera de los turnos`);
+        }
+      }
+    }
+  }
+
   /**
    * Obtener nombres de días de la semana
    * @returns {Object} Mapeo de días
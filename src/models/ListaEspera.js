@@ -0,0 +1,142 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para la gestión de la lista de espera
+ * Solicitudes de clientes interesados en un horario cuando la agenda está llena
+ */
+class ListaEspera {
+  /**
+   * Registrar una solicitud en la lista de espera
+   * @param {Object} solicitud - Datos de la solicitud
+   * @returns {Promise<Object>} Solicitud creada
+   */
+  static async crear(solicitud) {
+    const {
+      cliente_id,
+      empleado_id = null,
+      fecha_desde,
+      fecha_hasta,
+      hora_desde = null,
+      hora_hasta = null,
+      servicios,
+      duracion,
+      notas = null
+    } = solicitud;
+
+    if (fecha_desde > fecha_hasta) {
+      throw new Error('La fecha desde debe ser menor o igual que la fecha hasta');
+    }
+
+    if (hora_desde && hora_hasta && hora_desde >= hora_hasta) {
+      throw new Error('La hora desde debe ser menor que la hora hasta');
+    }
+
+    const sql = `
+      INSERT INTO lista_espera (cliente_id, empleado_id, fecha_desde, fecha_hasta, hora_desde, hora_hasta, servicios, duracion, notas)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const result = await query(sql, [
+        cliente_id, empleado_id, fecha_desde, fecha_hasta, hora_desde, hora_hasta,
+        JSON.stringify(servicios), duracion, notas
+      ]);
+      return this.obtenerPorId(result.insertId);
+    } catch (error) {
+      throw new Error(`Error al crear solicitud de lista de espera: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener solicitud por ID
+   * @param {number} id - ID de la solicitud
+   * @returns {Promise<Object|null>} Solicitud encontrada
+   */
+  static async obtenerPorId(id) {
+    const sql = `
+      SELECT le.*,
+             DATE_FORMAT(le.fecha_desde, '%Y-%m-%d') AS fecha_desde,
+             DATE_FORMAT(le.fecha_hasta, '%Y-%m-%d') AS fecha_hasta,
+             CONCAT(u.nombre, ' ', u.apellido) AS empleado_nombre
+      FROM lista_espera le
+      LEFT JOIN empleados e ON le.empleado_id = e.id
+      LEFT JOIN usuarios u ON e.usuario_id = u.id
+      WHERE le.id = ?
+    `;
+
+    try {
+      const rows = await query(sql, [id]);
+      return rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error al obtener solicitud de lista de espera: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener las solicitudes de un cliente
+   * @param {number} clienteId - ID del cliente
+   * @returns {Promise<Array>} Solicitudes del cliente, más recientes primero
+   */
+  static async obtenerPorCliente(clienteId) {
+    const sql = `
+      SELECT le.*,
+             DATE_FORMAT(le.fecha_desde, '%Y-%m-%d') AS fecha_desde,
+             DATE_FORMAT(le.fecha_hasta, '%Y-%m-%d') AS fecha_hasta,
+             CONCAT(u.nombre, ' ', u.apellido) AS empleado_nombre
+      FROM lista_espera le
+      LEFT JOIN empleados e ON le.empleado_id = e.id
+      LEFT JOIN usuarios u ON e.usuario_id = u.id
+      WHERE le.cliente_id = ?
+      ORDER BY le.created_at DESC
+    `;
+
+    try {
+      return await query(sql, [clienteId]);
+    } catch (error) {
+      throw new Error(`Error al obtener lista de espera del cliente: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancelar una solicitud activa de un cliente
+   * @param {number} id - ID de la solicitud
+   * @param {number} clienteId - ID del cliente dueño de la solicitud
+   * @returns {Promise<boolean>} true si se canceló
+   */
+  static async cancelar(id, clienteId) {
+    const sql = `
+      UPDATE lista_espera
+      SET estado = 'Cancelada'
+      WHERE id = ? AND cliente_id = ? AND estado IN ('Activa', 'Ofertada')
+    `;
+
+    try {
+      const result = await query(sql, [id, clienteId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error al cancelar solicitud de lista de espera: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marcar como expiradas las solicitudes cuyo rango de fechas ya pasó
+   * @param {string} fecha - Fecha local de hoy 'YYYY-MM-DD'
+   * @returns {Promise<number>} Cantidad de solicitudes expiradas
+   */
+  static async expirarVencidas(fecha) {
+    const sql = `
+      UPDATE lista_espera
+      SET estado = 'Expirada'
+      WHERE estado = 'Activa' AND fecha_hasta < ?
+    `;
+
+    try {
+      const result = await query(sql, [fecha]);
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Error al expirar solicitudes de lista de espera: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ListaEspera;
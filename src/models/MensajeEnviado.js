@@ -0,0 +1,35 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para los mensajes SMS y WhatsApp enviados
+ * Registro de cada envío (exitoso o fallido) con el proveedor que lo hizo.
+ */
+class MensajeEnviado {
+  /**
+   * Registrar un envío
+   * @param {Object} mensaje - { canal, proveedor, destinatario, contenido, plantilla_id, estado, id_externo, mensaje_error, cita_id, usuario_id }
+   * @returns {Promise<number>} ID del registro
+   */
+  static async crear(mensaje) {
+    const {
+      canal, proveedor, destinatario, contenido, plantilla_id = null,
+      estado = 'enviado', id_externo = null, mensaje_error = null,
+      cita_id = null, usuario_id = null
+    } = mensaje;
+
+    try {
+      const result = await query(`
+        INSERT INTO mensajes_enviados (
+          canal, proveedor, destinatario, contenido, plantilla_id, estado,
+          id_externo, mensaje_error, fecha_envio, cita_id, usuario_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP(), ?, ?)
+      `, [canal, proveedor, destinatario, contenido, plantilla_id, estado, id_externo, mensaje_error, cita_id, usuario_id]);
+
+      return result.insertId;
+    } catch (error) {
+      throw new Error(`Error al registrar el mensaje enviado: ${error.message}`);
+    }
+  }
+}
+
+module.exports = MensajeEnviado;
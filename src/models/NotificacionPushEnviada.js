@@ -21,14 +21,14 @@ class NotificacionPushEnviada {
       cita_id = null
     } = notificacion;
 
-    const query = `
+    const sql = `
       INSERT INTO notificaciones_push_enviadas 
       (notificacion_push_id, titulo, mensaje, datos, estado, mensaje_error, cita_id)
       VALUES (?, ?, ?, ?, ?, ?, ?)
     `;
 
     try {
-      const result = await query(query, [
+      const result = await query(sql, [
         notificacion_push_id, titulo, mensaje, datos, estado, mensaje_error, cita_id
       ]);
 
@@ -44,7 +44,7 @@ class NotificacionPushEnviada {
    * @returns {Promise<Object|null>} Notificación encontrada
    */
   static async obtenerPorId(id) {
-    const query = `
+    const sql = `
       SELECT npe.*,
              np.token_dispositivo,
              np.plataforma,
@@ -67,7 +67,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query, [id]);
+      const rows = await query(sql, [id]);
       return rows[0] || null;
     } catch (error) {
       throw new Error(`Error al obtener notificación: ${error.message}`);
@@ -129,7 +129,7 @@ class NotificacionPushEnviada {
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
     const offset = (pagina - 1) * limite;
-    const query = `
+    const sql = `
       SELECT npe.*,
              np.token_dispositivo,
              np.plataforma,
@@ -161,7 +161,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query, [...params, limite, offset]);
+      const rows = await query(sql, [...params, limite, offset]);
       const countResult = await query(countQuery, params);
 
       return {
@@ -201,14 +201,14 @@ class NotificacionPushEnviada {
     }
 
     valores.push(id);
-    const query = `
+    const sql = `
       UPDATE notificaciones_push_enviadas 
       SET ${camposActualizar.join(', ')}
       WHERE id = ?
     `;
 
     try {
-      const result = await query(query, valores);
+      const result = await query(sql, valores);
       
       if (result.affectedRows === 0) {
         throw new Error('Notificación no encontrada');
@@ -226,10 +226,10 @@ class NotificacionPushEnviada {
    * @returns {Promise<boolean>} Resultado de la operación
    */
   static async eliminar(id) {
-    const query = 'DELETE FROM notificaciones_push_enviadas WHERE id = ?';
+    const sql = 'DELETE FROM notificaciones_push_enviadas WHERE id = ?';
 
     try {
-      const result = await query(query, [id]);
+      const result = await query(sql, [id]);
       return result.affectedRows > 0;
     } catch (error) {
       throw new Error(`Error al eliminar notificación: ${error.message}`);
@@ -245,7 +245,7 @@ class NotificacionPushEnviada {
   static async buscarPorTexto(texto, opciones = {}) {
     const { limite = 50 } = opciones;
 
-    const query = `
+    const sql = `
       SELECT npe.*,
              np.token_dispositivo,
              np.plataforma,
@@ -277,7 +277,7 @@ class NotificacionPushEnviada {
     const searchTerm = `%${texto}%`;
 
     try {
-      const rows = await query(query, [
+      const rows = await query(sql, [
         searchTerm, searchTerm, searchTerm, searchTerm, searchTerm, searchTerm, limite
       ]);
       return rows;
@@ -295,7 +295,7 @@ class NotificacionPushEnviada {
   static async obtenerPorUsuario(usuario_id, opciones = {}) {
     const { orden = 'created_at DESC' } = opciones;
 
-    const query = `
+    const sql = `
       SELECT npe.*,
              np.token_dispositivo,
              np.plataforma,
@@ -319,7 +319,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query, [usuario_id]);
+      const rows = await query(sql, [usuario_id]);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener notificaciones por usuario: ${error.message}`);
@@ -335,7 +335,7 @@ class NotificacionPushEnviada {
   static async obtenerPorCita(cita_id, opciones = {}) {
     const { orden = 'created_at DESC' } = opciones;
 
-    const query = `
+    const sql = `
       SELECT npe.*,
              np.token_dispositivo,
              np.plataforma,
@@ -359,7 +359,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query, [cita_id]);
+      const rows = await query(sql, [cita_id]);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener notificaciones por cita: ${error.message}`);
@@ -375,7 +375,7 @@ class NotificacionPushEnviada {
   static async obtenerPorEstado(estado, opciones = {}) {
     const { orden = 'created_at DESC' } = opciones;
 
-    const query = `
+    const sql = `
       SELECT npe.*,
              np.token_dispositivo,
              np.plataforma,
@@ -399,7 +399,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query, [estado]);
+      const rows = await query(sql, [estado]);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener notificaciones por estado: ${error.message}`);
@@ -415,7 +415,7 @@ class NotificacionPushEnviada {
   static async obtenerPorPlataforma(plataforma, opciones = {}) {
     const { orden = 'created_at DESC' } = opciones;
 
-    const query = `
+    const sql = `
       SELECT npe.*,
              np.token_dispositivo,
              np.plataforma,
@@ -439,7 +439,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query, [plataforma]);
+      const rows = await query(sql, [plataforma]);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener notificaciones por plataforma: ${error.message}`);
@@ -494,7 +494,7 @@ class NotificacionPushEnviada {
 
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
-    const query = `
+    const sql = `
       SELECT 
         COUNT(*) as total_notificaciones,
         COUNT(CASE WHEN npe.estado = 'enviado' THEN 1 END) as enviadas_exitosas,
@@ -511,7 +511,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query, params);
+      const rows = await query(sql, params);
       return rows[0];
     } catch (error) {
       throw new Error(`Error al obtener estadísticas: ${error.message}`);
@@ -523,7 +523,7 @@ class NotificacionPushEnviada {
    * @returns {Promise<Array>} Estadísticas por plataforma
    */
   static async obtenerEstadisticasPorPlataforma() {
-    const query = `
+    const sql = `
       SELECT np.plataforma,
              COUNT(npe.id) as total_notificaciones,
              COUNT(CASE WHEN npe.estado = 'enviado' THEN 1 END) as enviadas_exitosas,
@@ -537,7 +537,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query);
+      const rows = await query(sql);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener estadísticas por plataforma: ${error.message}`);
@@ -549,7 +549,7 @@ class NotificacionPushEnviada {
    * @returns {Promise<Array>} Estadísticas por usuario
    */
   static async obtenerEstadisticasPorUsuario() {
-    const query = `
+    const sql = `
       SELECT u.id,
              CONCAT(u.nombre, ' ', u.apellido) as usuario_nombre,
              u.email as usuario_email,
@@ -567,7 +567,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query);
+      const rows = await query(sql);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener estadísticas por usuario: ${error.message}`);
@@ -580,7 +580,7 @@ class NotificacionPushEnviada {
    * @returns {Promise<Array>} Estadísticas por día
    */
   static async obtenerEstadisticasPorDia(dias = 30) {
-    const query = `
+    const sql = `
       SELECT 
         DATE(npe.created_at) as fecha,
         COUNT(*) as total_notificaciones,
@@ -595,7 +595,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query, [dias]);
+      const rows = await query(sql, [dias]);
       return rows;
     } catch (error) {
       throw new Error(`Error al obtener estadísticas por día: ${error.message}`);
@@ -624,13 +624,13 @@ class NotificacionPushEnviada {
    * @returns {Promise<number>} Cantidad de notificaciones eliminadas
    */
   static async limpiarAntiguas(dias = 90) {
-    const query = `
+    const sql = `
       DELETE FROM notificaciones_push_enviadas 
       WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)
     `;
 
     try {
-      const result = await query(query, [dias]);
+      const result = await query(sql, [dias]);
       return result.affectedRows;
     } catch (error) {
       throw new Error(`Error al limpiar notificaciones antiguas: ${error.message}`);
@@ -675,7 +675,7 @@ class NotificacionPushEnviada {
 
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
-    const query = `
+    const sql = `
       SELECT npe.id, npe.titulo, npe.mensaje, npe.estado, npe.created_at,
              np.plataforma,
              CONCAT(u.nombre, ' ', u.apellido) as usuario_nombre,
@@ -698,7 +698,7 @@ class NotificacionPushEnviada {
     `;
 
     try {
-      const rows = await query(query, params);
+      const rows = await query(sql, params);
       return rows;
     } catch (error) {
       throw new Error(`Error al exportar notificaciones: ${error.message}`);
@@ -0,0 +1,184 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para períodos de nómina y sus liquidaciones
+ * Mientras el período está Abierto las liquidaciones se calculan al consultarlas;
+ * al cerrarlo se guardan en liquidaciones_nomina y ya no cambian.
+ */
+class PeriodoNomina {
+  /**
+   * Obtener los estados de período disponibles
+   * @returns {Array<string>} Estados válidos
+   */
+  static obtenerEstados() {
+    return ['Abierto', 'Cerrado'];
+  }
+
+  /**
+   * Crear un nuevo período
+   * Los períodos no pueden solaparse para que ninguna cita o venta se liquide dos veces
+   * @param {Object} periodo - { fecha_inicio, fecha_fin, notas }
+   * @returns {Promise<Object>} Período creado
+   */
+  static async crear(periodo) {
+    const fecha_inicio = String(periodo.fecha_inicio).slice(0, 10);
+    const fecha_fin = String(periodo.fecha_fin).slice(0, 10);
+    const { notas = null } = periodo;
+
+    if (fecha_fin < fecha_inicio) {
+      throw new Error('La fecha de fin no puede ser anterior a la fecha de inicio');
+    }
+
+    const solapados = await query(`
+      SELECT id, DATE_FORMAT(fecha_inicio, '%Y-%m-%d') as fecha_inicio, DATE_FORMAT(fecha_fin, '%Y-%m-%d') as fecha_fin
+      FROM periodos_nomina
+      WHERE fecha_inicio <= ? AND fecha_fin >= ?
+    `, [fecha_fin, fecha_inicio]);
+
+    if (solapados.length > 0) {
+      throw new Error(`El período se solapa con el del ${solapados[0].fecha_inicio} al ${solapados[0].fecha_fin}`);
+    }
+
+    try {
+      const result = await query(`
+        INSERT INTO periodos_nomina (fecha_inicio, fecha_fin, notas)
+        VALUES (?, ?, ?)
+      `, [fecha_inicio, fecha_fin, notas]);
+
+      return this.obtenerPorId(result.insertId);
+    } catch (error) {
+      throw new Error(`Error al crear período de nómina: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener período por ID
+   * @param {number} id - ID del período
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta (bloquea la fila)
+   * @returns {Promise<Object|null>} Período encontrado
+   */
+  static async obtenerPorId(id, conexion = null) {
+    const sql = `
+      SELECT p.id, DATE_FORMAT(p.fecha_inicio, '%Y-%m-%d') as fecha_inicio,
+             DATE_FORMAT(p.fecha_fin, '%Y-%m-%d') as fecha_fin,
+             p.estado, p.notas, p.cerrado_por, p.fecha_cierre, p.created_at, p.updated_at
+      FROM periodos_nomina p
+      WHERE p.id = ?
+      ${conexion ? 'FOR UPDATE' : ''}
+    `;
+
+    try {
+      const rows = conexion ? (await conexion.query(sql, [id]))[0] : await query(sql, [id]);
+      return rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error al obtener período de nómina: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener todos los períodos
+   * @param {Object} opciones - { estado }
+   * @returns {Promise<Array>} Períodos del más reciente al más antiguo
+   */
+  static async obtenerTodos(opciones = {}) {
+    const { estado = null } = opciones;
+
+    const sql = `
+      SELECT p.id, DATE_FORMAT(p.fecha_inicio, '%Y-%m-%d') as fecha_inicio,
+             DATE_FORMAT(p.fecha_fin, '%Y-%m-%d') as fecha_fin,
+             p.estado, p.notas, p.cerrado_por, p.fecha_cierre, p.created_at, p.updated_at,
+             (SELECT COALESCE(SUM(l.total_pagar), 0) FROM liquidaciones_nomina l WHERE l.periodo_id = p.id) as total_pagado
+      FROM periodos_nomina p
+      ${estado ? 'WHERE p.estado = ?' : ''}
+      ORDER BY p.fecha_inicio DESC
+    `;
+
+    try {
+      return await query(sql, estado ? [estado] : []);
+    } catch (error) {
+      throw new Error(`Error al obtener períodos de nómina: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eliminar un período abierto
+   * @param {number} id - ID del período
+   * @returns {Promise<boolean>} Resultado de la operación
+   */
+  static async eliminar(id) {
+    const periodo = await this.obtenerPorId(id);
+
+    if (!periodo) return false;
+
+    if (periodo.estado === 'Cerrado') {
+      throw new Error('No se puede eliminar un período de nómina cerrado');
+    }
+
+    try {
+      const result = await query('DELETE FROM periodos_nomina WHERE id = ? AND estado = ?', [id, 'Abierto']);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error al eliminar período de nómina: ${error.message}`);
+    }
+  }
+
+  /**
+   * Guardar las liquidaciones y cerrar el período dentro de una transacción
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {number} id - ID del período
+   * @param {Array} liquidaciones - Liquidaciones calculadas
+   * @param {number|null} usuarioId - Usuario que cierra el período
+   * @returns {Promise<void>}
+   */
+  static async cerrar(conexion, id, liquidaciones, usuarioId = null) {
+    for (const liquidacion of liquidaciones) {
+      await conexion.query(`
+        INSERT INTO liquidaciones_nomina (
+          periodo_id, empleado_id, salario_base, citas_completadas, total_servicios, comision_servicios,
+          total_productos, comision_productos, propinas, total_pagar, detalle
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        id, liquidacion.empleado_id, liquidacion.salario_base, liquidacion.citas_completadas,
+        liquidacion.total_servicios, liquidacion.comision_servicios, liquidacion.total_productos,
+        liquidacion.comision_productos, liquidacion.propinas, liquidacion.total_pagar,
+        JSON.stringify(liquidacion.detalle)
+      ]);
+    }
+
+    await conexion.query(`
+      UPDATE periodos_nomina
+      SET estado = 'Cerrado', cerrado_por = ?, fecha_cierre = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [usuarioId, id]);
+  }
+
+  /**
+   * Obtener las liquidaciones guardadas de un período cerrado
+   * @param {number} periodoId - ID del período
+   * @param {number|null} empleadoId - Limitar a un empleado
+   * @returns {Promise<Array>} Liquidaciones con nombre de empleado
+   */
+  static async obtenerLiquidaciones(periodoId, empleadoId = null) {
+    const sql = `
+      SELECT l.*, CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre
+      FROM liquidaciones_nomina l
+      INNER JOIN empleados e ON l.empleado_id = e.id
+      INNER JOIN usuarios u ON e.usuario_id = u.id
+      WHERE l.periodo_id = ? ${empleadoId ? 'AND l.empleado_id = ?' : ''}
+      ORDER BY u.nombre, u.apellido
+    `;
+
+    try {
+      const rows = await query(sql, empleadoId ? [periodoId, empleadoId] : [periodoId]);
+
+      return rows.map(liquidacion => ({
+        ...liquidacion,
+        detalle: typeof liquidacion.detalle === 'string' ? JSON.parse(liquidacion.detalle) : liquidacion.detalle
+      }));
+    } catch (error) {
+      throw new Error(`Error al obtener liquidaciones de nómina: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PeriodoNomina;
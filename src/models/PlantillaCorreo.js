@@ -1,4 +1,6 @@
 const { query } = require('../config/database');
+const { PLANTILLAS_CORREO } = require('../config/plantillasCorreo');
+const MotorPlantillas = require('../utils/motorPlantillas');
 
 /**
  * Modelo para la gestión de plantillas de correo
@@ -21,6 +23,8 @@ class PlantillaCorreo {
       variables = null
     } = plantilla;
 
+    this.validarSintaxis({ asunto, contenido_html, contenido_texto });
+
     const sql = `
       INSERT INTO plantillas_correo (nombre, asunto, contenido_html, contenido_texto, tipo, activo, variables)
       VALUES (?, ?, ?, ?, ?, ?, ?)
@@ -36,6 +40,18 @@ class PlantillaCorreo {
     }
   }
 
+  /**
+   * Validar la sintaxis de los campos de una plantilla antes de guardarla
+   * @param {Object} datos - { asunto, contenido_html, contenido_texto }, los que se vayan a guardar
+   * @returns {void}
+   * @throws {ValidationError} Con el campo y la línea del error
+   */
+  static validarSintaxis(datos) {
+    ['asunto', 'contenido_html', 'contenido_texto'].forEach(campo => {
+      MotorPlantillas.validar(datos[campo], campo);
+    });
+  }
+
   /**
    * Obtener plantilla por ID
    * @param {number} id - ID de la plantilla
@@ -62,21 +78,15 @@ class PlantillaCorreo {
   }
 
   /**
-   * Obtener plantilla por tipo
+   * Obtener la plantilla activa de un tipo, la que usan los correos que envía el sistema
    * @param {string} tipo - Tipo de plantilla
-   * @returns {Promise<Object|null>} Plantilla encontrada
+   * @returns {Promise<Object|null>} Plantilla activa más reciente
    */
-  static async obtenerPorTipo(tipo) {
+  static async obtenerActivaPorTipo(tipo) {
     const sql = `
-      SELECT pc.*,
-             COUNT(ce.id) as total_correos_enviados,
-             COUNT(cp.id) as total_correos_programados
-      FROM plantillas_correo pc
-      LEFT JOIN correos_enviados ce ON pc.id = ce.plantilla_id
-      LEFT JOIN correos_programados cp ON pc.id = cp.plantilla_id
-      WHERE pc.tipo = ? AND pc.activo = 1
-      GROUP BY pc.id
-      ORDER BY pc.id DESC
+      SELECT * FROM plantillas_correo
+      WHERE tipo = ? AND activo = 1
+      ORDER BY id DESC
       LIMIT 1
     `;
 
@@ -178,6 +188,8 @@ class PlantillaCorreo {
       throw new Error('No hay campos válidos para actualizar');
     }
 
+    this.validarSintaxis(datos);
+
     valores.push(id);
     const sql = `
       UPDATE plantillas_correo 
@@ -385,19 +397,10 @@ class PlantillaCorreo {
       throw new Error('Plantilla inactiva');
     }
 
-    let contenido_html = plantilla.contenido_html;
-    let contenido_texto = plantilla.contenido_texto;
-    let asunto = plantilla.asunto;
-
-    // Reemplazar variables en el contenido
-    Object.keys(variables).forEach(key => {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      contenido_html = contenido_html.replace(regex, variables[key]);
-      if (contenido_texto) {
-        contenido_texto = contenido_texto.replace(regex, variables[key]);
-      }
-      asunto = asunto.replace(regex, variables[key]);
-    });
+    // Los valores se escapan en el HTML; el asunto y el texto plano no son HTML
+    const contenido_html = MotorPlantillas.renderizar(plantilla.contenido_html, variables, { html: true });
+    const contenido_texto = MotorPlantillas.renderizar(plantilla.contenido_texto, variables);
+    const asunto = MotorPlantillas.renderizar(plantilla.asunto, variables);
 
     return {
       ...plantilla,
@@ -480,14 +483,11 @@ class PlantillaCorreo {
 
   /**
    * Obtener tipos predefinidos comunes
-   * @returns {Array} Tipos predefinidos
+   * @returns {Array} Tipos predefinidos: los correos que envía el sistema y otros de uso manual
    */
   static obtenerTiposPredefinidos() {
     return [
-      'confirmacion_cita',
-      'recordatorio_cita',
-      'cancelacion_cita',
-      'bienvenida_cliente',
+      ...Object.keys(PLANTILLAS_CORREO),
       'recordatorio_pago',
       'confirmacion_pago',
       'notificacion_general',
@@ -498,54 +498,31 @@ class PlantillaCorreo {
   }
 
   /**
-   * Crear plantillas predefinidas
+   * Obtener el catálogo de variables de los correos que envía el sistema
+   * @returns {Array} [{ tipo, nombre, descripcion, variables: [{ nombre, descripcion }] }]
+   */
+  static obtenerCatalogo() {
+    return Object.entries(PLANTILLAS_CORREO).map(([tipo, plantilla]) => ({
+      tipo,
+      nombre: plantilla.nombre,
+      descripcion: plantilla.descripcion,
+      variables: Object.entries(plantilla.variables).map(([nombre, descripcion]) => ({ nombre, descripcion }))
+    }));
+  }
+
+  /**
+   * Crear plantillas predefinidas a partir de las predeterminadas de cada correo del sistema
    * @returns {Promise<Array>} Plantillas creadas
    */
   static async crearPlantillasPredefinidas() {
-    const plantillasPredefinidas = [
-      {
-        nombre: 'Confirmación de Cita',
-        asunto: 'Confirmación de tu cita - {{fecha}}',
-        contenido_html: `
-          <h2>¡Hola {{nombre_cliente}}!</h2>
-          <p>Tu cita ha sido confirmada para el {{fecha}} a las {{hora}}.</p>
-          <p><strong>Servicios:</strong> {{servicios}}</p>
-          <p><strong>Empleado:</strong> {{empleado}}</p>
-          <p>Te esperamos en nuestro local.</p>
-        `,
-        contenido_texto: 'Tu cita ha sido confirmada para el {{fecha}} a las {{hora}}. Servicios: {{servicios}}. Empleado: {{empleado}}.',
-        tipo: 'confirmacion_cita',
-        variables: 'nombre_cliente,fecha,hora,servicios,empleado'
-      },
-      {
-        nombre: 'Recordatorio de Cita',
-        asunto: 'Recordatorio: Tu cita es mañana - {{fecha}}',
-        contenido_html: `
-          <h2>Recordatorio de cita</h2>
-          <p>Hola {{nombre_cliente}},</p>
-          <p>Te recordamos que tienes una cita mañana {{fecha}} a las {{hora}}.</p>
-          <p><strong>Servicios:</strong> {{servicios}}</p>
-          <p><strong>Empleado:</strong> {{empleado}}</p>
-          <p>Si necesitas cambiar o cancelar, contáctanos.</p>
-        `,
-        contenido_texto: 'Recordatorio: Tu cita es mañana {{fecha}} a las {{hora}}. Servicios: {{servicios}}. Empleado: {{empleado}}.',
-        tipo: 'recordatorio_cita',
-        variables: 'nombre_cliente,fecha,hora,servicios,empleado'
-      },
-      {
-        nombre: 'Bienvenida Cliente',
-        asunto: '¡Bienvenido a nuestra peluquería!',
-        contenido_html: `
-          <h2>¡Bienvenido {{nombre_cliente}}!</h2>
-          <p>Gracias por registrarte en nuestra peluquería.</p>
-          <p>Estamos emocionados de tenerte como cliente.</p>
-          <p>Puedes agendar tu primera cita desde nuestra aplicación.</p>
-        `,
-        contenido_texto: '¡Bienvenido {{nombre_cliente}}! Gracias por registrarte en nuestra peluquería.',
-        tipo: 'bienvenida_cliente',
-        variables: 'nombre_cliente'
-      }
-    ];
+    const plantillasPredefinidas = Object.entries(PLANTILLAS_CORREO).map(([tipo, plantilla]) => ({
+      nombre: plantilla.nombre,
+      asunto: plantilla.asunto,
+      contenido_html: plantilla.contenido_html,
+      contenido_texto: plantilla.contenido_texto,
+      tipo,
+      variables: Object.keys(plantilla.variables).join(',')
+    }));
 
     const plantillasCreadas = [];
 
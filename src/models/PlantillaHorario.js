@@ -0,0 +1,316 @@
+const { query, transaccion } = require('../config/database');
+const HorarioEmpleado = require('./HorarioEmpleado');
+
+/**
+ * Modelo para plantillas de horario
+ * Una plantilla define turnos y descansos por día para un ciclo de una o más semanas
+ * (semanas_rotacion = 2 para sábados alternos) y se asigna a empleados con fechas de vigencia.
+ * Mientras una asignación está vigente, la plantilla reemplaza el horario semanal del empleado.
+ */
+class PlantillaHorario {
+  /**
+   * Validar los turnos de una plantilla
+   * @param {Array} turnos - [{ semana, dia_semana, hora_inicio, hora_fin, es_descanso }]
+   * @param {number} semanasRotacion - Semanas del ciclo
+   * @returns {Array} Turnos normalizados
+   */
+  static validarTurnos(turnos, semanasRotacion) {
+    if (!Array.isArray(turnos) || turnos.length === 0) {
+      throw new Error('La plantilla debe tener al menos un turno');
+    }
+
+    const normalizados = turnos.map(turno => ({
+      semana: parseInt(turno.semana) || 1,
+      dia_semana: parseInt(turno.dia_semana),
+      hora_inicio: turno.hora_inicio,
+      hora_fin: turno.hora_fin,
+      es_descanso: turno.es_descanso ? 1 : 0
+    }));
+
+    if (normalizados.some(turno => turno.semana < 1 || turno.semana > semanasRotacion)) {
+      throw new Error(`La semana de cada turno debe estar entre 1 y ${semanasRotacion}`);
+    }
+
+    HorarioEmpleado.validarTurnos(normalizados);
+    return normalizados;
+  }
+
+  /**
+   * Insertar los turnos de una plantilla dentro de una transacción
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {number} plantillaId - ID de la plantilla
+   * @param {Array} turnos - Turnos normalizados
+   * @returns {Promise<void>}
+   */
+  static async insertarTurnos(conexion, plantillaId, turnos) {
+    for (const turno of turnos) {
+      await conexion.query(`
+        INSERT INTO plantilla_horario_turnos (plantilla_id, semana, dia_semana, hora_inicio, hora_fin, es_descanso)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [plantillaId, turno.semana, turno.dia_semana, turno.hora_inicio, turno.hora_fin, turno.es_descanso]);
+    }
+  }
+
+  /**
+   * Crear una nueva plantilla con sus turnos
+   * @param {Object} plantilla - { nombre, descripcion, semanas_rotacion, turnos }
+   * @returns {Promise<Object>} Plantilla creada
+   */
+  static async crear(plantilla) {
+    const { nombre, descripcion = null, turnos } = plantilla;
+    const semanasRotacion = parseInt(plantilla.semanas_rotacion) || 1;
+    const normalizados = this.validarTurnos(turnos, semanasRotacion);
+
+    try {
+      const id = await transaccion(async (connection) => {
+        const [result] = await connection.query(`
+          INSERT INTO plantillas_horario (nombre, descripcion, semanas_rotacion)
+          VALUES (?, ?, ?)
+        `, [nombre, descripcion, semanasRotacion]);
+
+        await this.insertarTurnos(connection, result.insertId, normalizados);
+        return result.insertId;
+      });
+
+      return this.obtenerPorId(id);
+    } catch (error) {
+      throw new Error(`Error al crear plantilla de horario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener plantilla por ID con sus turnos
+   * @param {number} id - ID de la plantilla
+   * @returns {Promise<Object|null>} Plantilla encontrada
+   */
+  static async obtenerPorId(id) {
+    try {
+      const [plantilla] = await query('SELECT * FROM plantillas_horario WHERE id = ?', [id]);
+      if (!plantilla) return null;
+
+      plantilla.turnos = await query(`
+        SELECT id, semana, dia_semana, hora_inicio, hora_fin, es_descanso
+        FROM plantilla_horario_turnos
+        WHERE plantilla_id = ?
+        ORDER BY semana, dia_semana, hora_inicio
+      `, [id]);
+
+      return plantilla;
+    } catch (error) {
+      throw new Error(`Error al obtener plantilla de horario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener todas las plantillas con la cantidad de empleados que las usan hoy o más adelante
+   * @returns {Promise<Array>} Lista de plantillas
+   */
+  static async obtenerTodas() {
+    const sql = `
+      SELECT p.*,
+             COUNT(DISTINCT a.empleado_id) as empleados_asignados
+      FROM plantillas_horario p
+      LEFT JOIN asignaciones_plantilla_horario a
+        ON a.plantilla_id = p.id AND (a.vigente_hasta IS NULL OR a.vigente_hasta >= CURDATE())
+      GROUP BY p.id
+      ORDER BY p.nombre
+    `;
+
+    try {
+      return await query(sql);
+    } catch (error) {
+      throw new Error(`Error al obtener plantillas de horario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar plantilla; si se envían turnos, reemplazan a los anteriores
+   * @param {number} id - ID de la plantilla
+   * @param {Object} datos - { nombre, descripcion, semanas_rotacion, turnos }
+   * @returns {Promise<Object>} Plantilla actualizada
+   */
+  static async actualizar(id, datos) {
+    const actual = await this.obtenerPorId(id);
+
+    if (!actual) {
+      throw new Error('Plantilla de horario no encontrada');
+    }
+
+    const semanasRotacion = parseInt(datos.semanas_rotacion) || actual.semanas_rotacion;
+    const normalizados = this.validarTurnos(datos.turnos || actual.turnos, semanasRotacion);
+
+    try {
+      await transaccion(async (connection) => {
+        await connection.query(`
+          UPDATE plantillas_horario
+          SET nombre = ?, descripcion = ?, semanas_rotacion = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [
+          datos.nombre !== undefined ? datos.nombre : actual.nombre,
+          datos.descripcion !== undefined ? datos.descripcion : actual.descripcion,
+          semanasRotacion,
+          id
+        ]);
+
+        await connection.query('DELETE FROM plantilla_horario_turnos WHERE plantilla_id = ?', [id]);
+        await this.insertarTurnos(connection, id, normalizados);
+      });
+
+      return this.obtenerPorId(id);
+    } catch (error) {
+      throw new Error(`Error al actualizar plantilla de horario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eliminar plantilla
+   * No se eliminan plantillas con asignaciones: hay que terminarlas o borrarlas antes
+   * @param {number} id - ID de la plantilla
+   * @returns {Promise<boolean>} Resultado de la operación
+   */
+  static async eliminar(id) {
+    const [uso] = await query('SELECT COUNT(*) as total FROM asignaciones_plantilla_horario WHERE plantilla_id = ?', [id]);
+
+    if (uso.total > 0) {
+      throw new Error('La plantilla tiene asignaciones; elimínalas antes de borrar la plantilla');
+    }
+
+    try {
+      const result = await query('DELETE FROM plantillas_horario WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error al eliminar plantilla de horario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Asignar una plantilla a uno o varios empleados
+   * Cada empleado puede tener una sola plantilla vigente en cada fecha
+   * @param {number} plantillaId - ID de la plantilla
+   * @param {Object} datos - { empleado_ids, vigente_desde, vigente_hasta, semana_inicial }
+   * @returns {Promise<Array>} Asignaciones creadas
+   */
+  static async asignar(plantillaId, datos) {
+    const { empleado_ids, vigente_desde, vigente_hasta = null } = datos;
+    const plantilla = await this.obtenerPorId(plantillaId);
+
+    if (!plantilla) {
+      throw new Error('Plantilla de horario no encontrada');
+    }
+
+    const semanaInicial = parseInt(datos.semana_inicial) || 1;
+    if (semanaInicial > plantilla.semanas_rotacion) {
+      throw new Error(`La semana inicial debe estar entre 1 y ${plantilla.semanas_rotacion}`);
+    }
+
+    const desde = String(vigente_desde).slice(0, 10);
+    const hasta = vigente_hasta ? String(vigente_hasta).slice(0, 10) : null;
+    if (hasta && hasta < desde) {
+      throw new Error('vigente_hasta no puede ser anterior a vigente_desde');
+    }
+
+    try {
+      const ids = await transaccion(async (connection) => {
+        const creadas = [];
+
+        for (const empleadoId of empleado_ids) {
+          const [solapadas] = await connection.query(`
+            SELECT a.id, p.nombre
+            FROM asignaciones_plantilla_horario a
+            INNER JOIN plantillas_horario p ON a.plantilla_id = p.id
+            WHERE a.empleado_id = ?
+              AND a.vigente_desde <= COALESCE(?, '9999-12-31')
+              AND (a.vigente_hasta IS NULL OR a.vigente_hasta >= ?)
+            FOR UPDATE
+          `, [empleadoId, hasta, desde]);
+
+          if (solapadas.length > 0) {
+            throw new Error(`El empleado ${empleadoId} ya tiene la plantilla "${solapadas[0].nombre}" en esas fechas`);
+          }
+
+          const [result] = await connection.query(`
+            INSERT INTO asignaciones_plantilla_horario (empleado_id, plantilla_id, vigente_desde, vigente_hasta, semana_inicial)
+            VALUES (?, ?, ?, ?, ?)
+          `, [empleadoId, plantillaId, desde, hasta, semanaInicial]);
+          creadas.push(result.insertId);
+        }
+
+        return creadas;
+      });
+
+      return this.obtenerAsignaciones({ ids });
+    } catch (error) {
+      throw new Error(`Error al asignar plantilla de horario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener asignaciones de plantillas
+   * @param {Object} opciones - { ids, plantillaId, empleadoId, vigentesEn }
+   * @returns {Promise<Array>} Asignaciones con nombre de plantilla y empleado
+   */
+  static async obtenerAsignaciones(opciones = {}) {
+    const { ids = null, plantillaId = null, empleadoId = null, vigentesEn = null } = opciones;
+
+    const condiciones = [];
+    const params = [];
+
+    if (ids) {
+      if (ids.length === 0) return [];
+      condiciones.push(`a.id IN (${ids.map(() => '?').join(', ')})`);
+      params.push(...ids);
+    }
+
+    if (plantillaId) {
+      condiciones.push('a.plantilla_id = ?');
+      params.push(plantillaId);
+    }
+
+    if (empleadoId) {
+      condiciones.push('a.empleado_id = ?');
+      params.push(empleadoId);
+    }
+
+    if (vigentesEn) {
+      condiciones.push('a.vigente_desde <= ? AND (a.vigente_hasta IS NULL OR a.vigente_hasta >= ?)');
+      params.push(vigentesEn, vigentesEn);
+    }
+
+    const sql = `
+      SELECT a.id, a.empleado_id, a.plantilla_id, a.semana_inicial,
+             DATE_FORMAT(a.vigente_desde, '%Y-%m-%d') as vigente_desde,
+             DATE_FORMAT(a.vigente_hasta, '%Y-%m-%d') as vigente_hasta,
+             p.nombre as plantilla_nombre,
+             p.semanas_rotacion,
+             CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre
+      FROM asignaciones_plantilla_horario a
+      INNER JOIN plantillas_horario p ON a.plantilla_id = p.id
+      INNER JOIN empleados e ON a.empleado_id = e.id
+      INNER JOIN usuarios u ON e.usuario_id = u.id
+      ${condiciones.length > 0 ? 'WHERE ' + condiciones.join(' AND ') : ''}
+      ORDER BY u.nombre, u.apellido, a.vigente_desde
+    `;
+
+    try {
+      return await query(sql, params);
+    } catch (error) {
+      throw new Error(`Error al obtener asignaciones de plantillas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eliminar una asignación de plantilla
+   * @param {number} id - ID de la asignación
+   * @returns {Promise<boolean>} Resultado de la operación
+   */
+  static async eliminarAsignacion(id) {
+    try {
+      const result = await query('DELETE FROM asignaciones_plantilla_horario WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error al eliminar asignación de plantilla: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PlantillaHorario;
@@ -0,0 +1,156 @@
+const { query } = require('../config/database');
+const MotorPlantillas = require('../utils/motorPlantillas');
+
+/**
+ * Modelo para las plantillas de SMS y WhatsApp
+ * Igual que plantillas_correo: se usa la plantilla activa más reciente de cada tipo y canal.
+ */
+class PlantillaMensaje {
+  /**
+   * Obtener los canales con plantillas
+   * @returns {Array<string>} Canales válidos
+   */
+  static obtenerCanales() {
+    return ['sms', 'whatsapp'];
+  }
+
+  /**
+   * Obtener los tipos de mensaje que envía el sistema
+   * @returns {Array<string>} Tipos válidos
+   */
+  static obtenerTipos() {
+    return ['confirmacion_cita', 'recordatorio_cita', 'cancelacion_cita'];
+  }
+
+  /**
+   * Crear una plantilla
+   * @param {Object} plantilla - { nombre, canal, tipo, contenido, activo, variables }
+   * @returns {Promise<Object>} Plantilla creada
+   */
+  static async crear(plantilla) {
+    const { nombre, canal, tipo, contenido, activo = 1, variables = null } = plantilla;
+
+    MotorPlantillas.validar(contenido, 'contenido');
+
+    try {
+      const result = await query(`
+        INSERT INTO plantillas_mensaje (nombre, canal, tipo, contenido, activo, variables)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [nombre, canal, tipo, contenido, activo, variables]);
+
+      return this.obtenerPorId(result.insertId);
+    } catch (error) {
+      throw new Error(`Error al crear plantilla de mensaje: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener plantilla por ID
+   * @param {number} id - ID de la plantilla
+   * @returns {Promise<Object|null>} Plantilla encontrada
+   */
+  static async obtenerPorId(id) {
+    try {
+      const rows = await query('SELECT * FROM plantillas_mensaje WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error al obtener plantilla de mensaje: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener la plantilla activa de un tipo para un canal
+   * @param {string} tipo - Tipo de mensaje
+   * @param {string} canal - 'sms' o 'whatsapp'
+   * @returns {Promise<Object|null>} Plantilla más reciente
+   */
+  static async obtenerPorTipo(tipo, canal) {
+    try {
+      const rows = await query(`
+        SELECT * FROM plantillas_mensaje
+        WHERE tipo = ? AND canal = ? AND activo = 1
+        ORDER BY id DESC
+        LIMIT 1
+      `, [tipo, canal]);
+
+      return rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error al obtener plantilla de mensaje por tipo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener plantillas
+   * @param {Object} filtros - { canal, tipo, activo }
+   * @returns {Promise<Array>} Plantillas por canal y tipo
+   */
+  static async obtenerTodas(filtros = {}) {
+    const { canal = null, tipo = null, activo = null } = filtros;
+
+    const condiciones = [];
+    const params = [];
+
+    if (canal) {
+      condiciones.push('canal = ?');
+      params.push(canal);
+    }
+
+    if (tipo) {
+      condiciones.push('tipo = ?');
+      params.push(tipo);
+    }
+
+    if (activo !== null) {
+      condiciones.push('activo = ?');
+      params.push(activo);
+    }
+
+    try {
+      return await query(`
+        SELECT * FROM plantillas_mensaje
+        ${condiciones.length > 0 ? 'WHERE ' + condiciones.join(' AND ') : ''}
+        ORDER BY canal, tipo, id DESC
+      `, params);
+    } catch (error) {
+      throw new Error(`Error al obtener plantillas de mensaje: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar plantilla
+   * @param {number} id - ID de la plantilla
+   * @param {Object} datos - Campos a actualizar
+   * @returns {Promise<Object|null>} Plantilla actualizada; null si no existe
+   */
+  static async actualizar(id, datos) {
+    const camposPermitidos = ['nombre', 'canal', 'tipo', 'contenido', 'activo', 'variables'];
+    const campos = [];
+    const valores = [];
+
+    camposPermitidos.forEach(campo => {
+      if (datos[campo] !== undefined) {
+        campos.push(`${campo} = ?`);
+        valores.push(datos[campo]);
+      }
+    });
+
+    if (campos.length === 0) {
+      throw new Error('No hay campos válidos para actualizar');
+    }
+
+    MotorPlantillas.validar(datos.contenido, 'contenido');
+
+    try {
+      const result = await query(`
+        UPDATE plantillas_mensaje SET ${campos.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `, [...valores, id]);
+
+      if (result.affectedRows === 0) return null;
+      return this.obtenerPorId(id);
+    } catch (error) {
+      throw new Error(`Error al actualizar plantilla de mensaje: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PlantillaMensaje;
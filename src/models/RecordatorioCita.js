@@ -0,0 +1,51 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para los recordatorios de las citas
+ * Cada momento de recordatorio (horas antes del inicio) se registra una sola vez por
+ * horario de la cita: al reprogramarla, el nuevo horario tiene sus propios recordatorios.
+ */
+class RecordatorioCita {
+  /**
+   * Registrar un recordatorio dentro de una transacción
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {Object} recordatorio - { cita_id, horas_antes, fecha_hora_cita, fecha_programada, estado, canales, motivo_omision }
+   *                                fechas como DATETIME UTC
+   * @returns {Promise<boolean>} false si ese momento ya estaba registrado (otro proceso lo tomó)
+   */
+  static async crear(conexion, recordatorio) {
+    const {
+      cita_id, horas_antes, fecha_hora_cita, fecha_programada,
+      estado, canales = null, motivo_omision = null
+    } = recordatorio;
+
+    const [result] = await conexion.query(`
+      INSERT IGNORE INTO recordatorios_cita (
+        cita_id, horas_antes, fecha_hora_cita, fecha_programada, estado, canales, motivo_omision
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [cita_id, horas_antes, fecha_hora_cita, fecha_programada, estado, canales ? JSON.stringify(canales) : null, motivo_omision]);
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Obtener los momentos ya registrados de varias citas
+   * @param {Array<number>} citaIds - IDs de las citas
+   * @returns {Promise<Array>} [{ cita_id, fecha_hora_cita, horas_antes }]
+   */
+  static async obtenerRegistrados(citaIds) {
+    if (citaIds.length === 0) return [];
+
+    try {
+      return await query(`
+        SELECT cita_id, fecha_hora_cita, horas_antes
+        FROM recordatorios_cita
+        WHERE cita_id IN (${citaIds.map(() => '?').join(', ')})
+      `, citaIds);
+    } catch (error) {
+      throw new Error(`Error al obtener los recordatorios registrados: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RecordatorioCita;
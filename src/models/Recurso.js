@@ -0,0 +1,139 @@
+const { query } = require('../config/database');
+
+/**
+ * Modelo para la gestión de recursos del local
+ * Sillas, lavacabezas y estaciones que los servicios necesitan según su tipo_recurso
+ */
+class Recurso {
+  /**
+   * Crear un nuevo recurso
+   * @param {Object} recurso - Datos del recurso
+   * @returns {Promise<Object>} Recurso creado
+   */
+  static async crear(recurso) {
+    const { nombre, tipo, descripcion = null, activo = 1 } = recurso;
+
+    const sql = `
+      INSERT INTO recursos (nombre, tipo, descripcion, activo)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    try {
+      const result = await query(sql, [nombre, tipo, descripcion, activo]);
+      return this.obtenerPorId(result.insertId);
+    } catch (error) {
+      throw new Error(`Error al crear recurso: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener recurso por ID
+   * @param {number} id - ID del recurso
+   * @returns {Promise<Object|null>} Recurso encontrado
+   */
+  static async obtenerPorId(id) {
+    try {
+      const rows = await query('SELECT * FROM recursos WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error al obtener recurso: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener todos los recursos
+   * @param {Object} opciones - { tipo, soloActivos }
+   * @returns {Promise<Array>} Lista de recursos
+   */
+  static async obtenerTodos(opciones = {}) {
+    const { tipo = null, soloActivos = false } = opciones;
+
+    const condiciones = [];
+    const params = [];
+
+    if (tipo) {
+      condiciones.push('tipo = ?');
+      params.push(tipo);
+    }
+
+    if (soloActivos) {
+      condiciones.push('activo = 1');
+    }
+
+    const sql = `
+      SELECT * FROM recursos
+      ${condiciones.length > 0 ? 'WHERE ' + condiciones.join(' AND ') : ''}
+      ORDER BY tipo, nombre
+    `;
+
+    try {
+      return await query(sql, params);
+    } catch (error) {
+      throw new Error(`Error al obtener recursos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar recurso
+   * @param {number} id - ID del recurso
+   * @param {Object} datos - Datos a actualizar
+   * @returns {Promise<Object>} Recurso actualizado
+   */
+  static async actualizar(id, datos) {
+    const camposPermitidos = ['nombre', 'tipo', 'descripcion', 'activo'];
+    const camposActualizar = [];
+    const valores = [];
+
+    camposPermitidos.forEach(campo => {
+      if (datos[campo] !== undefined) {
+        camposActualizar.push(`${campo} = ?`);
+        valores.push(datos[campo]);
+      }
+    });
+
+    if (camposActualizar.length === 0) {
+      throw new Error('No hay campos válidos para actualizar');
+    }
+
+    valores.push(id);
+    const sql = `
+      UPDATE recursos
+      SET ${camposActualizar.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    try {
+      const result = await query(sql, valores);
+
+      if (result.affectedRows === 0) {
+        throw new Error('Recurso no encontrado');
+      }
+
+      return this.obtenerPorId(id);
+    } catch (error) {
+      throw new Error(`Error al actualizar recurso: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eliminar recurso
+   * Los recursos con citas asignadas se desactivan para conservar el historial
+   * @param {number} id - ID del recurso
+   * @returns {Promise<boolean>} Resultado de la operación
+   */
+  static async eliminar(id) {
+    try {
+      const [uso] = await query('SELECT COUNT(*) as total FROM cita_servicio WHERE recurso_id = ?', [id]);
+
+      const result = uso.total > 0
+        ? await query('UPDATE recursos SET activo = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id])
+        : await query('DELETE FROM recursos WHERE id = ?', [id]);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error al eliminar recurso: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Recurso;
@@ -23,19 +23,20 @@ class Servicio {
         destacado = 0,
         requiere_cita = 1,
         color_servicio,
-        icono_servicio
+        icono_servicio,
+        tipo_recurso = null
       } = servicioData;
 
       const sql = `
         INSERT INTO servicios (
           nombre, descripcion, precio, duracion_minutos, categoria_id,
-          imagen_url, activo, destacado, requiere_cita, color_servicio, icono_servicio
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          imagen_url, activo, destacado, requiere_cita, color_servicio, icono_servicio, tipo_recurso
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       const params = [
         nombre, descripcion, precio, duracion_minutos, categoria_id,
-        imagen_url, activo, destacado, requiere_cita, color_servicio, icono_servicio
+        imagen_url, activo, destacado, requiere_cita, color_servicio, icono_servicio, tipo_recurso
       ];
 
       const result = await query(sql, params);
@@ -195,7 +196,7 @@ class Servicio {
     try {
       const camposPermitidos = [
         'nombre', 'descripcion', 'precio', 'duracion_minutos', 'categoria_id',
-        'imagen_url', 'activo', 'destacado', 'requiere_cita', 'color_servicio', 'icono_servicio'
+        'imagen_url', 'activo', 'destacado', 'requiere_cita', 'color_servicio', 'icono_servicio', 'tipo_recurso'
       ];
 
       const camposActualizar = [];
@@ -12,6 +12,7 @@ import Citas from './pages/Citas';
 import Clientes from './pages/Clientes';
 import Reservacion from './pages/Reservacion';
 import EmpleadoCitas from './pages/EmpleadoCitas';
+import OfertaListaEspera from './pages/OfertaListaEspera';
 
 // Crear tema personalizado
 const theme = createTheme({
@@ -41,6 +42,7 @@ export default function App() {
     <BrowserRouter>
       <Routes>
         <Route path="/login" element={<LoginPage />} />
+        <Route path="/lista-espera/oferta/:token" element={<OfertaListaEspera />} />
         <Route path="/dashboard" element={<RequireAuth><Dashboard /></RequireAuth>} />
         <Route path="/usuarios" element={<RequireAuth><Usuarios /></RequireAuth>} />
         <Route path="/empleados" element={<RequireAuth><Empleados /></RequireAuth>} />
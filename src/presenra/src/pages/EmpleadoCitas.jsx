@@ -94,7 +94,7 @@ export default function EmpleadoCitas() {
 
       // Cargar ausencias
       const ausenciasResponse = await api.get('/empleado-citas/ausencias');
-      setAusencias(ausenciasResponse.data.ausencias || []);
+      setAusencias(ausenciasResponse.data.data || []);
 
       // Cargar estadísticas
       const statsResponse = await api.get('/empleado-citas/estadisticas');
@@ -119,7 +119,7 @@ export default function EmpleadoCitas() {
     try {
       setLoading(true);
       await api.post('/empleado-citas/ausencias', ausenciaData);
-      setSuccess('Ausencia solicitada exitosamente');
+      setSuccess('Ausencia solicitada. Queda pendiente de aprobación.');
       setOpenAusenciaDialog(false);
       setAusenciaData({ fecha: '', motivo: '', tipo: 'personal' });
       cargarDatos(); // Recargar datos
@@ -237,17 +237,17 @@ export default function EmpleadoCitas() {
           ausencias.map((ausencia) => (
             <ListItem key={ausencia.id} divider>
               <ListItemText
-                primary={`${new Date(ausencia.fecha).toLocaleDateString('es-ES')} - ${ausencia.tipo}`}
-                secondary={ausencia.motivo}
+                primary={`${String(ausencia.fecha_inicio).slice(0, 10)} al ${String(ausencia.fecha_fin).slice(0, 10)} - ${ausencia.motivo}`}
+                secondary={[ausencia.descripcion, ausencia.comentario_revision && `Revisión: ${ausencia.comentario_revision}`].filter(Boolean).join(' · ')}
               />
               <ListItemSecondaryAction>
                 <Chip 
                   label={ausencia.estado} 
-                  color={ausencia.estado === 'aprobada' ? 'success' : 'warning'}
+                  color={{ Aprobada: 'success', Rechazada: 'error', Cancelada: 'default' }[ausencia.estado] || 'warning'}
                   size="small"
                   sx={{ mr: 1 }}
                 />
-                {ausencia.estado === 'pendiente' && (
+                {ausencia.estado === 'Pendiente' && (
                   <IconButton
                     edge="end"
                     onClick={() => handleCancelarAusencia(ausencia.id)}
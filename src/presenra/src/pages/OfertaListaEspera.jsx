@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Typography,
+  Box,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { Schedule } from '@mui/icons-material';
+import api from '../api';
+
+// Página pública a la que llega el cliente desde el email de la lista de espera
+export default function OfertaListaEspera() {
+  const { token } = useParams();
+  const [oferta, setOferta] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    cargarOferta();
+  }, [token]);
+
+  const cargarOferta = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/lista-espera/ofertas/${token}`);
+      setOferta(response.data.data);
+    } catch (error) {
+      console.error('Error al cargar oferta:', error);
+      setError('Error al cargar la oferta: ' + (error.response?.data?.mensaje || error.response?.data?.message || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const responder = async (accion) => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.post(`/lista-espera/ofertas/${token}/${accion}`);
+      setSuccess(response.data.message);
+      setOferta({ ...oferta, vigente: false });
+    } catch (error) {
+      console.error('Error al responder oferta:', error);
+      setError('Error al responder la oferta: ' + (error.response?.data?.mensaje || error.response?.data?.message || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatearFechaHora = (fechaHora) => {
+    const [fecha, hora] = fechaHora.split('T');
+    return `${new Date(`${fecha}T00:00:00`).toLocaleDateString('es-ES', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    })} a las ${hora.slice(0, 5)}`;
+  };
+
+  return (
+    <Container maxWidth="sm" sx={{ mt: 4, mb: 4 }}>
+      <Paper sx={{ p: 4 }}>
+        <Typography variant="h4" gutterBottom>
+          Horario Disponible
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 3 }}>
+            {error}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert severity="success" sx={{ mb: 3 }}>
+            {success}
+          </Alert>
+        )}
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {oferta && (
+          <Box>
+            <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Schedule /> {formatearFechaHora(oferta.fecha_hora_inicio)}
+            </Typography>
+            <Typography sx={{ mt: 1 }}>
+              <strong>Barbero:</strong> {oferta.empleado_nombre}
+            </Typography>
+            <Typography>
+              <strong>Servicios:</strong> {oferta.servicios}
+            </Typography>
+
+            {oferta.vigente ? (
+              <>
+                <Alert severity="info" sx={{ mt: 2 }}>
+                  Esta oferta está reservada para ti hasta las {new Date(oferta.expira_en).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })}
+                </Alert>
+                <Box sx={{ display: 'flex', gap: 2, mt: 3 }}>
+                  <Button variant="contained" onClick={() => responder('aceptar')} disabled={loading}>
+                    Reservar
+                  </Button>
+                  <Button variant="outlined" onClick={() => responder('rechazar')} disabled={loading}>
+                    No me interesa
+                  </Button>
+                </Box>
+              </>
+            ) : (
+              !success && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  Esta oferta ya no está disponible
+                </Alert>
+              )
+            )}
+          </Box>
+        )}
+      </Paper>
+    </Container>
+  );
+}
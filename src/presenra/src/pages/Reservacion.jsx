@@ -64,6 +64,10 @@ export default function Reservacion() {
   const [horarios, setHorarios] = useState([]);
   const [horarioSeleccionado, setHorarioSeleccionado] = useState('');
   const [fechaSeleccionada, setFechaSeleccionada] = useState('');
+  const [cotizacion, setCotizacion] = useState(null);
+  const [codigoPromocion, setCodigoPromocion] = useState('');
+  const [retencion, setRetencion] = useState(null);
+  const [horariosCargados, setHorariosCargados] = useState(false);
 
   // Cargar servicios disponibles
   useEffect(() => {
@@ -112,6 +116,7 @@ export default function Reservacion() {
       });
       console.log('Respuesta del API horarios:', response.data);
       setHorarios(response.data.horarios || []);
+      setHorariosCargados(true);
     } catch (error) {
       console.error('Error al cargar horarios:', error);
       setError('Error al cargar horarios: ' + (error.response?.data?.message || error.message));
@@ -120,6 +125,79 @@ export default function Reservacion() {
     }
   };
 
+  // Sin horarios libres: avisar al cliente si se libera uno ese día
+  const unirseListaEspera = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await api.post('/lista-espera', {
+        empleadoId: empleadoSeleccionado,
+        fechaDesde: fechaSeleccionada,
+        fechaHasta: fechaSeleccionada,
+        servicios: serviciosSeleccionados.map(s => ({
+          id: s.id,
+          cantidad: s.cantidad || 1
+        }))
+      });
+      setSuccess('Te avisaremos por email si se libera un horario ese día');
+    } catch (error) {
+      console.error('Error al unirse a la lista de espera:', error);
+      setError('Error al unirse a la lista de espera: ' + (error.response?.data?.mensaje || error.response?.data?.message || error.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Apartar el horario unos minutos mientras el cliente termina la reservación
+  const seleccionarHorario = async (horario) => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.post('/reservacion/retener', {
+        empleadoId: empleadoSeleccionado,
+        servicios: serviciosSeleccionados.map(s => ({
+          id: s.id,
+          cantidad: s.cantidad || 1
+        })),
+        fecha: fechaSeleccionada,
+        horario
+      });
+      setHorarioSeleccionado(horario);
+      setRetencion(response.data.data);
+    } catch (error) {
+      console.error('Error al retener horario:', error);
+      setError('Error al retener horario: ' + (error.response?.data?.mensaje || error.response?.data?.message || error.message));
+      setHorarioSeleccionado('');
+      setRetencion(null);
+      await cargarHorarios();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // El desglose y el total los calcula el servidor
+  const cargarCotizacion = async (codigo = codigoPromocion) => {
+    try {
+      setLoading(true);
+      const response = await api.post('/reservacion/cotizar', {
+        servicios: serviciosSeleccionados.map(s => ({
+          id: s.id,
+          cantidad: s.cantidad || 1
+        })),
+        codigoPromocion: codigo || null,
+        fecha: fechaSeleccionada
+      });
+      setCotizacion(response.data.data);
+      return true;
+    } catch (error) {
+      console.error('Error al cotizar:', error);
+      setError('Error al cotizar: ' + (error.response?.data?.mensaje || error.response?.data?.message || error.message));
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleNext = async () => {
     setError('');
     setSuccess('');
@@ -140,6 +218,9 @@ export default function Reservacion() {
         setError('Debes seleccionar fecha y horario');
         return;
       }
+      if (!(await cargarCotizacion())) {
+        return;
+      }
     }
 
     setActiveStep((prevStep) => prevStep + 1);
@@ -189,7 +270,8 @@ export default function Reservacion() {
         empleadoId: empleadoSeleccionado,
         fecha: fechaSeleccionada,
         horario: horarioSeleccionado,
-        total: calcularTotal()
+        codigoPromocion: cotizacion?.promocion?.codigo || null,
+        total: cotizacion ? cotizacion.total : calcularTotal()
       };
 
       await api.post('/reservacion/procesar', reservacionData);
@@ -211,7 +293,7 @@ export default function Reservacion() {
         ¡Reservación creada exitosamente! 🎉
         
         📅 Fecha: ${fechaFormateada}
-        ⏰ Hora: ${horarioSeleccionado}
+        ⏰ Hora: ${horarioSeleccionado.inicio}
         👨‍💼 Barbero: ${nombreEmpleado}
         ✂️ Servicios: ${serviciosSeleccionados.map(s => s.nombre).join(', ')}
         💰 Total: $${calcularTotal()}
@@ -226,6 +308,7 @@ export default function Reservacion() {
         setServiciosSeleccionados([]);
         setEmpleadoSeleccionado('');
         setHorarioSeleccionado('');
+        setRetencion(null);
         setFechaSeleccionada('');
         setActiveStep(0);
         setSuccess('');
@@ -347,7 +430,10 @@ export default function Reservacion() {
         type="date"
         label="Fecha"
         value={fechaSeleccionada}
-        onChange={(e) => setFechaSeleccionada(e.target.value)}
+        onChange={(e) => {
+          setFechaSeleccionada(e.target.value);
+          setHorariosCargados(false);
+        }}
         InputLabelProps={{ shrink: true }}
         sx={{ mb: 3, minWidth: 200 }}
       />
@@ -365,20 +451,20 @@ export default function Reservacion() {
       {horarios.length > 0 && (
         <Grid container spacing={2} sx={{ mt: 2 }}>
           {horarios.map((horario) => (
-            <Grid item xs={6} sm={4} md={3} key={horario}>
+            <Grid item xs={6} sm={4} md={3} key={horario.inicio}>
               <Card 
                 sx={{ 
                   cursor: 'pointer',
-                  border: horarioSeleccionado === horario ? '2px solid #1976d2' : '1px solid #e0e0e0',
+                  border: horarioSeleccionado?.inicio === horario.inicio ? '2px solid #1976d2' : '1px solid #e0e0e0',
                   '&:hover': { borderColor: '#1976d2' }
                 }}
-                onClick={() => setHorarioSeleccionado(horario)}
+                onClick={() => seleccionarHorario(horario)}
               >
                 <CardContent sx={{ textAlign: 'center' }}>
                   <Typography variant="h6">
-                    {horario}
+                    {horario.inicio}
                   </Typography>
-                  {horarioSeleccionado === horario && (
+                  {horarioSeleccionado?.inicio === horario.inicio && (
                     <Chip 
                       icon={<CheckCircle />} 
                       label="Seleccionado" 
@@ -393,6 +479,26 @@ export default function Reservacion() {
           ))}
         </Grid>
       )}
+
+      {horariosCargados && horarios.length === 0 && (
+        <Alert
+          severity="warning"
+          sx={{ mt: 2 }}
+          action={
+            <Button color="inherit" size="small" onClick={unirseListaEspera} disabled={loading}>
+              Avisarme
+            </Button>
+          }
+        >
+          No hay horarios disponibles para este día. Podemos avisarte si se libera uno.
+        </Alert>
+      )}
+
+      {retencion && (
+        <Alert severity="info" sx={{ mt: 2 }}>
+          Horario apartado hasta las {new Date(retencion.expira_en).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })}
+        </Alert>
+      )}
     </Box>
   );
 
@@ -408,18 +514,42 @@ export default function Reservacion() {
             Servicios Seleccionados:
           </Typography>
           <List>
-            {serviciosSeleccionados.map((servicio) => (
-              <ListItem key={servicio.id}>
+            {(cotizacion?.lineas || []).map((linea) => (
+              <ListItem key={linea.servicio_id}>
                 <ListItemText
-                  primary={servicio.nombre}
-                  secondary={`Cantidad: ${servicio.cantidad || 1} - $${servicio.precio * (servicio.cantidad || 1)}`}
+                  primary={linea.nombre}
+                  secondary={`Cantidad: ${linea.cantidad} - $${linea.subtotal}${linea.descuento > 0 ? ` (descuento: -$${linea.descuento})` : ''}`}
                 />
               </ListItem>
             ))}
           </List>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mt: 1 }}>
+            <TextField
+              size="small"
+              label="Código de promoción"
+              value={codigoPromocion}
+              onChange={(e) => setCodigoPromocion(e.target.value)}
+            />
+            <Button variant="outlined" onClick={() => cargarCotizacion()}>
+              Aplicar
+            </Button>
+          </Box>
           <Divider sx={{ my: 2 }} />
+          {cotizacion && (
+            <>
+              <Typography>Subtotal: ${cotizacion.subtotal}</Typography>
+              {cotizacion.descuento > 0 && (
+                <Typography>
+                  Descuento{cotizacion.promocion ? ` (${cotizacion.promocion.codigo})` : ''}: -${cotizacion.descuento}
+                </Typography>
+              )}
+              {cotizacion.impuesto > 0 && (
+                <Typography>Impuesto ({cotizacion.impuesto_porcentaje}%): ${cotizacion.impuesto}</Typography>
+              )}
+            </>
+          )}
           <Typography variant="h6">
-            Total: ${calcularTotal()}
+            Total: ${cotizacion ? cotizacion.total : calcularTotal()}
           </Typography>
         </CardContent>
       </Card>
@@ -436,8 +566,13 @@ export default function Reservacion() {
             <strong>Fecha:</strong> {fechaSeleccionada}
           </Typography>
           <Typography>
-            <strong>Hora:</strong> {horarioSeleccionado}
+            <strong>Hora:</strong> {horarioSeleccionado?.inicio}
           </Typography>
+          {retencion && (
+            <Typography variant="body2" color="text.secondary">
+              Horario apartado hasta las {new Date(retencion.expira_en).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })}
+            </Typography>
+          )}
         </CardContent>
       </Card>
     </Box>
@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const ausenciaEmpleadoController = require('../controllers/ausenciaEmpleadoController');
 const { protect, authorize } = require('../middleware/auth');
 const handleValidation = require('../middleware/handleValidation');
@@ -26,9 +26,41 @@ router.route('/')
         query('fecha_inicio').optional().isISO8601().withMessage('Fecha de inicio debe ser válida'),
         query('fecha_fin').optional().isISO8601().withMessage('Fecha de fin debe ser válida'),
         query('tipo').optional().isIn(['vacaciones', 'enfermedad', 'personal', 'otro']).withMessage('Tipo debe ser válido'),
+        query('estado').optional().isIn(['Pendiente', 'Aprobada', 'Rechazada', 'Cancelada']).withMessage('Estado debe ser válido'),
         query('aprobada').optional().isBoolean().withMessage('Aprobada debe ser true o false')
     ], handleValidation, ausenciaEmpleadoController.getAllAusenciasEmpleado);
 
+// --- Revisión de solicitudes ---
+router.get('/pendientes', [
+    authorize('administrador', 'dueño'),
+    query('empleado_id').optional().isInt({ min: 1 }).withMessage('ID de empleado debe ser un número positivo')
+], handleValidation, ausenciaEmpleadoController.getAusenciasPendientes);
+
+router.patch('/:id/aprobar', [
+    authorize('administrador', 'dueño'),
+    param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+    body('comentario').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('Comentario debe tener máximo 255 caracteres')
+], handleValidation, ausenciaEmpleadoController.aprobarAusencia);
+
+router.patch('/:id/rechazar', [
+    authorize('administrador', 'dueño'),
+    param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+    body('comentario').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('Comentario debe tener máximo 255 caracteres')
+], handleValidation, ausenciaEmpleadoController.rechazarAusencia);
+
+// --- Desplazamiento de citas afectadas por una ausencia aprobada ---
+router.get('/:id/desplazamiento', [
+    authorize('administrador', 'dueño'),
+    param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, ausenciaEmpleadoController.getDesplazamiento);
+
+router.post('/:id/desplazamiento/aplicar', [
+    authorize('administrador', 'dueño'),
+    param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+    body('cita_ids').optional().isArray({ min: 1 }).withMessage('cita_ids debe ser una lista con al menos una cita'),
+    body('cita_ids.*').isInt({ min: 1 }).withMessage('Cada cita debe ser un ID positivo')
+], handleValidation, ausenciaEmpleadoController.aplicarDesplazamiento);
+
 router.route('/:id')
     .get([
         authorize('administrador', 'dueño'),
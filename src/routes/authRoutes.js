@@ -33,7 +33,7 @@ router.route('/profile')
     body('notificacion_correo').optional().isBoolean(),
     body('notificacion_push').optional().isBoolean(),
     body('notificacion_sms').optional().isBoolean(),
-    body('recordatorio_horas_antes').optional().isInt({ min: 1, max: 168 })
+    body('recordatorio_horas_antes').optional().isInt({ min: 0, max: 168 })
   ], handleValidation, authController.actualizarPerfil);
 
 // Rutas que requieren rol administrador o dueño
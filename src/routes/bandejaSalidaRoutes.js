@@ -0,0 +1,48 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const bandejaSalidaController = require('../controllers/bandejaSalidaController');
+const BandejaSalida = require('../models/BandejaSalida');
+const { protect, authorize } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
+
+// La bandeja de salida es solo para administración
+router.use(protect, authorize('administrador', 'dueño'));
+
+// @desc    Obtener mensajes de la bandeja de salida
+// @route   GET /api/bandeja-salida
+// @access  Private (Admin, Dueño)
+router.get('/', [
+  query('estado').optional().isIn(BandejaSalida.obtenerEstados()).withMessage(`estado debe ser uno de: ${BandejaSalida.obtenerEstados().join(', ')}`),
+  query('canal').optional().isIn(BandejaSalida.obtenerCanales()).withMessage(`canal debe ser uno de: ${BandejaSalida.obtenerCanales().join(', ')}`),
+  query('tipo').optional().isString().isLength({ max: 50 }).withMessage('tipo no puede tener más de 50 caracteres'),
+  query('cita_id').optional().isInt({ min: 1 }).withMessage('cita_id debe ser un número positivo'),
+  query('pagina').optional().isInt({ min: 1 }).withMessage('pagina debe ser un número positivo'),
+  query('limite').optional().isInt({ min: 1, max: 100 }).withMessage('limite debe estar entre 1 y 100')
+], handleValidation, bandejaSalidaController.getMensajes);
+
+// @desc    Volver a encolar los mensajes fallidos
+// @route   POST /api/bandeja-salida/reintentar
+// @access  Private (Admin, Dueño)
+router.post('/reintentar', [
+  body('canal').optional().isIn(BandejaSalida.obtenerCanales()).withMessage(`canal debe ser uno de: ${BandejaSalida.obtenerCanales().join(', ')}`),
+  body('tipo').optional().isString().isLength({ max: 50 }).withMessage('tipo no puede tener más de 50 caracteres'),
+  body('cita_id').optional().isInt({ min: 1 }).withMessage('cita_id debe ser un número positivo')
+], handleValidation, bandejaSalidaController.reintentarFallidos);
+
+// @desc    Obtener un mensaje de la bandeja de salida
+// @route   GET /api/bandeja-salida/:id
+// @access  Private (Admin, Dueño)
+router.get('/:id', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, bandejaSalidaController.getMensaje);
+
+// @desc    Volver a encolar un mensaje fallido
+// @route   POST /api/bandeja-salida/:id/reintentar
+// @access  Private (Admin, Dueño)
+router.post('/:id/reintentar', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, bandejaSalidaController.reintentarMensaje);
+
+module.exports = router;
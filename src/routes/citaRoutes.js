@@ -20,6 +20,19 @@ router.get('/estadisticas', [
   authorize('administrador', 'dueño', 'empleado')
 ], citaController.getStatsCitas);
 
+router.get('/asignaciones-automaticas', [
+  authorize('administrador', 'dueño', 'empleado'),
+  query('cita_id').optional().isInt({ min: 1 }).withMessage('ID de cita debe ser un número positivo'),
+  query('empleado_id').optional().isInt({ min: 1 }).withMessage('ID de empleado debe ser un número positivo'),
+  query('estrategia').optional().isIn(['rotacion', 'menos_citas', 'prioridad_comision']).withMessage('Estrategia debe ser rotacion, menos_citas o prioridad_comision'),
+  query('fecha_inicio').optional().isISO8601().withMessage('Fecha de inicio debe ser válida'),
+  query('fecha_fin').optional().isISO8601().withMessage('Fecha de fin debe ser válida')
+], handleValidation, citaController.getAsignacionesAutomaticas);
+
+router.get('/transiciones', [
+  authorize('administrador', 'dueño', 'empleado')
+], citaController.getTransicionesEstado);
+
 // 🔥 ESTA ES LA RUTA QUE DEBÍA ESTAR ANTES DE `/:id`
 router.get('/estados', [
   authorize('administrador', 'dueño', 'empleado')
@@ -50,6 +63,19 @@ router.get('/estado/:estado', [
   query('fecha_fin').optional().isISO8601().withMessage('Fecha de fin debe ser válida')
 ], handleValidation, citaController.getCitasPorEstado);
 
+router.post('/series', [
+  authorize('administrador', 'dueño', 'empleado'),
+  body('cliente_id').isInt({ min: 1 }).withMessage('ID de cliente debe ser un número positivo'),
+  body('empleado_id').isInt({ min: 1 }).withMessage('ID de empleado debe ser un número positivo'),
+  body('servicios').isArray({ min: 1 }).withMessage('servicios debe ser un array con al menos un servicio'),
+  body('hora_inicio').matches(/^\d{2}:\d{2}$/).withMessage('Hora de inicio debe tener formato HH:MM'),
+  body('fecha_inicio').isISO8601().withMessage('Fecha de inicio debe ser válida'),
+  body('frecuencia_semanas').optional().isInt({ min: 1, max: 12 }).withMessage('Frecuencia debe estar entre 1 y 12 semanas'),
+  body('dia_semana').optional({ nullable: true }).isInt({ min: 0, max: 6 }).withMessage('Día de la semana debe estar entre 0 y 6'),
+  body('fecha_fin').optional({ nullable: true }).isISO8601().withMessage('Fecha de fin debe ser válida'),
+  body('ocurrencias').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Ocurrencias debe ser un número positivo')
+], handleValidation, citaController.crearSerie);
+
 // --- CRUD principal ---
 router.route('/')
   .post([
@@ -61,7 +87,8 @@ router.route('/')
     body('hora_inicio').isString().withMessage('Hora de inicio es requerida'),
     body('hora_fin').isString().withMessage('Hora de fin es requerida'),
     body('notas').optional().isString(),
-    body('estado').optional().isIn(['pendiente', 'confirmada', 'en_proceso', 'completada', 'cancelada']).withMessage('Estado debe ser válido')
+    // Toda cita nace Pendiente; el estado solo cambia con PATCH /api/citas/:id/estado
+    body(['estado', 'estado_id']).not().exists().withMessage('La cita se crea Pendiente; usa PATCH /api/citas/:id/estado para cambiar su estado')
   ], handleValidation, citaController.createCita)
   .get([
     authorize('administrador', 'dueño', 'empleado'),
@@ -97,7 +124,27 @@ router.route('/:id')
 
   router.patch('/:id/estado', [
     authorize('administrador', 'dueño', 'empleado'),
-    body('estado_id').isInt({ min: 1 }).withMessage('Estado ID debe ser un número válido')
+    body('estado_id').isInt({ min: 1 }).withMessage('Estado ID debe ser un número válido'),
+    body('motivo').optional({ nullable: true }).isString().withMessage('Motivo debe ser texto')
   ], handleValidation, citaController.cambiarEstadoCita);
+
+  router.get('/:id/historial', [
+    authorize('administrador', 'dueño', 'empleado')
+  ], citaController.getHistorialEstados);
+
+  router.patch('/:id/cancelar', [
+    authorize('administrador', 'dueño', 'empleado'),
+    body('motivo_cancelacion').optional({ nullable: true }).isString().withMessage('Motivo de cancelación debe ser texto'),
+    body('exonerar_cargo').optional().isBoolean().withMessage('exonerar_cargo debe ser booleano'),
+    body('alcance').optional().isIn(['una', 'futuras']).withMessage('alcance debe ser una o futuras')
+  ], handleValidation, citaController.cancelarCita);
+
+  router.patch('/:id/reprogramar', [
+    authorize('administrador', 'dueño', 'empleado'),
+    body('fecha').isISO8601().withMessage('Fecha debe ser válida'),
+    body('hora_inicio').matches(/^\d{2}:\d{2}$/).withMessage('Hora de inicio debe tener formato HH:MM'),
+    body('motivo').optional({ nullable: true }).isString().withMessage('Motivo debe ser texto'),
+    body('alcance').optional().isIn(['una', 'futuras']).withMessage('alcance debe ser una o futuras')
+  ], handleValidation, citaController.reprogramarCita);
   
 module.exports = router;
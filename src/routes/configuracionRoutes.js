@@ -8,6 +8,17 @@ const router = express.Router();
 
 // --- Rutas públicas ---
 router.get('/sistema', configuracionController.getConfiguracionSistema);
+router.get('/zona-horaria', [
+    query('empleado_id').optional().isInt({ min: 1 }).withMessage('empleado_id debe ser un número positivo')
+], handleValidation, configuracionController.getZonaHoraria);
+
+// --- Zona horaria (antes de /:id) ---
+router.put('/zona-horaria', [
+    protect,
+    authorize('administrador', 'dueño'),
+    body('zona_horaria').isString().notEmpty().withMessage('zona_horaria es requerida'),
+    body('empleado_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('empleado_id debe ser un número positivo')
+], handleValidation, configuracionController.updateZonaHoraria);
 
 // --- Rutas para Administradores y Dueños ---
 router.route('/')
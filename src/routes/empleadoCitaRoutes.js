@@ -1,9 +1,10 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 
 const empleadoCitaController = require('../controllers/empleadoCitaController');
 const { protect } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
 
 // @desc    Obtener citas del empleado autenticado
 // @route   GET /api/empleado-citas/citas
@@ -32,17 +33,20 @@ router.get('/citas/proximas', [
 // @access  Private (Empleado)
 router.post('/ausencias', [
   protect,
-  body('fecha').isISO8601().withMessage('fecha debe ser una fecha válida'),
-  body('motivo').isString().isLength({ min: 10, max: 500 }).withMessage('motivo debe tener entre 10 y 500 caracteres'),
+  body('fecha').optional().isISO8601().withMessage('fecha debe ser una fecha válida'),
+  body('fecha_inicio').optional().isISO8601().withMessage('fecha_inicio debe ser una fecha válida'),
+  body('fecha_fin').optional().isISO8601().withMessage('fecha_fin debe ser una fecha válida'),
+  body('motivo').isString().isLength({ min: 10, max: 255 }).withMessage('motivo debe tener entre 10 y 255 caracteres'),
   body('tipo').optional().isIn(['personal', 'medica', 'vacaciones', 'otro']).withMessage('tipo debe ser personal, medica, vacaciones u otro')
-], empleadoCitaController.solicitarAusencia);
+], handleValidation, empleadoCitaController.solicitarAusencia);
 
 // @desc    Obtener ausencias del empleado
 // @route   GET /api/empleado-citas/ausencias
 // @access  Private (Empleado)
 router.get('/ausencias', [
-  protect
-], empleadoCitaController.getMisAusencias);
+  protect,
+  query('estado').optional().isIn(['Pendiente', 'Aprobada', 'Rechazada', 'Cancelada']).withMessage('estado debe ser Pendiente, Aprobada, Rechazada o Cancelada')
+], handleValidation, empleadoCitaController.getMisAusencias);
 
 // @desc    Cancelar solicitud de ausencia
 // @route   DELETE /api/empleado-citas/ausencias/:id
@@ -58,6 +62,14 @@ router.get('/estadisticas', [
   protect
 ], empleadoCitaController.getEstadisticas);
 
+// @desc    Obtener la liquidación del empleado en un período de nómina
+// @route   GET /api/empleado-citas/nomina/:periodoId
+// @access  Private (Empleado)
+router.get('/nomina/:periodoId', [
+  protect,
+  param('periodoId').isInt({ min: 1 }).withMessage('periodoId debe ser un número positivo')
+], handleValidation, empleadoCitaController.getMiLiquidacion);
+
 // @desc    Obtener información del empleado
 // @route   GET /api/empleado-citas/info
 // @access  Private (Empleado)
@@ -1,11 +1,20 @@
 const express = require('express');
+const { body } = require('express-validator');
 const router = express.Router();
 const controller = require('../controllers/EmpleadoServicioController');
+const { protect, authorize } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
+
+// Precio y duración propios del empleado; null vuelve a usar los del servicio
+const validarCondiciones = [
+  body('precio').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('precio debe ser un número mayor o igual a 0'),
+  body('duracion').optional({ nullable: true }).isInt({ min: 1 }).withMessage('duracion debe ser un número entero de minutos mayor a 0')
+];
 
 router.get('/', controller.listar);
 router.get('/:empleado_id/:servicio_id', controller.obtenerPorId);
-router.post('/', controller.crear);
-router.put('/:empleado_id/:servicio_id', controller.actualizar);
-router.delete('/:empleado_id/:servicio_id', controller.eliminar);
+router.post('/', [protect, authorize('administrador', 'dueño'), ...validarCondiciones], handleValidation, controller.crear);
+router.put('/:empleado_id/:servicio_id', [protect, authorize('administrador', 'dueño'), ...validarCondiciones], handleValidation, controller.actualizar);
+router.delete('/:empleado_id/:servicio_id', [protect, authorize('administrador', 'dueño')], controller.eliminar);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
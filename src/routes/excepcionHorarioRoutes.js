@@ -0,0 +1,52 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const excepcionHorarioController = require('../controllers/excepcionHorarioController');
+const { protect, authorize } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
+
+const router = express.Router();
+
+// --- Rutas públicas ---
+router.get('/', [
+    query('desde').optional().isISO8601().withMessage('Desde debe ser una fecha válida'),
+    query('hasta').optional().isISO8601().withMessage('Hasta debe ser una fecha válida'),
+    query('empleado_id').optional().isInt({ min: 1 }).withMessage('ID de empleado debe ser un número positivo'),
+    query('solo_barberia').optional().isBoolean().withMessage('Solo barbería debe ser true o false')
+], handleValidation, excepcionHorarioController.getAllExcepcionesHorario);
+
+router.get('/:id', [
+    param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, excepcionHorarioController.getExcepcionHorarioById);
+
+// --- Rutas privadas (requieren autenticación) ---
+router.use(protect);
+
+// --- Rutas para Administradores y Dueños ---
+router.route('/')
+    .post([
+        authorize('administrador', 'dueño'),
+        body('empleado_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('ID de empleado debe ser un número positivo'),
+        body('fecha').isISO8601().withMessage('Fecha debe ser válida'),
+        body('tipo').isIn(['Cerrado', 'Horario especial']).withMessage('Tipo debe ser Cerrado u Horario especial'),
+        body('hora_inicio').optional({ nullable: true }).matches(/^\d{2}:\d{2}(:\d{2})?$/).withMessage('Hora de inicio debe tener formato HH:MM'),
+        body('hora_fin').optional({ nullable: true }).matches(/^\d{2}:\d{2}(:\d{2})?$/).withMessage('Hora de fin debe tener formato HH:MM'),
+        body('motivo').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('Motivo debe tener máximo 255 caracteres')
+    ], handleValidation, excepcionHorarioController.createExcepcionHorario);
+
+router.route('/:id')
+    .put([
+        authorize('administrador', 'dueño'),
+        param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+        body('empleado_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('ID de empleado debe ser un número positivo'),
+        body('fecha').optional().isISO8601().withMessage('Fecha debe ser válida'),
+        body('tipo').optional().isIn(['Cerrado', 'Horario especial']).withMessage('Tipo debe ser Cerrado u Horario especial'),
+        body('hora_inicio').optional({ nullable: true }).matches(/^\d{2}:\d{2}(:\d{2})?$/).withMessage('Hora de inicio debe tener formato HH:MM'),
+        body('hora_fin').optional({ nullable: true }).matches(/^\d{2}:\d{2}(:\d{2})?$/).withMessage('Hora de fin debe tener formato HH:MM'),
+        body('motivo').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('Motivo debe tener máximo 255 caracteres')
+    ], handleValidation, excepcionHorarioController.updateExcepcionHorario)
+    .delete([
+        authorize('administrador', 'dueño'),
+        param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+    ], handleValidation, excepcionHorarioController.deleteExcepcionHorario);
+
+module.exports = router;
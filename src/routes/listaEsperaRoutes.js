@@ -0,0 +1,61 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const listaEsperaController = require('../controllers/listaEsperaController');
+const { protect } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
+
+// --- Ofertas (el token del enlace enviado al cliente es la credencial) ---
+
+// @desc    Ver una oferta de horario
+// @route   GET /api/lista-espera/ofertas/:token
+// @access  Public
+router.get('/ofertas/:token', [
+  param('token').isUUID().withMessage('Token de oferta inválido')
+], handleValidation, listaEsperaController.getOferta);
+
+// @desc    Aceptar una oferta de horario
+// @route   POST /api/lista-espera/ofertas/:token/aceptar
+// @access  Public
+router.post('/ofertas/:token/aceptar', [
+  param('token').isUUID().withMessage('Token de oferta inválido')
+], handleValidation, listaEsperaController.aceptarOferta);
+
+// @desc    Rechazar una oferta de horario
+// @route   POST /api/lista-espera/ofertas/:token/rechazar
+// @access  Public
+router.post('/ofertas/:token/rechazar', [
+  param('token').isUUID().withMessage('Token de oferta inválido')
+], handleValidation, listaEsperaController.rechazarOferta);
+
+// --- Rutas privadas (requieren autenticación) ---
+
+// @desc    Registrarse en la lista de espera
+// @route   POST /api/lista-espera
+// @access  Private (Cliente)
+router.post('/', [
+  protect,
+  body('empleadoId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('empleadoId debe ser un número positivo'),
+  body('fechaDesde').isISO8601().withMessage('fechaDesde debe ser una fecha válida'),
+  body('fechaHasta').isISO8601().withMessage('fechaHasta debe ser una fecha válida'),
+  body('horaDesde').optional({ nullable: true }).matches(/^\d{2}:\d{2}$/).withMessage('horaDesde debe tener formato HH:MM'),
+  body('horaHasta').optional({ nullable: true }).matches(/^\d{2}:\d{2}$/).withMessage('horaHasta debe tener formato HH:MM'),
+  body('servicios').isArray({ min: 1 }).withMessage('servicios debe ser un array con al menos un servicio'),
+  body('notas').optional({ nullable: true }).isString().withMessage('notas debe ser texto')
+], handleValidation, listaEsperaController.registrarSolicitud);
+
+// @desc    Obtener mis solicitudes de lista de espera
+// @route   GET /api/lista-espera/mis-solicitudes
+// @access  Private (Cliente)
+router.get('/mis-solicitudes', protect, listaEsperaController.getMisSolicitudes);
+
+// @desc    Salir de la lista de espera
+// @route   DELETE /api/lista-espera/:id
+// @access  Private (Cliente)
+router.delete('/:id', [
+  protect,
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, listaEsperaController.cancelarSolicitud);
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const nominaController = require('../controllers/nominaController');
+const { protect, authorize } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
+
+// Toda la nómina es solo para administración
+router.use(protect, authorize('administrador', 'dueño'));
+
+// --- Comisiones por servicio ---
+
+// @desc    Obtener comisiones por servicio
+// @route   GET /api/nomina/comisiones-servicio
+// @access  Private (Admin, Dueño)
+router.get('/comisiones-servicio', [
+  query('servicio_id').optional().isInt({ min: 1 }).withMessage('servicio_id debe ser un número positivo'),
+  query('empleado_id').optional().isInt({ min: 1 }).withMessage('empleado_id debe ser un número positivo')
+], handleValidation, nominaController.getComisionesServicio);
+
+// @desc    Registrar la comisión de un servicio
+// @route   POST /api/nomina/comisiones-servicio
+// @access  Private (Admin, Dueño)
+router.post('/comisiones-servicio', [
+  body('servicio_id').isInt({ min: 1 }).withMessage('servicio_id debe ser un número positivo'),
+  body('empleado_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('empleado_id debe ser un número positivo'),
+  body('comision_porcentaje').isFloat({ min: 0, max: 100 }).withMessage('comision_porcentaje debe estar entre 0 y 100')
+], handleValidation, nominaController.createComisionServicio);
+
+// @desc    Actualizar una comisión por servicio
+// @route   PUT /api/nomina/comisiones-servicio/:id
+// @access  Private (Admin, Dueño)
+router.put('/comisiones-servicio/:id', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+  body('comision_porcentaje').isFloat({ min: 0, max: 100 }).withMessage('comision_porcentaje debe estar entre 0 y 100')
+], handleValidation, nominaController.updateComisionServicio);
+
+// @desc    Eliminar una comisión por servicio
+// @route   DELETE /api/nomina/comisiones-servicio/:id
+// @access  Private (Admin, Dueño)
+router.delete('/comisiones-servicio/:id', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, nominaController.deleteComisionServicio);
+
+// --- Períodos y liquidaciones ---
+
+// @desc    Obtener períodos de nómina
+// @route   GET /api/nomina/periodos
+// @access  Private (Admin, Dueño)
+router.get('/periodos', [
+  query('estado').optional().isIn(['Abierto', 'Cerrado']).withMessage('estado debe ser Abierto o Cerrado')
+], handleValidation, nominaController.getPeriodos);
+
+// @desc    Crear un período de nómina
+// @route   POST /api/nomina/periodos
+// @access  Private (Admin, Dueño)
+router.post('/periodos', [
+  body('fecha_inicio').isISO8601().withMessage('fecha_inicio debe ser una fecha válida'),
+  body('fecha_fin').isISO8601().withMessage('fecha_fin debe ser una fecha válida'),
+  body('notas').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('notas no puede exceder 500 caracteres')
+], handleValidation, nominaController.createPeriodo);
+
+// @desc    Eliminar un período de nómina abierto
+// @route   DELETE /api/nomina/periodos/:id
+// @access  Private (Admin, Dueño)
+router.delete('/periodos/:id', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, nominaController.deletePeriodo);
+
+// @desc    Obtener las liquidaciones de un período
+// @route   GET /api/nomina/periodos/:id/liquidaciones
+// @access  Private (Admin, Dueño)
+router.get('/periodos/:id/liquidaciones', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+  query('empleado_id').optional().isInt({ min: 1 }).withMessage('empleado_id debe ser un número positivo')
+], handleValidation, nominaController.getLiquidaciones);
+
+// @desc    Cerrar un período de nómina
+// @route   POST /api/nomina/periodos/:id/cerrar
+// @access  Private (Admin, Dueño)
+router.post('/periodos/:id/cerrar', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, nominaController.cerrarPeriodo);
+
+// @desc    Exportar las liquidaciones de un período en CSV
+// @route   GET /api/nomina/periodos/:id/exportar
+// @access  Private (Admin, Dueño)
+router.get('/periodos/:id/exportar', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, nominaController.exportarLiquidaciones);
+
+module.exports = router;
@@ -1,11 +1,23 @@
 const express = require('express');
 const router = express.Router();
+const { body, param } = require('express-validator');
 const controller = require('../controllers/PlantillaCorreoController');
+const { protect, authorize } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
+
+// Las plantillas de correo definen los correos que reciben los clientes: solo administración
+router.use(protect, authorize('administrador', 'dueño'));
 
 router.get('/', controller.listar);
+router.get('/catalogo', controller.catalogo);
 router.get('/:id', controller.obtenerPorId);
 router.post('/', controller.crear);
 router.put('/:id', controller.actualizar);
 router.delete('/:id', controller.eliminar);
 
+router.post('/:id/preview', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+  body('cita_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('cita_id debe ser un número positivo')
+], handleValidation, controller.previsualizar);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,90 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const plantillaHorarioController = require('../controllers/plantillaHorarioController');
+const { protect, authorize } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
+
+const router = express.Router();
+
+const validarTurnos = (opcional) => [
+    (opcional ? body('turnos').optional() : body('turnos')).isArray({ min: 1 }).withMessage('turnos debe ser una lista con al menos un turno'),
+    body('turnos.*.semana').optional().isInt({ min: 1, max: 8 }).withMessage('La semana debe estar entre 1 y 8'),
+    body('turnos.*.dia_semana').isInt({ min: 1, max: 7 }).withMessage('Día de la semana debe estar entre 1 y 7'),
+    body('turnos.*.hora_inicio').matches(/^\d{2}:\d{2}(:\d{2})?$/).withMessage('Hora de inicio debe tener formato HH:MM'),
+    body('turnos.*.hora_fin').matches(/^\d{2}:\d{2}(:\d{2})?$/).withMessage('Hora de fin debe tener formato HH:MM'),
+    body('turnos.*.es_descanso').optional().isBoolean().withMessage('es_descanso debe ser true o false')
+];
+
+// Aplicar middleware de autenticación a todas las rutas
+router.use(protect);
+
+// --- Plan semanal ---
+router.get('/plan', [
+    authorize('administrador', 'dueño', 'empleado'),
+    query('fecha').isISO8601().withMessage('Fecha debe ser válida'),
+    query('empleado_id').optional().isInt({ min: 1 }).withMessage('ID de empleado debe ser un número positivo')
+], handleValidation, plantillaHorarioController.getPlanSemana);
+
+router.post('/plan/copiar', [
+    authorize('administrador', 'dueño'),
+    body('fecha').isISO8601().withMessage('Fecha debe ser válida'),
+    body('semanas').isInt({ min: 1, max: 12 }).withMessage('Semanas debe estar entre 1 y 12'),
+    body('empleado_ids').optional().isArray({ min: 1 }).withMessage('empleado_ids debe ser una lista con al menos un empleado'),
+    body('empleado_ids.*').isInt({ min: 1 }).withMessage('Cada empleado debe ser un ID positivo')
+], handleValidation, plantillaHorarioController.copiarPlanSemana);
+
+// --- Asignaciones ---
+router.get('/asignaciones', [
+    authorize('administrador', 'dueño', 'empleado'),
+    query('plantilla_id').optional().isInt({ min: 1 }).withMessage('ID de plantilla debe ser un número positivo'),
+    query('empleado_id').optional().isInt({ min: 1 }).withMessage('ID de empleado debe ser un número positivo'),
+    query('vigentes_en').optional().isISO8601().withMessage('vigentes_en debe ser una fecha válida')
+], handleValidation, plantillaHorarioController.getAsignacionesPlantilla);
+
+router.delete('/asignaciones/:id', [
+    authorize('administrador', 'dueño'),
+    param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, plantillaHorarioController.deleteAsignacionPlantilla);
+
+// --- Plantillas ---
+router.route('/')
+    .post([
+        authorize('administrador', 'dueño'),
+        body('nombre').isString().isLength({ min: 2, max: 100 }).withMessage('Nombre debe tener entre 2 y 100 caracteres'),
+        body('descripcion').optional({ nullable: true }).isString().isLength({ max: 255 }),
+        body('semanas_rotacion').optional().isInt({ min: 1, max: 8 }).withMessage('Semanas de rotación debe estar entre 1 y 8'),
+        ...validarTurnos(false)
+    ], handleValidation, plantillaHorarioController.createPlantillaHorario)
+    .get([
+        authorize('administrador', 'dueño', 'empleado')
+    ], plantillaHorarioController.getAllPlantillasHorario);
+
+router.post('/:id/asignaciones', [
+    authorize('administrador', 'dueño'),
+    param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+    body('empleado_ids').isArray({ min: 1 }).withMessage('empleado_ids debe ser una lista con al menos un empleado'),
+    body('empleado_ids.*').isInt({ min: 1 }).withMessage('Cada empleado debe ser un ID positivo'),
+    body('vigente_desde').isISO8601().withMessage('vigente_desde debe ser una fecha válida'),
+    body('vigente_hasta').optional({ nullable: true }).isISO8601().withMessage('vigente_hasta debe ser una fecha válida'),
+    body('semana_inicial').optional().isInt({ min: 1, max: 8 }).withMessage('La semana inicial debe estar entre 1 y 8')
+], handleValidation, plantillaHorarioController.asignarPlantillaHorario);
+
+router.route('/:id')
+    .get([
+        authorize('administrador', 'dueño', 'empleado'),
+        param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+    ], handleValidation, plantillaHorarioController.getPlantillaHorarioById)
+    .put([
+        authorize('administrador', 'dueño'),
+        param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+        body('nombre').optional().isString().isLength({ min: 2, max: 100 }).withMessage('Nombre debe tener entre 2 y 100 caracteres'),
+        body('descripcion').optional({ nullable: true }).isString().isLength({ max: 255 }),
+        body('semanas_rotacion').optional().isInt({ min: 1, max: 8 }).withMessage('Semanas de rotación debe estar entre 1 y 8'),
+        ...validarTurnos(true)
+    ], handleValidation, plantillaHorarioController.updatePlantillaHorario)
+    .delete([
+        authorize('administrador', 'dueño'),
+        param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+    ], handleValidation, plantillaHorarioController.deletePlantillaHorario);
+
+module.exports = router;
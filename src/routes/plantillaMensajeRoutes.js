@@ -0,0 +1,57 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const plantillaMensajeController = require('../controllers/plantillaMensajeController');
+const PlantillaMensaje = require('../models/PlantillaMensaje');
+const { protect, authorize } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
+
+const CANALES = PlantillaMensaje.obtenerCanales();
+const TIPOS = PlantillaMensaje.obtenerTipos();
+
+// Las plantillas de SMS y WhatsApp son solo para administración
+router.use(protect, authorize('administrador', 'dueño'));
+
+// @desc    Obtener plantillas de mensaje
+// @route   GET /api/plantillas-mensaje
+// @access  Private (Admin, Dueño)
+router.get('/', [
+  query('canal').optional().isIn(CANALES).withMessage(`canal debe ser uno de: ${CANALES.join(', ')}`),
+  query('tipo').optional().isIn(TIPOS).withMessage(`tipo debe ser uno de: ${TIPOS.join(', ')}`),
+  query('activo').optional().isBoolean().withMessage('activo debe ser true o false')
+], handleValidation, plantillaMensajeController.getPlantillas);
+
+// @desc    Crear una plantilla de mensaje
+// @route   POST /api/plantillas-mensaje
+// @access  Private (Admin, Dueño)
+router.post('/', [
+  body('nombre').trim().notEmpty().isLength({ max: 100 }).withMessage('nombre es requerido (máximo 100 caracteres)'),
+  body('canal').isIn(CANALES).withMessage(`canal debe ser uno de: ${CANALES.join(', ')}`),
+  body('tipo').isIn(TIPOS).withMessage(`tipo debe ser uno de: ${TIPOS.join(', ')}`),
+  body('contenido').trim().notEmpty().withMessage('contenido es requerido'),
+  body('activo').optional().isBoolean().withMessage('activo debe ser true o false'),
+  body('variables').optional({ nullable: true }).isString().withMessage('variables debe ser una lista separada por comas')
+], handleValidation, plantillaMensajeController.createPlantilla);
+
+// @desc    Obtener una plantilla de mensaje
+// @route   GET /api/plantillas-mensaje/:id
+// @access  Private (Admin, Dueño)
+router.get('/:id', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, plantillaMensajeController.getPlantilla);
+
+// @desc    Actualizar una plantilla de mensaje
+// @route   PUT /api/plantillas-mensaje/:id
+// @access  Private (Admin, Dueño)
+router.put('/:id', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+  body('nombre').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('nombre no puede estar vacío (máximo 100 caracteres)'),
+  body('canal').optional().isIn(CANALES).withMessage(`canal debe ser uno de: ${CANALES.join(', ')}`),
+  body('tipo').optional().isIn(TIPOS).withMessage(`tipo debe ser uno de: ${TIPOS.join(', ')}`),
+  body('contenido').optional().trim().notEmpty().withMessage('contenido no puede estar vacío'),
+  body('activo').optional().isBoolean().withMessage('activo debe ser true o false'),
+  body('variables').optional({ nullable: true }).isString().withMessage('variables debe ser una lista separada por comas')
+], handleValidation, plantillaMensajeController.updatePlantilla);
+
+module.exports = router;
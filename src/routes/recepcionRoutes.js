@@ -0,0 +1,74 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+
+const recepcionController = require('../controllers/recepcionController');
+const { protect, authorize } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
+
+// La recepción la manejan el personal y la administración
+router.use(protect, authorize('administrador', 'dueño', 'empleado'));
+
+// --- Cola de clientes presentes ---
+
+// @desc    Obtener la cola de hoy con la espera estimada
+// @route   GET /api/recepcion/cola
+// @access  Private (Admin, Dueño, Empleado)
+router.get('/cola', recepcionController.getCola);
+
+// @desc    Registrar a un cliente que llega sin cita
+// @route   POST /api/recepcion/cola
+// @access  Private (Admin, Dueño, Empleado)
+router.post('/cola', [
+  body('cliente_id').isInt({ min: 1 }).withMessage('cliente_id debe ser un número positivo'),
+  body('empleado_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('empleado_id debe ser un número positivo'),
+  body('servicios').isArray({ min: 1 }).withMessage('servicios debe ser un array con al menos un servicio'),
+  body('notas').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('notas no puede exceder 500 caracteres')
+], handleValidation, recepcionController.registrarSinCita);
+
+// @desc    Llamar a un cliente de la cola
+// @route   POST /api/recepcion/cola/:id/llamar
+// @access  Private (Admin, Dueño, Empleado)
+router.post('/cola/:id/llamar', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+  body('empleado_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('empleado_id debe ser un número positivo')
+], handleValidation, recepcionController.llamar);
+
+// @desc    Sacar de la cola a un cliente que se fue
+// @route   DELETE /api/recepcion/cola/:id
+// @access  Private (Admin, Dueño, Empleado)
+router.delete('/cola/:id', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, recepcionController.retirar);
+
+// @desc    Llamar al siguiente cliente que puede atender un barbero
+// @route   POST /api/recepcion/llamar-siguiente
+// @access  Private (Admin, Dueño, Empleado)
+router.post('/llamar-siguiente', [
+  body('empleado_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('empleado_id debe ser un número positivo')
+], handleValidation, recepcionController.llamarSiguiente);
+
+// --- Citas reservadas ---
+
+// @desc    Registrar la llegada de un cliente con cita
+// @route   POST /api/recepcion/citas/:id/llegada
+// @access  Private (Admin, Dueño, Empleado)
+router.post('/citas/:id/llegada', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, recepcionController.registrarLlegada);
+
+// @desc    Empezar a atender una cita
+// @route   POST /api/recepcion/citas/:id/iniciar
+// @access  Private (Admin, Dueño, Empleado)
+router.post('/citas/:id/iniciar', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, recepcionController.iniciarCita);
+
+// @desc    Terminar la atención de una cita
+// @route   POST /api/recepcion/citas/:id/completar
+// @access  Private (Admin, Dueño, Empleado)
+router.post('/citas/:id/completar', [
+  param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, recepcionController.completarCita);
+
+module.exports = router;
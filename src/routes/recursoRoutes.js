@@ -0,0 +1,46 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const recursoController = require('../controllers/recursoController');
+const { protect, authorize } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
+
+const router = express.Router();
+
+// --- Rutas públicas ---
+router.get('/', [
+    query('tipo').optional().isString().withMessage('Tipo debe ser texto'),
+    query('solo_activos').optional().isBoolean().withMessage('Solo activos debe ser true o false')
+], handleValidation, recursoController.getAllRecursos);
+
+router.get('/:id', [
+    param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+], handleValidation, recursoController.getRecursoById);
+
+// --- Rutas privadas (requieren autenticación) ---
+router.use(protect);
+
+// --- Rutas para Administradores y Dueños ---
+router.route('/')
+    .post([
+        authorize('administrador', 'dueño'),
+        body('nombre').isString().isLength({ min: 2, max: 100 }).withMessage('Nombre debe tener entre 2 y 100 caracteres'),
+        body('tipo').isString().isLength({ min: 2, max: 50 }).withMessage('Tipo debe tener entre 2 y 50 caracteres'),
+        body('descripcion').optional({ nullable: true }).isString(),
+        body('activo').optional().isBoolean().withMessage('Activo debe ser true o false')
+    ], handleValidation, recursoController.createRecurso);
+
+router.route('/:id')
+    .put([
+        authorize('administrador', 'dueño'),
+        param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo'),
+        body('nombre').optional().isString().isLength({ min: 2, max: 100 }).withMessage('Nombre debe tener entre 2 y 100 caracteres'),
+        body('tipo').optional().isString().isLength({ min: 2, max: 50 }).withMessage('Tipo debe tener entre 2 y 50 caracteres'),
+        body('descripcion').optional({ nullable: true }).isString(),
+        body('activo').optional().isBoolean().withMessage('Activo debe ser true o false')
+    ], handleValidation, recursoController.updateRecurso)
+    .delete([
+        authorize('administrador', 'dueño'),
+        param('id').isInt({ min: 1 }).withMessage('ID debe ser un número positivo')
+    ], handleValidation, recursoController.deleteRecurso);
+
+module.exports = router;
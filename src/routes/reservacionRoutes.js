@@ -5,6 +5,7 @@ const router = express.Router();
 const reservacionController = require('../controllers/reservacionController');
 console.log('DEBUG reservacionController:', reservacionController);
 const { protect } = require('../middleware/auth');
+const handleValidation = require('../middleware/handleValidation');
 
 // --- Rutas públicas ---
 
@@ -18,23 +19,70 @@ router.get('/servicios', reservacionController.getServiciosDisponibles);
 // @access  Public
 router.get('/empleados', reservacionController.getEmpleadosDisponibles);
 
+// @desc    Perfil público de un barbero con sus servicios, precios y duraciones
+// @route   GET /api/reservacion/empleados/:id
+// @access  Public
+router.get('/empleados/:id', reservacionController.getPerfilEmpleado);
+
 // @desc    Obtener horarios disponibles para un empleado
 // @route   GET /api/reservacion/horarios
 // @access  Public
 router.get('/horarios', reservacionController.getHorariosDisponibles);
 
+// @desc    Obtener horarios para una visita con varios servicios, empleados y recursos
+// @route   POST /api/reservacion/horarios-combinados
+// @access  Public
+router.post('/horarios-combinados', [
+  body('fecha').isISO8601().withMessage('fecha debe ser una fecha válida'),
+  body('lineas').isArray({ min: 1 }).withMessage('lineas debe ser un array con al menos un servicio'),
+  body('lineas.*.servicioId').isInt({ min: 1 }).withMessage('servicioId debe ser un número positivo'),
+  body('lineas.*.empleadoId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('empleadoId debe ser un número positivo'),
+  body('lineas.*.recursoId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('recursoId debe ser un número positivo')
+], handleValidation, reservacionController.getHorariosCombinados);
+
+// @desc    Cotizar reservación (desglose calculado en el servidor)
+// @route   POST /api/reservacion/cotizar
+// @access  Public
+router.post('/cotizar', [
+  body('servicios').isArray({ min: 1 }).withMessage('servicios debe ser un array con al menos un servicio'),
+  body('servicios.*.id').isInt({ min: 1 }).withMessage('Cada servicio debe tener un id válido'),
+  body('servicios.*.cantidad').optional().isInt({ min: 1 }).withMessage('La cantidad debe ser al menos 1'),
+  body('servicios.*.empleadoId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('empleadoId debe ser un número positivo'),
+  body('empleadoId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('empleadoId debe ser un número positivo'),
+  body('codigoPromocion').optional({ nullable: true }).isString().withMessage('codigoPromocion debe ser texto'),
+  body('fecha').optional().isISO8601().withMessage('fecha debe ser una fecha válida')
+], handleValidation, reservacionController.cotizarReservacion);
+
 // --- Rutas privadas (requieren autenticación) ---
 
+// @desc    Retener temporalmente un horario mientras se completa la reservación
+// @route   POST /api/reservacion/retener
+// @access  Private (Cliente)
+router.post('/retener', [
+  protect,
+  body('empleadoId').isInt({ min: 1 }).withMessage('empleadoId debe ser un número positivo'),
+  body('servicios').isArray({ min: 1 }).withMessage('servicios debe ser un array con al menos un servicio'),
+  body('fecha').isISO8601().withMessage('fecha debe ser una fecha válida'),
+  body('horario.inicio').matches(/^\d{2}:\d{2}$/).withMessage('horario.inicio debe tener formato HH:MM')
+], handleValidation, reservacionController.retenerHorario);
+
+// @desc    Liberar un horario retenido
+// @route   DELETE /api/reservacion/retener/:token
+// @access  Private (Cliente)
+router.delete('/retener/:token', protect, reservacionController.liberarRetencion);
+
 // @desc    Procesar reservación (pago + creación de cita)
 // @route   POST /api/reservacion/procesar
 // @access  Private (Cliente)
 router.post('/procesar', [
   protect,
-  body('empleadoId').isInt({ min: 1 }).withMessage('empleadoId debe ser un número positivo'),
-  body('servicios').isArray().withMessage('servicios debe ser un array'),
+  body('empleadoId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('empleadoId debe ser un número positivo'),
+  body('servicios').optional({ nullable: true }).isArray().withMessage('servicios debe ser un array'),
+  body('lineas').optional({ nullable: true }).isArray({ min: 1 }).withMessage('lineas debe ser un array con al menos un servicio'),
   body('fecha').isISO8601().withMessage('fecha debe ser una fecha válida'),
   body('horario').isString().withMessage('horario debe ser una cadena de texto'),
-  body('total').isFloat({ min: 0 }).withMessage('total debe ser un número positivo')
+  body('total').isFloat({ min: 0 }).withMessage('total debe ser un número positivo'),
+  body('codigoPromocion').optional({ nullable: true }).isString().withMessage('codigoPromocion debe ser texto')
 ], reservacionController.procesarReservacion);
 
 // @desc    Obtener citas del cliente autenticado
@@ -47,7 +95,45 @@ router.get('/mis-citas', protect, reservacionController.getMisCitas);
 // @route   PUT /api/reservacion/cancelar/:id
 // @access  Private (Cliente)
 router.put('/cancelar/:id', [
-  protect
-], reservacionController.cancelarCita);
+  protect,
+  body('motivo_cancelacion').optional({ nullable: true }).isString().withMessage('motivo_cancelacion debe ser texto'),
+  body('alcance').optional().isIn(['una', 'futuras']).withMessage('alcance debe ser una o futuras')
+], handleValidation, reservacionController.cancelarCita);
+
+// @desc    Reprogramar cita del cliente
+// @route   PUT /api/reservacion/reprogramar/:id
+// @access  Private (Cliente)
+router.put('/reprogramar/:id', [
+  protect,
+  body('fecha').isISO8601().withMessage('fecha debe ser una fecha válida'),
+  body('horario.inicio').matches(/^\d{2}:\d{2}$/).withMessage('horario.inicio debe tener formato HH:MM'),
+  body('motivo').optional({ nullable: true }).isString().withMessage('motivo debe ser texto'),
+  body('alcance').optional().isIn(['una', 'futuras']).withMessage('alcance debe ser una o futuras')
+], handleValidation, reservacionController.reprogramarCita);
+
+// Reglas comunes de una serie de citas recurrentes
+const validarSerie = [
+  body('empleadoId').isInt({ min: 1 }).withMessage('empleadoId debe ser un número positivo'),
+  body('servicios').isArray({ min: 1 }).withMessage('servicios debe ser un array con al menos un servicio'),
+  body('servicios.*').custom(servicio => parseInt(servicio !== null && typeof servicio === 'object' ? servicio.id : servicio) > 0)
+    .withMessage('Cada servicio debe tener un id válido'),
+  body('horario').isObject().withMessage('horario debe ser un objeto con inicio'),
+  body('horario.inicio').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('horario.inicio debe tener formato HH:MM'),
+  body('fechaInicio').isISO8601().withMessage('fechaInicio debe ser una fecha válida'),
+  body('frecuenciaSemanas').optional().isInt({ min: 1, max: 12 }).withMessage('frecuenciaSemanas debe estar entre 1 y 12'),
+  body('diaSemana').optional({ nullable: true }).isInt({ min: 0, max: 6 }).withMessage('diaSemana debe estar entre 0 y 6'),
+  body('fechaFin').optional({ nullable: true }).isISO8601().withMessage('fechaFin debe ser una fecha válida'),
+  body('ocurrencias').optional({ nullable: true }).isInt({ min: 1 }).withMessage('ocurrencias debe ser un número positivo')
+];
+
+// @desc    Revisar la disponibilidad de una serie recurrente
+// @route   POST /api/reservacion/series/previsualizar
+// @access  Private (Cliente)
+router.post('/series/previsualizar', [protect, ...validarSerie], handleValidation, reservacionController.previsualizarSerie);
+
+// @desc    Reservar una serie de citas recurrentes
+// @route   POST /api/reservacion/series
+// @access  Private (Cliente)
+router.post('/series', [protect, ...validarSerie], handleValidation, reservacionController.crearSerie);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,76 +1,65 @@
 const cron = require('node-cron');
 const notificacionService = require('../services/notificacionService');
-const { query } = require('../config/database');
+const bandejaSalidaService = require('../services/bandejaSalidaService');
+const retencionHorarioService = require('../services/retencionHorarioService');
+const listaEsperaService = require('../services/listaEsperaService');
 
 console.log('⏰ [programarRecordatorios] Iniciando programador de recordatorios...');
 
-// Programar recordatorios para citas del día siguiente
-// Se ejecuta todos los días a las 8:00 AM
-cron.schedule('0 8 * * *', async () => {
+// Encolar los recordatorios de las citas según las preferencias de cada cliente
+// Se ejecuta cada 5 minutos
+cron.schedule('*/5 * * * *', async () => {
   try {
-    console.log('🔔 [programarRecordatorios] Ejecutando recordatorios automáticos...');
-    await notificacionService.programarRecordatorios();
-    console.log('✅ [programarRecordatorios] Recordatorios programados completados');
+    const { enviados, omitidos } = await notificacionService.programarRecordatorios();
+
+    if (enviados > 0 || omitidos > 0) {
+      console.log(`🔔 [programarRecordatorios] Recordatorios: ${enviados} encolados, ${omitidos} omitidos`);
+    }
+  } catch (error) {
+    console.error('❌ [programarRecordatorios] Error programando recordatorios:', error);
+  }
+});
+
+// Liberar horarios retenidos que vencieron sin confirmarse
+// Se ejecuta cada minuto
+cron.schedule('* * * * *', async () => {
+  try {
+    const liberadas = await retencionHorarioService.liberarExpiradas();
+
+    if (liberadas > 0) {
+      console.log(`🧹 [programarRecordatorios] Retenciones de horario liberadas: ${liberadas}`);
+    }
   } catch (error) {
-    console.error('❌ [programarRecordatorios] Error ejecutando recordatorios:', error);
+    console.error('❌ [programarRecordatorios] Error liberando retenciones de horario:', error);
   }
 });
 
-// Programar recordatorios para citas en 2 horas
-// Se ejecuta cada hora
-cron.schedule('0 * * * *', async () => {
+// Vencer ofertas de lista de espera sin respuesta (el horario pasa al siguiente cliente)
+// y expirar solicitudes cuyo rango de fechas ya pasó
+// Se ejecuta cada minuto
+cron.schedule('* * * * *', async () => {
   try {
-    console.log('🔔 [programarRecordatorios] Ejecutando recordatorios de 2 horas...');
-    
-    // Obtener citas en las próximas 2 horas
-    const now = new Date();
-    const twoHoursLater = new Date(now.getTime() + 2 * 60 * 60 * 1000);
-    
-    const citasSql = `
-      SELECT c.id
-      FROM citas c
-      INNER JOIN estados_citas ec ON c.estado_id = ec.id
-      WHERE c.fecha = DATE(NOW())
-        AND c.hora_inicio BETWEEN TIME(NOW()) AND TIME(?)
-        AND ec.nombre IN ('Confirmada', 'Pendiente')
-        AND c.recordatorio_2h_enviado = 0
-    `;
-    
-    const citas = await query(citasSql, [twoHoursLater.toTimeString().slice(0, 5)]);
-    
-    console.log(`📅 [programarRecordatorios] Encontradas ${citas.length} citas para recordatorio de 2 horas`);
-    
-    for (const cita of citas) {
-      try {
-        await notificacionService.enviarNotificacionesRecordatorio(cita.id);
-        
-        // Marcar recordatorio como enviado
-        await query('UPDATE citas SET recordatorio_2h_enviado = 1 WHERE id = ?', [cita.id]);
-        
-      } catch (error) {
-        console.error(`❌ Error enviando recordatorio de 2h para cita ${cita.id}:`, error);
-      }
+    const { ofertasVencidas, solicitudesExpiradas } = await listaEsperaService.procesarVencimientos();
+
+    if (ofertasVencidas > 0 || solicitudesExpiradas > 0) {
+      console.log(`🧹 [programarRecordatorios] Lista de espera: ${ofertasVencidas} ofertas vencidas, ${solicitudesExpiradas} solicitudes expiradas`);
     }
-    
-    console.log('✅ [programarRecordatorios] Recordatorios de 2 horas completados');
-    
   } catch (error) {
-    console.error('❌ [programarRecordatorios] Error ejecutando recordatorios de 2 horas:', error);
+    console.error('❌ [programarRecordatorios] Error procesando la lista de espera:', error);
   }
 });
 
-// Limpiar recordatorios enviados (resetear flags diariamente)
-// Se ejecuta todos los días a las 12:00 AM
-cron.schedule('0 0 * * *', async () => {
+// Entregar correos, push y eventos de calendario de la bandeja de salida
+// Se ejecuta cada minuto
+cron.schedule('* * * * *', async () => {
   try {
-    console.log('🧹 [programarRecordatorios] Limpiando flags de recordatorios...');
-    
-    await query('UPDATE citas SET recordatorio_enviado = 0, recordatorio_2h_enviado = 0');
-    
-    console.log('✅ [programarRecordatorios] Flags de recordatorios limpiados');
-    
+    const { enviados, reintentos, fallidos } = await bandejaSalidaService.procesarPendientes();
+
+    if (enviados > 0 || reintentos > 0 || fallidos > 0) {
+      console.log(`📤 [programarRecordatorios] Bandeja de salida: ${enviados} enviados, ${reintentos} por reintentar, ${fallidos} fallidos`);
+    }
   } catch (error) {
-    console.error('❌ [programarRecordatorios] Error limpiando flags:', error);
+    console.error('❌ [programarRecordatorios] Error procesando la bandeja de salida:', error);
   }
 });
 
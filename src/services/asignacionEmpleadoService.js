@@ -0,0 +1,110 @@
+const Configuracion = require('../models/Configuracion');
+const AsignacionAutomatica = require('../models/AsignacionAutomatica');
+const disponibilidadService = require('./disponibilidadService');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const { ESTADOS_LIBERAN } = require('../config/estadosCita');
+
+const ESTRATEGIA_POR_DEFECTO = 'rotacion';
+
+/**
+ * Elección de barbero para reservaciones "con cualquier barbero".
+ * Ordena a los empleados que pueden realizar cada servicio según la estrategia
+ * configurada (asignacion_empleado_estrategia); el motor de disponibilidad toma
+ * después al primero de ese orden que esté libre a la hora pedida.
+ *  - rotacion: primero quien lleva más tiempo sin recibir una asignación automática
+ *  - menos_citas: primero quien tiene menos citas ese día
+ *  - prioridad_comision: primero quien tiene mayor porcentaje de comisión
+ */
+class AsignacionEmpleadoService {
+  /**
+   * Obtener la estrategia configurada
+   * @returns {Promise<string>} Estrategia válida
+   */
+  async obtenerEstrategia() {
+    const estrategia = await Configuracion.obtenerValor('asignacion_empleado_estrategia', ESTRATEGIA_POR_DEFECTO);
+    return AsignacionAutomatica.obtenerEstrategias().includes(estrategia) ? estrategia : ESTRATEGIA_POR_DEFECTO;
+  }
+
+  /**
+   * Reunir los datos con los que se comparan los candidatos
+   * @param {Array<number>} empleadoIds - Empleados candidatos
+   * @param {string} fecha - Fecha local 'YYYY-MM-DD'
+   * @param {string} zonaHoraria - Zona horaria IANA
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Array>} [{ empleado_id, citas_dia, comision_porcentaje, ultima_asignacion }]
+   */
+  async evaluarCandidatos(empleadoIds, fecha, zonaHoraria, conexion = null) {
+    const marcadores = empleadoIds.map(() => '?').join(', ');
+    const dia = ZonaHoraria.rangoDiaUtc(fecha, zonaHoraria);
+
+    const empleados = await disponibilidadService.consultar(`
+      SELECT e.id, e.comision_porcentaje,
+             (SELECT COUNT(*)
+              FROM citas c
+              INNER JOIN estados_citas ec ON c.estado_id = ec.id
+              WHERE c.empleado_id = e.id
+                AND c.fecha_hora_inicio >= ? AND c.fecha_hora_inicio < ?
+                AND ec.nombre NOT IN (${ESTADOS_LIBERAN.map(() => '?').join(', ')})) as citas_dia,
+             (SELECT MAX(a.created_at) FROM asignaciones_automaticas a WHERE a.empleado_id = e.id) as ultima_asignacion
+      FROM empleados e
+      WHERE e.id IN (${marcadores})
+    `, [ZonaHoraria.aFechaSQL(dia.inicio), ZonaHoraria.aFechaSQL(dia.fin), ...ESTADOS_LIBERAN, ...empleadoIds], conexion);
+
+    return empleados.map(empleado => ({
+      empleado_id: empleado.id,
+      citas_dia: Number(empleado.citas_dia) || 0,
+      comision_porcentaje: Number(empleado.comision_porcentaje) || 0,
+      ultima_asignacion: empleado.ultima_asignacion
+        ? ZonaHoraria.aFechaSQL(ZonaHoraria.parsearFechaUtc(empleado.ultima_asignacion))
+        : null
+    }));
+  }
+
+  /**
+   * Ordenar candidatos según la estrategia; los empates se resuelven por menos citas y luego por ID
+   * @param {Array} candidatos - Resultado de evaluarCandidatos
+   * @param {string} estrategia - Estrategia de asignación
+   * @returns {Array} Candidatos ordenados de más a menos preferido
+   */
+  ordenarCandidatos(candidatos, estrategia) {
+    // Quien nunca recibió una asignación automática va primero en la rotación
+    const ultima = candidato => (candidato.ultima_asignacion ? ZonaHoraria.parsearFechaUtc(candidato.ultima_asignacion).getTime() : 0);
+
+    return [...candidatos].sort((a, b) => {
+      let diferencia = 0;
+      if (estrategia === 'rotacion') diferencia = ultima(a) - ultima(b);
+      if (estrategia === 'prioridad_comision') diferencia = b.comision_porcentaje - a.comision_porcentaje;
+
+      return diferencia || a.citas_dia - b.citas_dia || a.empleado_id - b.empleado_id;
+    });
+  }
+
+  /**
+   * Ordenar los empleados candidatos de las líneas sin barbero elegido
+   * @param {Array} preparadas - Líneas preparadas (se modifican)
+   * @param {Array} lineas - Líneas normalizadas de las que salieron
+   * @param {Object} datos - { fecha, zonaHoraria, conexion }
+   * @returns {Promise<Object|null>} { estrategia, candidatos } para el registro, o null si todas tenían barbero
+   */
+  async ordenarLineas(preparadas, lineas, datos) {
+    const { fecha, zonaHoraria, conexion = null } = datos;
+    const abiertas = preparadas.filter((linea, index) => !lineas[index].empleadoId);
+    if (abiertas.length === 0) return null;
+
+    const estrategia = await this.obtenerEstrategia();
+    const empleadoIds = [...new Set(abiertas.flatMap(linea => linea.empleados))];
+    const candidatos = this.ordenarCandidatos(
+      await this.evaluarCandidatos(empleadoIds, fecha, zonaHoraria, conexion),
+      estrategia
+    );
+    const posicion = new Map(candidatos.map((candidato, index) => [candidato.empleado_id, index]));
+
+    for (const linea of abiertas) {
+      linea.empleados = [...linea.empleados].sort((a, b) => posicion.get(a) - posicion.get(b));
+    }
+
+    return { estrategia, candidatos };
+  }
+}
+
+module.exports = new AsignacionEmpleadoService();
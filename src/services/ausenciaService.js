@@ -0,0 +1,538 @@
+const { query, transaccion } = require('../config/database');
+const AusenciaEmpleado = require('../models/AusenciaEmpleado');
+const EmpleadoServicio = require('../models/EmpleadoServicio');
+const disponibilidadService = require('./disponibilidadService');
+const reservacionService = require('./reservacionService');
+const notificacionService = require('./notificacionService');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const { ConflictError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+// Estados de cita que todavía se pueden mover a otro barbero u horario
+const ESTADOS_DESPLAZABLES = ['Pendiente', 'Confirmada'];
+
+// Días, contando el de la cita, en los que se busca un horario libre con el mismo barbero
+const DIAS_BUSQUEDA_REPROGRAMACION = 14;
+
+// Tipos que envía la app del barbero y su motivo en ausencias_empleados
+const MOTIVOS_POR_TIPO = {
+  personal: 'Permiso',
+  medica: 'Enfermedad',
+  vacaciones: 'Vacaciones',
+  otro: 'Otro'
+};
+
+/**
+ * Flujo de aprobación de ausencias.
+ * El barbero solicita la ausencia (Pendiente) y un administrador o dueño la aprueba o la
+ * rechaza; el barbero puede retirarla mientras siga pendiente. Solo las ausencias aprobadas
+ * bloquean la agenda. Las fechas de las ausencias están en hora local del barbero.
+ * Las citas que quedan dentro de una ausencia aprobada se desplazan: a otro barbero que
+ * realice los mismos servicios a la misma hora o, si no lo hay, al siguiente horario libre.
+ */
+class AusenciaService {
+  /**
+   * Normalizar el periodo de una ausencia a DATETIME local
+   * Una fecha sin hora cubre el día completo
+   * @param {Object} datos - { fecha } para un día completo o { fechaInicio, fechaFin }
+   * @returns {Object} { inicio, fin } 'YYYY-MM-DD HH:MM:SS'
+   */
+  normalizarPeriodo(datos) {
+    const { fecha = null, fechaInicio = fecha, fechaFin = fecha } = datos;
+
+    if (!fechaInicio || !fechaFin) {
+      throw new ValidationError('fecha_inicio y fecha_fin son requeridos');
+    }
+
+    const aDatetime = (valor, horaPorDefecto) => {
+      const texto = String(valor).trim().replace('T', ' ').slice(0, 19);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(texto)) return `${texto} ${horaPorDefecto}`;
+      if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(texto)) return `${texto}:00`;
+      if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(texto)) return texto;
+      throw new ValidationError(`Fecha inválida: ${valor}`);
+    };
+
+    const inicio = aDatetime(fechaInicio, '00:00:00');
+    const fin = aDatetime(fechaFin, '23:59:59');
+
+    if (fin <= inicio) {
+      throw new ValidationError('La fecha de fin debe ser posterior a la fecha de inicio');
+    }
+
+    return { inicio, fin };
+  }
+
+  /**
+   * Obtener el día siguiente a una fecha
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @returns {string} Fecha 'YYYY-MM-DD'
+   */
+  diaSiguiente(fecha) {
+    const dia = new Date(`${fecha}T00:00:00Z`);
+    dia.setUTCDate(dia.getUTCDate() + 1);
+    return dia.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Traducir el tipo o motivo recibido al motivo de la tabla
+   * @param {string} tipo - personal, medica, vacaciones, otro o un motivo de la tabla
+   * @returns {string} Motivo válido
+   */
+  normalizarMotivo(tipo) {
+    if (AusenciaEmpleado.obtenerMotivos().includes(tipo)) return tipo;
+    return MOTIVOS_POR_TIPO[String(tipo || 'personal').toLowerCase()] || 'Otro';
+  }
+
+  /**
+   * Obtener las citas futuras que el barbero debía atender dentro de un periodo local
+   * @param {Object} ausencia - { empleado_id, inicio, fin } con el periodo en hora local
+   * @returns {Promise<Array>} Citas pendientes o confirmadas que se cruzan con el periodo
+   */
+  async obtenerCitasAfectadas(ausencia) {
+    const { empleado_id: empleadoId, inicio, fin } = ausencia;
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId });
+    const aUtc = (valor) => ZonaHoraria.aFechaSQL(ZonaHoraria.localAUtc(valor.slice(0, 10), valor.slice(11), zonaHoraria));
+
+    // Igual que la disponibilidad: si la cita tiene horarios por servicio, solo cuentan los del barbero
+    return query(`
+      SELECT
+        c.id, c.cliente_id, c.empleado_id, c.fecha_hora_inicio, c.fecha_hora_fin,
+        ec.nombre AS estado,
+        CONCAT(u.nombre, ' ', u.apellido) AS cliente_nombre
+      FROM citas c
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      INNER JOIN clientes cl ON c.cliente_id = cl.id
+      INNER JOIN usuarios u ON cl.usuario_id = u.id
+      WHERE ec.nombre IN (${ESTADOS_DESPLAZABLES.map(() => '?').join(', ')})
+        AND c.fecha_hora_inicio > UTC_TIMESTAMP()
+        AND (
+          EXISTS (
+            SELECT 1 FROM cita_servicio cs
+            WHERE cs.cita_id = c.id
+              AND COALESCE(cs.empleado_id, c.empleado_id) = ?
+              AND cs.fecha_hora_inicio < ?
+              AND cs.fecha_hora_fin > ?
+          )
+          OR (
+            c.empleado_id = ?
+            AND c.fecha_hora_inicio < ?
+            AND c.fecha_hora_fin > ?
+            AND NOT EXISTS (
+              SELECT 1 FROM cita_servicio cs
+              WHERE cs.cita_id = c.id AND cs.fecha_hora_inicio IS NOT NULL
+            )
+          )
+        )
+      ORDER BY c.fecha_hora_inicio
+    `, [...ESTADOS_DESPLAZABLES, empleadoId, aUtc(fin), aUtc(inicio), empleadoId, aUtc(fin), aUtc(inicio)]);
+  }
+
+  /**
+   * Obtener una ausencia aprobada con su periodo en hora local
+   * @param {number} id - ID de la ausencia
+   * @returns {Promise<Object>} { id, empleado_id, empleado_nombre, inicio, fin }
+   */
+  async obtenerAusenciaAprobada(id) {
+    const [ausencia] = await query(`
+      SELECT ae.id, ae.empleado_id, ae.estado,
+             DATE_FORMAT(ae.fecha_inicio, '%Y-%m-%d %H:%i:%s') AS inicio,
+             DATE_FORMAT(ae.fecha_fin, '%Y-%m-%d %H:%i:%s') AS fin,
+             CONCAT(u.nombre, ' ', u.apellido) AS empleado_nombre
+      FROM ausencias_empleados ae
+      INNER JOIN empleados e ON ae.empleado_id = e.id
+      INNER JOIN usuarios u ON e.usuario_id = u.id
+      WHERE ae.id = ?
+    `, [id]);
+
+    if (!ausencia) {
+      throw new NotFoundError('Ausencia no encontrada');
+    }
+    if (ausencia.estado !== 'Aprobada') {
+      throw new ConflictError('Solo se pueden desplazar las citas de ausencias aprobadas');
+    }
+
+    return ausencia;
+  }
+
+  /**
+   * Obtener los empleados activos que realizan todos los servicios indicados
+   * @param {Array<number>} servicioIds - IDs de servicios
+   * @param {number} excluirEmpleadoId - Empleado que no debe proponerse
+   * @returns {Promise<Array<number>>} IDs de empleados, en el orden de EmpleadoServicio
+   */
+  async obtenerEmpleadosCapaces(servicioIds, excluirEmpleadoId) {
+    let capaces = null;
+
+    for (const servicioId of servicioIds) {
+      const ids = (await EmpleadoServicio.obtenerEmpleadosDisponibles(servicioId)).map(fila => fila.empleado_id);
+      capaces = capaces ? capaces.filter(id => ids.includes(id)) : ids;
+    }
+
+    return (capaces || []).filter(id => id !== excluirEmpleadoId);
+  }
+
+  /**
+   * Calcular la propuesta de desplazamiento de una cita.
+   * Primero se busca otro barbero para los servicios del ausente a la misma hora, conservando
+   * los demás empleados y recursos; si nadie puede, el siguiente horario libre del mismo equipo.
+   * @param {Object} cita - Cita afectada
+   * @param {number} empleadoAusenteId - ID del barbero ausente
+   * @returns {Promise<Object|null>} { tipo, fecha, horaInicio, porLineas, preparadas, asignaciones } o null
+   */
+  async calcularPropuesta(cita, empleadoAusenteId) {
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+    const [fecha, hora] = ZonaHoraria.utcALocal(cita.fecha_hora_inicio, zonaHoraria).split(' ');
+    const horaInicio = hora.slice(0, 5);
+    const duracionEntre = (inicio, fin) => Math.round((fin - inicio) / 60000);
+
+    const lineas = await query(`
+      SELECT cs.servicio_id, COALESCE(cs.empleado_id, ?) AS empleado_id, cs.recurso_id,
+             cs.fecha_hora_inicio, cs.fecha_hora_fin
+      FROM cita_servicio cs
+      WHERE cs.cita_id = ? AND cs.fecha_hora_inicio IS NOT NULL
+      ORDER BY cs.orden, cs.fecha_hora_inicio
+    `, [cita.empleado_id, cita.id]);
+
+    const porLineas = lineas.length > 0;
+    let reasignacion;
+    let reprogramacion;
+
+    if (porLineas) {
+      reasignacion = [];
+      for (const linea of lineas) {
+        reasignacion.push({
+          servicioId: linea.servicio_id,
+          duracion: duracionEntre(linea.fecha_hora_inicio, linea.fecha_hora_fin),
+          empleados: linea.empleado_id === empleadoAusenteId
+            ? await this.obtenerEmpleadosCapaces([linea.servicio_id], empleadoAusenteId)
+            : [linea.empleado_id],
+          recursos: [linea.recurso_id]
+        });
+      }
+      reprogramacion = lineas.map(linea => ({
+        servicioId: linea.servicio_id,
+        duracion: duracionEntre(linea.fecha_hora_inicio, linea.fecha_hora_fin),
+        empleados: [linea.empleado_id],
+        recursos: [linea.recurso_id]
+      }));
+    } else {
+      // Cita sin horarios por servicio: el barbero atiende toda la visita
+      const servicioIds = (await query('SELECT servicio_id FROM cita_servicio WHERE cita_id = ?', [cita.id]))
+        .map(fila => fila.servicio_id);
+      const linea = {
+        servicioId: servicioIds[0] || null,
+        duracion: duracionEntre(cita.fecha_hora_inicio, cita.fecha_hora_fin),
+        recursos: [null]
+      };
+      reasignacion = [{ ...linea, empleados: await this.obtenerEmpleadosCapaces(servicioIds, empleadoAusenteId) }];
+      reprogramacion = [{ ...linea, empleados: [cita.empleado_id] }];
+    }
+
+    if (reasignacion.every(linea => linea.empleados.length > 0)) {
+      const asignaciones = await disponibilidadService.verificarCombinacion(fecha, horaInicio, reasignacion, {
+        zonaHoraria,
+        excluirCitaId: cita.id
+      });
+
+      if (asignaciones) {
+        return {
+          tipo: 'reasignacion',
+          zonaHoraria,
+          fecha,
+          horaInicio,
+          porLineas,
+          // Al aplicar se respeta exactamente la combinación propuesta
+          preparadas: asignaciones.map((asignacion, indice) => ({
+            ...reasignacion[indice],
+            empleados: [asignacion.empleadoId],
+            recursos: [asignacion.recursoId]
+          })),
+          asignaciones: asignaciones.map(asignacion => disponibilidadService.formatearAsignacion(asignacion))
+        };
+      }
+    }
+
+    // Con la ausencia aprobada, la agenda del barbero ya excluye el periodo ausente
+    let dia = fecha;
+    for (let intento = 0; intento < DIAS_BUSQUEDA_REPROGRAMACION; intento++, dia = this.diaSiguiente(dia)) {
+      const [horario] = await disponibilidadService.calcularHorariosCombinados(dia, reprogramacion, {
+        zonaHoraria,
+        excluirCitaId: cita.id
+      });
+
+      if (horario) {
+        return {
+          tipo: 'reprogramacion',
+          zonaHoraria,
+          fecha: dia,
+          horaInicio: horario.inicio,
+          porLineas,
+          preparadas: reprogramacion,
+          asignaciones: horario.asignaciones
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Formatear una cita afectada y su propuesta para la respuesta de la API
+   * @param {Object} cita - Cita afectada
+   * @param {Object|null} propuesta - Propuesta de calcularPropuesta
+   * @param {string} zonaHoraria - Zona horaria del barbero de la cita
+   * @returns {Object} Cita con su propuesta en hora local
+   */
+  formatearPropuesta(cita, propuesta, zonaHoraria) {
+    return {
+      cita_id: cita.id,
+      cliente_nombre: cita.cliente_nombre,
+      estado: cita.estado,
+      fecha_hora_inicio: ZonaHoraria.utcALocal(cita.fecha_hora_inicio, zonaHoraria, 'T'),
+      fecha_hora_fin: ZonaHoraria.utcALocal(cita.fecha_hora_fin, zonaHoraria, 'T'),
+      propuesta: propuesta && {
+        tipo: propuesta.tipo,
+        fecha: propuesta.fecha,
+        hora_inicio: propuesta.horaInicio,
+        hora_fin: propuesta.asignaciones[propuesta.asignaciones.length - 1].fin,
+        asignaciones: propuesta.asignaciones
+      }
+    };
+  }
+
+  /**
+   * Listar las citas afectadas por una ausencia aprobada con su propuesta de desplazamiento
+   * @param {number} id - ID de la ausencia
+   * @returns {Promise<Array>} Citas con propuesta de reasignación, de reprogramación o null
+   */
+  async proponerDesplazamiento(id) {
+    const ausencia = await this.obtenerAusenciaAprobada(id);
+    const citas = await this.obtenerCitasAfectadas(ausencia);
+    const resultado = [];
+
+    for (const cita of citas) {
+      const propuesta = await this.calcularPropuesta(cita, ausencia.empleado_id);
+      const zonaHoraria = propuesta ? propuesta.zonaHoraria : await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+      resultado.push(this.formatearPropuesta(cita, propuesta, zonaHoraria));
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Pasar a otros barberos los servicios de una cita sin cambiar su horario y encolar el aviso al cliente
+   * @param {number} citaId - ID de la cita
+   * @param {Object} propuesta - Propuesta de reasignación
+   * @param {string} empleadoAnterior - Nombre del barbero ausente, para el aviso
+   * @returns {Promise<void>}
+   */
+  async reasignarCita(citaId, propuesta, empleadoAnterior) {
+    await transaccion(async (connection) => {
+      const [citas] = await connection.query(`
+        SELECT c.id, c.empleado_id, c.fecha_hora_inicio, ec.nombre AS estado_nombre
+        FROM citas c
+        INNER JOIN estados_citas ec ON c.estado_id = ec.id
+        WHERE c.id = ?
+        FOR UPDATE
+      `, [citaId]);
+      const cita = citas[0];
+
+      if (!cita) {
+        throw new NotFoundError('Cita no encontrada');
+      }
+      if (!ESTADOS_DESPLAZABLES.includes(cita.estado_nombre)) {
+        throw new ValidationError(`No se puede reasignar una cita en estado ${cita.estado_nombre}`);
+      }
+      if (ZonaHoraria.utcALocal(cita.fecha_hora_inicio, propuesta.zonaHoraria).slice(0, 16) !== `${propuesta.fecha} ${propuesta.horaInicio}`) {
+        throw new ConflictError('La cita cambió de horario. Vuelve a consultar las propuestas.');
+      }
+
+      const visita = await reservacionService.asignarLineas(connection, {
+        lineas: propuesta.preparadas,
+        fecha: propuesta.fecha,
+        horaInicio: propuesta.horaInicio,
+        zonaHoraria: propuesta.zonaHoraria,
+        excluirCitaId: cita.id
+      });
+
+      await connection.query('UPDATE citas SET empleado_id = ?, updated_at = NOW() WHERE id = ?', [visita.empleadoId, cita.id]);
+
+      // Las citas sin horarios por servicio siguen al empleado de la cita
+      if (propuesta.porLineas) {
+        for (const asignacion of visita.asignaciones) {
+          await connection.query(`
+            UPDATE cita_servicio
+            SET empleado_id = ?, recurso_id = ?
+            WHERE cita_id = ? AND servicio_id = ?
+          `, [asignacion.empleadoId, asignacion.recursoId, cita.id, asignacion.servicioId]);
+        }
+      }
+
+      await notificacionService.enviarNotificacionesReasignacion(cita.id, empleadoAnterior, connection);
+    });
+  }
+
+  /**
+   * Aplicar en bloque las propuestas de desplazamiento y avisar a los clientes.
+   * Las propuestas se recalculan al aplicar y cada cita se mueve en su propia transacción,
+   * de modo que una cita que ya no puede moverse no impide mover las demás.
+   * @param {number} id - ID de la ausencia
+   * @param {Object} datos - { citaIds (opcional, todas por defecto), usuarioId }
+   * @returns {Promise<Object>} { aplicadas, pendientes }
+   */
+  async aplicarDesplazamiento(id, datos) {
+    const { citaIds = null, usuarioId } = datos;
+    const ausencia = await this.obtenerAusenciaAprobada(id);
+    const citas = (await this.obtenerCitasAfectadas(ausencia))
+      .filter(cita => !citaIds || citaIds.map(Number).includes(cita.id));
+
+    const aplicadas = [];
+    const pendientes = [];
+
+    for (const cita of citas) {
+      const propuesta = await this.calcularPropuesta(cita, ausencia.empleado_id);
+
+      if (!propuesta) {
+        pendientes.push({ cita_id: cita.id, motivo: 'No hay otro barbero ni horario libre para esta cita' });
+        continue;
+      }
+
+      try {
+        if (propuesta.tipo === 'reasignacion') {
+          await this.reasignarCita(cita.id, propuesta, ausencia.empleado_nombre);
+        } else {
+          // reprogramar encola el aviso al cliente
+          await reservacionService.reprogramar({
+            citaId: cita.id,
+            fecha: propuesta.fecha,
+            horaInicio: propuesta.horaInicio,
+            usuarioId,
+            motivo: `Ausencia de ${ausencia.empleado_nombre}`
+          });
+        }
+
+        aplicadas.push(this.formatearPropuesta(cita, propuesta, propuesta.zonaHoraria));
+      } catch (error) {
+        if (!['ConflictError', 'ValidationError', 'NotFoundError'].includes(error.name)) {
+          throw error;
+        }
+        pendientes.push({ cita_id: cita.id, motivo: error.message });
+      }
+    }
+
+    return { aplicadas, pendientes };
+  }
+
+  /**
+   * Solicitar una ausencia (queda pendiente de aprobación)
+   * @param {Object} datos - { empleadoId, fecha | fechaInicio, fechaFin, tipo, descripcion }
+   * @returns {Promise<Object>} Ausencia creada con citas_afectadas, las citas que habrá que desplazar
+   */
+  async solicitar(datos) {
+    const { empleadoId, tipo, descripcion = null } = datos;
+    const { inicio, fin } = this.normalizarPeriodo(datos);
+
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId });
+    if (inicio.slice(0, 10) < ZonaHoraria.ahora(zonaHoraria).fecha) {
+      throw new ValidationError('No se pueden solicitar ausencias en fechas pasadas');
+    }
+
+    const [solapada] = await query(`
+      SELECT id FROM ausencias_empleados
+      WHERE empleado_id = ? AND estado IN ('Pendiente', 'Aprobada')
+        AND fecha_inicio < ? AND fecha_fin > ?
+      LIMIT 1
+    `, [empleadoId, fin, inicio]);
+
+    if (solapada) {
+      throw new ConflictError('Ya tienes una ausencia pendiente o aprobada en ese período');
+    }
+
+    // Las citas del periodo no impiden la solicitud: se desplazan cuando se aprueba
+    const citasAfectadas = await this.obtenerCitasAfectadas({ empleado_id: empleadoId, inicio, fin });
+
+    const ausencia = await AusenciaEmpleado.crear({
+      empleado_id: empleadoId,
+      fecha_inicio: inicio,
+      fecha_fin: fin,
+      motivo: this.normalizarMotivo(tipo),
+      descripcion,
+      estado: 'Pendiente'
+    });
+
+    return { ...ausencia, citas_afectadas: citasAfectadas.length };
+  }
+
+  /**
+   * Aprobar o rechazar una solicitud pendiente y avisar al barbero
+   * @param {number} id - ID de la ausencia
+   * @param {Object} datos - { decision: 'Aprobada' | 'Rechazada', usuarioId, comentario }
+   * @returns {Promise<Object>} Ausencia revisada
+   */
+  async revisar(id, datos) {
+    const { decision, usuarioId, comentario = null } = datos;
+
+    if (!['Aprobada', 'Rechazada'].includes(decision)) {
+      throw new ValidationError('La decisión debe ser Aprobada o Rechazada');
+    }
+
+    await transaccion(async (connection) => {
+      const [rows] = await connection.query(`
+        SELECT empleado_id, estado,
+               DATE_FORMAT(fecha_inicio, '%Y-%m-%d %H:%i:%s') AS inicio,
+               DATE_FORMAT(fecha_fin, '%Y-%m-%d %H:%i:%s') AS fin
+        FROM ausencias_empleados
+        WHERE id = ?
+        FOR UPDATE
+      `, [id]);
+      const ausencia = rows[0];
+
+      if (!ausencia) {
+        throw new NotFoundError('Ausencia no encontrada');
+      }
+      if (ausencia.estado !== 'Pendiente') {
+        throw new ConflictError(`La solicitud ya fue ${ausencia.estado.toLowerCase()}`);
+      }
+
+      // Mientras estuvo pendiente la agenda siguió abierta. Se bloquea cada día del periodo
+      // para que las reservas en curso terminen antes y aparezcan entre las citas a desplazar.
+      if (decision === 'Aprobada') {
+        for (let dia = ausencia.inicio.slice(0, 10); dia <= ausencia.fin.slice(0, 10); dia = this.diaSiguiente(dia)) {
+          await disponibilidadService.bloquearAgenda(connection, ausencia.empleado_id, dia);
+        }
+      }
+
+      await connection.query(`
+        UPDATE ausencias_empleados
+        SET estado = ?, revisado_por = ?, revisado_en = CURRENT_TIMESTAMP, comentario_revision = ?
+        WHERE id = ?
+      `, [decision, usuarioId, comentario, id]);
+
+      await notificacionService.enviarNotificacionesAusencia(id, connection);
+    });
+
+    return AusenciaEmpleado.obtenerPorId(id);
+  }
+
+  /**
+   * Retirar una solicitud propia que sigue pendiente
+   * @param {number} id - ID de la ausencia
+   * @param {number} empleadoId - ID del empleado que la solicitó
+   * @returns {Promise<Object>} Ausencia cancelada
+   */
+  async cancelar(id, empleadoId) {
+    const [ausencia] = await query('SELECT * FROM ausencias_empleados WHERE id = ? AND empleado_id = ?', [id, empleadoId]);
+
+    if (!ausencia) {
+      throw new NotFoundError('Ausencia no encontrada');
+    }
+    if (ausencia.estado !== 'Pendiente') {
+      throw new ConflictError('Solo se pueden cancelar solicitudes pendientes');
+    }
+
+    await query(`UPDATE ausencias_empleados SET estado = 'Cancelada' WHERE id = ? AND estado = 'Pendiente'`, [id]);
+
+    return AusenciaEmpleado.obtenerPorId(id);
+  }
+}
+
+module.exports = new AusenciaService();
@@ -7,12 +7,17 @@ const Usuario = require('../models/Usuario');
 const Cliente = require('../models/Cliente');
 const Empleado = require('../models/Empleado');
 const Log = require('../models/Log');
+const bandejaSalidaService = require('./bandejaSalidaService');
+const emailService = require('./emailService');
 
 class AuthService {
   constructor() {
     this.maxLoginAttempts = 10;
     this.sessionExpiry = 24 * 60 * 60 * 1000; // 24 horas
     this.maxDevices = 3;
+
+    // La bienvenida se encola al registrar al usuario, así que su entrega se registra aquí
+    bandejaSalidaService.registrarEntrega('email', 'bienvenida', mensaje => emailService.enviarBienvenida(mensaje.usuario_id));
   }
 
   /**
@@ -107,6 +112,13 @@ class AuthService {
         'INSERT INTO clientes (usuario_id) VALUES (?)',
         [usuarioId]
       );
+
+      // Correo de bienvenida, entregado por la bandeja de salida
+      if (decodedToken.email) {
+        await bandejaSalidaService.encolar(connection, [
+          { canal: 'email', tipo: 'bienvenida', usuarioId }
+        ]);
+      }
   
       await connection.commit();
   
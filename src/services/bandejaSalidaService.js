@@ -0,0 +1,127 @@
+const { transaccion } = require('../config/database');
+const BandejaSalida = require('../models/BandejaSalida');
+
+// Espera antes de cada reintento: 1 min, 2, 4, 8... hasta 6 horas
+const ESPERA_BASE_SEGUNDOS = 60;
+const ESPERA_MAXIMA_SEGUNDOS = 6 * 60 * 60;
+// Tiempo que un mensaje queda reservado para el proceso que lo entrega
+const MINUTOS_BLOQUEO = 5;
+
+/**
+ * Bandeja de salida de notificaciones.
+ * Los servicios encolan cada correo, push o cambio de Google Calendar con la conexión de su
+ * transacción, de modo que el mensaje existe si y solo si el cambio se confirmó. El programador
+ * (src/scripts/programarRecordatorios.js) los entrega con procesarPendientes: un error deja el
+ * mensaje para más tarde con espera exponencial y al agotar sus intentos queda Fallido hasta
+ * que un administrador lo reintente.
+ *
+ * Cada módulo registra cómo se entregan sus mensajes (registrarEntrega); la bandeja no conoce
+ * los servicios de correo, push ni calendario.
+ */
+class BandejaSalidaService {
+  constructor() {
+    this.entregas = new Map();
+  }
+
+  /**
+   * Registrar cómo se entrega un tipo de mensaje
+   * @param {string} canal - 'email', 'push' o 'calendario'
+   * @param {string} tipo - Nombre del mensaje dentro del canal
+   * @param {Function} entregar - async (mensaje) => void; debe lanzar un error si la entrega falló
+   */
+  registrarEntrega(canal, tipo, entregar) {
+    if (!BandejaSalida.obtenerCanales().includes(canal)) {
+      throw new Error(`Canal de notificación desconocido: ${canal}`);
+    }
+    this.entregas.set(`${canal}:${tipo}`, entregar);
+  }
+
+  /**
+   * Encolar mensajes
+   * @param {Object|null} conexion - Conexión con la transacción del cambio que los origina
+   * @param {Array<Object>} mensajes - [{ canal, tipo, citaId, usuarioId, datos, fechaProgramada }]
+   *                                   fechaProgramada: Date UTC a partir de la cual entregarlo
+   * @returns {Promise<Array<number>>} IDs de los mensajes
+   */
+  async encolar(conexion, mensajes) {
+    const ids = [];
+
+    for (const mensaje of mensajes) {
+      if (!this.entregas.has(`${mensaje.canal}:${mensaje.tipo}`)) {
+        throw new Error(`No hay entrega registrada para ${mensaje.canal}:${mensaje.tipo}`);
+      }
+
+      ids.push(await BandejaSalida.crear(conexion, {
+        canal: mensaje.canal,
+        tipo: mensaje.tipo,
+        cita_id: mensaje.citaId || null,
+        usuario_id: mensaje.usuarioId || null,
+        datos: mensaje.datos || null,
+        proximo_intento: mensaje.fechaProgramada || null
+      }));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Calcular la espera antes del siguiente intento
+   * @param {number} intentos - Intentos ya hechos
+   * @returns {number} Segundos
+   */
+  calcularEspera(intentos) {
+    return Math.min(ESPERA_BASE_SEGUNDOS * 2 ** (intentos - 1), ESPERA_MAXIMA_SEGUNDOS);
+  }
+
+  /**
+   * Entregar los mensajes pendientes cuya hora ya llegó
+   * @param {number} limite - Máximo de mensajes por ejecución
+   * @returns {Promise<Object>} { enviados, reintentos, fallidos }
+   */
+  async procesarPendientes(limite = 50) {
+    const mensajes = await transaccion(connection => BandejaSalida.tomarPendientes(connection, limite, MINUTOS_BLOQUEO));
+    const resultado = { enviados: 0, reintentos: 0, fallidos: 0 };
+
+    for (const mensaje of mensajes) {
+      const entregar = this.entregas.get(`${mensaje.canal}:${mensaje.tipo}`);
+
+      try {
+        if (!entregar) {
+          throw new Error(`No hay entrega registrada para ${mensaje.canal}:${mensaje.tipo}`);
+        }
+
+        await entregar(mensaje);
+        await BandejaSalida.marcarEnviado(mensaje.id);
+        resultado.enviados++;
+      } catch (error) {
+        const agotado = mensaje.intentos >= mensaje.maximo_intentos;
+        console.error(`❌ [bandejaSalidaService.procesarPendientes] Mensaje ${mensaje.id} (${mensaje.canal}:${mensaje.tipo}), intento ${mensaje.intentos}:`, error.message);
+
+        await BandejaSalida.marcarError(mensaje.id, error.message, agotado ? null : this.calcularEspera(mensaje.intentos));
+        resultado[agotado ? 'fallidos' : 'reintentos']++;
+      }
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Obtener mensajes de la bandeja
+   * @param {Object} opciones - Filtros y paginación de BandejaSalida.obtenerTodas
+   * @returns {Promise<Object>} { mensajes, resumen, paginacion }
+   */
+  async obtenerMensajes(opciones = {}) {
+    return BandejaSalida.obtenerTodas(opciones);
+  }
+
+  /**
+   * Volver a encolar mensajes Fallidos
+   * @param {Object} filtros - { id, canal, tipo, cita_id }
+   * @returns {Promise<number>} Mensajes reencolados
+   */
+  async reintentar(filtros = {}) {
+    return BandejaSalida.reintentarFallidos(filtros);
+  }
+}
+
+module.exports = new BandejaSalidaService();
@@ -0,0 +1,207 @@
+const { query, transaccion } = require('../config/database');
+const Configuracion = require('../models/Configuracion');
+const cotizacionService = require('./cotizacionService');
+const estadoCitaService = require('./estadoCitaService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Estados de pago que ya representan dinero recibido
+const ESTADOS_PAGO_COBRADOS = ['Completado', 'Parcial'];
+
+// Estados de pago que todavía no se cobraron
+const ESTADOS_PAGO_SIN_COBRAR = ['Pendiente', 'Procesando', 'Fallido'];
+
+/**
+ * Política de cancelación de citas.
+ * Lee las reglas de configuraciones (plazo mínimo, cargo por cancelación tardía y
+ * estados cancelables) y las aplica por igual a las cancelaciones del cliente y del
+ * personal, registrando quién canceló y ajustando el pago de la cita.
+ */
+class CancelacionService {
+  /**
+   * Obtener la política de cancelación vigente
+   * @returns {Promise<Object>} { horasMinimas, permitirTardia, cargoTipo, cargoValor, estadosPermitidos }
+   */
+  async obtenerPolitica() {
+    const [horasMinimas, permitirTardia, cargoTipo, cargoValor, estadosPermitidos] = await Promise.all([
+      Configuracion.obtenerValor('cancelacion_horas_minimas', 24),
+      Configuracion.obtenerValor('cancelacion_permitir_tardia', true),
+      Configuracion.obtenerValor('cancelacion_cargo_tipo', 'porcentaje'),
+      Configuracion.obtenerValor('cancelacion_cargo_valor', 0),
+      Configuracion.obtenerValor('cancelacion_estados_permitidos', ['Pendiente', 'Confirmada'])
+    ]);
+
+    return {
+      horasMinimas: Number(horasMinimas) || 0,
+      permitirTardia: permitirTardia !== false,
+      cargoTipo: cargoTipo === 'monto' ? 'monto' : 'porcentaje',
+      cargoValor: Math.max(Number(cargoValor) || 0, 0),
+      estadosPermitidos: Array.isArray(estadosPermitidos) ? estadosPermitidos : ['Pendiente', 'Confirmada']
+    };
+  }
+
+  /**
+   * Evaluar si una cita se puede cancelar y con qué cargo
+   * @param {Object} cita - { fecha_hora_inicio, estado_nombre }
+   * @param {Object|null} pago - { monto_total }
+   * @param {Object} politica - Política de cancelación
+   * @param {Object} opciones - { esPersonal, exonerarCargo }
+   * @returns {Object} { tardia, horasAnticipacion, cargo }
+   */
+  evaluar(cita, pago, politica, opciones = {}) {
+    const { esPersonal = false, exonerarCargo = false } = opciones;
+
+    if (!politica.estadosPermitidos.includes(cita.estado_nombre)) {
+      throw new ValidationError(`No se puede cancelar una cita en estado ${cita.estado_nombre}`);
+    }
+
+    const horasAnticipacion = (new Date(cita.fecha_hora_inicio).getTime() - Date.now()) / 3600000;
+    if (horasAnticipacion <= 0) {
+      throw new ValidationError('No se puede cancelar una cita que ya comenzó');
+    }
+
+    const tardia = horasAnticipacion < politica.horasMinimas;
+
+    // El personal puede cancelar fuera de plazo (p. ej. ausencia del barbero); el cliente solo si la política lo permite
+    if (tardia && !esPersonal && !politica.permitirTardia) {
+      throw new ValidationError(`Las citas solo se pueden cancelar con al menos ${politica.horasMinimas} horas de anticipación`);
+    }
+
+    let cargo = 0;
+    if (tardia && !exonerarCargo && pago) {
+      const total = Number(pago.monto_total);
+      cargo = politica.cargoTipo === 'monto'
+        ? Math.min(politica.cargoValor, total)
+        : total * Math.min(politica.cargoValor, 100) / 100;
+      cargo = cotizacionService.redondear(cargo);
+    }
+
+    return {
+      tardia,
+      horasAnticipacion: cotizacionService.redondear(horasAnticipacion),
+      cargo
+    };
+  }
+
+  /**
+   * Ajustar el pago de una cita cancelada: anularlo, dejar solo el cargo o marcar el reembolso pendiente
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {Object} pago - Pago de la cita (con estado_nombre)
+   * @param {number} cargo - Cargo por cancelación
+   * @returns {Promise<Object>} { estado_pago, cargo_cancelacion, monto_reembolso }
+   */
+  async ajustarPago(conexion, pago, cargo) {
+    const total = Number(pago.monto_total);
+    let estado = pago.estado_nombre;
+    let reembolso = 0;
+
+    if (ESTADOS_PAGO_COBRADOS.includes(pago.estado_nombre)) {
+      reembolso = cotizacionService.redondear(total - cargo);
+      if (reembolso > 0) estado = 'Reembolso pendiente';
+    } else if (ESTADOS_PAGO_SIN_COBRAR.includes(pago.estado_nombre)) {
+      estado = cargo > 0 ? 'Cargo por cancelación' : 'Anulado';
+    }
+
+    const nota = cargo > 0
+      ? `Cancelación tardía: cargo de ${cargo.toFixed(2)}`
+      : 'Cancelación sin cargo';
+
+    await conexion.query(`
+      UPDATE pagos
+      SET estado_pago_id = (SELECT id FROM estados_pago WHERE nombre = ?),
+          cargo_cancelacion = ?,
+          monto_reembolso = ?,
+          notas = CONCAT_WS('\\n', notas, ?),
+          updated_at = NOW()
+      WHERE id = ?
+    `, [estado, cargo, reembolso, nota, pago.id]);
+
+    return {
+      estado_pago: estado,
+      cargo_cancelacion: cargo,
+      monto_reembolso: reembolso
+    };
+  }
+
+  /**
+   * Cancelar una cita aplicando la política de cancelación
+   * @param {Object} datos - { citaId, clienteId, usuarioId, rolId, motivo, esPersonal, exonerarCargo }
+   *                         clienteId limita la cancelación a las citas de ese cliente; rolId es el
+   *                         rol del usuario para la máquina de estados
+   * @returns {Promise<Object>} Resultado con el cargo aplicado y el ajuste del pago
+   */
+  async cancelar(datos) {
+    const { citaId, clienteId = null, usuarioId, rolId = null, motivo = null, esPersonal = false, exonerarCargo = false } = datos;
+    const politica = await this.obtenerPolitica();
+
+    const resultado = await transaccion(async (connection) => {
+      let sqlCita = `
+        SELECT c.id, c.cliente_id, c.empleado_id, c.fecha_hora_inicio, ec.nombre AS estado_nombre
+        FROM citas c
+        INNER JOIN estados_citas ec ON c.estado_id = ec.id
+        WHERE c.id = ?
+      `;
+      const paramsCita = [citaId];
+
+      if (clienteId) {
+        sqlCita += ' AND c.cliente_id = ?';
+        paramsCita.push(clienteId);
+      }
+
+      const [citas] = await connection.query(`${sqlCita} FOR UPDATE`, paramsCita);
+      const cita = citas[0];
+
+      if (!cita) {
+        throw new NotFoundError('Cita no encontrada');
+      }
+
+      const [pagos] = await connection.query(`
+        SELECT p.id, p.monto_total, ep.nombre AS estado_nombre
+        FROM pagos p
+        INNER JOIN estados_pago ep ON p.estado_pago_id = ep.id
+        WHERE p.cita_id = ?
+        ORDER BY p.id DESC
+        LIMIT 1
+        FOR UPDATE
+      `, [cita.id]);
+      const pago = pagos[0] || null;
+
+      const evaluacion = this.evaluar(cita, pago, politica, { esPersonal, exonerarCargo });
+
+      const cambio = await estadoCitaService.transicionar(connection, { id: cita.id, estado: cita.estado_nombre }, 'Cancelada', {
+        usuarioId,
+        rolId,
+        motivo
+      });
+
+      const ajustePago = pago ? await this.ajustarPago(connection, pago, evaluacion.cargo) : null;
+
+      return {
+        cambio,
+        cita_id: cita.id,
+        empleado_id: cita.empleado_id,
+        tardia: evaluacion.tardia,
+        horas_anticipacion: evaluacion.horasAnticipacion,
+        cargo: evaluacion.cargo,
+        pago: ajustePago
+      };
+    });
+
+    // Calendario, lista de espera y cola de recepción; un fallo aquí no revierte la cancelación
+    const { cambio, ...cancelacion } = resultado;
+    await estadoCitaService.ejecutarEfectos(cambio);
+
+    return cancelacion;
+  }
+
+  /**
+   * Verificar si un estado de cita es el de cancelación
+   * @param {number|string} estadoId - ID del estado
+   * @returns {Promise<boolean>} true si es 'Cancelada'
+   */
+  async esEstadoCancelada(estadoId) {
+    const rows = await query('SELECT id FROM estados_citas WHERE nombre = ?', ['Cancelada']);
+    return rows.length > 0 && rows[0].id === Number(estadoId);
+  }
+}
+
+module.exports = new CancelacionService();
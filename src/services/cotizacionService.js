@@ -0,0 +1,222 @@
+const { query } = require('../config/database');
+const Configuracion = require('../models/Configuracion');
+const Promocion = require('../models/Promocion');
+const disponibilidadService = require('./disponibilidadService');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Cotización de reservaciones en el servidor.
+ * Calcula precio, cantidades, promociones e impuesto a partir del catálogo de
+ * servicios, de modo que el total nunca depende de lo que envíe el cliente.
+ */
+class CotizacionService {
+  /**
+   * Redondear un importe a 2 decimales
+   * @param {number} valor - Importe
+   * @returns {number} Importe redondeado
+   */
+  redondear(valor) {
+    return Math.round((Number(valor) + Number.EPSILON) * 100) / 100;
+  }
+
+  /**
+   * Obtener los servicios seleccionados desde el catálogo
+   * Si el empleado que realiza el servicio tiene precio o duración propios (empleado_servicio), se usan esos
+   * @param {Array} seleccion - Servicios normalizados [{ id, cantidad }]
+   * @param {Map} empleados - servicioId -> empleadoId que lo realiza
+   * @returns {Promise<Array>} Líneas de la cotización sin descuentos
+   */
+  async obtenerLineas(seleccion, empleados = new Map()) {
+    const cantidades = new Map();
+    for (const servicio of seleccion) {
+      cantidades.set(servicio.id, (cantidades.get(servicio.id) || 0) + servicio.cantidad);
+    }
+
+    const ids = [...cantidades.keys()];
+    const rows = await query(`
+      SELECT id, nombre, precio, duracion
+      FROM servicios
+      WHERE id IN (${ids.map(() => '?').join(', ')}) AND activo = 1
+    `, ids);
+
+    if (rows.length !== ids.length) {
+      throw new ValidationError('Alguno de los servicios seleccionados no existe o no está activo');
+    }
+
+    const empleadoIds = [...new Set(empleados.values())];
+    const propios = empleadoIds.length === 0 ? [] : await query(`
+      SELECT empleado_id, servicio_id, precio, duracion
+      FROM empleado_servicio
+      WHERE servicio_id IN (${ids.map(() => '?').join(', ')})
+        AND empleado_id IN (${empleadoIds.map(() => '?').join(', ')})
+    `, [...ids, ...empleadoIds]);
+
+    return rows.map(servicio => {
+      const cantidad = cantidades.get(servicio.id);
+      const empleadoId = empleados.get(servicio.id) || null;
+      const propio = propios.find(fila => fila.servicio_id === servicio.id && fila.empleado_id === empleadoId) || {};
+      const precioUnitario = this.redondear(propio.precio ?? servicio.precio);
+
+      return {
+        servicio_id: servicio.id,
+        empleado_id: empleadoId,
+        nombre: servicio.nombre,
+        precio_unitario: precioUnitario,
+        cantidad,
+        duracion: (propio.duracion ?? servicio.duracion) * cantidad,
+        subtotal: this.redondear(precioUnitario * cantidad),
+        descuento: 0
+      };
+    });
+  }
+
+  /**
+   * Validar un código de promoción y obtener los servicios a los que aplica
+   * @param {string} codigo - Código de la promoción
+   * @param {string} fecha - Fecha de la cita 'YYYY-MM-DD'
+   * @returns {Promise<Object>} { promocion, serviciosAplicables: Set|null }
+   */
+  async obtenerPromocion(codigo, fecha) {
+    const promocion = await Promocion.validarPromocion(codigo, fecha);
+    if (!promocion) {
+      throw new ValidationError('El código de promoción no es válido, expiró o alcanzó su límite de usos');
+    }
+
+    if (promocion.aplicable_a === 'Productos Específicos') {
+      throw new ValidationError('El código de promoción solo aplica a productos');
+    }
+
+    let serviciosAplicables = null;
+    if (promocion.aplicable_a === 'Servicios Específicos') {
+      const servicios = await Promocion.obtenerServiciosAsociados(promocion.id);
+      serviciosAplicables = new Set(servicios.map(servicio => servicio.id));
+    }
+
+    return { promocion, serviciosAplicables };
+  }
+
+  /**
+   * Repartir un descuento entre las líneas aplicables en proporción a su subtotal
+   * @param {Array} lineas - Líneas aplicables
+   * @param {number} descuento - Descuento total a repartir
+   */
+  repartirDescuento(lineas, descuento) {
+    const base = lineas.reduce((total, linea) => total + linea.subtotal, 0);
+    const totalDescuento = this.redondear(Math.min(descuento, base));
+    let asignado = 0;
+
+    lineas.forEach((linea, index) => {
+      linea.descuento = index === lineas.length - 1
+        ? this.redondear(totalDescuento - asignado)
+        : this.redondear(totalDescuento * linea.subtotal / base);
+      asignado = this.redondear(asignado + linea.descuento);
+    });
+  }
+
+  /**
+   * Aplicar una promoción a las líneas de la cotización
+   * @param {Array} lineas - Líneas de la cotización
+   * @param {Object} promocion - Promoción válida
+   * @param {Set|null} serviciosAplicables - Servicios a los que aplica (null = todos)
+   */
+  aplicarPromocion(lineas, promocion, serviciosAplicables) {
+    const aplicables = lineas.filter(linea => !serviciosAplicables || serviciosAplicables.has(linea.servicio_id));
+    if (aplicables.length === 0) {
+      throw new ValidationError('El código de promoción no aplica a los servicios seleccionados');
+    }
+
+    const valor = Number(promocion.valor);
+
+    switch (promocion.tipo) {
+      case 'Porcentaje':
+        aplicables.forEach(linea => {
+          linea.descuento = this.redondear(linea.subtotal * Math.min(valor, 100) / 100);
+        });
+        break;
+      case 'Monto Fijo':
+        this.repartirDescuento(aplicables, valor);
+        break;
+      case 'Servicio Gratis': {
+        // Se regala una unidad del servicio aplicable más económico
+        const masEconomica = aplicables.reduce((min, linea) => (linea.precio_unitario < min.precio_unitario ? linea : min));
+        masEconomica.descuento = masEconomica.precio_unitario;
+        break;
+      }
+      default:
+        throw new ValidationError(`Tipo de promoción no soportado: ${promocion.tipo}`);
+    }
+  }
+
+  /**
+   * Calcular la cotización de una reservación
+   * El precio y la duración dependen del empleado de cada servicio: el de la línea
+   * ({ id, cantidad, empleadoId }), el de asignaciones, o empleadoId para todas las demás
+   * @param {Object} datos - { servicios, codigoPromocion, fecha, empleadoId, asignaciones }
+   * @returns {Promise<Object>} Desglose con líneas, subtotal, descuento, impuesto y total
+   */
+  async cotizar(datos) {
+    const { servicios, codigoPromocion = null, fecha = null, empleadoId = null, asignaciones = [] } = datos;
+
+    const seleccion = disponibilidadService.normalizarServicios(servicios || []);
+    if (seleccion.length === 0) {
+      throw new ValidationError('Debes seleccionar al menos un servicio');
+    }
+    if (seleccion.some(servicio => servicio.cantidad < 1)) {
+      throw new ValidationError('La cantidad de cada servicio debe ser al menos 1');
+    }
+
+    const empleados = new Map();
+    for (const servicio of seleccion) {
+      const asignacion = asignaciones.find(item => item.servicioId === servicio.id);
+      const id = parseInt(servicio.empleadoId) || (asignacion && asignacion.empleadoId) || parseInt(empleadoId);
+      if (id && !empleados.has(servicio.id)) empleados.set(servicio.id, id);
+    }
+
+    const lineas = await this.obtenerLineas(seleccion, empleados);
+
+    let promocion = null;
+    if (codigoPromocion) {
+      const resultado = await this.obtenerPromocion(codigoPromocion, fecha);
+      promocion = resultado.promocion;
+      this.aplicarPromocion(lineas, promocion, resultado.serviciosAplicables);
+    }
+
+    const impuestoPorcentaje = Number(await Configuracion.obtenerValor('impuesto_porcentaje', 0)) || 0;
+
+    lineas.forEach(linea => {
+      linea.total = this.redondear(linea.subtotal - linea.descuento);
+    });
+
+    const subtotal = this.redondear(lineas.reduce((total, linea) => total + linea.subtotal, 0));
+    const descuento = this.redondear(lineas.reduce((total, linea) => total + linea.descuento, 0));
+    const baseImponible = this.redondear(subtotal - descuento);
+    const impuesto = this.redondear(baseImponible * impuestoPorcentaje / 100);
+
+    return {
+      lineas,
+      duracion: lineas.reduce((total, linea) => total + linea.duracion, 0),
+      subtotal,
+      descuento,
+      base_imponible: baseImponible,
+      impuesto_porcentaje: impuestoPorcentaje,
+      impuesto,
+      total: this.redondear(baseImponible + impuesto),
+      promocion: promocion
+        ? { id: promocion.id, codigo: promocion.codigo, nombre: promocion.nombre, tipo: promocion.tipo, valor: Number(promocion.valor) }
+        : null
+    };
+  }
+
+  /**
+   * Verificar que el total enviado por el cliente coincide con la cotización
+   * @param {number|string} totalEnviado - Total recibido en la petición
+   * @param {Object} cotizacion - Cotización calculada en el servidor
+   * @returns {boolean} true si coinciden al centavo
+   */
+  totalCoincide(totalEnviado, cotizacion) {
+    // Se comparan centavos enteros: restar importes en coma flotante deja diferencias como 0.00999
+    return Math.round(this.redondear(totalEnviado) * 100) === Math.round(cotizacion.total * 100);
+  }
+}
+
+module.exports = new CotizacionService();
@@ -0,0 +1,848 @@
+const { query } = require('../config/database');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const { ValidationError } = require('../middleware/errorHandler');
+const { ESTADOS_LIBERAN } = require('../config/estadosCita');
+
+// Cada cuántos minutos se ofrece una hora de inicio dentro de un intervalo libre
+const INTERVALO_MINUTOS = 15;
+
+// Duración usada cuando no se indican servicios
+const DURACION_POR_DEFECTO = 30;
+
+const MINUTOS_DIA = 24 * 60;
+
+// Citas en estos estados no ocupan al empleado ni a los recursos
+const SQL_ESTADOS_LIBERAN = `
+  SELECT id FROM estados_citas
+  WHERE nombre IN (${ESTADOS_LIBERAN.map(nombre => `'${nombre}'`).join(', ')})
+`;
+
+/**
+ * Motor de disponibilidad de empleados.
+ * Calcula los intervalos reservables de un empleado en una fecha a partir de su
+ * horario semanal o su plantilla asignada y del calendario de excepciones (cierres y
+ * horarios especiales), restando descansos, ausencias y citas existentes. Es la única
+ * fuente de verdad para horarios, empleados disponibles y validación de reservas.
+ * Para visitas con varios servicios resuelve una combinación de empleados y recursos
+ * (sillas, lavacabezas, estaciones) libres para cada servicio, uno detrás de otro.
+ */
+class DisponibilidadService {
+  /**
+   * Convertir 'HH:MM' o 'HH:MM:SS' a minutos desde medianoche
+   * @param {string} hora - Hora en texto
+   * @returns {number} Minutos
+   */
+  horaAMinutos(hora) {
+    const [h, m] = String(hora).split(':').map(Number);
+    return h * 60 + (m || 0);
+  }
+
+  /**
+   * Convertir minutos desde medianoche a 'HH:MM'
+   * @param {number} minutos - Minutos
+   * @returns {string} Hora formateada
+   */
+  minutosAHora(minutos) {
+    const h = Math.floor(minutos / 60);
+    const m = minutos % 60;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+  }
+
+  /**
+   * Obtener el día de la semana en formato de horarios_empleados (1=Lunes ... 7=Domingo)
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @returns {number} Día de la semana
+   */
+  obtenerDiaSemana(fecha) {
+    const [year, month, day] = fecha.split('-').map(Number);
+    const dia = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return dia === 0 ? 7 : dia;
+  }
+
+  /**
+   * Recortar un rango 'YYYY-MM-DD HH:MM:SS' a los minutos de una fecha concreta
+   * @param {string} inicio - Inicio del rango
+   * @param {string} fin - Fin del rango
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @returns {Object} { inicio, fin } en minutos
+   */
+  recortarAlDia(inicio, fin, fecha) {
+    const [fechaInicio, horaInicio] = inicio.split(' ');
+    const [fechaFin, horaFin] = fin.split(' ');
+
+    return {
+      inicio: fechaInicio < fecha ? 0 : this.horaAMinutos(horaInicio),
+      fin: fechaFin > fecha ? MINUTOS_DIA : this.horaAMinutos(horaFin)
+    };
+  }
+
+  /**
+   * Restar un intervalo ocupado de una lista de intervalos libres
+   * @param {Array} intervalos - Intervalos libres { inicio, fin } en minutos
+   * @param {Object} ocupado - Intervalo ocupado { inicio, fin } en minutos
+   * @returns {Array} Intervalos libres resultantes
+   */
+  restarIntervalo(intervalos, ocupado) {
+    const resultado = [];
+
+    for (const intervalo of intervalos) {
+      if (ocupado.fin <= intervalo.inicio || ocupado.inicio >= intervalo.fin) {
+        resultado.push(intervalo);
+        continue;
+      }
+      if (ocupado.inicio > intervalo.inicio) {
+        resultado.push({ inicio: intervalo.inicio, fin: ocupado.inicio });
+      }
+      if (ocupado.fin < intervalo.fin) {
+        resultado.push({ inicio: ocupado.fin, fin: intervalo.fin });
+      }
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Ejecutar una consulta en la conexión de una transacción o, si no hay, en el pool
+   * @param {string} sql - Consulta SQL
+   * @param {Array} params - Parámetros
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Array>} Filas
+   */
+  async consultar(sql, params, conexion = null) {
+    if (conexion) {
+      const [rows] = await conexion.query(sql, params);
+      return rows;
+    }
+    return query(sql, params);
+  }
+
+  /**
+   * Bloquear la agenda de un empleado para un día dentro de una transacción.
+   * El bloqueo de fila se libera con el commit o rollback, de modo que dos reservas
+   * simultáneas para el mismo barbero y día se procesan una detrás de otra.
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {number} empleadoId - ID del empleado
+   * @param {string} fecha - Fecha local 'YYYY-MM-DD'
+   * @returns {Promise<void>}
+   */
+  async bloquearAgenda(conexion, empleadoId, fecha) {
+    await conexion.query(`
+      INSERT INTO bloqueos_agenda (empleado_id, fecha)
+      VALUES (?, ?)
+      ON DUPLICATE KEY UPDATE updated_at = CURRENT_TIMESTAMP
+    `, [empleadoId, fecha]);
+  }
+
+  /**
+   * Normalizar la selección de servicios a [{ id, cantidad, empleadoId }]
+   * Acepta ids sueltos, una lista separada por comas u objetos { id, cantidad, empleadoId }
+   * @param {Array|string|number} servicios - Servicios seleccionados
+   * @returns {Array} Servicios normalizados (empleadoId null si no se indicó)
+   */
+  normalizarServicios(servicios) {
+    const lista = Array.isArray(servicios) ? servicios : String(servicios).split(',');
+
+    return lista
+      .map(servicio => (typeof servicio === 'object' && servicio !== null
+        ? { id: parseInt(servicio.id), cantidad: parseInt(servicio.cantidad) || 1, empleadoId: parseInt(servicio.empleadoId) || null }
+        : { id: parseInt(servicio), cantidad: 1, empleadoId: null }))
+      .filter(servicio => !isNaN(servicio.id));
+  }
+
+  /**
+   * Calcular la duración total de los servicios
+   * Con empleado se usa su duración propia (empleado_servicio.duracion) y si no, servicios.duracion
+   * @param {Array|string|number} servicios - Servicios seleccionados
+   * @param {number|null} empleadoId - Empleado que realizará los servicios
+   * @returns {Promise<number|null>} Minutos totales, o null si algún servicio no existe o está inactivo
+   */
+  async calcularDuracionServicios(servicios, empleadoId = null) {
+    const seleccion = this.normalizarServicios(servicios);
+    if (seleccion.length === 0) return null;
+
+    const ids = [...new Set(seleccion.map(servicio => servicio.id))];
+    const sql = `
+      SELECT s.id, COALESCE(es.duracion, s.duracion) as duracion
+      FROM servicios s
+      LEFT JOIN empleado_servicio es ON es.servicio_id = s.id AND es.empleado_id = ?
+      WHERE s.id IN (${ids.map(() => '?').join(', ')}) AND s.activo = 1
+    `;
+
+    try {
+      const rows = await query(sql, [parseInt(empleadoId) || null, ...ids]);
+      if (rows.length !== ids.length) return null;
+
+      const duraciones = new Map(rows.map(row => [row.id, row.duracion]));
+      return seleccion.reduce((total, servicio) => {
+        return total + duraciones.get(servicio.id) * servicio.cantidad;
+      }, 0);
+    } catch (error) {
+      throw new Error(`Error al calcular duración de servicios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sumar días a una fecha
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {number} dias - Días a sumar (negativo para restar)
+   * @returns {string} Fecha 'YYYY-MM-DD'
+   */
+  sumarDias(fecha, dias) {
+    const [year, month, day] = fecha.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + dias)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Obtener el lunes de la semana de una fecha
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @returns {string} Fecha 'YYYY-MM-DD'
+   */
+  obtenerLunes(fecha) {
+    return this.sumarDias(fecha, 1 - this.obtenerDiaSemana(fecha));
+  }
+
+  /**
+   * Obtener la semana del ciclo de una plantilla rotativa que corresponde a una fecha
+   * @param {Object} asignacion - { vigente_desde, semana_inicial, semanas_rotacion }
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @returns {number} Semana del ciclo (1..semanas_rotacion)
+   */
+  obtenerSemanaRotacion(asignacion, fecha) {
+    const aDia = (valor) => Date.parse(`${this.obtenerLunes(valor)}T00:00:00Z`) / 86400000;
+    const semanas = Math.round((aDia(fecha) - aDia(asignacion.vigente_desde)) / 7);
+    return ((semanas + asignacion.semana_inicial - 1) % asignacion.semanas_rotacion) + 1;
+  }
+
+  /**
+   * Obtener el horario habitual de un empleado en una fecha, sin excepciones:
+   * la plantilla que tenga asignada en esa fecha o, si no tiene, su horario semanal
+   * @param {number} empleadoId - ID del empleado
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Object>} { intervalos, descansos, origen: 'plantilla' | 'semanal', plantillaId }
+   */
+  async obtenerHorarioBase(empleadoId, fecha, conexion = null) {
+    const aIntervalo = (fila) => ({
+      inicio: this.horaAMinutos(fila.hora_inicio),
+      fin: this.horaAMinutos(fila.hora_fin)
+    });
+
+    const [asignacion] = await this.consultar(`
+      SELECT a.plantilla_id, a.semana_inicial, p.semanas_rotacion,
+             DATE_FORMAT(a.vigente_desde, '%Y-%m-%d') AS vigente_desde
+      FROM asignaciones_plantilla_horario a
+      INNER JOIN plantillas_horario p ON a.plantilla_id = p.id
+      WHERE a.empleado_id = ?
+        AND a.vigente_desde <= ?
+        AND (a.vigente_hasta IS NULL OR a.vigente_hasta >= ?)
+      ORDER BY a.vigente_desde DESC
+      LIMIT 1
+    `, [empleadoId, fecha, fecha], conexion);
+
+    const horarios = asignacion
+      ? await this.consultar(`
+          SELECT hora_inicio, hora_fin, es_descanso
+          FROM plantilla_horario_turnos
+          WHERE plantilla_id = ? AND semana = ? AND dia_semana = ?
+        `, [asignacion.plantilla_id, this.obtenerSemanaRotacion(asignacion, fecha), this.obtenerDiaSemana(fecha)], conexion)
+      : await this.consultar(`
+          SELECT hora_inicio, hora_fin, es_descanso
+          FROM horarios_empleados
+          WHERE empleado_id = ? AND dia_semana = ?
+        `, [empleadoId, this.obtenerDiaSemana(fecha)], conexion);
+
+    return {
+      intervalos: horarios
+        .filter(horario => !horario.es_descanso)
+        .map(aIntervalo)
+        .filter(intervalo => intervalo.fin > intervalo.inicio)
+        .sort((a, b) => a.inicio - b.inicio),
+      descansos: horarios.filter(horario => horario.es_descanso).map(aIntervalo),
+      origen: asignacion ? 'plantilla' : 'semanal',
+      plantillaId: asignacion ? asignacion.plantilla_id : null
+    };
+  }
+
+  /**
+   * Obtener la jornada de un empleado en una fecha aplicando el calendario de excepciones.
+   * Un cierre de la barbería o del empleado anula el día; un horario especial del empleado
+   * reemplaza su horario habitual; uno de la barbería reemplaza el de quienes trabajan ese día,
+   * que conservan sus descansos.
+   * @param {number} empleadoId - ID del empleado
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Object>} { intervalos, descansos, origen } con intervalos y descansos en minutos;
+   *                            origen: 'cierre', 'excepcion', 'barberia', 'plantilla' o 'semanal'
+   */
+  async obtenerJornada(empleadoId, fecha, conexion = null) {
+    const aIntervalo = (fila) => ({
+      inicio: this.horaAMinutos(fila.hora_inicio),
+      fin: this.horaAMinutos(fila.hora_fin)
+    });
+
+    const excepciones = await this.consultar(`
+      SELECT empleado_id, tipo, hora_inicio, hora_fin
+      FROM excepciones_horario
+      WHERE fecha = ? AND (empleado_id = ? OR empleado_id IS NULL)
+      ORDER BY hora_inicio
+    `, [fecha, empleadoId], conexion);
+
+    if (excepciones.some(excepcion => excepcion.tipo === 'Cerrado')) {
+      return { intervalos: [], descansos: [], origen: 'cierre' };
+    }
+
+    const propias = excepciones.filter(excepcion => excepcion.empleado_id !== null);
+    if (propias.length > 0) {
+      return { intervalos: propias.map(aIntervalo), descansos: [], origen: 'excepcion' };
+    }
+
+    const base = await this.obtenerHorarioBase(empleadoId, fecha, conexion);
+
+    if (base.intervalos.length > 0 && excepciones.length > 0) {
+      return { intervalos: excepciones.map(aIntervalo), descansos: base.descansos, origen: 'barberia' };
+    }
+
+    return { intervalos: base.intervalos, descansos: base.descansos, origen: base.origen };
+  }
+
+  /**
+   * Obtener los intervalos libres de un empleado en una fecha
+   * @param {number} empleadoId - ID del empleado
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {Object} opciones - { excluirCitaId } para ignorar una cita existente, { zonaHoraria } si ya se conoce,
+   *                            { conexion } para leer dentro de una transacción,
+   *                            { excluirRetencionesDe } ID de usuario cuyas retenciones no cuentan como ocupadas
+   * @returns {Promise<Array>} Intervalos { inicio, fin } en minutos, ordenados
+   */
+  async obtenerIntervalosLibres(empleadoId, fecha, opciones = {}) {
+    const { excluirCitaId = null, excluirRetencionesDe = null, conexion = null } = opciones;
+
+    try {
+      const zonaHoraria = opciones.zonaHoraria || await ZonaHoraria.obtenerZonaHoraria({ empleadoId });
+
+      const jornada = await this.obtenerJornada(empleadoId, fecha, conexion);
+      let intervalos = jornada.intervalos;
+
+      if (intervalos.length === 0) return [];
+
+      const ocupados = [...jornada.descansos];
+
+      // Las ausencias se registran en hora local del barbero; las pendientes de aprobación no bloquean
+      const ausencias = await this.consultar(`
+        SELECT
+          DATE_FORMAT(fecha_inicio, '%Y-%m-%d %H:%i:%s') AS inicio,
+          DATE_FORMAT(fecha_fin, '%Y-%m-%d %H:%i:%s') AS fin
+        FROM ausencias_empleados
+        WHERE empleado_id = ?
+          AND estado = 'Aprobada'
+          AND fecha_inicio < DATE_ADD(?, INTERVAL 1 DAY)
+          AND fecha_fin > ?
+      `, [empleadoId, fecha, fecha], conexion);
+
+      // Las citas se guardan en UTC: se buscan por los límites UTC del día local.
+      // Si la cita tiene horarios por servicio, el empleado solo está ocupado en sus propios servicios.
+      const dia = ZonaHoraria.rangoDiaUtc(fecha, zonaHoraria);
+      const limites = [ZonaHoraria.aFechaSQL(dia.fin), ZonaHoraria.aFechaSQL(dia.inicio)];
+      const filtroExcluir = excluirCitaId ? ' AND c.id <> ?' : '';
+      const paramsExcluir = excluirCitaId ? [excluirCitaId] : [];
+
+      const citas = await this.consultar(`
+        SELECT c.fecha_hora_inicio, c.fecha_hora_fin
+        FROM citas c
+        WHERE c.empleado_id = ?
+          AND c.fecha_hora_inicio < ?
+          AND c.fecha_hora_fin > ?
+          AND c.estado_id NOT IN (${SQL_ESTADOS_LIBERAN})
+          AND NOT EXISTS (
+            SELECT 1 FROM cita_servicio cs
+            WHERE cs.cita_id = c.id AND cs.fecha_hora_inicio IS NOT NULL
+          )${filtroExcluir}
+        UNION ALL
+        SELECT cs.fecha_hora_inicio, cs.fecha_hora_fin
+        FROM cita_servicio cs
+        INNER JOIN citas c ON cs.cita_id = c.id
+        WHERE COALESCE(cs.empleado_id, c.empleado_id) = ?
+          AND cs.fecha_hora_inicio < ?
+          AND cs.fecha_hora_fin > ?
+          AND c.estado_id NOT IN (${SQL_ESTADOS_LIBERAN})${filtroExcluir}
+      `, [empleadoId, ...limites, ...paramsExcluir, empleadoId, ...limites, ...paramsExcluir], conexion);
+
+      // Horarios apartados temporalmente por otros clientes que aún no vencen
+      let sqlRetenciones = `
+        SELECT fecha_hora_inicio, fecha_hora_fin
+        FROM retenciones_horario
+        WHERE empleado_id = ?
+          AND fecha_hora_inicio < ?
+          AND fecha_hora_fin > ?
+          AND expira_en > UTC_TIMESTAMP()
+      `;
+      const paramsRetenciones = [empleadoId, ZonaHoraria.aFechaSQL(dia.fin), ZonaHoraria.aFechaSQL(dia.inicio)];
+
+      if (excluirRetencionesDe) {
+        sqlRetenciones += ' AND usuario_id <> ?';
+        paramsRetenciones.push(excluirRetencionesDe);
+      }
+
+      const retenciones = await this.consultar(sqlRetenciones, paramsRetenciones, conexion);
+
+      for (const ausencia of ausencias) {
+        ocupados.push(this.recortarAlDia(ausencia.inicio, ausencia.fin, fecha));
+      }
+
+      for (const cita of [...citas, ...retenciones]) {
+        ocupados.push(this.recortarAlDia(
+          ZonaHoraria.utcALocal(cita.fecha_hora_inicio, zonaHoraria),
+          ZonaHoraria.utcALocal(cita.fecha_hora_fin, zonaHoraria),
+          fecha
+        ));
+      }
+
+      for (const ocupado of ocupados) {
+        intervalos = this.restarIntervalo(intervalos, ocupado);
+      }
+
+      return intervalos.sort((a, b) => a.inicio - b.inicio);
+    } catch (error) {
+      // Los errores propios de la aplicación llegan intactos al controlador
+      if (['ConflictError', 'ValidationError', 'NotFoundError'].includes(error.name)) {
+        throw error;
+      }
+      throw new Error(`Error al obtener intervalos libres: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener las horas de inicio en las que cabe una duración dada
+   * @param {number} empleadoId - ID del empleado
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {number} duracion - Duración total en minutos
+   * @param {Object} opciones - { excluirCitaId, excluirRetencionesDe, zonaHoraria }
+   * @returns {Promise<Array>} Horarios [{ inicio: 'HH:MM', fin: 'HH:MM' }]
+   */
+  async obtenerHorariosDisponibles(empleadoId, fecha, duracion = DURACION_POR_DEFECTO, opciones = {}) {
+    const zonaHoraria = opciones.zonaHoraria || await ZonaHoraria.obtenerZonaHoraria({ empleadoId });
+    const intervalos = await this.obtenerIntervalosLibres(empleadoId, fecha, { ...opciones, zonaHoraria });
+    const ahora = ZonaHoraria.ahora(zonaHoraria);
+
+    if (fecha < ahora.fecha) return [];
+
+    const horarios = [];
+    for (const intervalo of intervalos) {
+      for (let inicio = intervalo.inicio; inicio + duracion <= intervalo.fin; inicio += INTERVALO_MINUTOS) {
+        if (fecha === ahora.fecha && inicio <= ahora.minutos) continue;
+        horarios.push({
+          inicio: this.minutosAHora(inicio),
+          fin: this.minutosAHora(inicio + duracion)
+        });
+      }
+    }
+
+    return horarios;
+  }
+
+  /**
+   * Verificar si un empleado puede atender una duración en una fecha
+   * @param {number} empleadoId - ID del empleado
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {string|null} horaInicio - Hora 'HH:MM'; si es null basta con cualquier hueco del día
+   * @param {number} duracion - Duración total en minutos
+   * @param {Object} opciones - { excluirCitaId, excluirRetencionesDe, zonaHoraria }
+   * @returns {Promise<boolean>} true si está disponible
+   */
+  async verificarDisponibilidad(empleadoId, fecha, horaInicio, duracion = DURACION_POR_DEFECTO, opciones = {}) {
+    if (!horaInicio) {
+      const horarios = await this.obtenerHorariosDisponibles(empleadoId, fecha, duracion, opciones);
+      return horarios.length > 0;
+    }
+
+    const zonaHoraria = opciones.zonaHoraria || await ZonaHoraria.obtenerZonaHoraria({ empleadoId });
+    const inicio = this.horaAMinutos(horaInicio);
+    const ahora = ZonaHoraria.ahora(zonaHoraria);
+    if (fecha < ahora.fecha || (fecha === ahora.fecha && inicio <= ahora.minutos)) return false;
+
+    const intervalos = await this.obtenerIntervalosLibres(empleadoId, fecha, { ...opciones, zonaHoraria });
+    return intervalos.some(intervalo => inicio >= intervalo.inicio && inicio + duracion <= intervalo.fin);
+  }
+
+  /**
+   * Normalizar las líneas de una visita a [{ servicioId, cantidad, empleadoId, recursoId }]
+   * Acepta líneas { servicioId, cantidad, empleadoId, recursoId } o una selección de servicios
+   * simple, que se asigna completa al empleado indicado
+   * @param {Array} lineas - Líneas o servicios seleccionados
+   * @param {number|null} empleadoIdPorDefecto - Empleado para las líneas que no indican uno
+   * @returns {Array} Líneas normalizadas, una por servicio
+   */
+  normalizarLineas(lineas, empleadoIdPorDefecto = null) {
+    const lista = Array.isArray(lineas) ? lineas : this.normalizarServicios(lineas);
+    const resultado = [];
+
+    for (const linea of lista) {
+      const servicioId = parseInt(linea.servicioId || linea.id);
+      if (isNaN(servicioId)) continue;
+
+      const normalizada = {
+        servicioId,
+        cantidad: parseInt(linea.cantidad) || 1,
+        empleadoId: parseInt(linea.empleadoId) || parseInt(empleadoIdPorDefecto) || null,
+        recursoId: parseInt(linea.recursoId) || null
+      };
+
+      // Cada servicio aparece una sola vez por cita: las repeticiones se suman como cantidad
+      const existente = resultado.find(otra => otra.servicioId === servicioId);
+      if (existente) {
+        if (existente.empleadoId !== normalizada.empleadoId || existente.recursoId !== normalizada.recursoId) {
+          throw new ValidationError('Un mismo servicio no puede repartirse entre varios empleados o recursos en la misma cita');
+        }
+        existente.cantidad += normalizada.cantidad;
+        continue;
+      }
+
+      resultado.push(normalizada);
+    }
+
+    if (resultado.length === 0) {
+      throw new ValidationError('Debes seleccionar al menos un servicio');
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Preparar las líneas de una visita con su duración y los empleados y recursos candidatos
+   * duracion es la del catálogo; duraciones guarda la de los empleados que tienen una propia
+   * @param {Array} lineas - Líneas normalizadas
+   * @param {Object} opciones - { conexion }
+   * @returns {Promise<Array>} [{ servicioId, cantidad, duracion, duraciones: Map, empleados: [ids], recursos: [ids|null] }]
+   * @throws {ValidationError} Si el empleado indicado en una línea no realiza su servicio
+   */
+  async prepararLineas(lineas, opciones = {}) {
+    const { conexion = null } = opciones;
+    const ids = lineas.map(linea => linea.servicioId);
+
+    const servicios = await this.consultar(`
+      SELECT id, nombre, duracion, tipo_recurso
+      FROM servicios
+      WHERE id IN (${ids.map(() => '?').join(', ')}) AND activo = 1
+    `, ids, conexion);
+
+    if (servicios.length !== ids.length) {
+      throw new ValidationError('Alguno de los servicios seleccionados no existe o no está activo');
+    }
+
+    const porId = new Map(servicios.map(servicio => [servicio.id, servicio]));
+    const propias = await this.consultar(`
+      SELECT empleado_id, servicio_id, duracion
+      FROM empleado_servicio
+      WHERE servicio_id IN (${ids.map(() => '?').join(', ')}) AND duracion IS NOT NULL
+    `, ids, conexion);
+    const preparadas = [];
+
+    for (const linea of lineas) {
+      const servicio = porId.get(linea.servicioId);
+
+      // Empleado indicado si realiza el servicio, o sin indicar, cualquiera que lo realice
+      const filtroEmpleado = linea.empleadoId ? ' AND e.id = ?' : '';
+      const filas = await this.consultar(`
+        SELECT e.id
+        FROM empleados e
+        INNER JOIN empleado_servicio es ON e.id = es.empleado_id
+        WHERE es.servicio_id = ? AND es.puede_realizar = 1 AND e.activo = 1${filtroEmpleado}
+        ORDER BY e.id
+      `, linea.empleadoId ? [servicio.id, linea.empleadoId] : [servicio.id], conexion);
+      const empleados = filas.map(fila => fila.id);
+
+      if (empleados.length === 0) {
+        throw new ValidationError(linea.empleadoId
+          ? `El empleado ${linea.empleadoId} no realiza el servicio ${servicio.nombre}`
+          : `Ningún empleado realiza el servicio ${servicio.nombre}`);
+      }
+
+      // Recurso indicado, cualquiera del tipo que exige el servicio, o ninguno
+      let recursos = [null];
+      if (linea.recursoId || servicio.tipo_recurso) {
+        let sqlRecursos = 'SELECT id FROM recursos WHERE activo = 1';
+        const paramsRecursos = [];
+
+        if (linea.recursoId) {
+          sqlRecursos += ' AND id = ?';
+          paramsRecursos.push(linea.recursoId);
+        }
+        if (servicio.tipo_recurso) {
+          sqlRecursos += ' AND tipo = ?';
+          paramsRecursos.push(servicio.tipo_recurso);
+        }
+
+        const filas = await this.consultar(`${sqlRecursos} ORDER BY id`, paramsRecursos, conexion);
+        recursos = filas.map(fila => fila.id);
+
+        if (recursos.length === 0) {
+          throw new ValidationError(linea.recursoId
+            ? `El recurso ${linea.recursoId} no existe, no está activo o no sirve para ${servicio.nombre}`
+            : `No hay recursos de tipo ${servicio.tipo_recurso} para ${servicio.nombre}`);
+        }
+      }
+
+      const duraciones = new Map(propias
+        .filter(propia => propia.servicio_id === servicio.id && empleados.includes(propia.empleado_id))
+        .map(propia => [propia.empleado_id, propia.duracion * linea.cantidad]));
+
+      preparadas.push({
+        servicioId: servicio.id,
+        cantidad: linea.cantidad,
+        duracion: servicio.duracion * linea.cantidad,
+        duraciones,
+        empleados,
+        recursos
+      });
+    }
+
+    return preparadas;
+  }
+
+  /**
+   * Obtener los intervalos ocupados de varios recursos en una fecha
+   * @param {Array<number>} recursoIds - IDs de recursos
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {Object} opciones - { zonaHoraria, excluirCitaId, excluirRetencionesDe, conexion }
+   * @returns {Promise<Map>} recursoId -> [{ inicio, fin }] en minutos
+   */
+  async obtenerOcupacionRecursos(recursoIds, fecha, opciones = {}) {
+    const { zonaHoraria, excluirCitaId = null, excluirRetencionesDe = null, conexion = null } = opciones;
+    const ocupacion = new Map(recursoIds.map(id => [id, []]));
+    if (recursoIds.length === 0) return ocupacion;
+
+    const dia = ZonaHoraria.rangoDiaUtc(fecha, zonaHoraria);
+    let sql = `
+      SELECT cs.recurso_id, cs.fecha_hora_inicio, cs.fecha_hora_fin
+      FROM cita_servicio cs
+      INNER JOIN citas c ON cs.cita_id = c.id
+      WHERE cs.recurso_id IN (${recursoIds.map(() => '?').join(', ')})
+        AND cs.fecha_hora_inicio < ?
+        AND cs.fecha_hora_fin > ?
+        AND c.estado_id NOT IN (${SQL_ESTADOS_LIBERAN})
+    `;
+    const params = [...recursoIds, ZonaHoraria.aFechaSQL(dia.fin), ZonaHoraria.aFechaSQL(dia.inicio)];
+
+    if (excluirCitaId) {
+      sql += ' AND c.id <> ?';
+      params.push(excluirCitaId);
+    }
+
+    // Los recursos apartados por retenciones vigentes de otros clientes también están ocupados
+    let sqlRetenciones = `
+      SELECT recurso_id, fecha_hora_inicio, fecha_hora_fin
+      FROM retenciones_horario
+      WHERE recurso_id IN (${recursoIds.map(() => '?').join(', ')})
+        AND fecha_hora_inicio < ?
+        AND fecha_hora_fin > ?
+        AND expira_en > UTC_TIMESTAMP()
+    `;
+    const paramsRetenciones = [...recursoIds, ZonaHoraria.aFechaSQL(dia.fin), ZonaHoraria.aFechaSQL(dia.inicio)];
+
+    if (excluirRetencionesDe) {
+      sqlRetenciones += ' AND usuario_id <> ?';
+      paramsRetenciones.push(excluirRetencionesDe);
+    }
+
+    const filas = [
+      ...await this.consultar(sql, params, conexion),
+      ...await this.consultar(sqlRetenciones, paramsRetenciones, conexion)
+    ];
+
+    for (const fila of filas) {
+      ocupacion.get(fila.recurso_id).push(this.recortarAlDia(
+        ZonaHoraria.utcALocal(fila.fecha_hora_inicio, zonaHoraria),
+        ZonaHoraria.utcALocal(fila.fecha_hora_fin, zonaHoraria),
+        fecha
+      ));
+    }
+
+    return ocupacion;
+  }
+
+  /**
+   * Cargar los intervalos libres de los empleados y la ocupación de los recursos candidatos
+   * @param {Array} preparadas - Líneas preparadas
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {Object} opciones - { zonaHoraria, excluirCitaId, excluirRetencionesDe, conexion }
+   * @returns {Promise<Object>} { libres: Map, ocupacionRecursos: Map }
+   */
+  async cargarContextoCombinacion(preparadas, fecha, opciones) {
+    const empleados = [...new Set(preparadas.flatMap(linea => linea.empleados))];
+    const recursos = [...new Set(preparadas.flatMap(linea => linea.recursos).filter(Boolean))];
+
+    const libres = new Map();
+    for (const empleadoId of empleados) {
+      libres.set(empleadoId, await this.obtenerIntervalosLibres(empleadoId, fecha, opciones));
+    }
+
+    return {
+      libres,
+      ocupacionRecursos: await this.obtenerOcupacionRecursos(recursos, fecha, opciones)
+    };
+  }
+
+  /**
+   * Obtener la duración de una línea preparada para un empleado
+   * @param {Object} linea - Línea preparada
+   * @param {number} empleadoId - ID del empleado
+   * @returns {number} Minutos
+   */
+  obtenerDuracionLinea(linea, empleadoId) {
+    return (linea.duraciones && linea.duraciones.get(empleadoId)) || linea.duracion;
+  }
+
+  /**
+   * Resolver empleados y recursos para una hora de inicio.
+   * Los servicios se atienden uno detrás de otro; para cada uno se prefiere al empleado
+   * del servicio anterior y luego al primer candidato libre, con la duración de ese empleado.
+   * @param {Array} preparadas - Líneas preparadas
+   * @param {number} inicio - Minuto de inicio de la visita
+   * @param {Object} contexto - { libres, ocupacionRecursos }
+   * @returns {Array|null} [{ servicioId, empleadoId, recursoId, inicio, fin, orden }] en minutos, o null
+   */
+  resolverCombinacion(preparadas, inicio, contexto) {
+    const asignaciones = [];
+    let desde = inicio;
+    let anterior = null;
+
+    for (const [orden, linea] of preparadas.entries()) {
+      const candidatos = linea.empleados.includes(anterior)
+        ? [anterior, ...linea.empleados.filter(id => id !== anterior)]
+        : linea.empleados;
+
+      const empleadoId = candidatos.find(id => (contexto.libres.get(id) || [])
+        .some(intervalo => desde >= intervalo.inicio && desde + this.obtenerDuracionLinea(linea, id) <= intervalo.fin));
+      if (!empleadoId) return null;
+
+      const hasta = desde + this.obtenerDuracionLinea(linea, empleadoId);
+
+      const recursoId = linea.recursos.find(id => id === null || !(contexto.ocupacionRecursos.get(id) || [])
+        .some(ocupado => ocupado.inicio < hasta && ocupado.fin > desde));
+      if (recursoId === undefined) return null;
+
+      asignaciones.push({ servicioId: linea.servicioId, empleadoId, recursoId, inicio: desde, fin: hasta, orden: orden + 1 });
+      desde = hasta;
+      anterior = empleadoId;
+    }
+
+    return asignaciones;
+  }
+
+  /**
+   * Formatear una asignación en minutos para la respuesta de la API
+   * @param {Object} asignacion - Asignación en minutos
+   * @returns {Object} { servicio_id, empleado_id, recurso_id, inicio: 'HH:MM', fin: 'HH:MM' }
+   */
+  formatearAsignacion(asignacion) {
+    return {
+      servicio_id: asignacion.servicioId,
+      empleado_id: asignacion.empleadoId,
+      recurso_id: asignacion.recursoId,
+      inicio: this.minutosAHora(asignacion.inicio),
+      fin: this.minutosAHora(asignacion.fin)
+    };
+  }
+
+  /**
+   * Obtener las horas de inicio en las que toda la visita tiene empleados y recursos libres
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {Array} lineas - Líneas normalizadas
+   * @param {Object} opciones - { zonaHoraria, excluirCitaId, excluirRetencionesDe }
+   * @returns {Promise<Array>} Horarios [{ inicio, fin, asignaciones }]
+   */
+  async obtenerHorariosCombinados(fecha, lineas, opciones = {}) {
+    const preparadas = await this.prepararLineas(lineas, opciones);
+    const zonaHoraria = opciones.zonaHoraria || await ZonaHoraria.obtenerZonaHoraria({ empleadoId: lineas[0].empleadoId });
+
+    return this.calcularHorariosCombinados(fecha, preparadas, { ...opciones, zonaHoraria });
+  }
+
+  /**
+   * Calcular las horas de inicio libres para líneas ya preparadas
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {Array} preparadas - Líneas preparadas
+   * @param {Object} opciones - { zonaHoraria, excluirCitaId, excluirRetencionesDe }
+   * @returns {Promise<Array>} Horarios [{ inicio, fin, asignaciones }]
+   */
+  async calcularHorariosCombinados(fecha, preparadas, opciones = {}) {
+    const zonaHoraria = opciones.zonaHoraria || await ZonaHoraria.obtenerZonaHoraria({ empleadoId: preparadas[0].empleados[0] });
+    const ahora = ZonaHoraria.ahora(zonaHoraria);
+
+    if (fecha < ahora.fecha) return [];
+
+    const contexto = await this.cargarContextoCombinacion(preparadas, fecha, { ...opciones, zonaHoraria });
+
+    // Las horas de inicio candidatas salen de los intervalos libres de quien hace el primer servicio
+    const inicios = new Set();
+    for (const empleadoId of preparadas[0].empleados) {
+      for (const intervalo of contexto.libres.get(empleadoId)) {
+        for (let inicio = intervalo.inicio; inicio < intervalo.fin; inicio += INTERVALO_MINUTOS) {
+          inicios.add(inicio);
+        }
+      }
+    }
+
+    const horarios = [];
+    for (const inicio of [...inicios].sort((a, b) => a - b)) {
+      if (fecha === ahora.fecha && inicio <= ahora.minutos) continue;
+
+      const asignaciones = this.resolverCombinacion(preparadas, inicio, contexto);
+      if (!asignaciones) continue;
+
+      horarios.push({
+        inicio: this.minutosAHora(inicio),
+        fin: this.minutosAHora(asignaciones[asignaciones.length - 1].fin),
+        asignaciones: asignaciones.map(asignacion => this.formatearAsignacion(asignacion))
+      });
+    }
+
+    return horarios;
+  }
+
+  /**
+   * Bloquear, dentro de una transacción, las agendas y los recursos que puede usar una visita
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {Array} preparadas - Líneas preparadas
+   * @param {string} fecha - Fecha local 'YYYY-MM-DD'
+   * @returns {Promise<void>}
+   */
+  async bloquearCombinacion(conexion, preparadas, fecha) {
+    // Siempre en el mismo orden para que dos reservas no se bloqueen mutuamente
+    const empleados = [...new Set(preparadas.flatMap(linea => linea.empleados))].sort((a, b) => a - b);
+    const recursos = [...new Set(preparadas.flatMap(linea => linea.recursos).filter(Boolean))].sort((a, b) => a - b);
+
+    for (const empleadoId of empleados) {
+      await this.bloquearAgenda(conexion, empleadoId, fecha);
+    }
+
+    if (recursos.length > 0) {
+      await conexion.query(`
+        SELECT id FROM recursos
+        WHERE id IN (${recursos.map(() => '?').join(', ')})
+        ORDER BY id
+        FOR UPDATE
+      `, recursos);
+    }
+  }
+
+  /**
+   * Resolver la combinación de empleados y recursos para una hora concreta
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {string} horaInicio - Hora 'HH:MM'
+   * @param {Array} preparadas - Líneas preparadas
+   * @param {Object} opciones - { zonaHoraria, excluirCitaId, excluirRetencionesDe, conexion }
+   * @returns {Promise<Array|null>} Asignaciones en minutos, o null si no hay combinación libre
+   */
+  async verificarCombinacion(fecha, horaInicio, preparadas, opciones = {}) {
+    const zonaHoraria = opciones.zonaHoraria || await ZonaHoraria.obtenerZonaHoraria({ empleadoId: preparadas[0].empleados[0] });
+    const inicio = this.horaAMinutos(horaInicio);
+    const ahora = ZonaHoraria.ahora(zonaHoraria);
+    if (fecha < ahora.fecha || (fecha === ahora.fecha && inicio <= ahora.minutos)) return null;
+
+    const contexto = await this.cargarContextoCombinacion(preparadas, fecha, { ...opciones, zonaHoraria });
+    return this.resolverCombinacion(preparadas, inicio, contexto);
+  }
+}
+
+module.exports = new DisponibilidadService();
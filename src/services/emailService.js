@@ -1,6 +1,26 @@
 const nodemailer = require('nodemailer');
 const { query } = require('../config/database');
+const { PLANTILLAS_CORREO, VARIABLES_EJEMPLO } = require('../config/plantillasCorreo');
+const { NotFoundError } = require('../middleware/errorHandler');
+const Configuracion = require('../models/Configuracion');
+const CorreoEnviado = require('../models/CorreoEnviado');
+const PlantillaCorreo = require('../models/PlantillaCorreo');
+const MotorPlantillas = require('../utils/motorPlantillas');
+const ZonaHoraria = require('../utils/zonaHoraria');
 
+const FORMATO_FECHA = {
+  weekday: 'long',
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+};
+
+/**
+ * Correos transaccionales.
+ * Cada correo se arma con la plantilla activa más reciente de su tipo en plantillas_correo
+ * o, si no hay ninguna, con la predeterminada de src/config/plantillasCorreo.js, donde
+ * también está el catálogo de variables de cada tipo.
+ */
 class EmailService {
   constructor() {
     this.transporter = nodemailer.createTransport({
@@ -14,47 +34,247 @@ class EmailService {
     });
   }
 
-  async enviarConfirmacionCita(citaId) {
+  /**
+   * Enviar un correo y registrarlo en correos_enviados, tanto si sale como si falla
+   * @param {Object} mailOptions - Opciones de nodemailer (to, subject, html, text)
+   * @param {Object} referencia - { citaId, usuarioId, plantillaId } a quién o a qué cita corresponde y con qué plantilla se armó
+   * @returns {Promise<Object>} Resultado de nodemailer; relanza el error si el envío falla
+   */
+  async enviar(mailOptions, referencia = {}) {
+    const registro = {
+      destinatario: mailOptions.to,
+      asunto: mailOptions.subject,
+      contenido: mailOptions.html,
+      plantilla_id: referencia.plantillaId || null,
+      cita_id: referencia.citaId || null,
+      usuario_id: referencia.usuarioId || null
+    };
+
     try {
-      console.log('📧 [emailService.enviarConfirmacionCita] Enviando confirmación para cita:', citaId);
-      
-      // Obtener información de la cita
-      const citaSql = `
-        SELECT 
-          c.id,
-          c.fecha_hora_inicio,
-          c.fecha_hora_fin,
-          CONCAT(u_cliente.nombre, ' ', u_cliente.apellido) as cliente_nombre,
-          u_cliente.email as cliente_email,
-          CONCAT(u_empleado.nombre, ' ', u_empleado.apellido) as empleado_nombre,
-          GROUP_CONCAT(s.nombre SEPARATOR ', ') as servicios
-        FROM citas c
-        INNER JOIN clientes cl ON c.cliente_id = cl.id
-        INNER JOIN usuarios u_cliente ON cl.usuario_id = u_cliente.id
-        INNER JOIN empleados e ON c.empleado_id = e.id
-        INNER JOIN usuarios u_empleado ON e.usuario_id = u_empleado.id
-        INNER JOIN cita_servicio cs ON c.id = cs.cita_id
-        INNER JOIN servicios s ON cs.servicio_id = s.id
-        WHERE c.id = ?
-        GROUP BY c.id
-      `;
-      
-      const [cita] = await query(citaSql, [citaId]);
-      
-      if (!cita) {
-        throw new Error('Cita no encontrada');
+      const result = await this.transporter.sendMail(mailOptions);
+      await this.registrarEnvio({ ...registro, estado: 'enviado' });
+      return result;
+    } catch (error) {
+      await this.registrarEnvio({ ...registro, estado: 'fallido', mensaje_error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Guardar un envío en correos_enviados sin interrumpir el envío si falla el registro
+   * @param {Object} registro - Fila de correos_enviados
+   * @returns {Promise<void>}
+   */
+  async registrarEnvio(registro) {
+    try {
+      await CorreoEnviado.crear(registro);
+    } catch (error) {
+      console.error('❌ [emailService.registrarEnvio] Error registrando el correo:', error);
+    }
+  }
+
+  /**
+   * Obtener los datos del negocio que reciben todas las plantillas
+   * @returns {Promise<Object>} { NOMBRE_NEGOCIO, TELEFONO_SALON, EMAIL_SALON }
+   */
+  async obtenerVariablesNegocio() {
+    return {
+      NOMBRE_NEGOCIO: await Configuracion.obtenerValor('negocio_nombre', 'BarberShot'),
+      TELEFONO_SALON: await Configuracion.obtenerValor('negocio_telefono', '(123) 456-7890'),
+      EMAIL_SALON: await Configuracion.obtenerValor('negocio_email', 'info@barbershot.com')
+    };
+  }
+
+  /**
+   * Armar un correo con la plantilla de su tipo
+   * @param {string} tipo - Tipo del catálogo de plantillas (confirmacion_cita, bienvenida...)
+   * @param {Object} variables - Valores de las variables del tipo
+   * @param {string|null} zonaHoraria - Zona de los filtros fecha y hora (por defecto la del negocio)
+   * @returns {Promise<Object>} { asunto, html, texto, plantillaId } plantillaId es null con la predeterminada
+   */
+  async renderizarCorreo(tipo, variables, zonaHoraria = null) {
+    const predeterminada = PLANTILLAS_CORREO[tipo];
+    const plantilla = await PlantillaCorreo.obtenerActivaPorTipo(tipo);
+
+    if (plantilla) {
+      try {
+        return await this.renderizarPlantilla(plantilla, variables, zonaHoraria);
+      } catch (error) {
+        // Una plantilla guardada antes de validarse la sintaxis no debe dejar el correo sin enviar
+        if (error.name !== 'ValidationError' || !predeterminada) throw error;
+        console.error(`❌ [emailService.renderizarCorreo] Plantilla ${plantilla.id} inválida, se usa la predeterminada:`, error.message);
       }
+    }
 
-      const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to: cita.cliente_email,
-        subject: '✅ Confirmación de Cita - BarberShot',
-        html: this.generarTemplateConfirmacion(cita)
-      };
+    if (!predeterminada) {
+      throw new Error(`No hay plantilla de correo para ${tipo}`);
+    }
 
-      const result = await this.transporter.sendMail(mailOptions);
+    return this.renderizarPlantilla(predeterminada, variables, zonaHoraria);
+  }
+
+  /**
+   * Renderizar una plantilla de correo
+   * @param {Object} plantilla - Fila de plantillas_correo o predeterminada { asunto, contenido_html, contenido_texto }
+   * @param {Object} variables - Valores de las variables
+   * @param {string|null} zonaHoraria - Zona de los filtros fecha y hora (por defecto la del negocio)
+   * @returns {Promise<Object>} { asunto, html, texto, plantillaId }
+   */
+  async renderizarPlantilla(plantilla, variables, zonaHoraria = null) {
+    const valores = { ...await this.obtenerVariablesNegocio(), ...variables };
+    const opciones = {
+      zonaHoraria: zonaHoraria || await ZonaHoraria.obtenerZonaHoraria(),
+      moneda: await Configuracion.obtenerValor('moneda', 'USD')
+    };
+
+    return {
+      // El asunto es una cabecera: sin HTML y en una sola línea
+      asunto: MotorPlantillas.renderizar(plantilla.asunto, valores, opciones).replace(/\s*[\r\n]+\s*/g, ' ').trim(),
+      html: MotorPlantillas.renderizar(plantilla.contenido_html, valores, { ...opciones, html: true }),
+      texto: MotorPlantillas.renderizar(plantilla.contenido_texto, valores, opciones) || undefined,
+      plantillaId: plantilla.id || null
+    };
+  }
+
+  /**
+   * Previsualizar una plantilla con datos de ejemplo o con los de una cita real
+   * @param {Object} plantilla - Fila de plantillas_correo (activa o no)
+   * @param {number|null} citaId - Cita de la que tomar los datos; sin ella solo datos de ejemplo
+   * @returns {Promise<Object>} { asunto, html, texto }
+   */
+  async previsualizar(plantilla, citaId = null) {
+    let variables = { ...VARIABLES_EJEMPLO };
+    let zonaHoraria = null;
+
+    if (citaId) {
+      const cita = await this.obtenerCita(citaId);
+      // Los datos propios de cada tipo (horario anterior, enlaces...) siguen siendo de ejemplo
+      variables = { ...variables, ...this.obtenerVariablesCita(cita) };
+      zonaHoraria = cita.zona_horaria;
+    }
+
+    const { asunto, html, texto } = await this.renderizarPlantilla(plantilla, variables, zonaHoraria);
+    return { asunto, html, texto: texto || null };
+  }
+
+  /**
+   * Armar y enviar un correo transaccional
+   * @param {string} tipo - Tipo del catálogo de plantillas
+   * @param {string} destinatario - Email de destino
+   * @param {Object} variables - Valores de las variables del tipo
+   * @param {Object} opciones - { citaId, usuarioId, zonaHoraria }
+   * @returns {Promise<Object>} Resultado de nodemailer
+   */
+  async enviarCorreo(tipo, destinatario, variables, opciones = {}) {
+    const { citaId, usuarioId, zonaHoraria = null } = opciones;
+    const correo = await this.renderizarCorreo(tipo, variables, zonaHoraria);
+
+    return this.enviar({
+      from: process.env.EMAIL_USER,
+      to: destinatario,
+      subject: correo.asunto,
+      html: correo.html,
+      text: correo.texto
+    }, { citaId, usuarioId, plantillaId: correo.plantillaId });
+  }
+
+  /**
+   * Obtener una cita con los datos que usan sus correos
+   * @param {number} citaId - ID de la cita
+   * @returns {Promise<Object>} Cita con cliente, barbero, servicios, lista_servicios, monto_total y zona_horaria
+   */
+  async obtenerCita(citaId) {
+    const [cita] = await query(`
+      SELECT
+        c.id,
+        c.fecha_hora_inicio,
+        c.fecha_hora_fin,
+        c.empleado_id,
+        CONCAT(u_cliente.nombre, ' ', u_cliente.apellido) as cliente_nombre,
+        u_cliente.email as cliente_email,
+        CONCAT(u_empleado.nombre, ' ', u_empleado.apellido) as empleado_nombre,
+        GROUP_CONCAT(s.nombre SEPARATOR ', ') as servicios,
+        (SELECT p.monto_total FROM pagos p WHERE p.cita_id = c.id ORDER BY p.id DESC LIMIT 1) as monto_total
+      FROM citas c
+      INNER JOIN clientes cl ON c.cliente_id = cl.id
+      INNER JOIN usuarios u_cliente ON cl.usuario_id = u_cliente.id
+      INNER JOIN empleados e ON c.empleado_id = e.id
+      INNER JOIN usuarios u_empleado ON e.usuario_id = u_empleado.id
+      INNER JOIN cita_servicio cs ON c.id = cs.cita_id
+      INNER JOIN servicios s ON cs.servicio_id = s.id
+      WHERE c.id = ?
+      GROUP BY c.id
+    `, [citaId]);
+
+    if (!cita) {
+      throw new NotFoundError('Cita no encontrada');
+    }
+
+    cita.lista_servicios = await query(`
+      SELECT s.nombre, s.duracion, cs.precio_aplicado, cs.descuento
+      FROM cita_servicio cs
+      INNER JOIN servicios s ON cs.servicio_id = s.id
+      WHERE cs.cita_id = ?
+      ORDER BY cs.orden, s.nombre
+    `, [citaId]);
+
+    cita.zona_horaria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+    return cita;
+  }
+
+  /**
+   * Variables comunes a los correos de una cita
+   * @param {Object} cita - Cita de obtenerCita (o una oferta con los mismos campos)
+   * @returns {Object} Variables de la cita y, si tiene lista_servicios, las de cobro
+   */
+  obtenerVariablesCita(cita) {
+    const variables = {
+      NOMBRE_CLIENTE: cita.cliente_nombre,
+      FECHA_CITA: ZonaHoraria.formatearFecha(cita.fecha_hora_inicio, cita.zona_horaria, FORMATO_FECHA),
+      HORA_CITA: ZonaHoraria.formatearHora(cita.fecha_hora_inicio, cita.zona_horaria),
+      HORA_FIN_CITA: ZonaHoraria.formatearHora(cita.fecha_hora_fin, cita.zona_horaria),
+      NOMBRE_ESTILISTA: cita.empleado_nombre,
+      SERVICIOS: cita.servicios,
+      INICIO_CITA: cita.fecha_hora_inicio,
+      FIN_CITA: cita.fecha_hora_fin
+    };
+
+    // Las ofertas de lista de espera todavía no tienen servicios cobrados
+    if (cita.lista_servicios) {
+      variables.LISTA_SERVICIOS = cita.lista_servicios.map(servicio => ({
+        NOMBRE: servicio.nombre,
+        DURACION: servicio.duracion,
+        PRECIO: Number(servicio.precio_aplicado),
+        DESCUENTO: Number(servicio.descuento) || 0
+      }));
+      variables.SUBTOTAL = variables.LISTA_SERVICIOS.reduce((suma, servicio) => suma + servicio.PRECIO, 0);
+      variables.DESCUENTO = variables.LISTA_SERVICIOS.reduce((suma, servicio) => suma + servicio.DESCUENTO, 0);
+      variables.TOTAL = cita.monto_total !== null && cita.monto_total !== undefined
+        ? Number(cita.monto_total)
+        : variables.SUBTOTAL - variables.DESCUENTO;
+    }
+
+    return variables;
+  }
+
+  /**
+   * Enlace absoluto a una ruta del frontend
+   * @param {string} ruta - Ruta que empieza con /
+   * @returns {string} URL
+   */
+  enlaceFrontend(ruta) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}${ruta}`;
+  }
+
+  async enviarConfirmacionCita(citaId) {
+    try {
+      console.log('📧 [emailService.enviarConfirmacionCita] Enviando confirmación para cita:', citaId);
+
+      const cita = await this.obtenerCita(citaId);
+      const result = await this.enviarCorreo('confirmacion_cita', cita.cliente_email,
+        this.obtenerVariablesCita(cita), { citaId: cita.id, zonaHoraria: cita.zona_horaria });
       console.log('✅ [emailService.enviarConfirmacionCita] Email enviado exitosamente');
-      
+
       return result;
     } catch (error) {
       console.error('❌ [emailService.enviarConfirmacionCita] Error:', error);
@@ -65,44 +285,12 @@ class EmailService {
   async enviarRecordatorioCita(citaId) {
     try {
       console.log('📧 [emailService.enviarRecordatorioCita] Enviando recordatorio para cita:', citaId);
-      
-      // Obtener información de la cita
-      const citaSql = `
-        SELECT 
-          c.id,
-          c.fecha_hora_inicio,
-          c.fecha_hora_fin,
-          CONCAT(u_cliente.nombre, ' ', u_cliente.apellido) as cliente_nombre,
-          u_cliente.email as cliente_email,
-          CONCAT(u_empleado.nombre, ' ', u_empleado.apellido) as empleado_nombre,
-          GROUP_CONCAT(s.nombre SEPARATOR ', ') as servicios
-        FROM citas c
-        INNER JOIN clientes cl ON c.cliente_id = cl.id
-        INNER JOIN usuarios u_cliente ON cl.usuario_id = u_cliente.id
-        INNER JOIN empleados e ON c.empleado_id = e.id
-        INNER JOIN usuarios u_empleado ON e.usuario_id = u_empleado.id
-        INNER JOIN cita_servicio cs ON c.id = cs.cita_id
-        INNER JOIN servicios s ON cs.servicio_id = s.id
-        WHERE c.id = ?
-        GROUP BY c.id
-      `;
-      
-      const [cita] = await query(citaSql, [citaId]);
-      
-      if (!cita) {
-        throw new Error('Cita no encontrada');
-      }
 
-      const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to: cita.cliente_email,
-        subject: '⏰ Recordatorio de Cita - BarberShot',
-        html: this.generarTemplateRecordatorio(cita)
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
+      const cita = await this.obtenerCita(citaId);
+      const result = await this.enviarCorreo('recordatorio_cita', cita.cliente_email,
+        this.obtenerVariablesCita(cita), { citaId: cita.id, zonaHoraria: cita.zona_horaria });
       console.log('✅ [emailService.enviarRecordatorioCita] Email enviado exitosamente');
-      
+
       return result;
     } catch (error) {
       console.error('❌ [emailService.enviarRecordatorioCita] Error:', error);
@@ -110,123 +298,156 @@ class EmailService {
     }
   }
 
-  generarTemplateConfirmacion(cita) {
-    const fecha = new Date(cita.fecha_hora_inicio).toLocaleDateString('es-ES', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
+  async enviarCancelacionCita(citaId) {
+    try {
+      console.log('📧 [emailService.enviarCancelacionCita] Enviando cancelación para cita:', citaId);
 
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Confirmación de Cita</title>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #2c3e50; color: white; padding: 20px; text-align: center; }
-          .content { padding: 20px; background: #f9f9f9; }
-          .details { background: white; padding: 20px; margin: 20px 0; border-radius: 5px; }
-          .button { background: #3498db; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; }
-          .footer { text-align: center; padding: 20px; color: #666; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>✂️ BarberShot</h1>
-            <h2>✅ Confirmación de Cita</h2>
-          </div>
-          
-          <div class="content">
-            <p>Hola <strong>${cita.cliente_nombre}</strong>,</p>
-            
-            <p>Tu cita ha sido confirmada exitosamente. Aquí están los detalles:</p>
-            
-            <div class="details">
-              <h3>📅 Detalles de la Cita</h3>
-              <p><strong>Fecha:</strong> ${fecha}</p>
-              <p><strong>Hora:</strong> ${cita.fecha_hora_inicio} - ${cita.fecha_hora_fin}</p>
-              <p><strong>Barbero:</strong> ${cita.empleado_nombre}</p>
-              <p><strong>Servicios:</strong> ${cita.servicios}</p>
-            </div>
-            
-            <p>Te esperamos en nuestro local. Si necesitas cancelar o modificar tu cita, contáctanos con anticipación.</p>
-            
-            <p>¡Gracias por elegir BarberShot!</p>
-          </div>
-          
-          <div class="footer">
-            <p>BarberShot - Tu estilo, nuestra pasión</p>
-            <p>📧 info@barbershot.com | 📞 (123) 456-7890</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-  }
-
-  generarTemplateRecordatorio(cita) {
-    const fecha = new Date(cita.fecha_hora_inicio).toLocaleDateString('es-ES', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
+      const cita = await this.obtenerCita(citaId);
+      const result = await this.enviarCorreo('cancelacion_cita', cita.cliente_email, {
+        ...this.obtenerVariablesCita(cita),
+        ENLACE_RESERVAR: this.enlaceFrontend('/reservacion')
+      }, { citaId: cita.id, zonaHoraria: cita.zona_horaria });
+      console.log('✅ [emailService.enviarCancelacionCita] Email enviado exitosamente');
 
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Recordatorio de Cita</title>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #e74c3c; color: white; padding: 20px; text-align: center; }
-          .content { padding: 20px; background: #f9f9f9; }
-          .details { background: white; padding: 20px; margin: 20px 0; border-radius: 5px; }
-          .button { background: #3498db; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; }
-          .footer { text-align: center; padding: 20px; color: #666; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h1>✂️ BarberShot</h1>
-            <h2>⏰ Recordatorio de Cita</h2>
-          </div>
-          
-          <div class="content">
-            <p>Hola <strong>${cita.cliente_nombre}</strong>,</p>
-            
-            <p>Te recordamos que tienes una cita programada para mañana:</p>
-            
-            <div class="details">
-              <h3>📅 Detalles de la Cita</h3>
-              <p><strong>Fecha:</strong> ${fecha}</p>
-              <p><strong>Hora:</strong> ${cita.fecha_hora_inicio} - ${cita.fecha_hora_fin}</p>
-              <p><strong>Barbero:</strong> ${cita.empleado_nombre}</p>
-              <p><strong>Servicios:</strong> ${cita.servicios}</p>
-            </div>
-            
-            <p>Por favor, llega 10 minutos antes de tu hora programada.</p>
-            
-            <p>¡Te esperamos!</p>
-          </div>
-          
-          <div class="footer">
-            <p>BarberShot - Tu estilo, nuestra pasión</p>
-            <p>📧 info@barbershot.com | 📞 (123) 456-7890</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+      return result;
+    } catch (error) {
+      console.error('❌ [emailService.enviarCancelacionCita] Error:', error);
+      throw error;
+    }
+  }
+
+  async enviarReprogramacionCita(citaId, anterior) {
+    try {
+      console.log('📧 [emailService.enviarReprogramacionCita] Enviando reprogramación para cita:', citaId);
+
+      const cita = await this.obtenerCita(citaId);
+      const result = await this.enviarCorreo('reprogramacion_cita', cita.cliente_email, {
+        ...this.obtenerVariablesCita(cita),
+        FECHA_ANTERIOR: ZonaHoraria.formatearFecha(anterior.fecha_hora_inicio, cita.zona_horaria, FORMATO_FECHA),
+        HORA_ANTERIOR: ZonaHoraria.formatearHora(anterior.fecha_hora_inicio, cita.zona_horaria)
+      }, { citaId: cita.id, zonaHoraria: cita.zona_horaria });
+      console.log('✅ [emailService.enviarReprogramacionCita] Email enviado exitosamente');
+
+      return result;
+    } catch (error) {
+      console.error('❌ [emailService.enviarReprogramacionCita] Error:', error);
+      throw error;
+    }
+  }
+
+  async enviarReasignacionCita(citaId, empleadoAnterior) {
+    try {
+      console.log('📧 [emailService.enviarReasignacionCita] Enviando cambio de barbero para cita:', citaId);
+
+      const cita = await this.obtenerCita(citaId);
+      const result = await this.enviarCorreo('reasignacion_cita', cita.cliente_email, {
+        ...this.obtenerVariablesCita(cita),
+        ESTILISTA_ANTERIOR: empleadoAnterior || 'Tu barbero'
+      }, { citaId: cita.id, zonaHoraria: cita.zona_horaria });
+      console.log('✅ [emailService.enviarReasignacionCita] Email enviado exitosamente');
+
+      return result;
+    } catch (error) {
+      console.error('❌ [emailService.enviarReasignacionCita] Error:', error);
+      throw error;
+    }
+  }
+
+  async enviarInvitacionResena(citaId) {
+    try {
+      console.log('📧 [emailService.enviarInvitacionResena] Enviando invitación a reseñar la cita:', citaId);
+
+      const cita = await this.obtenerCita(citaId);
+      const result = await this.enviarCorreo('invitacion_resena', cita.cliente_email, {
+        ...this.obtenerVariablesCita(cita),
+        ENLACE_RESENA: this.enlaceFrontend(`/resenas/nueva?cita=${cita.id}`)
+      }, { citaId: cita.id, zonaHoraria: cita.zona_horaria });
+      console.log('✅ [emailService.enviarInvitacionResena] Email enviado exitosamente');
+
+      return result;
+    } catch (error) {
+      console.error('❌ [emailService.enviarInvitacionResena] Error:', error);
+      throw error;
+    }
+  }
+
+  async enviarBienvenida(usuarioId) {
+    try {
+      console.log('📧 [emailService.enviarBienvenida] Enviando bienvenida al usuario:', usuarioId);
+
+      const [usuario] = await query(
+        'SELECT id, email, nombre, apellido FROM usuarios WHERE id = ?',
+        [usuarioId]
+      );
+
+      if (!usuario) {
+        throw new Error('Usuario no encontrado');
+      }
+
+      const result = await this.enviarCorreo('bienvenida', usuario.email, {
+        NOMBRE_CLIENTE: `${usuario.nombre} ${usuario.apellido}`.trim(),
+        ENLACE_RESERVAR: this.enlaceFrontend('/reservacion')
+      }, { usuarioId: usuario.id });
+      console.log('✅ [emailService.enviarBienvenida] Email enviado exitosamente');
+
+      return result;
+    } catch (error) {
+      console.error('❌ [emailService.enviarBienvenida] Error:', error);
+      throw error;
+    }
+  }
+
+  async enviarOfertaListaEspera(oferta) {
+    try {
+      console.log('📧 [emailService.enviarOfertaListaEspera] Enviando oferta de lista de espera:', oferta.token);
+
+      const result = await this.enviarCorreo('oferta_lista_espera', oferta.cliente_email, {
+        ...this.obtenerVariablesCita({ ...oferta, servicios: oferta.servicios_nombres }),
+        HORA_EXPIRACION: ZonaHoraria.formatearHora(oferta.expira_en, oferta.zona_horaria),
+        ENLACE_OFERTA: this.enlaceFrontend(`/lista-espera/oferta/${oferta.token}`)
+      }, { usuarioId: oferta.usuario_id, zonaHoraria: oferta.zona_horaria });
+      console.log('✅ [emailService.enviarOfertaListaEspera] Email enviado exitosamente');
+
+      return result;
+    } catch (error) {
+      console.error('❌ [emailService.enviarOfertaListaEspera] Error:', error);
+      throw error;
+    }
+  }
+
+  async enviarDecisionAusencia(ausencia) {
+    try {
+      console.log('📧 [emailService.enviarDecisionAusencia] Enviando decisión de ausencia:', ausencia.id);
+
+      // Las ausencias se guardan en hora local del barbero
+      const formatear = (valor) => {
+        const instante = ZonaHoraria.localAUtc(valor.slice(0, 10), valor.slice(11), ausencia.zona_horaria);
+        const fecha = ZonaHoraria.formatearFecha(instante, ausencia.zona_horaria, FORMATO_FECHA);
+        return `${fecha} ${ZonaHoraria.formatearHora(instante, ausencia.zona_horaria)}`;
+      };
+      const aprobada = ausencia.estado === 'Aprobada';
+
+      const result = await this.enviarCorreo('decision_ausencia', ausencia.empleado_email, {
+        NOMBRE_EMPLEADO: ausencia.empleado_nombre,
+        DECISION: aprobada ? 'aprobada' : 'rechazada',
+        ICONO_DECISION: aprobada ? '✅' : '❌',
+        REVISADO_POR: ausencia.revisado_por_nombre || 'La administración',
+        INICIO_AUSENCIA: formatear(ausencia.inicio),
+        FIN_AUSENCIA: formatear(ausencia.fin),
+        MOTIVO_AUSENCIA: ausencia.motivo,
+        COMENTARIO_REVISION: ausencia.comentario_revision || 'Sin comentarios',
+        MENSAJE_AGENDA: aprobada
+          ? 'Tu agenda quedará bloqueada durante ese período.'
+          : 'Tu agenda sigue disponible para reservas en ese período.'
+      }, { usuarioId: ausencia.empleado_usuario_id, zonaHoraria: ausencia.zona_horaria });
+      console.log('✅ [emailService.enviarDecisionAusencia] Email enviado exitosamente');
+
+      return result;
+    } catch (error) {
+      console.error('❌ [emailService.enviarDecisionAusencia] Error:', error);
+      throw error;
+    }
   }
 }
 
-module.exports = new EmailService(); 
\ No newline at end of file
+module.exports = new EmailService();
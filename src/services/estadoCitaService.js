@@ -0,0 +1,255 @@
+const { transaccion } = require('../config/database');
+const HistorialEstadoCita = require('../models/HistorialEstadoCita');
+const ColaRecepcion = require('../models/ColaRecepcion');
+const notificacionService = require('./notificacionService');
+const listaEsperaService = require('./listaEsperaService');
+const { ROLES } = require('../middleware/auth');
+const { ConflictError, NotFoundError, PermissionError, ValidationError } = require('../middleware/errorHandler');
+
+// Estado siguiente → roles que pueden hacer el cambio, para cada estado de estados_citas.
+// Los cambios sin usuario (procesos del sistema) solo necesitan que la transición exista.
+const TRANSICIONES = {
+  'Pendiente': {
+    'Confirmada': ['administrador', 'empleado', 'cliente'],
+    'En proceso': ['administrador', 'empleado'],
+    'Cancelada': ['administrador', 'empleado', 'cliente'],
+    'No asistió': ['administrador', 'empleado']
+  },
+  'Confirmada': {
+    'En proceso': ['administrador', 'empleado'],
+    'Cancelada': ['administrador', 'empleado', 'cliente'],
+    'No asistió': ['administrador', 'empleado']
+  },
+  'En proceso': {
+    'Completada': ['administrador', 'empleado']
+  },
+  'No asistió': {
+    // Corrección de una inasistencia marcada por error
+    'Confirmada': ['administrador']
+  },
+  'Completada': {},
+  'Cancelada': {}
+};
+
+/**
+ * Máquina de estados de las citas.
+ * Valida cada cambio contra TRANSICIONES y el rol del usuario, actualiza la cita (con las
+ * marcas de tiempo de atención y los datos de cancelación) y lo registra en
+ * historial_estados_cita. Los efectos que solo encolan notificaciones en la bandeja de salida
+ * (calendario, invitación a reseñar) corren dentro de la transacción del cambio; los demás
+ * (lista de espera, cola de recepción) se ejecutan después del commit y un fallo en ellos
+ * no revierte el cambio.
+ */
+class EstadoCitaService {
+  constructor() {
+    this.efectos = [];
+
+    this.registrarEfecto({ hacia: 'Confirmada' }, 'actualizarCalendario',
+      (cambio, conexion) => notificacionService.actualizarNotificacionesCita(cambio.citaId, conexion), { enTransaccion: true });
+    this.registrarEfecto({ hacia: 'En proceso' }, 'llamarEnCola',
+      cambio => ColaRecepcion.actualizarPorCita(cambio.citaId, 'Llamado'));
+    this.registrarEfecto({ desde: 'En proceso', hacia: 'Completada' }, 'cerrarEnCola',
+      cambio => ColaRecepcion.actualizarPorCita(cambio.citaId, 'Atendido'));
+    this.registrarEfecto({ desde: 'En proceso', hacia: 'Completada' }, 'invitarAResenar',
+      (cambio, conexion) => notificacionService.enviarInvitacionResena(cambio.citaId, conexion), { enTransaccion: true });
+    this.registrarEfecto({ hacia: 'Cancelada' }, 'cancelarNotificaciones',
+      (cambio, conexion) => notificacionService.cancelarNotificacionesCita(cambio.citaId, conexion), { enTransaccion: true });
+    this.registrarEfecto({ hacia: 'Cancelada' }, 'ofrecerHorarioLiberado',
+      cambio => listaEsperaService.ofrecerHorarioLiberado(cambio.citaId));
+    this.registrarEfecto({ hacia: 'Cancelada' }, 'retirarDeCola',
+      cambio => ColaRecepcion.actualizarPorCita(cambio.citaId, 'Retirado'));
+    this.registrarEfecto({ hacia: 'No asistió' }, 'retirarDeCola',
+      cambio => ColaRecepcion.actualizarPorCita(cambio.citaId, 'Retirado'));
+  }
+
+  /**
+   * Registrar un efecto para una transición
+   * @param {Object} transicion - { desde, hacia } nombres de estado; sin desde vale para cualquier origen
+   * @param {string} nombre - Nombre del efecto para los logs
+   * @param {Function} efecto - async (cambio, conexion) => void, con cambio { citaId, desde, hacia, usuarioId, motivo }
+   * @param {Object} opciones - { enTransaccion } true: corre con la conexión del cambio y un error lo revierte
+   */
+  registrarEfecto(transicion, nombre, efecto, opciones = {}) {
+    this.efectos.push({
+      desde: transicion.desde ? this.obtenerEstado(transicion.desde) : null,
+      hacia: this.obtenerEstado(transicion.hacia),
+      nombre,
+      efecto,
+      enTransaccion: Boolean(opciones.enTransaccion)
+    });
+  }
+
+  /**
+   * Obtener los efectos registrados para un cambio
+   * @param {Object} cambio - { desde, hacia }
+   * @param {boolean} enTransaccion - Efectos de dentro o de después de la transacción
+   * @returns {Array<Object>} Efectos en orden de registro
+   */
+  obtenerEfectos(cambio, enTransaccion) {
+    return this.efectos.filter(efecto =>
+      efecto.enTransaccion === enTransaccion &&
+      efecto.hacia === cambio.hacia &&
+      (!efecto.desde || efecto.desde === cambio.desde));
+  }
+
+  /**
+   * Obtener el nombre de un estado tal como aparece en TRANSICIONES
+   * (la base de datos no es uniforme con mayúsculas y tildes, p. ej. 'No Asistió')
+   * @param {string} nombre - Nombre del estado
+   * @returns {string} Nombre canónico
+   */
+  obtenerEstado(nombre) {
+    const estado = Object.keys(TRANSICIONES).find(clave => clave.toLowerCase() === String(nombre).toLowerCase());
+    if (!estado) {
+      throw new ValidationError(`Estado de cita desconocido: ${nombre}`);
+    }
+    return estado;
+  }
+
+  /**
+   * Obtener el nombre de rol de un usuario autenticado
+   * @param {number|null} rolId - req.usuario.rol_id
+   * @returns {string|null} Nombre del rol, o null para los procesos del sistema
+   */
+  obtenerRol(rolId) {
+    if (rolId === null || rolId === undefined) return null;
+    return Object.keys(ROLES).find(nombre => ROLES[nombre] === Number(rolId)) || String(rolId);
+  }
+
+  /**
+   * Obtener los estados a los que puede pasar una cita
+   * @param {string} estado - Estado actual
+   * @param {number|null} rolId - Rol del usuario; null para ver todas las transiciones
+   * @returns {Array<string>} Estados siguientes permitidos
+   */
+  obtenerTransicionesPermitidas(estado, rolId = null) {
+    const rol = this.obtenerRol(rolId);
+
+    return Object.entries(TRANSICIONES[this.obtenerEstado(estado)])
+      .filter(([, roles]) => !rol || roles.includes(rol))
+      .map(([siguiente]) => siguiente);
+  }
+
+  /**
+   * Obtener el grafo completo de transiciones
+   * @returns {Object} { estado: { siguiente: [roles] } }
+   */
+  obtenerGrafo() {
+    return TRANSICIONES;
+  }
+
+  /**
+   * Bloquear una cita para cambiar su estado
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {number} citaId - ID de la cita
+   * @returns {Promise<Object>} Cita con el nombre de su estado en estado
+   */
+  async obtenerCitaBloqueada(conexion, citaId) {
+    const [citas] = await conexion.query(`
+      SELECT c.*, ec.nombre as estado
+      FROM citas c
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      WHERE c.id = ?
+      FOR UPDATE
+    `, [citaId]);
+
+    if (!citas[0]) {
+      throw new NotFoundError('Cita no encontrada');
+    }
+
+    return citas[0];
+  }
+
+  /**
+   * Cambiar el estado de una cita ya bloqueada dentro de una transacción.
+   * Los efectos de la transacción corren aquí; quien llama ejecuta los demás (ejecutarEfectos) después del commit.
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {Object} cita - { id, estado } con el estado actual por nombre
+   * @param {string} estadoNuevo - Nombre del estado destino
+   * @param {Object} opciones - { usuarioId, rolId, motivo } sin rolId el cambio lo hace el sistema
+   * @returns {Promise<Object>} Cambio { citaId, desde, hacia, usuarioId, motivo }
+   */
+  async transicionar(conexion, cita, estadoNuevo, opciones = {}) {
+    const { usuarioId = null, rolId = null, motivo = null } = opciones;
+    const desde = this.obtenerEstado(cita.estado);
+    const hacia = this.obtenerEstado(estadoNuevo);
+
+    const roles = TRANSICIONES[desde][hacia];
+    if (!roles) {
+      throw new ConflictError(`Una cita ${desde} no puede pasar a ${hacia}`);
+    }
+
+    const rol = this.obtenerRol(rolId);
+    if (rol && !roles.includes(rol)) {
+      throw new PermissionError(`No tienes permisos para pasar una cita de ${desde} a ${hacia}`);
+    }
+
+    const campos = ['estado_id = (SELECT id FROM estados_citas WHERE nombre = ?)', 'updated_at = NOW()'];
+    const params = [hacia];
+
+    if (hacia === 'En proceso') {
+      // Si el cliente no pasó por recepción, su llegada es el inicio de la atención
+      campos.push('fecha_inicio_atencion = UTC_TIMESTAMP()', 'fecha_llegada = COALESCE(fecha_llegada, UTC_TIMESTAMP())');
+    }
+    if (hacia === 'Completada') {
+      campos.push('fecha_fin_atencion = UTC_TIMESTAMP()');
+    }
+    if (hacia === 'Cancelada') {
+      campos.push('cancelado_por = ?', 'motivo_cancelacion = ?');
+      params.push(usuarioId, motivo);
+    }
+
+    await conexion.query(`UPDATE citas SET ${campos.join(', ')} WHERE id = ?`, [...params, cita.id]);
+
+    await HistorialEstadoCita.crear(conexion, {
+      cita_id: cita.id,
+      estado_anterior: desde,
+      estado_nuevo: hacia,
+      usuario_id: usuarioId,
+      motivo
+    });
+
+    const cambio = { citaId: cita.id, desde, hacia, usuarioId, motivo };
+
+    for (const { efecto } of this.obtenerEfectos(cambio, true)) {
+      await efecto(cambio, conexion);
+    }
+
+    return cambio;
+  }
+
+  /**
+   * Ejecutar los efectos de después del commit para un cambio ya confirmado
+   * @param {Object} cambio - Resultado de transicionar
+   * @returns {Promise<void>}
+   */
+  async ejecutarEfectos(cambio) {
+    for (const { nombre, efecto } of this.obtenerEfectos(cambio, false)) {
+      try {
+        await efecto(cambio);
+      } catch (error) {
+        console.error(`❌ [estadoCitaService.${nombre}] Error en la cita ${cambio.citaId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Cambiar el estado de una cita en su propia transacción y ejecutar los efectos
+   * Las cancelaciones de clientes y personal pasan por cancelacionService, que aplica la política.
+   * @param {number} citaId - ID de la cita
+   * @param {string} estadoNuevo - Nombre del estado destino
+   * @param {Object} opciones - { usuarioId, rolId, motivo }
+   * @returns {Promise<Object>} Cambio { citaId, desde, hacia, usuarioId, motivo }
+   */
+  async cambiarEstado(citaId, estadoNuevo, opciones = {}) {
+    const cambio = await transaccion(async (connection) => {
+      const cita = await this.obtenerCitaBloqueada(connection, citaId);
+      return await this.transicionar(connection, cita, estadoNuevo, opciones);
+    });
+
+    await this.ejecutarEfectos(cambio);
+    return cambio;
+  }
+}
+
+module.exports = new EstadoCitaService();
@@ -1,5 +1,6 @@
 const { google } = require('googleapis');
 const { query } = require('../config/database');
+const ZonaHoraria = require('../utils/zonaHoraria');
 
 class GoogleCalendarService {
   constructor() {
@@ -39,6 +40,7 @@ class GoogleCalendarService {
           c.id,
           c.fecha_hora_inicio,
           c.fecha_hora_fin,
+          c.empleado_id,
           u_cliente.nombre as cliente_nombre,
           u_cliente.email as cliente_email,
           u_empleado.nombre as empleado_nombre,
@@ -61,6 +63,8 @@ class GoogleCalendarService {
         throw new Error('Cita no encontrada');
       }
 
+      const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+
       const event = {
         summary: `Cita - ${cita.cliente_nombre}`,
         description: `
@@ -71,11 +75,11 @@ class GoogleCalendarService {
         `,
         start: {
           dateTime: cita.fecha_hora_inicio.toISOString(),
-          timeZone: 'America/Guayaquil',
+          timeZone: zonaHoraria,
         },
         end: {
           dateTime: cita.fecha_hora_fin.toISOString(),
-          timeZone: 'America/Guayaquil',
+          timeZone: zonaHoraria,
         },
         reminders: {
           useDefault: false,
@@ -106,8 +110,7 @@ class GoogleCalendarService {
       return response.data;
     } catch (error) {
       console.error('❌ [googleCalendarService.crearEventoCita] Error:', error);
-      // No lanzar error, solo log
-      return null;
+      throw error;
     }
   }
 
@@ -130,6 +133,7 @@ class GoogleCalendarService {
           c.id,
           c.fecha_hora_inicio,
           c.fecha_hora_fin,
+          c.empleado_id,
           u_cliente.nombre as cliente_nombre,
           u_cliente.email as cliente_email,
           u_empleado.nombre as empleado_nombre,
@@ -152,6 +156,8 @@ class GoogleCalendarService {
         throw new Error('Cita no encontrada');
       }
 
+      const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: citaInfo.empleado_id });
+
       const event = {
         summary: `Cita - ${citaInfo.cliente_nombre}`,
         description: `
@@ -162,11 +168,11 @@ class GoogleCalendarService {
         `,
         start: {
           dateTime: citaInfo.fecha_hora_inicio.toISOString(),
-          timeZone: 'America/Guayaquil',
+          timeZone: zonaHoraria,
         },
         end: {
           dateTime: citaInfo.fecha_hora_fin.toISOString(),
-          timeZone: 'America/Guayaquil',
+          timeZone: zonaHoraria,
         },
         reminders: {
           useDefault: false,
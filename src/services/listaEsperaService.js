@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const { query, transaccion } = require('../config/database');
+const Configuracion = require('../models/Configuracion');
+const ListaEspera = require('../models/ListaEspera');
+const disponibilidadService = require('./disponibilidadService');
+const cotizacionService = require('./cotizacionService');
+const reservacionService = require('./reservacionService');
+const emailService = require('./emailService');
+const notificacionPushService = require('./notificacionPushService');
+const notificacionService = require('./notificacionService');
+const bandejaSalidaService = require('./bandejaSalidaService');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const { ConflictError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+// Minutos para aceptar una oferta cuando no hay valor en configuraciones
+const MINUTOS_OFERTA_POR_DEFECTO = 30;
+
+/**
+ * Lista de espera con ofertas automáticas.
+ * Cuando se cancela una cita, el horario liberado se ofrece por orden de llegada a los
+ * clientes en espera que encajan (barbero, rango de fechas y horas, duración). Cada oferta
+ * aparta el horario con una retención y vence a los pocos minutos; si se rechaza o vence,
+ * pasa al siguiente cliente. Al aceptarla se crea la reservación.
+ */
+class ListaEsperaService {
+  constructor() {
+    // Las ofertas se encolan al crearlas y solo se anuncian mientras sigan vigentes
+    bandejaSalidaService.registrarEntrega('email', 'oferta_lista_espera', mensaje => this.notificarOferta(mensaje.datos.token, 'email'));
+    bandejaSalidaService.registrarEntrega('push', 'oferta_lista_espera', mensaje => this.notificarOferta(mensaje.datos.token, 'push'));
+  }
+
+  /**
+   * Obtener los minutos que tiene un cliente para aceptar una oferta
+   * @returns {Promise<number>} Minutos
+   */
+  async obtenerMinutosOferta() {
+    const minutos = parseInt(await Configuracion.obtenerValor('lista_espera_minutos_oferta', MINUTOS_OFERTA_POR_DEFECTO));
+    return minutos > 0 ? minutos : MINUTOS_OFERTA_POR_DEFECTO;
+  }
+
+  /**
+   * Registrar a un cliente en la lista de espera
+   * @param {Object} datos - { clienteId, empleadoId, fechaDesde, fechaHasta, horaDesde, horaHasta, servicios, notas }
+   * @returns {Promise<Object>} Solicitud creada
+   */
+  async registrar(datos) {
+    const { clienteId, empleadoId = null, fechaDesde, fechaHasta, horaDesde = null, horaHasta = null, servicios, notas = null } = datos;
+
+    const seleccion = disponibilidadService.normalizarServicios(servicios || []);
+    const duracion = await disponibilidadService.calcularDuracionServicios(seleccion, empleadoId);
+    if (!duracion) {
+      throw new ValidationError('Alguno de los servicios seleccionados no existe o no está activo');
+    }
+
+    if (fechaDesde > fechaHasta) {
+      throw new ValidationError('La fecha desde debe ser menor o igual que la fecha hasta');
+    }
+
+    if (horaDesde && horaHasta && horaDesde >= horaHasta) {
+      throw new ValidationError('La hora desde debe ser menor que la hora hasta');
+    }
+
+    return await ListaEspera.crear({
+      cliente_id: clienteId,
+      empleado_id: empleadoId,
+      fecha_desde: fechaDesde,
+      fecha_hasta: fechaHasta,
+      hora_desde: horaDesde,
+      hora_hasta: horaHasta,
+      servicios: seleccion,
+      duracion,
+      notas
+    });
+  }
+
+  /**
+   * Cancelar una solicitud del cliente y liberar la oferta que tuviera pendiente
+   * @param {number} id - ID de la solicitud
+   * @param {number} clienteId - ID del cliente
+   * @returns {Promise<void>}
+   */
+  async cancelarSolicitud(id, clienteId) {
+    const cancelada = await ListaEspera.cancelar(id, clienteId);
+    if (!cancelada) {
+      throw new NotFoundError('Solicitud de lista de espera no encontrada o ya finalizada');
+    }
+
+    const ofertas = await query(`
+      SELECT token FROM ofertas_lista_espera
+      WHERE lista_espera_id = ? AND estado = 'Pendiente'
+    `, [id]);
+
+    for (const oferta of ofertas) {
+      const hueco = await this.cerrarOferta(oferta.token, 'Rechazada');
+      if (hueco) await this.ofrecerSiguiente(hueco);
+    }
+  }
+
+  /**
+   * Verificar si una solicitud encaja en la franja horaria que pidió el cliente
+   * @param {Object} solicitud - Solicitud de lista de espera
+   * @param {string} horaInicio - Hora local 'HH:MM'
+   * @returns {boolean} true si encaja
+   */
+  encajaEnFranja(solicitud, horaInicio) {
+    const inicio = disponibilidadService.horaAMinutos(horaInicio);
+
+    if (solicitud.hora_desde && inicio < disponibilidadService.horaAMinutos(solicitud.hora_desde)) {
+      return false;
+    }
+    if (solicitud.hora_hasta && inicio + solicitud.duracion > disponibilidadService.horaAMinutos(solicitud.hora_hasta)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Ofrecer a la lista de espera el horario de una cita cancelada
+   * @param {number} citaId - ID de la cita cancelada
+   * @returns {Promise<Object|null>} Oferta creada o null si nadie encaja
+   */
+  async ofrecerHorarioLiberado(citaId) {
+    const [cita] = await query('SELECT id, empleado_id, fecha_hora_inicio FROM citas WHERE id = ?', [citaId]);
+    if (!cita) return null;
+
+    return await this.ofrecerSiguiente({
+      empleadoId: cita.empleado_id,
+      inicio: ZonaHoraria.parsearFechaUtc(cita.fecha_hora_inicio),
+      citaOrigenId: cita.id
+    });
+  }
+
+  /**
+   * Ofrecer un horario libre al siguiente cliente en espera que encaje
+   * @param {Object} hueco - { empleadoId, inicio: Date en UTC, citaOrigenId }
+   * @returns {Promise<Object|null>} Oferta creada o null si nadie encaja
+   */
+  async ofrecerSiguiente(hueco) {
+    const { empleadoId, inicio, citaOrigenId = null } = hueco;
+
+    if (inicio <= new Date()) return null;
+
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId });
+    const [fecha, hora] = ZonaHoraria.utcALocal(inicio, zonaHoraria).split(' ');
+    const horaInicio = hora.slice(0, 5);
+
+    // Por orden de llegada, sin repetir clientes a los que ya se les ofreció este horario
+    const candidatos = await query(`
+      SELECT le.*, cl.usuario_id
+      FROM lista_espera le
+      INNER JOIN clientes cl ON le.cliente_id = cl.id
+      WHERE le.estado = 'Activa'
+        AND (le.empleado_id = ? OR le.empleado_id IS NULL)
+        AND le.fecha_desde <= ?
+        AND le.fecha_hasta >= ?
+        AND le.id NOT IN (
+          SELECT lista_espera_id FROM ofertas_lista_espera
+          WHERE empleado_id = ? AND fecha_hora_inicio = ?
+        )
+      ORDER BY le.created_at, le.id
+    `, [empleadoId, fecha, fecha, empleadoId, ZonaHoraria.aFechaSQL(inicio)]);
+
+    for (const candidato of candidatos) {
+      // La duración guardada es la del barbero pedido; con cualquiera, se usa la de quien tiene el hueco
+      const servicios = typeof candidato.servicios === 'string' ? JSON.parse(candidato.servicios) : candidato.servicios;
+      const solicitud = candidato.empleado_id
+        ? candidato
+        : { ...candidato, duracion: await disponibilidadService.calcularDuracionServicios(servicios, empleadoId) || candidato.duracion };
+
+      if (!this.encajaEnFranja(solicitud, horaInicio)) continue;
+
+      const oferta = await this.crearOferta(solicitud, { empleadoId, fecha, horaInicio, inicio, zonaHoraria, citaOrigenId });
+      if (oferta) return oferta;
+    }
+
+    console.log(`ℹ️ [listaEsperaService.ofrecerSiguiente] Ningún cliente en espera encaja en ${fecha} ${horaInicio} (empleado ${empleadoId})`);
+    return null;
+  }
+
+  /**
+   * Crear una oferta para una solicitud, apartando el horario con una retención
+   * @param {Object} solicitud - Solicitud de lista de espera (con usuario_id)
+   * @param {Object} hueco - { empleadoId, fecha, horaInicio, inicio, zonaHoraria, citaOrigenId }
+   * @returns {Promise<Object|null>} Oferta creada o null si el horario ya no le sirve
+   */
+  async crearOferta(solicitud, hueco) {
+    const { empleadoId, fecha, horaInicio, inicio, zonaHoraria, citaOrigenId } = hueco;
+    const fin = new Date(inicio.getTime() + solicitud.duracion * 60000);
+    const expiraEn = new Date(Date.now() + (await this.obtenerMinutosOferta()) * 60000);
+    const token = crypto.randomUUID();
+
+    return await transaccion(async (connection) => {
+      await disponibilidadService.bloquearAgenda(connection, empleadoId, fecha);
+
+      const disponible = await disponibilidadService.verificarDisponibilidad(empleadoId, fecha, horaInicio, solicitud.duracion, {
+        zonaHoraria,
+        excluirRetencionesDe: solicitud.usuario_id,
+        conexion: connection
+      });
+
+      if (!disponible) return null;
+
+      const [actualizada] = await connection.query(`
+        UPDATE lista_espera SET estado = 'Ofertada' WHERE id = ? AND estado = 'Activa'
+      `, [solicitud.id]);
+
+      if (actualizada.affectedRows === 0) return null;
+
+      await connection.query(`
+        INSERT INTO ofertas_lista_espera (lista_espera_id, token, empleado_id, fecha_hora_inicio, fecha_hora_fin, expira_en, cita_origen_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [solicitud.id, token, empleadoId, ZonaHoraria.aFechaSQL(inicio), ZonaHoraria.aFechaSQL(fin), ZonaHoraria.aFechaSQL(expiraEn), citaOrigenId]);
+
+      // La oferta aparta el horario con el mismo token para que nadie más lo tome mientras decide
+      await connection.query(`
+        INSERT INTO retenciones_horario (token, empleado_id, usuario_id, fecha_hora_inicio, fecha_hora_fin, expira_en)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [token, empleadoId, solicitud.usuario_id, ZonaHoraria.aFechaSQL(inicio), ZonaHoraria.aFechaSQL(fin), ZonaHoraria.aFechaSQL(expiraEn)]);
+
+      await bandejaSalidaService.encolar(connection, [
+        { canal: 'email', tipo: 'oferta_lista_espera', usuarioId: solicitud.usuario_id, datos: { token } },
+        { canal: 'push', tipo: 'oferta_lista_espera', usuarioId: solicitud.usuario_id, datos: { token } }
+      ]);
+
+      console.log(`✅ [listaEsperaService.crearOferta] Horario ${fecha} ${horaInicio} ofrecido a la solicitud ${solicitud.id}`);
+
+      return {
+        token,
+        lista_espera_id: solicitud.id,
+        empleado_id: empleadoId,
+        fecha,
+        hora_inicio: horaInicio,
+        expira_en: expiraEn.toISOString()
+      };
+    });
+  }
+
+  /**
+   * Obtener una oferta por su token con los datos para mostrarla
+   * @param {string} token - Token de la oferta
+   * @returns {Promise<Object|null>} Oferta
+   */
+  async obtenerOferta(token) {
+    const [oferta] = await query(`
+      SELECT
+        o.id, o.token, o.lista_espera_id, o.empleado_id, o.fecha_hora_inicio, o.fecha_hora_fin,
+        o.expira_en, o.estado, o.cita_id,
+        le.cliente_id, le.servicios, le.duracion,
+        cl.usuario_id,
+        u_cliente.nombre AS cliente_nombre,
+        u_cliente.email AS cliente_email,
+        CONCAT(u_empleado.nombre, ' ', u_empleado.apellido) AS empleado_nombre
+      FROM ofertas_lista_espera o
+      INNER JOIN lista_espera le ON o.lista_espera_id = le.id
+      INNER JOIN clientes cl ON le.cliente_id = cl.id
+      INNER JOIN usuarios u_cliente ON cl.usuario_id = u_cliente.id
+      INNER JOIN empleados e ON o.empleado_id = e.id
+      INNER JOIN usuarios u_empleado ON e.usuario_id = u_empleado.id
+      WHERE o.token = ?
+    `, [token]);
+
+    if (!oferta) return null;
+
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: oferta.empleado_id });
+    const servicios = typeof oferta.servicios === 'string' ? JSON.parse(oferta.servicios) : oferta.servicios;
+    const ids = servicios.map(servicio => servicio.id);
+    const nombres = ids.length > 0
+      ? await query(`SELECT nombre FROM servicios WHERE id IN (${ids.map(() => '?').join(', ')})`, ids)
+      : [];
+
+    return {
+      ...oferta,
+      servicios,
+      servicios_nombres: nombres.map(servicio => servicio.nombre).join(', '),
+      zona_horaria: zonaHoraria,
+      vigente: oferta.estado === 'Pendiente' && ZonaHoraria.parsearFechaUtc(oferta.expira_en) > new Date()
+    };
+  }
+
+  /**
+   * Enviar la oferta al cliente (entrega de la bandeja de salida)
+   * @param {string} token - Token de la oferta
+   * @param {string} canal - 'email' o 'push'
+   * @returns {Promise<void>}
+   */
+  async notificarOferta(token, canal) {
+    const oferta = await this.obtenerOferta(token);
+
+    // Una oferta aceptada, rechazada o vencida ya no se anuncia
+    if (!oferta || !oferta.vigente) return;
+
+    if (canal === 'email') {
+      await emailService.enviarOfertaListaEspera(oferta);
+    } else {
+      await notificacionPushService.enviarNotificacionOfertaListaEspera(oferta);
+    }
+  }
+
+  /**
+   * Aceptar una oferta y crear la reservación
+   * @param {string} token - Token de la oferta
+   * @returns {Promise<Object>} { citaId, oferta }
+   */
+  async aceptarOferta(token) {
+    const oferta = await this.obtenerOferta(token);
+
+    if (!oferta) {
+      throw new NotFoundError('Oferta no encontrada');
+    }
+    if (!oferta.vigente) {
+      throw new ConflictError('La oferta ya no está disponible');
+    }
+
+    const [fecha, hora] = ZonaHoraria.utcALocal(oferta.fecha_hora_inicio, oferta.zona_horaria).split(' ');
+    const horaInicio = hora.slice(0, 5);
+    const cotizacion = await cotizacionService.cotizar({ servicios: oferta.servicios, fecha, empleadoId: oferta.empleado_id });
+
+    const citaId = await transaccion(async (connection) => {
+      const [ofertas] = await connection.query(`
+        SELECT estado, expira_en FROM ofertas_lista_espera WHERE token = ? FOR UPDATE
+      `, [token]);
+
+      if (ofertas[0].estado !== 'Pendiente' || ZonaHoraria.parsearFechaUtc(ofertas[0].expira_en) <= new Date()) {
+        throw new ConflictError('La oferta ya no está disponible');
+      }
+
+      // La retención de la oferta pertenece al cliente y no cuenta como ocupada
+      const visita = await reservacionService.asignarLineas(connection, {
+        lineas: disponibilidadService.normalizarLineas(oferta.servicios, oferta.empleado_id),
+        fecha,
+        horaInicio,
+        zonaHoraria: oferta.zona_horaria,
+        excluirRetencionesDe: oferta.usuario_id
+      });
+
+      const nuevaCitaId = await reservacionService.crearCita(connection, {
+        clienteId: oferta.cliente_id,
+        empleadoId: oferta.empleado_id,
+        fechaHoraInicio: visita.fechaHoraInicio,
+        fechaHoraFin: visita.fechaHoraFin,
+        asignaciones: visita.asignaciones,
+        cotizacion
+      });
+
+      await connection.query(`
+        UPDATE ofertas_lista_espera SET estado = 'Aceptada', cita_id = ? WHERE token = ?
+      `, [nuevaCitaId, token]);
+      await connection.query(`UPDATE lista_espera SET estado = 'Atendida' WHERE id = ?`, [oferta.lista_espera_id]);
+      await connection.query('DELETE FROM retenciones_horario WHERE token = ?', [token]);
+
+      await notificacionService.enviarNotificacionesConfirmacion(nuevaCitaId, connection);
+
+      return nuevaCitaId;
+    });
+
+    return { citaId, oferta: { ...oferta, estado: 'Aceptada', cita_id: citaId } };
+  }
+
+  /**
+   * Cerrar una oferta pendiente (rechazo o vencimiento) y devolver al cliente a la lista
+   * @param {string} token - Token de la oferta
+   * @param {string} estado - 'Rechazada' o 'Expirada'
+   * @returns {Promise<Object|null>} Hueco liberado { empleadoId, inicio, citaOrigenId } o null si no estaba pendiente
+   */
+  async cerrarOferta(token, estado) {
+    return await transaccion(async (connection) => {
+      const [ofertas] = await connection.query(`
+        SELECT lista_espera_id, empleado_id, fecha_hora_inicio, cita_origen_id, estado
+        FROM ofertas_lista_espera
+        WHERE token = ?
+        FOR UPDATE
+      `, [token]);
+
+      const oferta = ofertas[0];
+      if (!oferta || oferta.estado !== 'Pendiente') return null;
+
+      await connection.query('UPDATE ofertas_lista_espera SET estado = ? WHERE token = ?', [estado, token]);
+      await connection.query(`
+        UPDATE lista_espera SET estado = 'Activa' WHERE id = ? AND estado = 'Ofertada'
+      `, [oferta.lista_espera_id]);
+      await connection.query('DELETE FROM retenciones_horario WHERE token = ?', [token]);
+
+      return {
+        empleadoId: oferta.empleado_id,
+        inicio: ZonaHoraria.parsearFechaUtc(oferta.fecha_hora_inicio),
+        citaOrigenId: oferta.cita_origen_id
+      };
+    });
+  }
+
+  /**
+   * Rechazar una oferta y ofrecer el horario al siguiente cliente
+   * @param {string} token - Token de la oferta
+   * @returns {Promise<void>}
+   */
+  async rechazarOferta(token) {
+    const hueco = await this.cerrarOferta(token, 'Rechazada');
+    if (!hueco) {
+      throw new ConflictError('La oferta ya no está disponible');
+    }
+
+    await this.ofrecerSiguiente(hueco);
+  }
+
+  /**
+   * Vencer las ofertas no respondidas, pasar sus horarios al siguiente cliente
+   * y expirar las solicitudes cuyo rango de fechas ya pasó
+   * @returns {Promise<Object>} { ofertasVencidas, solicitudesExpiradas }
+   */
+  async procesarVencimientos() {
+    const vencidas = await query(`
+      SELECT token FROM ofertas_lista_espera
+      WHERE estado = 'Pendiente' AND expira_en <= UTC_TIMESTAMP()
+    `);
+
+    for (const oferta of vencidas) {
+      try {
+        const hueco = await this.cerrarOferta(oferta.token, 'Expirada');
+        if (hueco) await this.ofrecerSiguiente(hueco);
+      } catch (error) {
+        console.error(`❌ [listaEsperaService.procesarVencimientos] Error con la oferta ${oferta.token}:`, error);
+      }
+    }
+
+    const hoy = ZonaHoraria.ahora(await ZonaHoraria.obtenerZonaHoraria()).fecha;
+    const solicitudesExpiradas = await ListaEspera.expirarVencidas(hoy);
+
+    return { ofertasVencidas: vencidas.length, solicitudesExpiradas };
+  }
+}
+
+module.exports = new ListaEsperaService();
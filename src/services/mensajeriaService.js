@@ -0,0 +1,157 @@
+const { query } = require('../config/database');
+const PlantillaMensaje = require('../models/PlantillaMensaje');
+const MensajeEnviado = require('../models/MensajeEnviado');
+const bandejaSalidaService = require('./bandejaSalidaService');
+const { crearProveedor } = require('./proveedoresMensajeria');
+const MotorPlantillas = require('../utils/motorPlantillas');
+const ZonaHoraria = require('../utils/zonaHoraria');
+
+/**
+ * Canal de mensajería (SMS y WhatsApp) para los clientes.
+ * Los mensajes se encolan en la bandeja de salida como los correos y los push; al entregarlos
+ * se arma el texto con la plantilla activa de plantillas_mensaje y se envía con el proveedor
+ * configurado para el canal (ver proveedoresMensajeria). Cada envío queda en mensajes_enviados.
+ */
+class MensajeriaService {
+  constructor() {
+    this.proveedores = {};
+
+    for (const canal of PlantillaMensaje.obtenerCanales()) {
+      this.proveedores[canal] = crearProveedor(canal);
+
+      for (const tipo of PlantillaMensaje.obtenerTipos()) {
+        bandejaSalidaService.registrarEntrega(canal, tipo, mensaje => this.enviarMensajeCita(canal, tipo, mensaje.cita_id));
+      }
+    }
+  }
+
+  /**
+   * Obtener los canales de mensajería que un usuario tiene activos
+   * @param {Object} usuario - { telefono, notificacion_sms, notificacion_whatsapp }
+   * @returns {Array<string>} Canales de la bandeja de salida ('sms', 'whatsapp')
+   */
+  obtenerCanales(usuario) {
+    if (!this.normalizarTelefono(usuario.telefono)) return [];
+
+    const canales = [];
+    if (usuario.notificacion_sms) canales.push('sms');
+    if (usuario.notificacion_whatsapp) canales.push('whatsapp');
+    return canales;
+  }
+
+  /**
+   * Obtener los canales de mensajería activos del cliente de una cita
+   * @param {number} citaId - ID de la cita
+   * @param {Object|null} conexion - Conexión con transacción abierta
+   * @returns {Promise<Array<string>>} Canales ('sms', 'whatsapp')
+   */
+  async obtenerCanalesCita(citaId, conexion = null) {
+    const sql = `
+      SELECT u.telefono, u.notificacion_sms, u.notificacion_whatsapp
+      FROM citas c
+      INNER JOIN clientes cl ON c.cliente_id = cl.id
+      INNER JOIN usuarios u ON cl.usuario_id = u.id
+      WHERE c.id = ?
+    `;
+
+    const [usuario] = conexion ? (await conexion.query(sql, [citaId]))[0] : await query(sql, [citaId]);
+    return usuario ? this.obtenerCanales(usuario) : [];
+  }
+
+  /**
+   * Dejar solo los dígitos de un teléfono, conservando el + inicial
+   * @param {string|null} telefono - Teléfono como lo escribió el usuario
+   * @returns {string|null} Teléfono normalizado, o null si no tiene dígitos suficientes
+   */
+  normalizarTelefono(telefono) {
+    if (!telefono) return null;
+
+    const normalizado = String(telefono).trim().replace(/(?!^\+)[^\d]/g, '');
+    return normalizado.replace('+', '').length >= 7 ? normalizado : null;
+  }
+
+  /**
+   * Enviar el mensaje de una cita al cliente (entrega de la bandeja de salida)
+   * @param {string} canal - 'sms' o 'whatsapp'
+   * @param {string} tipo - confirmacion_cita, recordatorio_cita o cancelacion_cita
+   * @param {number} citaId - ID de la cita
+   * @returns {Promise<void>} Lanza un error si el envío falló para que la bandeja lo reintente
+   */
+  async enviarMensajeCita(canal, tipo, citaId) {
+    const [cita] = await query(`
+      SELECT c.id, c.fecha_hora_inicio, c.empleado_id,
+             u.id as usuario_id, u.nombre as cliente_nombre, u.telefono,
+             u.notificacion_sms, u.notificacion_whatsapp,
+             CONCAT(ue.nombre, ' ', ue.apellido) as empleado_nombre,
+             (SELECT GROUP_CONCAT(s.nombre SEPARATOR ', ')
+              FROM cita_servicio cs INNER JOIN servicios s ON cs.servicio_id = s.id
+              WHERE cs.cita_id = c.id) as servicios
+      FROM citas c
+      INNER JOIN clientes cl ON c.cliente_id = cl.id
+      INNER JOIN usuarios u ON cl.usuario_id = u.id
+      INNER JOIN empleados e ON c.empleado_id = e.id
+      INNER JOIN usuarios ue ON e.usuario_id = ue.id
+      WHERE c.id = ?
+    `, [citaId]);
+
+    if (!cita) {
+      throw new Error(`Cita ${citaId} no encontrada`);
+    }
+
+    // El cliente pudo desactivar el canal o borrar su teléfono después de encolarse el mensaje
+    if (!this.obtenerCanales(cita).includes(canal)) return;
+
+    const plantilla = await PlantillaMensaje.obtenerPorTipo(tipo, canal);
+    if (!plantilla) {
+      throw new Error(`No hay plantilla activa de ${canal} para ${tipo}`);
+    }
+
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+    const texto = MotorPlantillas.renderizar(plantilla.contenido, {
+      NOMBRE_CLIENTE: cita.cliente_nombre,
+      FECHA_CITA: ZonaHoraria.formatearFecha(cita.fecha_hora_inicio, zonaHoraria, {
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long'
+      }),
+      HORA_CITA: ZonaHoraria.formatearHora(cita.fecha_hora_inicio, zonaHoraria),
+      NOMBRE_ESTILISTA: cita.empleado_nombre,
+      SERVICIOS: cita.servicios,
+      INICIO_CITA: cita.fecha_hora_inicio
+    }, { zonaHoraria });
+
+    const proveedor = this.proveedores[canal];
+    const registro = {
+      canal,
+      proveedor: proveedor.nombre,
+      destinatario: this.normalizarTelefono(cita.telefono),
+      contenido: texto,
+      plantilla_id: plantilla.id,
+      cita_id: cita.id,
+      usuario_id: cita.usuario_id
+    };
+
+    try {
+      const { idExterno } = await proveedor.enviar({ telefono: registro.destinatario, texto });
+      await this.registrarEnvio({ ...registro, estado: 'enviado', id_externo: idExterno });
+    } catch (error) {
+      await this.registrarEnvio({ ...registro, estado: 'fallido', mensaje_error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Guardar un envío en mensajes_enviados sin interrumpir el envío si falla el registro
+   * @param {Object} registro - Fila de mensajes_enviados
+   * @returns {Promise<void>}
+   */
+  async registrarEnvio(registro) {
+    try {
+      await MensajeEnviado.crear(registro);
+    } catch (error) {
+      console.error('❌ [mensajeriaService.registrarEnvio] Error registrando el mensaje:', error);
+    }
+  }
+}
+
+module.exports = new MensajeriaService();
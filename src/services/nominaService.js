@@ -0,0 +1,329 @@
+const { query, transaccion } = require('../config/database');
+const PeriodoNomina = require('../models/PeriodoNomina');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const cotizacionService = require('./cotizacionService');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+// Estados de pago que ya representan dinero recibido
+const ESTADOS_PAGO_COBRADOS = ['Completado', 'Parcial'];
+
+// Columnas del CSV de liquidaciones
+const COLUMNAS_CSV = [
+  ['empleado_id', 'ID empleado'],
+  ['empleado_nombre', 'Empleado'],
+  ['salario_base', 'Salario base'],
+  ['citas_completadas', 'Citas completadas'],
+  ['total_servicios', 'Total servicios'],
+  ['comision_servicios', 'Comisión servicios'],
+  ['total_productos', 'Total productos'],
+  ['comision_productos', 'Comisión productos'],
+  ['propinas', 'Propinas'],
+  ['total_pagar', 'Total a pagar']
+];
+
+/**
+ * Nómina y comisiones.
+ * Liquida a cada empleado un período con su salario base, la comisión de los servicios
+ * que realizó en citas completadas (cita_servicio.precio_aplicado - descuento), la comisión
+ * de sus ventas de productos cobradas (sin impuesto) y las propinas de los pagos cobrados.
+ * El porcentaje de cada servicio sale de comisiones_servicio (del empleado, luego general)
+ * y si no hay, de empleados.comision_porcentaje, que también se usa para los productos.
+ */
+class NominaService {
+  /**
+   * Obtener un período o lanzar NotFoundError
+   * @param {number} periodoId - ID del período
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Object>} Período
+   */
+  async obtenerPeriodo(periodoId, conexion = null) {
+    const periodo = await PeriodoNomina.obtenerPorId(periodoId, conexion);
+
+    if (!periodo) {
+      throw new NotFoundError('Período de nómina no encontrado');
+    }
+
+    return periodo;
+  }
+
+  /**
+   * Obtener los límites UTC de un período (fechas locales del negocio, ambas incluidas)
+   * @param {Object} periodo - { fecha_inicio, fecha_fin }
+   * @param {string} zona - Zona horaria IANA
+   * @returns {Object} { inicio, fin } como DATETIME de MySQL
+   */
+  obtenerRango(periodo, zona) {
+    return {
+      inicio: ZonaHoraria.aFechaSQL(ZonaHoraria.localAUtc(periodo.fecha_inicio, '00:00', zona)),
+      fin: ZonaHoraria.aFechaSQL(ZonaHoraria.rangoDiaUtc(periodo.fecha_fin, zona).fin)
+    };
+  }
+
+  /**
+   * Obtener los datos del período necesarios para liquidar
+   * @param {Object} rango - { inicio, fin } en UTC
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Object>} { empleados, comisiones, lineas, propinas, ventas }
+   */
+  async cargarMovimientos(rango, conexion = null) {
+    const consultar = async (sql, params = []) => (
+      conexion ? (await conexion.query(sql, params))[0] : query(sql, params)
+    );
+    const cobrados = ESTADOS_PAGO_COBRADOS.map(() => '?').join(', ');
+
+    const empleados = await consultar(`
+      SELECT e.id, e.activo, e.salario_base, e.comision_porcentaje,
+             CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre
+      FROM empleados e
+      INNER JOIN usuarios u ON e.usuario_id = u.id
+      ORDER BY u.nombre, u.apellido
+    `);
+
+    const comisiones = await consultar('SELECT servicio_id, empleado_id, comision_porcentaje FROM comisiones_servicio');
+
+    // Cada servicio se liquida al empleado que lo realizó (el de la línea o, si no tiene, el de la cita)
+    const lineas = await consultar(`
+      SELECT c.id as cita_id, c.empleado_id as cita_empleado_id, c.fecha_hora_inicio,
+             COALESCE(cs.empleado_id, c.empleado_id) as empleado_id,
+             cs.servicio_id, s.nombre as servicio_nombre,
+             cs.precio_aplicado - COALESCE(cs.descuento, 0) as importe
+      FROM citas c
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      INNER JOIN cita_servicio cs ON cs.cita_id = c.id
+      INNER JOIN servicios s ON cs.servicio_id = s.id
+      WHERE ec.nombre = 'Completada'
+        AND c.fecha_hora_inicio >= ? AND c.fecha_hora_inicio < ?
+      ORDER BY c.fecha_hora_inicio, cs.orden
+    `, [rango.inicio, rango.fin]);
+
+    const propinas = await consultar(`
+      SELECT p.cita_id, c.empleado_id as cita_empleado_id, SUM(p.propina) as propina
+      FROM pagos p
+      INNER JOIN estados_pago ep ON p.estado_pago_id = ep.id
+      INNER JOIN citas c ON p.cita_id = c.id
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      WHERE ec.nombre = 'Completada'
+        AND ep.nombre IN (${cobrados})
+        AND c.fecha_hora_inicio >= ? AND c.fecha_hora_inicio < ?
+      GROUP BY p.cita_id, c.empleado_id
+      HAVING SUM(p.propina) > 0
+    `, [...ESTADOS_PAGO_COBRADOS, rango.inicio, rango.fin]);
+
+    const ventas = await consultar(`
+      SELECT v.id as venta_id, v.empleado_id, v.fecha_venta,
+             v.total - COALESCE(v.impuesto, 0) as importe
+      FROM ventas_productos v
+      INNER JOIN estados_pago ep ON v.estado_pago_id = ep.id
+      WHERE ep.nombre IN (${cobrados})
+        AND v.fecha_venta >= ? AND v.fecha_venta < ?
+      ORDER BY v.fecha_venta
+    `, [...ESTADOS_PAGO_COBRADOS, rango.inicio, rango.fin]);
+
+    return { empleados, comisiones, lineas, propinas, ventas };
+  }
+
+  /**
+   * Obtener el porcentaje de comisión de un servicio para un empleado
+   * @param {Array} comisiones - Filas de comisiones_servicio
+   * @param {Object} empleado - { id, comision_porcentaje }
+   * @param {number} servicioId - ID del servicio
+   * @returns {number} Porcentaje aplicable
+   */
+  obtenerPorcentajeServicio(comisiones, empleado, servicioId) {
+    const propia = comisiones.find(c => c.servicio_id === servicioId && c.empleado_id === empleado.id);
+    const general = comisiones.find(c => c.servicio_id === servicioId && c.empleado_id === null);
+    const aplicable = propia || general;
+
+    return Number(aplicable ? aplicable.comision_porcentaje : empleado.comision_porcentaje) || 0;
+  }
+
+  /**
+   * Repartir la propina de una cita entre los empleados que la atendieron,
+   * en proporción al importe de sus servicios
+   * @param {Object} propina - { cita_id, cita_empleado_id, propina }
+   * @param {Array} lineas - Líneas de servicio de la cita
+   * @returns {Array} [{ empleado_id, cita_id, propina }]
+   */
+  repartirPropina(propina, lineas) {
+    const total = Number(propina.propina);
+    const porEmpleado = new Map();
+
+    lineas.forEach(linea => {
+      porEmpleado.set(linea.empleado_id, (porEmpleado.get(linea.empleado_id) || 0) + Number(linea.importe));
+    });
+
+    const base = [...porEmpleado.values()].reduce((suma, importe) => suma + importe, 0);
+    if (base <= 0) {
+      return [{ empleado_id: propina.cita_empleado_id, cita_id: propina.cita_id, propina: total }];
+    }
+
+    const empleados = [...porEmpleado.keys()];
+    let asignado = 0;
+
+    return empleados.map((empleadoId, i) => {
+      const parte = i === empleados.length - 1
+        ? cotizacionService.redondear(total - asignado)
+        : cotizacionService.redondear(total * porEmpleado.get(empleadoId) / base);
+      asignado = cotizacionService.redondear(asignado + parte);
+      return { empleado_id: empleadoId, cita_id: propina.cita_id, propina: parte };
+    });
+  }
+
+  /**
+   * Calcular las liquidaciones de un período a partir de sus movimientos
+   * @param {Object} periodo - { fecha_inicio, fecha_fin }
+   * @param {Object} opciones - { empleadoId, conexion }
+   * @returns {Promise<Array>} Liquidaciones por empleado
+   */
+  async calcularLiquidaciones(periodo, opciones = {}) {
+    const { empleadoId = null, conexion = null } = opciones;
+    const zona = await ZonaHoraria.obtenerZonaHoraria();
+    const { empleados, comisiones, lineas, propinas, ventas } = await this.cargarMovimientos(
+      this.obtenerRango(periodo, zona),
+      conexion
+    );
+    const redondear = (valor) => cotizacionService.redondear(valor);
+
+    const liquidaciones = new Map(empleados.map(empleado => [empleado.id, {
+      empleado,
+      citas: new Set(),
+      detalle: { servicios: [], ventas: [], propinas: [] }
+    }]));
+
+    lineas.forEach(linea => {
+      const liquidacion = liquidaciones.get(linea.empleado_id);
+      const porcentaje = this.obtenerPorcentajeServicio(comisiones, liquidacion.empleado, linea.servicio_id);
+      const importe = Number(linea.importe);
+
+      liquidacion.citas.add(linea.cita_id);
+      liquidacion.detalle.servicios.push({
+        cita_id: linea.cita_id,
+        fecha: ZonaHoraria.utcALocal(linea.fecha_hora_inicio, zona),
+        servicio_id: linea.servicio_id,
+        servicio_nombre: linea.servicio_nombre,
+        importe,
+        porcentaje,
+        comision: redondear(importe * porcentaje / 100)
+      });
+    });
+
+    propinas.forEach(propina => {
+      const lineasCita = lineas.filter(linea => linea.cita_id === propina.cita_id);
+      this.repartirPropina(propina, lineasCita).forEach(parte => {
+        liquidaciones.get(parte.empleado_id).detalle.propinas.push({ cita_id: parte.cita_id, propina: parte.propina });
+      });
+    });
+
+    ventas.forEach(venta => {
+      const liquidacion = liquidaciones.get(venta.empleado_id);
+      const porcentaje = Number(liquidacion.empleado.comision_porcentaje) || 0;
+      const importe = Number(venta.importe);
+
+      liquidacion.detalle.ventas.push({
+        venta_id: venta.venta_id,
+        fecha: ZonaHoraria.utcALocal(venta.fecha_venta, zona),
+        importe,
+        porcentaje,
+        comision: redondear(importe * porcentaje / 100)
+      });
+    });
+
+    const sumar = (filas, campo) => redondear(filas.reduce((total, fila) => total + fila[campo], 0));
+    const resultado = [];
+
+    for (const { empleado, citas, detalle } of liquidaciones.values()) {
+      if (empleadoId && empleado.id !== Number(empleadoId)) continue;
+
+      const conMovimientos = detalle.servicios.length > 0 || detalle.ventas.length > 0 || detalle.propinas.length > 0;
+      if (!empleado.activo && !conMovimientos) continue;
+
+      const salarioBase = Number(empleado.salario_base) || 0;
+      const comisionServicios = sumar(detalle.servicios, 'comision');
+      const comisionProductos = sumar(detalle.ventas, 'comision');
+      const totalPropinas = sumar(detalle.propinas, 'propina');
+
+      resultado.push({
+        empleado_id: empleado.id,
+        empleado_nombre: empleado.empleado_nombre,
+        salario_base: salarioBase,
+        citas_completadas: citas.size,
+        total_servicios: sumar(detalle.servicios, 'importe'),
+        comision_servicios: comisionServicios,
+        total_productos: sumar(detalle.ventas, 'importe'),
+        comision_productos: comisionProductos,
+        propinas: totalPropinas,
+        total_pagar: redondear(salarioBase + comisionServicios + comisionProductos + totalPropinas),
+        detalle
+      });
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Obtener las liquidaciones de un período
+   * Si está cerrado se devuelven las guardadas al cerrarlo; si no, se calculan en el momento
+   * @param {number} periodoId - ID del período
+   * @param {number|null} empleadoId - Limitar a un empleado
+   * @returns {Promise<Object>} { periodo, liquidaciones }
+   */
+  async obtenerLiquidaciones(periodoId, empleadoId = null) {
+    const periodo = await this.obtenerPeriodo(periodoId);
+
+    const liquidaciones = periodo.estado === 'Cerrado'
+      ? await PeriodoNomina.obtenerLiquidaciones(periodoId, empleadoId)
+      : await this.calcularLiquidaciones(periodo, { empleadoId });
+
+    return { periodo, liquidaciones };
+  }
+
+  /**
+   * Cerrar un período: guarda las liquidaciones calculadas y lo bloquea
+   * @param {number} periodoId - ID del período
+   * @param {number|null} usuarioId - Usuario que lo cierra
+   * @returns {Promise<Object>} { periodo, liquidaciones }
+   */
+  async cerrarPeriodo(periodoId, usuarioId = null) {
+    await transaccion(async (connection) => {
+      const periodo = await this.obtenerPeriodo(periodoId, connection);
+
+      if (periodo.estado === 'Cerrado') {
+        throw new ConflictError('El período de nómina ya está cerrado');
+      }
+
+      const hoy = ZonaHoraria.ahora(await ZonaHoraria.obtenerZonaHoraria()).fecha;
+      if (periodo.fecha_fin >= hoy) {
+        throw new ValidationError('Solo se puede cerrar un período cuando ya terminó');
+      }
+
+      const liquidaciones = await this.calcularLiquidaciones(periodo, { conexion: connection });
+      await PeriodoNomina.cerrar(connection, periodoId, liquidaciones, usuarioId);
+    });
+
+    return this.obtenerLiquidaciones(periodoId);
+  }
+
+  /**
+   * Convertir liquidaciones a CSV
+   * @param {Array} liquidaciones - Liquidaciones del período
+   * @returns {string} Contenido CSV con encabezado
+   */
+  generarCSV(liquidaciones) {
+    const escapar = (valor) => {
+      const texto = valor === null || valor === undefined ? '' : String(valor);
+      return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    };
+    const formatear = (campo, valor) => (
+      ['empleado_id', 'empleado_nombre', 'citas_completadas'].includes(campo) ? valor : Number(valor).toFixed(2)
+    );
+
+    const filas = [COLUMNAS_CSV.map(([, titulo]) => escapar(titulo)).join(',')];
+    liquidaciones.forEach(liquidacion => {
+      filas.push(COLUMNAS_CSV.map(([campo]) => escapar(formatear(campo, liquidacion[campo]))).join(','));
+    });
+
+    return `${filas.join('\r\n')}\r\n`;
+  }
+}
+
+module.exports = new NominaService();
@@ -1,6 +1,14 @@
 const { admin } = require('../config/firebaseAdmin');
 const { query } = require('../config/database');
+const ZonaHoraria = require('../utils/zonaHoraria');
 const emailService = require('./emailService');
+const NotificacionPushEnviada = require('../models/NotificacionPushEnviada');
+
+// Errores de FCM que indican un token que ya no sirve (app desinstalada, token revocado)
+const CODIGOS_TOKEN_INVALIDO = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
 
 class NotificacionPushService {
   constructor() {
@@ -35,6 +43,7 @@ class NotificacionPushService {
         SELECT 
           c.id,
           c.fecha_hora_inicio,
+          c.empleado_id,
           c.cliente_id,
           u_cliente.nombre as cliente_nombre,
           CONCAT(u_empleado.nombre, ' ', u_empleado.apellido) as empleado_nombre,
@@ -56,9 +65,11 @@ class NotificacionPushService {
         throw new Error('Cita no encontrada');
       }
 
+      const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+
       // Obtener tokens FCM del cliente desde la tabla notificaciones_push
       const tokensSql = `
-        SELECT np.token_dispositivo 
+        SELECT np.id, np.token_dispositivo
         FROM notificaciones_push np
         INNER JOIN clientes cl ON np.usuario_id = cl.usuario_id
         WHERE cl.id = ? AND np.activo = 1 AND np.token_dispositivo IS NOT NULL
@@ -71,8 +82,8 @@ class NotificacionPushService {
       }
 
       const fcmTokens = tokens.map(t => t.token_dispositivo);
-      const fecha = new Date(cita.fecha_hora_inicio).toLocaleDateString('es-ES');
-      const hora = new Date(cita.fecha_hora_inicio).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+      const fecha = ZonaHoraria.formatearFecha(cita.fecha_hora_inicio, zonaHoraria);
+      const hora = ZonaHoraria.formatearHora(cita.fecha_hora_inicio, zonaHoraria);
 
       const message = {
         notification: {
@@ -90,7 +101,7 @@ class NotificacionPushService {
         tokens: fcmTokens
       };
 
-      const response = await this.messaging.sendMulticast(message);
+      const response = await this.enviarMulticast(message, tokens, { citaId: cita.id });
       
       console.log('✅ [notificacionPushService.enviarNotificacionConfirmacion] Notificación enviada exitosamente');
       console.log('📊 Respuesta:', {
@@ -98,25 +109,10 @@ class NotificacionPushService {
         failureCount: response.failureCount
       });
 
-      // Limpiar tokens inválidos
-      if (response.failureCount > 0) {
-        const tokensToDelete = [];
-        response.responses.forEach((resp, idx) => {
-          if (!resp.success) {
-            tokensToDelete.push(fcmTokens[idx]);
-          }
-        });
-        
-        if (tokensToDelete.length > 0) {
-          await this.limpiarTokensInvalidos(tokensToDelete);
-        }
-      }
-
       return response;
     } catch (error) {
       console.error('❌ [notificacionPushService.enviarNotificacionConfirmacion] Error:', error);
-      // No lanzar error, solo log
-      return;
+      throw error;
     }
   }
 
@@ -135,6 +131,7 @@ class NotificacionPushService {
         SELECT 
           c.id,
           c.fecha_hora_inicio,
+          c.empleado_id,
           c.cliente_id,
           u_cliente.nombre as cliente_nombre,
           CONCAT(u_empleado.nombre, ' ', u_empleado.apellido) as empleado_nombre,
@@ -156,9 +153,11 @@ class NotificacionPushService {
         throw new Error('Cita no encontrada');
       }
 
+      const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+
       // Obtener tokens FCM del cliente desde la tabla notificaciones_push
       const tokensSql = `
-        SELECT np.token_dispositivo 
+        SELECT np.id, np.token_dispositivo
         FROM notificaciones_push np
         INNER JOIN clientes cl ON np.usuario_id = cl.usuario_id
         WHERE cl.id = ? AND np.activo = 1 AND np.token_dispositivo IS NOT NULL
@@ -171,8 +170,8 @@ class NotificacionPushService {
       }
 
       const fcmTokens = tokens.map(t => t.token_dispositivo);
-      const fecha = new Date(cita.fecha_hora_inicio).toLocaleDateString('es-ES');
-      const hora = new Date(cita.fecha_hora_inicio).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+      const fecha = ZonaHoraria.formatearFecha(cita.fecha_hora_inicio, zonaHoraria);
+      const hora = ZonaHoraria.formatearHora(cita.fecha_hora_inicio, zonaHoraria);
 
       const message = {
         notification: {
@@ -190,7 +189,7 @@ class NotificacionPushService {
         tokens: fcmTokens
       };
 
-      const response = await this.messaging.sendMulticast(message);
+      const response = await this.enviarMulticast(message, tokens, { citaId: cita.id });
       
       console.log('✅ [notificacionPushService.enviarNotificacionRecordatorio] Notificación enviada exitosamente');
       console.log('📊 Respuesta:', {
@@ -201,8 +200,273 @@ class NotificacionPushService {
       return response;
     } catch (error) {
       console.error('❌ [notificacionPushService.enviarNotificacionRecordatorio] Error:', error);
-      // No lanzar error, solo log
-      return;
+      throw error;
+    }
+  }
+
+  async enviarNotificacionReprogramacion(citaId) {
+    try {
+      console.log('📱 [notificacionPushService.enviarNotificacionReprogramacion] Enviando reprogramación para cita:', citaId);
+      
+      // Verificar si Firebase está disponible
+      if (!this.firebaseAvailable) {
+        console.log('⚠️ [notificacionPushService.enviarNotificacionReprogramacion] Firebase no disponible, saltando notificación push');
+        return;
+      }
+      
+      // Obtener información de la cita
+      const citaSql = `
+        SELECT 
+          c.id,
+          c.fecha_hora_inicio,
+          c.empleado_id,
+          c.cliente_id,
+          CONCAT(u_empleado.nombre, ' ', u_empleado.apellido) as empleado_nombre,
+          GROUP_CONCAT(s.nombre SEPARATOR ', ') as servicios
+        FROM citas c
+        INNER JOIN empleados e ON c.empleado_id = e.id
+        INNER JOIN usuarios u_empleado ON e.usuario_id = u_empleado.id
+        INNER JOIN cita_servicio cs ON c.id = cs.cita_id
+        INNER JOIN servicios s ON cs.servicio_id = s.id
+        WHERE c.id = ?
+        GROUP BY c.id
+      `;
+      
+      const [cita] = await query(citaSql, [citaId]);
+      
+      if (!cita) {
+        throw new Error('Cita no encontrada');
+      }
+
+      const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+
+      // Obtener tokens FCM del cliente desde la tabla notificaciones_push
+      const tokensSql = `
+        SELECT np.id, np.token_dispositivo
+        FROM notificaciones_push np
+        INNER JOIN clientes cl ON np.usuario_id = cl.usuario_id
+        WHERE cl.id = ? AND np.activo = 1 AND np.token_dispositivo IS NOT NULL
+      `;
+      const tokens = await query(tokensSql, [cita.cliente_id]);
+      
+      if (tokens.length === 0) {
+        console.log('⚠️ [notificacionPushService.enviarNotificacionReprogramacion] No se encontraron tokens FCM para el cliente');
+        return;
+      }
+
+      const fcmTokens = tokens.map(t => t.token_dispositivo);
+      const fecha = ZonaHoraria.formatearFecha(cita.fecha_hora_inicio, zonaHoraria);
+      const hora = ZonaHoraria.formatearHora(cita.fecha_hora_inicio, zonaHoraria);
+
+      const message = {
+        notification: {
+          title: '🔄 Cita Reprogramada',
+          body: `Tu cita con ${cita.empleado_nombre} fue movida al ${fecha} a las ${hora}`
+        },
+        data: {
+          tipo: 'reprogramacion_cita',
+          citaId: cita.id.toString(),
+          fecha: fecha,
+          hora: hora,
+          empleado: cita.empleado_nombre,
+          servicios: cita.servicios
+        },
+        tokens: fcmTokens
+      };
+
+      const response = await this.enviarMulticast(message, tokens, { citaId: cita.id });
+      
+      console.log('✅ [notificacionPushService.enviarNotificacionReprogramacion] Notificación enviada exitosamente');
+      console.log('📊 Respuesta:', {
+        successCount: response.successCount,
+        failureCount: response.failureCount
+      });
+
+      return response;
+    } catch (error) {
+      console.error('❌ [notificacionPushService.enviarNotificacionReprogramacion] Error:', error);
+      throw error;
+    }
+  }
+
+  async enviarNotificacionReasignacion(citaId) {
+    try {
+      console.log('📱 [notificacionPushService.enviarNotificacionReasignacion] Enviando cambio de barbero para cita:', citaId);
+      
+      // Verificar si Firebase está disponible
+      if (!this.firebaseAvailable) {
+        console.log('⚠️ [notificacionPushService.enviarNotificacionReasignacion] Firebase no disponible, saltando notificación push');
+        return;
+      }
+      
+      // Obtener información de la cita
+      const citaSql = `
+        SELECT 
+          c.id,
+          c.fecha_hora_inicio,
+          c.empleado_id,
+          c.cliente_id,
+          CONCAT(u_empleado.nombre, ' ', u_empleado.apellido) as empleado_nombre
+        FROM citas c
+        INNER JOIN empleados e ON c.empleado_id = e.id
+        INNER JOIN usuarios u_empleado ON e.usuario_id = u_empleado.id
+        WHERE c.id = ?
+      `;
+      
+      const [cita] = await query(citaSql, [citaId]);
+      
+      if (!cita) {
+        throw new Error('Cita no encontrada');
+      }
+
+      const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+
+      // Obtener tokens FCM del cliente desde la tabla notificaciones_push
+      const tokensSql = `
+        SELECT np.id, np.token_dispositivo
+        FROM notificaciones_push np
+        INNER JOIN clientes cl ON np.usuario_id = cl.usuario_id
+        WHERE cl.id = ? AND np.activo = 1 AND np.token_dispositivo IS NOT NULL
+      `;
+      const tokens = await query(tokensSql, [cita.cliente_id]);
+      
+      if (tokens.length === 0) {
+        console.log('⚠️ [notificacionPushService.enviarNotificacionReasignacion] No se encontraron tokens FCM para el cliente');
+        return;
+      }
+
+      const fcmTokens = tokens.map(t => t.token_dispositivo);
+      const fecha = ZonaHoraria.formatearFecha(cita.fecha_hora_inicio, zonaHoraria);
+      const hora = ZonaHoraria.formatearHora(cita.fecha_hora_inicio, zonaHoraria);
+
+      const message = {
+        notification: {
+          title: '💈 Cambio de barbero',
+          body: `${cita.empleado_nombre} atenderá tu cita del ${fecha} a las ${hora}`
+        },
+        data: {
+          tipo: 'reasignacion_cita',
+          citaId: cita.id.toString(),
+          fecha: fecha,
+          hora: hora,
+          empleado: cita.empleado_nombre
+        },
+        tokens: fcmTokens
+      };
+
+      const response = await this.enviarMulticast(message, tokens, { citaId: cita.id });
+      
+      console.log('✅ [notificacionPushService.enviarNotificacionReasignacion] Notificación enviada exitosamente');
+
+      return response;
+    } catch (error) {
+      console.error('❌ [notificacionPushService.enviarNotificacionReasignacion] Error:', error);
+      throw error;
+    }
+  }
+
+  async enviarNotificacionOfertaListaEspera(oferta) {
+    try {
+      console.log('📱 [notificacionPushService.enviarNotificacionOfertaListaEspera] Enviando oferta:', oferta.token);
+      
+      // Verificar si Firebase está disponible
+      if (!this.firebaseAvailable) {
+        console.log('⚠️ [notificacionPushService.enviarNotificacionOfertaListaEspera] Firebase no disponible, saltando notificación push');
+        return;
+      }
+
+      const tokensSql = `
+        SELECT id, token_dispositivo
+        FROM notificaciones_push
+        WHERE usuario_id = ? AND activo = 1 AND token_dispositivo IS NOT NULL
+      `;
+      const tokens = await query(tokensSql, [oferta.usuario_id]);
+      
+      if (tokens.length === 0) {
+        console.log('⚠️ [notificacionPushService.enviarNotificacionOfertaListaEspera] No se encontraron tokens FCM para el cliente');
+        return;
+      }
+
+      const fcmTokens = tokens.map(t => t.token_dispositivo);
+      const fecha = ZonaHoraria.formatearFecha(oferta.fecha_hora_inicio, oferta.zona_horaria);
+      const hora = ZonaHoraria.formatearHora(oferta.fecha_hora_inicio, oferta.zona_horaria);
+      const expira = ZonaHoraria.formatearHora(oferta.expira_en, oferta.zona_horaria);
+
+      const message = {
+        notification: {
+          title: '🎉 Se liberó un horario',
+          body: `${oferta.empleado_nombre} tiene un horario el ${fecha} a las ${hora}. Acéptalo antes de las ${expira}`
+        },
+        data: {
+          tipo: 'oferta_lista_espera',
+          token: oferta.token,
+          fecha: fecha,
+          hora: hora,
+          empleado: oferta.empleado_nombre,
+          expira_en: new Date(oferta.expira_en).toISOString()
+        },
+        tokens: fcmTokens
+      };
+
+      const response = await this.enviarMulticast(message, tokens);
+      
+      console.log('✅ [notificacionPushService.enviarNotificacionOfertaListaEspera] Notificación enviada exitosamente');
+
+      return response;
+    } catch (error) {
+      console.error('❌ [notificacionPushService.enviarNotificacionOfertaListaEspera] Error:', error);
+      throw error;
+    }
+  }
+
+  async enviarNotificacionAusencia(ausencia) {
+    try {
+      console.log('📱 [notificacionPushService.enviarNotificacionAusencia] Enviando decisión de ausencia:', ausencia.id);
+      
+      // Verificar si Firebase está disponible
+      if (!this.firebaseAvailable) {
+        console.log('⚠️ [notificacionPushService.enviarNotificacionAusencia] Firebase no disponible, saltando notificación push');
+        return;
+      }
+
+      const tokensSql = `
+        SELECT id, token_dispositivo
+        FROM notificaciones_push
+        WHERE usuario_id = ? AND activo = 1 AND token_dispositivo IS NOT NULL
+      `;
+      const tokens = await query(tokensSql, [ausencia.empleado_usuario_id]);
+      
+      if (tokens.length === 0) {
+        console.log('⚠️ [notificacionPushService.enviarNotificacionAusencia] No se encontraron tokens FCM para el empleado');
+        return;
+      }
+
+      const fcmTokens = tokens.map(t => t.token_dispositivo);
+      const aprobada = ausencia.estado === 'Aprobada';
+
+      const message = {
+        notification: {
+          title: aprobada ? '✅ Ausencia aprobada' : '❌ Ausencia rechazada',
+          body: `Tu ausencia del ${ausencia.inicio.slice(0, 10)} al ${ausencia.fin.slice(0, 10)} fue ${aprobada ? 'aprobada' : 'rechazada'}`
+        },
+        data: {
+          tipo: 'decision_ausencia',
+          ausenciaId: ausencia.id.toString(),
+          estado: ausencia.estado,
+          inicio: ausencia.inicio,
+          fin: ausencia.fin
+        },
+        tokens: fcmTokens
+      };
+
+      const response = await this.enviarMulticast(message, tokens);
+      
+      console.log('✅ [notificacionPushService.enviarNotificacionAusencia] Notificación enviada exitosamente');
+
+      return response;
+    } catch (error) {
+      console.error('❌ [notificacionPushService.enviarNotificacionAusencia] Error:', error);
+      throw error;
     }
   }
 
@@ -237,9 +501,11 @@ class NotificacionPushService {
         throw new Error('Cita no encontrada');
       }
 
+      const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+
       // Obtener tokens FCM del empleado desde la tabla notificaciones_push
       const tokensSql = `
-        SELECT np.token_dispositivo 
+        SELECT np.id, np.token_dispositivo
         FROM notificaciones_push np
         INNER JOIN empleados e ON np.usuario_id = e.usuario_id
         WHERE e.id = ? AND np.activo = 1 AND np.token_dispositivo IS NOT NULL
@@ -250,16 +516,16 @@ class NotificacionPushService {
         console.log('⚠️ [notificacionPushService.enviarNotificacionEmpleado] No se encontraron tokens FCM para el empleado. Enviando correo electrónico.');
         // Enviar correo electrónico al empleado
         if (cita.empleado_email) {
-          const fecha = new Date(cita.fecha_hora_inicio).toLocaleDateString('es-ES');
-          const hora = new Date(cita.fecha_hora_inicio).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+          const fecha = ZonaHoraria.formatearFecha(cita.fecha_hora_inicio, zonaHoraria);
+          const hora = ZonaHoraria.formatearHora(cita.fecha_hora_inicio, zonaHoraria);
           const asunto = '📅 Nueva Cita Asignada';
           const mensaje = `Tienes una cita con ${cita.cliente_nombre} el ${fecha} a las ${hora}. Servicios: ${cita.servicios}`;
-          await emailService.transporter.sendMail({
+          await emailService.enviar({
             from: process.env.EMAIL_USER,
             to: cita.empleado_email,
             subject: asunto,
             html: `<p>${mensaje}</p>`
-          });
+          }, { citaId: cita.id });
           console.log('✅ [notificacionPushService.enviarNotificacionEmpleado] Correo enviado al empleado.');
         } else {
           console.log('❌ [notificacionPushService.enviarNotificacionEmpleado] El empleado no tiene correo registrado.');
@@ -272,24 +538,24 @@ class NotificacionPushService {
         console.log('⚠️ [notificacionPushService.enviarNotificacionEmpleado] Firebase no disponible, enviando solo correo electrónico.');
         // Enviar correo electrónico al empleado como respaldo
         if (cita.empleado_email) {
-          const fecha = new Date(cita.fecha_hora_inicio).toLocaleDateString('es-ES');
-          const hora = new Date(cita.fecha_hora_inicio).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+          const fecha = ZonaHoraria.formatearFecha(cita.fecha_hora_inicio, zonaHoraria);
+          const hora = ZonaHoraria.formatearHora(cita.fecha_hora_inicio, zonaHoraria);
           const asunto = '📅 Nueva Cita Asignada';
           const mensaje = `Tienes una cita con ${cita.cliente_nombre} el ${fecha} a las ${hora}. Servicios: ${cita.servicios}`;
-          await emailService.transporter.sendMail({
+          await emailService.enviar({
             from: process.env.EMAIL_USER,
             to: cita.empleado_email,
             subject: asunto,
             html: `<p>${mensaje}</p>`
-          });
+          }, { citaId: cita.id });
           console.log('✅ [notificacionPushService.enviarNotificacionEmpleado] Correo enviado al empleado.');
         }
         return;
       }
 
       const fcmTokens = tokens.map(t => t.token_dispositivo);
-      const fecha = new Date(cita.fecha_hora_inicio).toLocaleDateString('es-ES');
-      const hora = new Date(cita.fecha_hora_inicio).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+      const fecha = ZonaHoraria.formatearFecha(cita.fecha_hora_inicio, zonaHoraria);
+      const hora = ZonaHoraria.formatearHora(cita.fecha_hora_inicio, zonaHoraria);
 
       const message = {
         notification: {
@@ -307,7 +573,7 @@ class NotificacionPushService {
         tokens: fcmTokens
       };
 
-      const response = await this.messaging.sendMulticast(message);
+      const response = await this.enviarMulticast(message, tokens, { citaId: cita.id });
       
       console.log('✅ [notificacionPushService.enviarNotificacionEmpleado] Notificación enviada exitosamente');
       console.log('📊 Respuesta:', {
@@ -318,17 +584,74 @@ class NotificacionPushService {
       return response;
     } catch (error) {
       console.error('❌ [notificacionPushService.enviarNotificacionEmpleado] Error:', error);
-      // No lanzar error, solo log
-      return;
+      throw error;
     }
   }
 
-  async limpiarTokensInvalidos(tokens) {
-    try {
-      for (const token of tokens) {
-        await query('UPDATE usuarios SET fcm_token = NULL WHERE fcm_token = ?', [token]);
+  /**
+   * Enviar un mensaje a varios dispositivos y registrar el resultado de cada uno en
+   * notificaciones_push_enviadas. Los tokens que FCM rechaza por inválidos se desactivan.
+   * @param {Object} message - Mensaje de FCM con sus tokens
+   * @param {Array<Object>} tokens - Filas de notificaciones_push { id, token_dispositivo }, en el orden de message.tokens
+   * @param {Object} referencia - { citaId }
+   * @returns {Promise<Object>} Respuesta de FCM; lanza un error si ningún dispositivo válido la recibió
+   */
+  async enviarMulticast(message, tokens, referencia = {}) {
+    const response = await this.messaging.sendMulticast(message);
+    const invalidos = [];
+
+    for (const [indice, resultado] of response.responses.entries()) {
+      const token = tokens[indice];
+
+      await this.registrarEnvio({
+        notificacion_push_id: token.id,
+        titulo: message.notification.title,
+        mensaje: message.notification.body,
+        datos: JSON.stringify(message.data),
+        estado: resultado.success ? 'enviado' : 'fallido',
+        mensaje_error: resultado.success ? null : resultado.error?.message || 'Error desconocido',
+        cita_id: referencia.citaId || null
+      });
+
+      if (!resultado.success && CODIGOS_TOKEN_INVALIDO.includes(resultado.error?.code)) {
+        invalidos.push(token.id);
       }
-      console.log('✅ [notificacionPushService.limpiarTokensInvalidos] Tokens inválidos limpiados');
+    }
+
+    if (invalidos.length > 0) {
+      await this.limpiarTokensInvalidos(invalidos);
+    }
+
+    // Con algún envío correcto no se reintenta, para no repetir la notificación en los demás dispositivos
+    if (response.successCount === 0 && response.failureCount > invalidos.length) {
+      throw new Error(`FCM no entregó la notificación a ninguno de los ${response.failureCount} dispositivos`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Guardar un envío en notificaciones_push_enviadas sin interrumpir el envío si falla el registro
+   * @param {Object} registro - Fila de notificaciones_push_enviadas
+   * @returns {Promise<void>}
+   */
+  async registrarEnvio(registro) {
+    try {
+      await NotificacionPushEnviada.crear(registro);
+    } catch (error) {
+      console.error('❌ [notificacionPushService.registrarEnvio] Error registrando la notificación:', error);
+    }
+  }
+
+  /**
+   * Desactivar los tokens que FCM ya no acepta
+   * @param {Array<number>} ids - IDs de notificaciones_push
+   * @returns {Promise<void>}
+   */
+  async limpiarTokensInvalidos(ids) {
+    try {
+      await query(`UPDATE notificaciones_push SET activo = 0 WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+      console.log('✅ [notificacionPushService.limpiarTokensInvalidos] Tokens inválidos desactivados:', ids.length);
     } catch (error) {
       console.error('❌ [notificacionPushService.limpiarTokensInvalidos] Error:', error);
     }
@@ -1,11 +1,19 @@
-const { query } = require('../config/database');
+const { query, transaccion } = require('../config/database');
 const { google } = require('googleapis');
 const emailService = require('./emailService');
 const googleCalendarService = require('./googleCalendarService');
 const notificacionPushService = require('./notificacionPushService');
+const bandejaSalidaService = require('./bandejaSalidaService');
+const mensajeriaService = require('./mensajeriaService');
+const Configuracion = require('../models/Configuracion');
+const RecordatorioCita = require('../models/RecordatorioCita');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
 
 /**
  * Servicio para manejar notificaciones y Google Calendar
+ * Los correos, push, SMS, WhatsApp y eventos de calendario no se envían aquí: se encolan en la bandeja de
+ * salida (bandejaSalidaService), idealmente con la conexión de la transacción que los origina.
  */
 class NotificacionService {
   
@@ -354,146 +362,392 @@ class NotificacionService {
     }
   }
 
-  async enviarNotificacionesConfirmacion(citaId) {
-    try {
-      console.log('🔔 [notificacionService.enviarNotificacionesConfirmacion] Enviando todas las notificaciones para cita:', citaId);
-      
-      const promesas = [];
-      
-      // Enviar email de confirmación
-      promesas.push(
-        emailService.enviarConfirmacionCita(citaId)
-          .catch(error => console.error('❌ Error enviando email:', error))
-      );
-      
-      // Crear evento en Google Calendar
-      promesas.push(
-        googleCalendarService.crearEventoCita(citaId)
-          .catch(error => console.error('❌ Error creando evento en Google Calendar:', error))
-      );
-      
-      // Enviar notificación push al cliente
-      promesas.push(
-        notificacionPushService.enviarNotificacionConfirmacion(citaId)
-          .catch(error => console.error('❌ Error enviando notificación push al cliente:', error))
-      );
-      
-      // Enviar notificación push al empleado
-      promesas.push(
-        notificacionPushService.enviarNotificacionEmpleado(citaId)
-          .catch(error => console.error('❌ Error enviando notificación push al empleado:', error))
-      );
-      
-      await Promise.allSettled(promesas);
-      
-      console.log('✅ [notificacionService.enviarNotificacionesConfirmacion] Todas las notificaciones procesadas');
-      
-    } catch (error) {
-      console.error('❌ [notificacionService.enviarNotificacionesConfirmacion] Error general:', error);
-      throw error;
-    }
+  constructor() {
+    // Cómo entrega la bandeja de salida cada mensaje que encola este servicio
+    bandejaSalidaService.registrarEntrega('email', 'confirmacion_cita', mensaje => emailService.enviarConfirmacionCita(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('email', 'recordatorio_cita', mensaje => emailService.enviarRecordatorioCita(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('email', 'cancelacion_cita', mensaje => emailService.enviarCancelacionCita(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('email', 'reprogramacion_cita', mensaje => emailService.enviarReprogramacionCita(mensaje.cita_id, mensaje.datos.anterior));
+    bandejaSalidaService.registrarEntrega('email', 'reasignacion_cita', mensaje => emailService.enviarReasignacionCita(mensaje.cita_id, mensaje.datos.empleado_anterior));
+    bandejaSalidaService.registrarEntrega('email', 'invitacion_resena', mensaje => emailService.enviarInvitacionResena(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('email', 'decision_ausencia',
+      async mensaje => emailService.enviarDecisionAusencia(await this.obtenerAusencia(mensaje.datos.ausencia_id)));
+
+    bandejaSalidaService.registrarEntrega('push', 'confirmacion_cita', mensaje => notificacionPushService.enviarNotificacionConfirmacion(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('push', 'nueva_cita_empleado', mensaje => notificacionPushService.enviarNotificacionEmpleado(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('push', 'recordatorio_cita', mensaje => notificacionPushService.enviarNotificacionRecordatorio(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('push', 'reprogramacion_cita', mensaje => notificacionPushService.enviarNotificacionReprogramacion(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('push', 'reasignacion_cita', mensaje => notificacionPushService.enviarNotificacionReasignacion(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('push', 'decision_ausencia',
+      async mensaje => notificacionPushService.enviarNotificacionAusencia(await this.obtenerAusencia(mensaje.datos.ausencia_id)));
+
+    bandejaSalidaService.registrarEntrega('calendario', 'crear_evento', mensaje => googleCalendarService.crearEventoCita(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('calendario', 'actualizar_evento', mensaje => googleCalendarService.actualizarEventoCita(mensaje.cita_id));
+    bandejaSalidaService.registrarEntrega('calendario', 'cancelar_evento', mensaje => googleCalendarService.cancelarEventoCita(mensaje.cita_id));
   }
 
-  async enviarNotificacionesRecordatorio(citaId) {
-    try {
-      console.log('🔔 [notificacionService.enviarNotificacionesRecordatorio] Enviando recordatorios para cita:', citaId);
-      
-      const promesas = [];
-      
-      // Enviar email de recordatorio
-      promesas.push(
-        emailService.enviarRecordatorioCita(citaId)
-          .catch(error => console.error('❌ Error enviando email de recordatorio:', error))
-      );
-      
-      // Enviar notificación push de recordatorio
-      promesas.push(
-        notificacionPushService.enviarNotificacionRecordatorio(citaId)
-          .catch(error => console.error('❌ Error enviando notificación push de recordatorio:', error))
-      );
-      
-      await Promise.allSettled(promesas);
-      
-      console.log('✅ [notificacionService.enviarNotificacionesRecordatorio] Recordatorios enviados');
-      
-    } catch (error) {
-      console.error('❌ [notificacionService.enviarNotificacionesRecordatorio] Error general:', error);
-      throw error;
-    }
+  /**
+   * Encolar la confirmación de una cita nueva: email y push al cliente, SMS o WhatsApp si los
+   * tiene activos, push al barbero y evento de calendario
+   * @param {number} citaId - ID de la cita
+   * @param {Object|null} conexion - Conexión con la transacción que crea la cita
+   * @returns {Promise<void>}
+   */
+  async enviarNotificacionesConfirmacion(citaId, conexion = null) {
+    const canalesMensajeria = await mensajeriaService.obtenerCanalesCita(citaId, conexion);
+
+    await bandejaSalidaService.encolar(conexion, [
+      { canal: 'email', tipo: 'confirmacion_cita', citaId },
+      { canal: 'calendario', tipo: 'crear_evento', citaId },
+      { canal: 'push', tipo: 'confirmacion_cita', citaId },
+      { canal: 'push', tipo: 'nueva_cita_empleado', citaId },
+      ...canalesMensajeria.map(canal => ({ canal, tipo: 'confirmacion_cita', citaId }))
+    ]);
   }
 
-  async actualizarNotificacionesCita(citaId) {
-    try {
-      console.log('🔔 [notificacionService.actualizarNotificacionesCita] Actualizando notificaciones para cita:', citaId);
-      
-      // Actualizar evento en Google Calendar
-      await googleCalendarService.actualizarEventoCita(citaId)
-        .catch(error => console.error('❌ Error actualizando evento en Google Calendar:', error));
-      
-      console.log('✅ [notificacionService.actualizarNotificacionesCita] Notificaciones actualizadas');
-      
-    } catch (error) {
-      console.error('❌ [notificacionService.actualizarNotificacionesCita] Error general:', error);
-      throw error;
+  /**
+   * Encolar el recordatorio de una cita
+   * @param {number} citaId - ID de la cita
+   * @param {Object|null} conexion - Conexión con transacción abierta
+   * @param {Array<string>} canales - Canales de la bandeja de salida ('email', 'push', 'sms', 'whatsapp')
+   * @returns {Promise<void>}
+   */
+  async enviarNotificacionesRecordatorio(citaId, conexion = null, canales = ['email', 'push']) {
+    await bandejaSalidaService.encolar(conexion, canales.map(canal => ({ canal, tipo: 'recordatorio_cita', citaId })));
+  }
+
+  /**
+   * Encolar la actualización del evento de Google Calendar de una cita
+   * @param {number} citaId - ID de la cita
+   * @param {Object|null} conexion - Conexión con transacción abierta
+   * @returns {Promise<void>}
+   */
+  async actualizarNotificacionesCita(citaId, conexion = null) {
+    await bandejaSalidaService.encolar(conexion, [
+      { canal: 'calendario', tipo: 'actualizar_evento', citaId }
+    ]);
+  }
+
+  /**
+   * Encolar el aviso de una cita que cambió de horario
+   * @param {number} citaId - ID de la cita
+   * @param {Object} anterior - { fecha_hora_inicio, fecha_hora_fin } horario anterior (UTC)
+   * @param {Object|null} conexion - Conexión con la transacción de la reprogramación
+   * @returns {Promise<void>}
+   */
+  async enviarNotificacionesReprogramacion(citaId, anterior, conexion = null) {
+    await bandejaSalidaService.encolar(conexion, [
+      { canal: 'email', tipo: 'reprogramacion_cita', citaId, datos: { anterior } },
+      { canal: 'calendario', tipo: 'actualizar_evento', citaId },
+      { canal: 'push', tipo: 'reprogramacion_cita', citaId }
+    ]);
+  }
+
+  /**
+   * Encolar el aviso de una cita que pasó a otro barbero
+   * @param {number} citaId - ID de la cita
+   * @param {string} empleadoAnterior - Nombre del barbero anterior
+   * @param {Object|null} conexion - Conexión con la transacción de la reasignación
+   * @returns {Promise<void>}
+   */
+  async enviarNotificacionesReasignacion(citaId, empleadoAnterior, conexion = null) {
+    await bandejaSalidaService.encolar(conexion, [
+      { canal: 'email', tipo: 'reasignacion_cita', citaId, datos: { empleado_anterior: empleadoAnterior } },
+      { canal: 'calendario', tipo: 'actualizar_evento', citaId },
+      { canal: 'push', tipo: 'reasignacion_cita', citaId }
+    ]);
+  }
+
+  /**
+   * Encolar solo el evento de calendario de una cita, sin correo ni push
+   * (las ocurrencias de una serie después de la primera)
+   * @param {number} citaId - ID de la cita
+   * @param {Object|null} conexion - Conexión con la transacción que crea la cita
+   * @returns {Promise<void>}
+   */
+  async agendarEventoCita(citaId, conexion = null) {
+    await bandejaSalidaService.encolar(conexion, [
+      { canal: 'calendario', tipo: 'crear_evento', citaId }
+    ]);
+  }
+
+  /**
+   * Encolar la invitación a reseñar una cita completada
+   * @param {number} citaId - ID de la cita
+   * @param {Object|null} conexion - Conexión con transacción abierta
+   * @returns {Promise<void>}
+   */
+  async enviarInvitacionResena(citaId, conexion = null) {
+    await bandejaSalidaService.encolar(conexion, [
+      { canal: 'email', tipo: 'invitacion_resena', citaId }
+    ]);
+  }
+
+  /**
+   * Obtener una ausencia con los datos del barbero para avisarle la decisión
+   * @param {number} ausenciaId - ID de la ausencia
+   * @param {Object|null} conexion - Conexión con transacción abierta
+   * @returns {Promise<Object>} Ausencia con empleado_usuario_id, empleado_email y zona_horaria
+   */
+  async obtenerAusencia(ausenciaId, conexion = null) {
+    const sql = `
+      SELECT 
+        ae.id, ae.estado, ae.motivo, ae.comentario_revision, ae.empleado_id,
+        DATE_FORMAT(ae.fecha_inicio, '%Y-%m-%d %H:%i:%s') as inicio,
+        DATE_FORMAT(ae.fecha_fin, '%Y-%m-%d %H:%i:%s') as fin,
+        e.usuario_id as empleado_usuario_id,
+        u.email as empleado_email,
+        CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre,
+        CONCAT(ur.nombre, ' ', ur.apellido) as revisado_por_nombre
+      FROM ausencias_empleados ae
+      INNER JOIN empleados e ON ae.empleado_id = e.id
+      INNER JOIN usuarios u ON e.usuario_id = u.id
+      LEFT JOIN usuarios ur ON ae.revisado_por = ur.id
+      WHERE ae.id = ?
+    `;
+
+    let ausencia;
+    if (conexion) {
+      [[ausencia]] = await conexion.query(sql, [ausenciaId]);
+    } else {
+      [ausencia] = await query(sql, [ausenciaId]);
     }
+
+    if (!ausencia) {
+      throw new Error('Ausencia no encontrada');
+    }
+
+    ausencia.zona_horaria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: ausencia.empleado_id });
+    return ausencia;
   }
 
-  async cancelarNotificacionesCita(citaId) {
-    try {
-      console.log('🔔 [notificacionService.cancelarNotificacionesCita] Cancelando notificaciones para cita:', citaId);
-      
-      // Cancelar evento en Google Calendar
-      await googleCalendarService.cancelarEventoCita(citaId)
-        .catch(error => console.error('❌ Error cancelando evento en Google Calendar:', error));
-      
-      console.log('✅ [notificacionService.cancelarNotificacionesCita] Notificaciones canceladas');
-      
-    } catch (error) {
-      console.error('❌ [notificacionService.cancelarNotificacionesCita] Error general:', error);
-      throw error;
+  /**
+   * Avisar al barbero la decisión sobre su ausencia: notificación in-app y, encolados, email y push
+   * @param {number} ausenciaId - ID de la ausencia
+   * @param {Object|null} conexion - Conexión con la transacción de la revisión
+   * @returns {Promise<void>}
+   */
+  async enviarNotificacionesAusencia(ausenciaId, conexion = null) {
+    console.log('🔔 [notificacionService.enviarNotificacionesAusencia] Avisando al barbero la decisión sobre la ausencia:', ausenciaId);
+
+    const ausencia = await this.obtenerAusencia(ausenciaId, conexion);
+    const aprobada = ausencia.estado === 'Aprobada';
+
+    // Notificación in-app para el panel del barbero
+    const sqlNotificacion = `
+      INSERT INTO notificaciones (usuario_id, titulo, mensaje, tipo, enlace)
+      VALUES (?, ?, ?, 'ausencia_revisada', ?)
+    `;
+    const paramsNotificacion = [
+      ausencia.empleado_usuario_id,
+      aprobada ? 'Ausencia aprobada' : 'Ausencia rechazada',
+      `Tu ausencia del ${ausencia.inicio.slice(0, 16)} al ${ausencia.fin.slice(0, 16)} fue ${aprobada ? 'aprobada' : 'rechazada'}${ausencia.comentario_revision ? `: ${ausencia.comentario_revision}` : ''}`,
+      '/empleado-citas'
+    ];
+
+    if (conexion) {
+      await conexion.query(sqlNotificacion, paramsNotificacion);
+    } else {
+      await query(sqlNotificacion, paramsNotificacion);
     }
+
+    const mensajes = [
+      { canal: 'push', tipo: 'decision_ausencia', usuarioId: ausencia.empleado_usuario_id, datos: { ausencia_id: ausencia.id } }
+    ];
+    if (ausencia.empleado_email) {
+      mensajes.push({ canal: 'email', tipo: 'decision_ausencia', usuarioId: ausencia.empleado_usuario_id, datos: { ausencia_id: ausencia.id } });
+    }
+
+    await bandejaSalidaService.encolar(conexion, mensajes);
   }
 
+  /**
+   * Encolar la cancelación del evento de Google Calendar de una cita y el aviso al cliente
+   * por email y, si los tiene activos, por SMS o WhatsApp
+   * @param {number} citaId - ID de la cita
+   * @param {Object|null} conexion - Conexión con la transacción de la cancelación
+   * @returns {Promise<void>}
+   */
+  async cancelarNotificacionesCita(citaId, conexion = null) {
+    const canalesMensajeria = await mensajeriaService.obtenerCanalesCita(citaId, conexion);
+
+    await bandejaSalidaService.encolar(conexion, [
+      { canal: 'email', tipo: 'cancelacion_cita', citaId },
+      { canal: 'calendario', tipo: 'cancelar_evento', citaId },
+      ...canalesMensajeria.map(canal => ({ canal, tipo: 'cancelacion_cita', citaId }))
+    ]);
+  }
+
+  /**
+   * Obtener los momentos de recordatorio de una cita
+   * @param {Object} usuario - Cliente con recordatorio_horas_antes (24 si no lo eligió; 0 lo desactiva)
+   * @param {number} horasUltimoAviso - Aviso del negocio antes de la cita (0 lo desactiva)
+   * @returns {Array<number>} Horas antes del inicio, de la más lejana a la más cercana
+   */
+  obtenerMomentosRecordatorio(usuario, horasUltimoAviso) {
+    const horasCliente = usuario.recordatorio_horas_antes === null || usuario.recordatorio_horas_antes === undefined
+      ? 24
+      : Number(usuario.recordatorio_horas_antes);
+
+    const momentos = [];
+    if (horasCliente > 0) momentos.push(horasCliente);
+    if (horasUltimoAviso > 0) momentos.push(horasUltimoAviso);
+
+    return [...new Set(momentos)].sort((a, b) => b - a);
+  }
+
+  /**
+   * Obtener los canales de recordatorio que el cliente tiene activos
+   * @param {Object} usuario - Cliente con email, telefono y sus preferencias notificacion_*
+   * @returns {Array<string>} Canales de la bandeja de salida
+   */
+  obtenerCanalesRecordatorio(usuario) {
+    const canales = [];
+    if (usuario.notificacion_correo && usuario.email) canales.push('email');
+    if (usuario.notificacion_push) canales.push('push');
+    return [...canales, ...mensajeriaService.obtenerCanales(usuario)];
+  }
+
+  /**
+   * Encolar los recordatorios cuyo momento ya llegó.
+   * Cada cita se recuerda a las horas que eligió su cliente (recordatorio_horas_antes) y en el
+   * último aviso del negocio (configuración recordatorio_horas_ultimo_aviso), solo por los canales
+   * que el cliente tiene activos. Si varios momentos llegaron a la vez (la cita se reservó o se
+   * reprogramó con poca anticipación) se envía el más cercano y los demás quedan Omitidos.
+   * @returns {Promise<Object>} { enviados, omitidos }
+   */
   async programarRecordatorios() {
-    try {
-      console.log('⏰ [notificacionService.programarRecordatorios] Programando recordatorios automáticos');
-      
-      // Obtener citas para mañana
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      const tomorrowStr = tomorrow.toISOString().split('T')[0];
-      
-      const citasSql = `
-        SELECT c.id
-        FROM citas c
-        INNER JOIN estados_citas ec ON c.estado_id = ec.id
-        WHERE DATE(c.fecha) = ? 
-          AND ec.nombre IN ('Confirmada', 'Pendiente')
-          AND c.recordatorio_enviado = 0
-      `;
-      
-      const citas = await query(citasSql, [tomorrowStr]);
-      
-      console.log(`📅 [notificacionService.programarRecordatorios] Encontradas ${citas.length} citas para recordar`);
-      
-      for (const cita of citas) {
-        try {
-          await this.enviarNotificacionesRecordatorio(cita.id);
-          
-          // Marcar recordatorio como enviado
-          await query('UPDATE citas SET recordatorio_enviado = 1 WHERE id = ?', [cita.id]);
-          
-        } catch (error) {
-          console.error(`❌ Error enviando recordatorio para cita ${cita.id}:`, error);
-        }
+    const horasUltimoAviso = Math.max(Number(await Configuracion.obtenerValor('recordatorio_horas_ultimo_aviso', 2)) || 0, 0);
+    const ahora = Date.now();
+
+    const citas = await query(`
+      SELECT c.id, c.fecha_hora_inicio,
+             u.email, u.telefono, u.notificacion_correo, u.notificacion_push,
+             u.notificacion_sms, u.notificacion_whatsapp, u.recordatorio_horas_antes
+      FROM citas c
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      INNER JOIN clientes cl ON c.cliente_id = cl.id
+      INNER JOIN usuarios u ON cl.usuario_id = u.id
+      WHERE ec.nombre IN ('Pendiente', 'Confirmada')
+        AND c.fecha_hora_inicio > UTC_TIMESTAMP()
+        AND c.fecha_hora_inicio <= UTC_TIMESTAMP() + INTERVAL GREATEST(COALESCE(u.recordatorio_horas_antes, 24), ?) HOUR
+    `, [horasUltimoAviso]);
+
+    const registrados = new Set((await RecordatorioCita.obtenerRegistrados(citas.map(cita => cita.id)))
+      .map(r => `${r.cita_id}|${ZonaHoraria.aFechaSQL(ZonaHoraria.parsearFechaUtc(r.fecha_hora_cita))}|${r.horas_antes}`));
+
+    const resultado = { enviados: 0, omitidos: 0 };
+
+    for (const cita of citas) {
+      const inicio = ZonaHoraria.parsearFechaUtc(cita.fecha_hora_inicio);
+      const fechaHoraCita = ZonaHoraria.aFechaSQL(inicio);
+
+      const vencidos = this.obtenerMomentosRecordatorio(cita, horasUltimoAviso)
+        .filter(horas => inicio.getTime() - horas * 60 * 60 * 1000 <= ahora)
+        .filter(horas => !registrados.has(`${cita.id}|${fechaHoraCita}|${horas}`));
+
+      if (vencidos.length === 0) continue;
+
+      const horasEnvio = vencidos[vencidos.length - 1];
+      const canales = this.obtenerCanalesRecordatorio(cita);
+
+      try {
+        // El registro del momento y el recordatorio encolado se confirman juntos
+        const cuenta = await transaccion(async (connection) => {
+          const parcial = { enviados: 0, omitidos: 0 };
+
+          for (const horas of vencidos) {
+            const enviar = horas === horasEnvio && canales.length > 0;
+
+            const registrado = await RecordatorioCita.crear(connection, {
+              cita_id: cita.id,
+              horas_antes: horas,
+              fecha_hora_cita: fechaHoraCita,
+              fecha_programada: ZonaHoraria.aFechaSQL(new Date(inicio.getTime() - horas * 60 * 60 * 1000)),
+              estado: enviar ? 'Enviado' : 'Omitido',
+              canales: enviar ? canales : null,
+              motivo_omision: enviar ? null : (horas === horasEnvio
+                ? 'El cliente no tiene canales de notificación activos'
+                : `Reemplazado por el recordatorio de ${horasEnvio} h`)
+            });
+
+            // Otro proceso ya registró este momento
+            if (!registrado) continue;
+
+            if (enviar) {
+              await this.enviarNotificacionesRecordatorio(cita.id, connection, canales);
+              parcial.enviados++;
+            } else {
+              parcial.omitidos++;
+            }
+          }
+
+          return parcial;
+        });
+
+        resultado.enviados += cuenta.enviados;
+        resultado.omitidos += cuenta.omitidos;
+      } catch (error) {
+        console.error(`❌ [notificacionService.programarRecordatorios] Error en la cita ${cita.id}:`, error);
       }
-      
-      console.log('✅ [notificacionService.programarRecordatorios] Recordatorios programados completados');
-      
-    } catch (error) {
-      console.error('❌ [notificacionService.programarRecordatorios] Error general:', error);
-      throw error;
     }
+
+    return resultado;
+  }
+
+  /**
+   * Enviar ahora el recordatorio de una cita, por los canales que el cliente tiene activos.
+   * Se registra en recordatorios_cita con las horas que faltan para la cita, así que si coincide
+   * con un momento programado cuenta como ese recordatorio y no se envía dos veces.
+   * @param {number} citaId - ID de la cita
+   * @returns {Promise<Object>} { horas_antes, canales }
+   */
+  async enviarRecordatorioManual(citaId) {
+    const [cita] = await query(`
+      SELECT c.id, c.fecha_hora_inicio, ec.nombre AS estado,
+             u.email, u.telefono, u.notificacion_correo, u.notificacion_push,
+             u.notificacion_sms, u.notificacion_whatsapp
+      FROM citas c
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      INNER JOIN clientes cl ON c.cliente_id = cl.id
+      INNER JOIN usuarios u ON cl.usuario_id = u.id
+      WHERE c.id = ?
+    `, [citaId]);
+
+    if (!cita) {
+      throw new NotFoundError('Cita no encontrada');
+    }
+
+    const inicio = ZonaHoraria.parsearFechaUtc(cita.fecha_hora_inicio);
+    if (!['Pendiente', 'Confirmada'].includes(cita.estado) || inicio.getTime() <= Date.now()) {
+      throw new ValidationError('Solo se recuerdan citas pendientes o confirmadas que aún no comienzan');
+    }
+
+    const canales = this.obtenerCanalesRecordatorio(cita);
+    if (canales.length === 0) {
+      throw new ValidationError('El cliente no tiene canales de notificación activos');
+    }
+
+    const horas = Math.floor((inicio.getTime() - Date.now()) / (60 * 60 * 1000));
+
+    await transaccion(async (connection) => {
+      const registrado = await RecordatorioCita.crear(connection, {
+        cita_id: cita.id,
+        horas_antes: horas,
+        fecha_hora_cita: ZonaHoraria.aFechaSQL(inicio),
+        fecha_programada: ZonaHoraria.aFechaSQL(new Date()),
+        estado: 'Enviado',
+        canales
+      });
+
+      if (!registrado) {
+        throw new ConflictError(`Ya se registró el recordatorio de ${horas} h para esta cita`);
+      }
+
+      await this.enviarNotificacionesRecordatorio(cita.id, connection, canales);
+    });
+
+    return { horas_antes: horas, canales };
   }
 }
 
@@ -0,0 +1,271 @@
+const { transaccion } = require('../config/database');
+const disponibilidadService = require('./disponibilidadService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { ESTADOS_CITA } = require('../config/estadosCita');
+const ZonaHoraria = require('../utils/zonaHoraria');
+
+// Citas que un cambio de plan no puede dejar fuera del horario del barbero
+const ESTADOS_RESERVADOS = [ESTADOS_CITA.PENDIENTE, ESTADOS_CITA.CONFIRMADA];
+
+// Semanas que se pueden planificar de una vez al copiar una semana hacia adelante
+const MAX_SEMANAS_COPIA = 12;
+
+/**
+ * Planificador de turnos.
+ * Muestra el plan semanal de cada empleado (plantilla o horario semanal más excepciones)
+ * y copia el plan de una semana a las siguientes como horarios especiales por fecha,
+ * que quedan en excepciones_horario y se pueden ajustar día a día.
+ */
+class PlanificadorHorarioService {
+  /**
+   * Obtener los empleados a planificar
+   * @param {Array<number>|null} empleadoIds - IDs concretos o null para todos los activos
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Array>} [{ id, empleado_nombre }]
+   */
+  async obtenerEmpleados(empleadoIds = null, conexion = null) {
+    let sql = `
+      SELECT e.id, CONCAT(u.nombre, ' ', u.apellido) as empleado_nombre
+      FROM empleados e
+      INNER JOIN usuarios u ON e.usuario_id = u.id
+      WHERE e.activo = 1
+    `;
+    const params = [];
+
+    if (empleadoIds && empleadoIds.length > 0) {
+      sql += ` AND e.id IN (${empleadoIds.map(() => '?').join(', ')})`;
+      params.push(...empleadoIds.map(Number));
+    }
+
+    return disponibilidadService.consultar(`${sql} ORDER BY u.nombre, u.apellido`, params, conexion);
+  }
+
+  /**
+   * Restar los descansos de los turnos
+   * @param {Object} horario - { intervalos, descansos } en minutos
+   * @returns {Array} Intervalos trabajados { inicio, fin }
+   */
+  aTurnos(horario) {
+    return horario.descansos.reduce(
+      (intervalos, descanso) => disponibilidadService.restarIntervalo(intervalos, descanso),
+      horario.intervalos
+    );
+  }
+
+  /**
+   * Obtener el plan propio de un empleado en una fecha, sin las excepciones de la barbería
+   * @param {number} empleadoId - ID del empleado
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Array>} Intervalos trabajados { inicio, fin } en minutos
+   */
+  async obtenerPlanDia(empleadoId, fecha, conexion = null) {
+    const propias = await disponibilidadService.consultar(`
+      SELECT tipo, hora_inicio, hora_fin
+      FROM excepciones_horario
+      WHERE fecha = ? AND empleado_id = ?
+      ORDER BY hora_inicio
+    `, [fecha, empleadoId], conexion);
+
+    if (propias.some(excepcion => excepcion.tipo === 'Cerrado')) return [];
+
+    if (propias.length > 0) {
+      return propias.map(excepcion => ({
+        inicio: disponibilidadService.horaAMinutos(excepcion.hora_inicio),
+        fin: disponibilidadService.horaAMinutos(excepcion.hora_fin)
+      }));
+    }
+
+    return this.aTurnos(await disponibilidadService.obtenerHorarioBase(empleadoId, fecha, conexion));
+  }
+
+  /**
+   * Obtener las citas futuras que un empleado tiene reservadas en una fecha local
+   * @param {number} empleadoId - ID del empleado
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {string} zonaHoraria - Zona horaria IANA del empleado
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Array>} [{ id, estado, intervalos }] con los intervalos del empleado en minutos
+   */
+  async obtenerCitasDia(empleadoId, fecha, zonaHoraria, conexion = null) {
+    const dia = ZonaHoraria.rangoDiaUtc(fecha, zonaHoraria);
+    const limites = [ZonaHoraria.aFechaSQL(dia.fin), ZonaHoraria.aFechaSQL(dia.inicio)];
+    const filtroEstados = `ec.nombre IN (${ESTADOS_RESERVADOS.map(() => '?').join(', ')})`;
+
+    // Igual que la disponibilidad: si la cita tiene horarios por servicio, solo cuentan los del empleado
+    const filas = await disponibilidadService.consultar(`
+      SELECT c.id, ec.nombre AS estado, c.fecha_hora_inicio, c.fecha_hora_fin
+      FROM citas c
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      WHERE c.empleado_id = ?
+        AND c.fecha_hora_inicio < ?
+        AND c.fecha_hora_fin > ?
+        AND c.fecha_hora_inicio > UTC_TIMESTAMP()
+        AND ${filtroEstados}
+        AND NOT EXISTS (
+          SELECT 1 FROM cita_servicio cs
+          WHERE cs.cita_id = c.id AND cs.fecha_hora_inicio IS NOT NULL
+        )
+      UNION ALL
+      SELECT c.id, ec.nombre AS estado, cs.fecha_hora_inicio, cs.fecha_hora_fin
+      FROM cita_servicio cs
+      INNER JOIN citas c ON cs.cita_id = c.id
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      WHERE COALESCE(cs.empleado_id, c.empleado_id) = ?
+        AND cs.fecha_hora_inicio < ?
+        AND cs.fecha_hora_fin > ?
+        AND c.fecha_hora_inicio > UTC_TIMESTAMP()
+        AND ${filtroEstados}
+    `, [empleadoId, ...limites, ...ESTADOS_RESERVADOS, empleadoId, ...limites, ...ESTADOS_RESERVADOS], conexion);
+
+    const citas = new Map();
+    for (const fila of filas) {
+      if (!citas.has(fila.id)) citas.set(fila.id, { id: fila.id, estado: fila.estado, intervalos: [] });
+      citas.get(fila.id).intervalos.push(disponibilidadService.recortarAlDia(
+        ZonaHoraria.utcALocal(fila.fecha_hora_inicio, zonaHoraria),
+        ZonaHoraria.utcALocal(fila.fecha_hora_fin, zonaHoraria),
+        fecha
+      ));
+    }
+
+    return [...citas.values()];
+  }
+
+  /**
+   * Obtener el plan de la semana de una fecha para varios empleados
+   * @param {string} fecha - Cualquier fecha de la semana 'YYYY-MM-DD'
+   * @param {Array<number>|null} empleadoIds - IDs concretos o null para todos los activos
+   * @returns {Promise<Object>} { semana, empleados: [{ empleado_id, empleado_nombre, dias }] }
+   */
+  async obtenerPlanSemana(fecha, empleadoIds = null) {
+    const lunes = disponibilidadService.obtenerLunes(fecha);
+    const empleados = await this.obtenerEmpleados(empleadoIds);
+    const formatear = (intervalo) => ({
+      inicio: disponibilidadService.minutosAHora(intervalo.inicio),
+      fin: disponibilidadService.minutosAHora(intervalo.fin)
+    });
+
+    const plan = [];
+    for (const empleado of empleados) {
+      const dias = [];
+
+      for (let dia = 0; dia < 7; dia++) {
+        const fechaDia = disponibilidadService.sumarDias(lunes, dia);
+        const jornada = await disponibilidadService.obtenerJornada(empleado.id, fechaDia);
+
+        dias.push({
+          fecha: fechaDia,
+          dia_semana: dia + 1,
+          origen: jornada.origen,
+          turnos: jornada.intervalos.map(formatear),
+          descansos: jornada.descansos.map(formatear)
+        });
+      }
+
+      plan.push({ empleado_id: empleado.id, empleado_nombre: empleado.empleado_nombre, dias });
+    }
+
+    return { semana: lunes, empleados: plan };
+  }
+
+  /**
+   * Copiar el plan de una semana a las siguientes.
+   * Para cada día destino se reemplazan las excepciones propias del empleado; solo se crea
+   * un horario especial o un cierre cuando el plan copiado difiere de su horario habitual.
+   * Las excepciones de toda la barbería no se copian y siguen aplicando.
+   * Cada día destino se bloquea como al reservar, y los días cuyo plan nuevo dejaría fuera
+   * alguna cita pendiente o confirmada no se modifican: se devuelven en dias_omitidos.
+   * @param {Object} datos - { fecha, semanas, empleadoIds }
+   * @returns {Promise<Object>} { semana_origen, semanas, dias_modificados, excepciones_creadas, dias_omitidos }
+   */
+  async copiarSemana(datos) {
+    const { fecha, empleadoIds = null } = datos;
+    const semanas = parseInt(datos.semanas) || 1;
+
+    if (semanas < 1 || semanas > MAX_SEMANAS_COPIA) {
+      throw new ValidationError(`Se pueden copiar entre 1 y ${MAX_SEMANAS_COPIA} semanas`);
+    }
+
+    const lunes = disponibilidadService.obtenerLunes(fecha);
+    const motivo = `Plan copiado de la semana del ${lunes}`;
+    const iguales = (a, b) => a.length === b.length
+      && a.every((intervalo, i) => intervalo.inicio === b[i].inicio && intervalo.fin === b[i].fin);
+
+    return transaccion(async (connection) => {
+      // Por ID, el mismo orden en que las reservas bloquean las agendas
+      const empleados = (await this.obtenerEmpleados(empleadoIds, connection)).sort((a, b) => a.id - b.id);
+      const diasOmitidos = [];
+      let diasModificados = 0;
+      let excepcionesCreadas = 0;
+
+      for (const empleado of empleados) {
+        const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: empleado.id });
+        const origen = [];
+        for (let dia = 0; dia < 7; dia++) {
+          origen.push(await this.obtenerPlanDia(empleado.id, disponibilidadService.sumarDias(lunes, dia), connection));
+        }
+
+        for (let semana = 1; semana <= semanas; semana++) {
+          for (let dia = 0; dia < 7; dia++) {
+            const destino = disponibilidadService.sumarDias(lunes, semana * 7 + dia);
+            const turnos = origen[dia];
+
+            await disponibilidadService.bloquearAgenda(connection, empleado.id, destino);
+
+            const fueraDelPlan = (await this.obtenerCitasDia(empleado.id, destino, zonaHoraria, connection))
+              .filter(cita => !cita.intervalos.every(intervalo => turnos.some(turno => turno.inicio <= intervalo.inicio && intervalo.fin <= turno.fin)));
+
+            if (fueraDelPlan.length > 0) {
+              diasOmitidos.push({
+                empleado_id: empleado.id,
+                empleado_nombre: empleado.empleado_nombre,
+                fecha: destino,
+                citas: fueraDelPlan.map(cita => ({ id: cita.id, estado: cita.estado }))
+              });
+              continue;
+            }
+
+            const [eliminadas] = await connection.query(
+              'DELETE FROM excepciones_horario WHERE fecha = ? AND empleado_id = ?',
+              [destino, empleado.id]
+            );
+
+            const habitual = this.aTurnos(await disponibilidadService.obtenerHorarioBase(empleado.id, destino, connection));
+            if (iguales(turnos, habitual)) {
+              if (eliminadas.affectedRows > 0) diasModificados++;
+              continue;
+            }
+
+            const filas = turnos.length === 0
+              ? [['Cerrado', null, null]]
+              : turnos.map(turno => [
+                'Horario especial',
+                `${disponibilidadService.minutosAHora(turno.inicio)}:00`,
+                `${disponibilidadService.minutosAHora(turno.fin)}:00`
+              ]);
+
+            for (const [tipo, horaInicio, horaFin] of filas) {
+              await connection.query(`
+                INSERT INTO excepciones_horario (empleado_id, fecha, tipo, hora_inicio, hora_fin, motivo)
+                VALUES (?, ?, ?, ?, ?, ?)
+              `, [empleado.id, destino, tipo, horaInicio, horaFin, motivo]);
+              excepcionesCreadas++;
+            }
+            diasModificados++;
+          }
+        }
+      }
+
+      return {
+        semana_origen: lunes,
+        semanas,
+        empleados: empleados.length,
+        dias_modificados: diasModificados,
+        excepciones_creadas: excepcionesCreadas,
+        dias_omitidos: diasOmitidos
+      };
+    });
+  }
+}
+
+module.exports = new PlanificadorHorarioService();
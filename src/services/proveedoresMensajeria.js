@@ -0,0 +1,165 @@
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+
+// Tiempo máximo de espera de una API de mensajería antes de dar el intento por fallido
+const TIMEOUT_MS = 15000;
+
+/**
+ * Convertir un error de axios en uno con la respuesta del proveedor, que es lo que explica el rechazo
+ * @param {string} proveedor - Nombre del proveedor
+ * @param {Error} error - Error de axios
+ * @returns {Error} Error para la bandeja de salida
+ */
+const errorDeProveedor = (proveedor, error) => {
+  if (error.response) {
+    return new Error(`${proveedor} respondió ${error.response.status}: ${JSON.stringify(error.response.data)}`);
+  }
+  return new Error(`${proveedor}: ${error.message}`);
+};
+
+/**
+ * Proveedor SMS por una API HTTP genérica.
+ * POST a SMS_API_URL con { to, from, body } en JSON y el token como Bearer.
+ */
+class ProveedorSmsHttp {
+  constructor() {
+    this.nombre = 'http';
+    this.url = process.env.SMS_API_URL;
+    this.token = process.env.SMS_API_TOKEN;
+    this.remitente = process.env.SMS_REMITENTE;
+  }
+
+  /**
+   * Enviar un SMS
+   * @param {Object} mensaje - { telefono, texto } telefono en formato E.164
+   * @returns {Promise<Object>} { idExterno }
+   */
+  async enviar({ telefono, texto }) {
+    if (!this.url) {
+      throw new Error('SMS_API_URL no está configurada');
+    }
+
+    let data;
+    try {
+      ({ data } = await axios.post(this.url, {
+        to: telefono,
+        from: this.remitente,
+        body: texto
+      }, {
+        headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+        timeout: TIMEOUT_MS
+      }));
+    } catch (error) {
+      throw errorDeProveedor('API de SMS', error);
+    }
+
+    const idExterno = data && (data.id || data.sid || data.message_id);
+    return { idExterno: idExterno ? String(idExterno) : null };
+  }
+}
+
+/**
+ * Proveedor WhatsApp por la API de WhatsApp Business (Cloud API).
+ * Envía mensajes de texto; fuera de la ventana de 24 horas de conversación Meta exige
+ * plantillas aprobadas, por lo que esos envíos pueden ser rechazados por el proveedor.
+ */
+class ProveedorWhatsApp {
+  constructor() {
+    this.nombre = 'whatsapp';
+    this.url = process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v19.0';
+    this.numeroId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    this.token = process.env.WHATSAPP_TOKEN;
+  }
+
+  /**
+   * Enviar un mensaje de WhatsApp
+   * @param {Object} mensaje - { telefono, texto } telefono en formato E.164
+   * @returns {Promise<Object>} { idExterno }
+   */
+  async enviar({ telefono, texto }) {
+    if (!this.numeroId || !this.token) {
+      throw new Error('WHATSAPP_PHONE_NUMBER_ID y WHATSAPP_TOKEN no están configurados');
+    }
+
+    let data;
+    try {
+      ({ data } = await axios.post(`${this.url}/${this.numeroId}/messages`, {
+        messaging_product: 'whatsapp',
+        to: telefono.replace(/^\+/, ''),
+        type: 'text',
+        text: { body: texto }
+      }, {
+        headers: { Authorization: `Bearer ${this.token}` },
+        timeout: TIMEOUT_MS
+      }));
+    } catch (error) {
+      throw errorDeProveedor('API de WhatsApp', error);
+    }
+
+    return { idExterno: data && data.messages && data.messages[0] ? data.messages[0].id : null };
+  }
+}
+
+/**
+ * Proveedor local para desarrollo y pruebas: no envía nada, escribe cada mensaje
+ * en la consola y como una línea JSON en MENSAJERIA_ARCHIVO.
+ */
+class ProveedorArchivo {
+  /**
+   * @param {string} canal - 'sms' o 'whatsapp'
+   */
+  constructor(canal) {
+    this.nombre = 'archivo';
+    this.canal = canal;
+    this.archivo = process.env.MENSAJERIA_ARCHIVO || path.join('logs', 'mensajes.log');
+  }
+
+  /**
+   * Registrar un mensaje
+   * @param {Object} mensaje - { telefono, texto }
+   * @returns {Promise<Object>} { idExterno }
+   */
+  async enviar({ telefono, texto }) {
+    const idExterno = `${this.canal}-${Date.now()}`;
+
+    console.log(`📱 [proveedoresMensajeria.archivo] ${this.canal} para ${telefono}:\n${texto}`);
+
+    await fs.mkdir(path.dirname(this.archivo), { recursive: true });
+    await fs.appendFile(this.archivo, JSON.stringify({
+      id: idExterno,
+      canal: this.canal,
+      telefono,
+      texto,
+      fecha: new Date().toISOString()
+    }) + '\n');
+
+    return { idExterno };
+  }
+}
+
+/**
+ * Crear el proveedor configurado para un canal
+ * SMS_PROVEEDOR: 'http' o 'archivo'; WHATSAPP_PROVEEDOR: 'whatsapp' o 'archivo'.
+ * Sin configurar se usa 'archivo', de modo que ningún entorno envía mensajes reales por omisión.
+ * @param {string} canal - 'sms' o 'whatsapp'
+ * @returns {Object} Proveedor con nombre y enviar({ telefono, texto })
+ */
+const crearProveedor = (canal) => {
+  const nombre = canal === 'sms' ? process.env.SMS_PROVEEDOR : process.env.WHATSAPP_PROVEEDOR;
+
+  if (canal === 'sms' && nombre === 'http') return new ProveedorSmsHttp();
+  if (canal === 'whatsapp' && nombre === 'whatsapp') return new ProveedorWhatsApp();
+
+  if (nombre && nombre !== 'archivo') {
+    console.warn(`⚠️ [proveedoresMensajeria] Proveedor de ${canal} desconocido: ${nombre}. Se usará 'archivo'.`);
+  }
+  return new ProveedorArchivo(canal);
+};
+
+module.exports = {
+  ProveedorSmsHttp,
+  ProveedorWhatsApp,
+  ProveedorArchivo,
+  crearProveedor
+};
@@ -0,0 +1,568 @@
+const { query, transaccion } = require('../config/database');
+const ColaRecepcion = require('../models/ColaRecepcion');
+const disponibilidadService = require('./disponibilidadService');
+const cotizacionService = require('./cotizacionService');
+const reservacionService = require('./reservacionService');
+const asignacionEmpleadoService = require('./asignacionEmpleadoService');
+const estadoCitaService = require('./estadoCitaService');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const { ConflictError, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+// Estados de una cita reservada que aún no empieza
+const ESTADOS_POR_ATENDER = ['Pendiente', 'Confirmada'];
+
+/**
+ * Recepción de la barbería.
+ * Mantiene la cola de clientes presentes (llegadas sin cita y clientes con reservación
+ * que registraron su llegada), estima la espera con las citas del día y el trabajo en
+ * curso de cada barbero, y lleva a las citas por Pendiente/Confirmada → En proceso → Completada
+ * a través de la máquina de estados (estadoCitaService), que también sincroniza la cola.
+ * Al llamar a un cliente sin cita se crea su cita (origen Presencial) ya En proceso, con el
+ * mismo motor de disponibilidad y asignación que las reservaciones web.
+ * Todo se calcula en la zona horaria del negocio.
+ */
+class RecepcionService {
+  /**
+   * Obtener la zona del negocio con la fecha y los minutos actuales
+   * @returns {Promise<Object>} { zonaHoraria, fecha, minutos }
+   */
+  async obtenerMomento() {
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria();
+    return { zonaHoraria, ...ZonaHoraria.ahora(zonaHoraria) };
+  }
+
+  /**
+   * Obtener qué servicios realiza cada empleado activo y en cuántos minutos
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Map>} empleado_id → Map(servicio_id → duración)
+   */
+  async obtenerCapacidades(conexion = null) {
+    const filas = await disponibilidadService.consultar(`
+      SELECT es.empleado_id, es.servicio_id, COALESCE(es.duracion, s.duracion) as duracion
+      FROM empleado_servicio es
+      INNER JOIN empleados e ON es.empleado_id = e.id
+      INNER JOIN servicios s ON es.servicio_id = s.id
+      WHERE es.puede_realizar = 1 AND e.activo = 1 AND s.activo = 1
+    `, [], conexion);
+
+    const capacidades = new Map();
+    for (const fila of filas) {
+      if (!capacidades.has(fila.empleado_id)) capacidades.set(fila.empleado_id, new Map());
+      capacidades.get(fila.empleado_id).set(fila.servicio_id, fila.duracion);
+    }
+
+    return capacidades;
+  }
+
+  /**
+   * Calcular lo que tardaría un empleado en realizar todos los servicios
+   * @param {Map} capacidades - Resultado de obtenerCapacidades
+   * @param {number} empleadoId - ID del empleado
+   * @param {Array} servicios - [{ id, cantidad }]
+   * @returns {number|null} Minutos, o null si no realiza alguno de los servicios
+   */
+  calcularDuracion(capacidades, empleadoId, servicios) {
+    const propios = capacidades.get(empleadoId);
+    if (!propios || !servicios.every(servicio => propios.has(servicio.id))) return null;
+
+    return servicios.reduce((total, servicio) => total + propios.get(servicio.id) * servicio.cantidad, 0);
+  }
+
+  /**
+   * Obtener las citas que se están atendiendo
+   * @param {Object|null} conexion - Conexión de mysql2 con transacción abierta
+   * @returns {Promise<Array>} Citas En proceso con el nombre del cliente
+   */
+  async obtenerEnProceso(conexion = null) {
+    return await disponibilidadService.consultar(`
+      SELECT c.id, c.empleado_id, c.cliente_id, c.fecha_hora_inicio, c.fecha_hora_fin, c.fecha_inicio_atencion,
+             CONCAT(u.nombre, ' ', u.apellido) as cliente_nombre
+      FROM citas c
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      INNER JOIN clientes cl ON c.cliente_id = cl.id
+      INNER JOIN usuarios u ON cl.usuario_id = u.id
+      WHERE ec.nombre = 'En proceso'
+    `, [], conexion);
+  }
+
+  /**
+   * Bloquear la agenda del barbero y comprobar que no está atendiendo a otro cliente
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {number} empleadoId - ID del empleado
+   * @param {string} fecha - Fecha local 'YYYY-MM-DD'
+   * @returns {Promise<void>}
+   */
+  async verificarBarberoLibre(conexion, empleadoId, fecha) {
+    await disponibilidadService.bloquearAgenda(conexion, empleadoId, fecha);
+
+    const [ocupado] = await conexion.query(`
+      SELECT c.id
+      FROM citas c
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      WHERE c.empleado_id = ? AND ec.nombre = 'En proceso'
+      LIMIT 1
+    `, [empleadoId]);
+
+    if (ocupado.length > 0) {
+      throw new ConflictError(`El barbero está atendiendo la cita ${ocupado[0].id}`);
+    }
+  }
+
+  /**
+   * Pasar una cita reservada a En proceso si su barbero está libre
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {Object} cita - Cita bloqueada (estadoCitaService.obtenerCitaBloqueada)
+   * @param {string} fecha - Fecha local de hoy 'YYYY-MM-DD'
+   * @param {Object} usuario - { usuarioId, rolId }
+   * @returns {Promise<Object>} Cambio de estado, para ejecutar sus efectos tras el commit
+   */
+  async iniciarAtencion(conexion, cita, fecha, usuario = {}) {
+    if (!ESTADOS_POR_ATENDER.includes(cita.estado)) {
+      throw new ConflictError(`La cita está ${cita.estado} y no puede iniciarse`);
+    }
+
+    await this.verificarBarberoLibre(conexion, cita.empleado_id, fecha);
+    return await estadoCitaService.transicionar(conexion, cita, 'En proceso', usuario);
+  }
+
+  /**
+   * Registrar a un cliente que llega sin cita
+   * @param {Object} datos - { clienteId, empleadoId, servicios, notas, usuarioId }
+   *                         empleadoId es el barbero pedido; sin él lo atiende cualquiera
+   * @returns {Promise<Object>} Entrada creada con la espera estimada
+   */
+  async registrarSinCita(datos) {
+    const { clienteId, empleadoId = null, servicios, notas = null, usuarioId = null } = datos;
+
+    const clientes = await query('SELECT id FROM clientes WHERE id = ?', [clienteId]);
+    if (clientes.length === 0) {
+      throw new NotFoundError('Cliente no encontrado');
+    }
+
+    const seleccion = disponibilidadService.normalizarServicios(servicios || [])
+      .map(servicio => ({ id: servicio.id, cantidad: servicio.cantidad }));
+    if (seleccion.length === 0) {
+      throw new ValidationError('Debes seleccionar al menos un servicio');
+    }
+
+    const capacidades = await this.obtenerCapacidades();
+    if (empleadoId) {
+      if (this.calcularDuracion(capacidades, empleadoId, seleccion) === null) {
+        throw new ValidationError('El barbero seleccionado no realiza todos los servicios solicitados');
+      }
+    } else if (![...capacidades.keys()].some(id => this.calcularDuracion(capacidades, id, seleccion) !== null)) {
+      throw new ValidationError('Ningún barbero activo realiza todos los servicios solicitados');
+    }
+
+    const duracion = await disponibilidadService.calcularDuracionServicios(seleccion, empleadoId);
+    if (!duracion) {
+      throw new ValidationError('Alguno de los servicios seleccionados no existe o no está activo');
+    }
+
+    const id = await transaccion(async (connection) => {
+      return await ColaRecepcion.crear(connection, {
+        cliente_id: clienteId,
+        tipo: 'Sin cita',
+        empleado_id: empleadoId,
+        servicios: seleccion,
+        duracion,
+        notas,
+        registrado_por: usuarioId,
+        fecha_llegada: ZonaHoraria.aFechaSQL(new Date())
+      });
+    });
+
+    const cola = await this.obtenerCola();
+    return cola.cola.find(entrada => entrada.id === id);
+  }
+
+  /**
+   * Registrar la llegada de un cliente con reservación para hoy
+   * @param {number} citaId - ID de la cita
+   * @param {number|null} usuarioId - Usuario de recepción
+   * @returns {Promise<Object>} Entrada creada con la espera estimada
+   */
+  async registrarLlegada(citaId, usuarioId = null) {
+    const { zonaHoraria, fecha } = await this.obtenerMomento();
+
+    const id = await transaccion(async (connection) => {
+      const cita = await estadoCitaService.obtenerCitaBloqueada(connection, citaId);
+
+      if (!ESTADOS_POR_ATENDER.includes(cita.estado)) {
+        throw new ConflictError(`La cita está ${cita.estado} y no admite registrar la llegada`);
+      }
+      if (ZonaHoraria.utcALocal(cita.fecha_hora_inicio, zonaHoraria).slice(0, 10) !== fecha) {
+        throw new ValidationError('Solo se puede registrar la llegada de citas de hoy');
+      }
+      if (cita.fecha_llegada) {
+        throw new ConflictError('La llegada de esta cita ya fue registrada');
+      }
+
+      const [detalle] = await connection.query(`
+        SELECT servicio_id, notas FROM cita_servicio WHERE cita_id = ? ORDER BY orden, id
+      `, [citaId]);
+
+      // La cantidad de cada servicio se guarda en las notas del detalle ('Cantidad: N')
+      const servicios = detalle.map(linea => {
+        const cantidad = /Cantidad:\s*(\d+)/.exec(linea.notas || '');
+        return { id: linea.servicio_id, cantidad: cantidad ? parseInt(cantidad[1]) : 1 };
+      });
+
+      const ahora = new Date();
+      await connection.query(`
+        UPDATE citas SET fecha_llegada = ?, updated_at = NOW() WHERE id = ?
+      `, [ZonaHoraria.aFechaSQL(ahora), citaId]);
+
+      const duracion = Math.round((ZonaHoraria.parsearFechaUtc(cita.fecha_hora_fin) - ZonaHoraria.parsearFechaUtc(cita.fecha_hora_inicio)) / 60000);
+
+      return await ColaRecepcion.crear(connection, {
+        cliente_id: cita.cliente_id,
+        tipo: 'Con cita',
+        cita_id: citaId,
+        empleado_id: cita.empleado_id,
+        servicios,
+        duracion: Math.max(duracion, 1),
+        registrado_por: usuarioId,
+        fecha_llegada: ZonaHoraria.aFechaSQL(ahora)
+      });
+    });
+
+    const cola = await this.obtenerCola();
+    return cola.cola.find(entrada => entrada.id === id);
+  }
+
+  /**
+   * Obtener la cola de hoy con el estado de cada barbero y la espera estimada.
+   * Cada barbero queda libre al terminar su cita en curso. Los clientes con cita se
+   * atienden a su hora (o cuando su barbero se libere); los que llegaron sin cita, por
+   * orden de llegada, en el primer hueco de la agenda de hoy en que quepan sus servicios,
+   * con el barbero pedido o con el primero que pueda hacerlo.
+   * @returns {Promise<Object>} { zona_horaria, fecha, hora, barberos, cola }
+   */
+  async obtenerCola() {
+    const { zonaHoraria, fecha, minutos } = await this.obtenerMomento();
+    const dia = ZonaHoraria.rangoDiaUtc(fecha, zonaHoraria);
+
+    const entradas = await ColaRecepcion.obtenerTodas({
+      estados: ['En espera', 'Llamado'],
+      desde: ZonaHoraria.aFechaSQL(dia.inicio)
+    });
+
+    const empleados = await query(`
+      SELECT e.id, CONCAT(u.nombre, ' ', u.apellido) as nombre
+      FROM empleados e
+      INNER JOIN usuarios u ON e.usuario_id = u.id
+      WHERE e.activo = 1 AND u.activo = 1
+      ORDER BY e.id
+    `);
+    const enProceso = await this.obtenerEnProceso();
+    const capacidades = await this.obtenerCapacidades();
+
+    const aLocal = valor => (valor ? ZonaHoraria.utcALocal(valor, zonaHoraria, 'T') : null);
+    const aMinutos = (inicio, fin) => disponibilidadService.recortarAlDia(
+      ZonaHoraria.utcALocal(inicio, zonaHoraria),
+      ZonaHoraria.utcALocal(fin, zonaHoraria),
+      fecha
+    );
+
+    // Huecos de hoy desde ahora, recortados hasta que el barbero termine lo que está haciendo
+    const agendas = new Map();
+    const barberos = [];
+    for (const empleado of empleados) {
+      const atendiendo = enProceso.find(cita => cita.empleado_id === empleado.id) || null;
+      const libreDesde = Math.max(minutos, atendiendo ? aMinutos(atendiendo.fecha_hora_inicio, atendiendo.fecha_hora_fin).fin : 0);
+
+      let intervalos = await disponibilidadService.obtenerIntervalosLibres(empleado.id, fecha, { zonaHoraria });
+      intervalos = disponibilidadService.restarIntervalo(intervalos, { inicio: 0, fin: libreDesde });
+      agendas.set(empleado.id, { libreDesde, intervalos });
+
+      barberos.push({
+        id: empleado.id,
+        nombre: empleado.nombre,
+        atendiendo: atendiendo
+          ? {
+            cita_id: atendiendo.id,
+            cliente_nombre: atendiendo.cliente_nombre,
+            inicio: aLocal(atendiendo.fecha_inicio_atencion || atendiendo.fecha_hora_inicio),
+            fin_previsto: aLocal(atendiendo.fecha_hora_fin)
+          }
+          : null,
+        libre_desde: disponibilidadService.minutosAHora(libreDesde)
+      });
+    }
+
+    const cola = entradas.map(entrada => ({
+      ...entrada,
+      fecha_llegada: aLocal(entrada.fecha_llegada),
+      fecha_llamado: aLocal(entrada.fecha_llamado),
+      cita_inicio: aLocal(entrada.cita_inicio),
+      cita_fin: aLocal(entrada.cita_fin),
+      empleado_estimado_id: null,
+      hora_estimada: null,
+      espera_minutos: null
+    }));
+
+    const estimar = (entrada, empleadoId, inicio) => {
+      entrada.empleado_estimado_id = empleadoId;
+      entrada.hora_estimada = disponibilidadService.minutosAHora(inicio);
+      entrada.espera_minutos = Math.max(inicio - minutos, 0);
+    };
+
+    const originales = new Map(entradas.map(entrada => [entrada.id, entrada]));
+    for (const entrada of cola.filter(item => item.estado === 'En espera' && item.tipo === 'Con cita' && item.cita_inicio)) {
+      const original = originales.get(entrada.id);
+      const agenda = agendas.get(entrada.empleado_id);
+      const inicio = aMinutos(original.cita_inicio, original.cita_fin).inicio;
+      estimar(entrada, entrada.empleado_id, Math.max(inicio, agenda ? agenda.libreDesde : minutos));
+    }
+
+    for (const entrada of cola.filter(item => item.estado === 'En espera' && item.tipo === 'Sin cita')) {
+      const candidatos = entrada.empleado_id ? [entrada.empleado_id] : [...agendas.keys()];
+      let mejor = null;
+
+      for (const empleadoId of candidatos) {
+        const duracion = this.calcularDuracion(capacidades, empleadoId, entrada.servicios);
+        const agenda = agendas.get(empleadoId);
+        if (duracion === null || !agenda) continue;
+
+        const hueco = agenda.intervalos.find(intervalo => intervalo.fin - intervalo.inicio >= duracion);
+        if (hueco && (!mejor || hueco.inicio < mejor.inicio)) {
+          mejor = { empleadoId, inicio: hueco.inicio, fin: hueco.inicio + duracion };
+        }
+      }
+
+      if (!mejor) continue;
+
+      // El hueco estimado deja de estar libre para los que llegaron después
+      const agenda = agendas.get(mejor.empleadoId);
+      agenda.intervalos = disponibilidadService.restarIntervalo(agenda.intervalos, mejor);
+      estimar(entrada, mejor.empleadoId, mejor.inicio);
+    }
+
+    return {
+      zona_horaria: zonaHoraria,
+      fecha,
+      hora: disponibilidadService.minutosAHora(minutos),
+      barberos,
+      cola
+    };
+  }
+
+  /**
+   * Llamar a un cliente de la cola y empezar a atenderlo
+   * @param {number} entradaId - ID de la entrada
+   * @param {Object} datos - { empleadoId, usuarioId, rolId } empleadoId: barbero que lo atiende
+   *                         (obligatoriamente el de la cita si tiene reservación)
+   * @returns {Promise<Object>} { entradaId, citaId, empleadoId }
+   */
+  async llamar(entradaId, datos = {}) {
+    const { empleadoId = null, usuarioId = null, rolId = null } = datos;
+    let cambio = null;
+
+    const resultado = await transaccion(async (connection) => {
+      const entrada = await ColaRecepcion.obtenerPorId(entradaId, connection);
+
+      if (!entrada) {
+        throw new NotFoundError('Entrada de la cola no encontrada');
+      }
+      if (entrada.estado !== 'En espera') {
+        throw new ConflictError(`El cliente ya fue ${entrada.estado.toLowerCase()}`);
+      }
+
+      // Hora tomada dentro de la transacción, justo antes de reservar el sillón
+      const { zonaHoraria, fecha, minutos } = await this.obtenerMomento();
+
+      if (entrada.tipo === 'Con cita') {
+        if (empleadoId && empleadoId !== entrada.empleado_id) {
+          throw new ConflictError('El cliente tiene reservación con otro barbero');
+        }
+
+        const cita = await estadoCitaService.obtenerCitaBloqueada(connection, entrada.cita_id);
+        cambio = await this.iniciarAtencion(connection, cita, fecha, { usuarioId, rolId });
+        await ColaRecepcion.cambiarEstado(connection, entrada.id, 'Llamado');
+
+        return { entradaId: entrada.id, citaId: cita.id, empleadoId: cita.empleado_id };
+      }
+
+      const barberoPedido = empleadoId || entrada.empleado_id;
+      if (entrada.empleado_id && empleadoId && empleadoId !== entrada.empleado_id) {
+        throw new ConflictError('El cliente pidió ser atendido por otro barbero');
+      }
+
+      const capacidades = await this.obtenerCapacidades(connection);
+      const ocupados = new Set((await this.obtenerEnProceso(connection)).map(cita => cita.empleado_id));
+
+      if (barberoPedido) {
+        if (this.calcularDuracion(capacidades, barberoPedido, entrada.servicios) === null) {
+          throw new ValidationError('El barbero no realiza todos los servicios solicitados');
+        }
+        if (ocupados.has(barberoPedido)) {
+          throw new ConflictError('El barbero está atendiendo a otro cliente');
+        }
+      }
+
+      const lineas = disponibilidadService.normalizarLineas(entrada.servicios, barberoPedido);
+      const preparadas = await disponibilidadService.prepararLineas(lineas, { conexion: connection });
+
+      // Sin barbero pedido, solo cuentan los que están libres ahora mismo
+      for (const linea of preparadas) {
+        linea.empleados = linea.empleados.filter(id => !ocupados.has(id));
+        if (linea.empleados.length === 0) {
+          throw new ConflictError('No hay barberos libres para los servicios solicitados');
+        }
+      }
+
+      const asignacionAutomatica = await asignacionEmpleadoService.ordenarLineas(preparadas, lineas, {
+        fecha,
+        zonaHoraria,
+        conexion: connection
+      });
+
+      let visita;
+      try {
+        visita = await reservacionService.asignarLineas(connection, {
+          lineas: preparadas,
+          fecha,
+          horaInicio: disponibilidadService.minutosAHora(minutos + 1),
+          zonaHoraria
+        });
+      } catch (error) {
+        if (error.name === 'ConflictError') {
+          throw new ConflictError('No hay tiempo libre suficiente en la agenda para atender al cliente ahora');
+        }
+        throw error;
+      }
+
+      const cotizacion = await cotizacionService.cotizar({
+        servicios: entrada.servicios,
+        fecha,
+        asignaciones: visita.asignaciones
+      });
+
+      const citaId = await reservacionService.crearCita(connection, {
+        clienteId: entrada.cliente_id,
+        empleadoId: visita.empleadoId,
+        fechaHoraInicio: visita.fechaHoraInicio,
+        fechaHoraFin: visita.fechaHoraFin,
+        asignaciones: visita.asignaciones,
+        asignacionAutomatica,
+        usuarioId,
+        cotizacion,
+        origen: 'Presencial',
+        estado: 'En proceso',
+        fechaLlegada: ZonaHoraria.aFechaSQL(ZonaHoraria.parsearFechaUtc(entrada.fecha_llegada))
+      });
+
+      await ColaRecepcion.cambiarEstado(connection, entrada.id, 'Llamado', {
+        empleado_id: visita.empleadoId,
+        cita_id: citaId
+      });
+
+      return { entradaId: entrada.id, citaId, empleadoId: visita.empleadoId };
+    });
+
+    if (cambio) {
+      await estadoCitaService.ejecutarEfectos(cambio);
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Llamar al siguiente cliente que puede atender un barbero.
+   * Primero sus clientes con cita cuya hora ya llegó, luego los que llegaron sin cita
+   * (por orden de llegada) y por último sus clientes con cita que llegaron antes de hora.
+   * Se salta a quien no quepa en la agenda antes de la próxima reservación.
+   * @param {number} empleadoId - ID del barbero
+   * @param {Object} usuario - { usuarioId, rolId } usuario que hace el llamado
+   * @returns {Promise<Object>} { entradaId, citaId, empleadoId }
+   */
+  async llamarSiguiente(empleadoId, usuario = {}) {
+    const { zonaHoraria, fecha } = await this.obtenerMomento();
+    const dia = ZonaHoraria.rangoDiaUtc(fecha, zonaHoraria);
+    const ahora = new Date();
+
+    const entradas = await ColaRecepcion.obtenerTodas({
+      estados: ['En espera'],
+      desde: ZonaHoraria.aFechaSQL(dia.inicio)
+    });
+    const capacidades = await this.obtenerCapacidades();
+
+    if ((await this.obtenerEnProceso()).some(cita => cita.empleado_id === empleadoId)) {
+      throw new ConflictError('El barbero está atendiendo a otro cliente');
+    }
+
+    const conCita = entradas
+      .filter(entrada => entrada.tipo === 'Con cita' && entrada.empleado_id === empleadoId)
+      .sort((a, b) => ZonaHoraria.parsearFechaUtc(a.cita_inicio) - ZonaHoraria.parsearFechaUtc(b.cita_inicio));
+    const aTiempo = conCita.filter(entrada => ZonaHoraria.parsearFechaUtc(entrada.cita_inicio) <= ahora);
+    const sinCita = entradas.filter(entrada => entrada.tipo === 'Sin cita'
+      && (!entrada.empleado_id || entrada.empleado_id === empleadoId)
+      && this.calcularDuracion(capacidades, empleadoId, entrada.servicios) !== null);
+
+    const candidatos = [...aTiempo, ...sinCita, ...conCita.filter(entrada => !aTiempo.includes(entrada))];
+
+    for (const entrada of candidatos) {
+      try {
+        return await this.llamar(entrada.id, { ...usuario, empleadoId });
+      } catch (error) {
+        // Otro llamado se adelantó o el cliente no cabe ahora: se prueba con el siguiente
+        if (error.name !== 'ConflictError') throw error;
+      }
+    }
+
+    throw new NotFoundError('No hay clientes en espera que este barbero pueda atender ahora');
+  }
+
+  /**
+   * Iniciar una cita reservada sin pasar por la cola
+   * @param {number} citaId - ID de la cita
+   * @param {Object} usuario - { usuarioId, rolId }
+   * @returns {Promise<Object>} Cambio de estado
+   */
+  async iniciarCita(citaId, usuario = {}) {
+    const { fecha } = await this.obtenerMomento();
+
+    const cambio = await transaccion(async (connection) => {
+      const cita = await estadoCitaService.obtenerCitaBloqueada(connection, citaId);
+      return await this.iniciarAtencion(connection, cita, fecha, usuario);
+    });
+
+    // Si el cliente estaba en la cola, su entrada pasa a Llamado
+    await estadoCitaService.ejecutarEfectos(cambio);
+    return cambio;
+  }
+
+  /**
+   * Terminar la atención de una cita En proceso.
+   * La máquina de estados cierra su entrada de la cola e invita al cliente a reseñar.
+   * @param {number} citaId - ID de la cita
+   * @param {Object} usuario - { usuarioId, rolId }
+   * @returns {Promise<Object>} Cambio de estado
+   */
+  async completarCita(citaId, usuario = {}) {
+    return await estadoCitaService.cambiarEstado(citaId, 'Completada', usuario);
+  }
+
+  /**
+   * Sacar de la cola a un cliente que se fue sin ser atendido
+   * @param {number} entradaId - ID de la entrada
+   * @returns {Promise<void>}
+   */
+  async retirar(entradaId) {
+    await transaccion(async (connection) => {
+      const entrada = await ColaRecepcion.obtenerPorId(entradaId, connection);
+
+      if (!entrada) {
+        throw new NotFoundError('Entrada de la cola no encontrada');
+      }
+      if (entrada.estado !== 'En espera') {
+        throw new ConflictError(`El cliente ya fue ${entrada.estado.toLowerCase()}`);
+      }
+
+      await ColaRecepcion.cambiarEstado(connection, entrada.id, 'Retirado');
+    });
+  }
+}
+
+module.exports = new RecepcionService();
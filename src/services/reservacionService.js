@@ -0,0 +1,355 @@
+const { transaccion } = require('../config/database');
+const disponibilidadService = require('./disponibilidadService');
+const retencionHorarioService = require('./retencionHorarioService');
+const asignacionEmpleadoService = require('./asignacionEmpleadoService');
+const notificacionService = require('./notificacionService');
+const AsignacionAutomatica = require('../models/AsignacionAutomatica');
+const HistorialEstadoCita = require('../models/HistorialEstadoCita');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const { ConflictError, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Creación y reprogramación de reservaciones.
+ * Inserta la cita con su pago y sus servicios a partir de una cotización del servidor.
+ * Se usa desde el flujo de reservación, la lista de espera y las series recurrentes,
+ * siempre dentro de una transacción con la agenda del barbero ya bloqueada y la
+ * disponibilidad verificada.
+ */
+class ReservacionService {
+  /**
+   * Obtener el cliente de un usuario, creándolo si aún no existe
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {number} usuarioId - ID del usuario
+   * @returns {Promise<number>} ID del cliente
+   */
+  async obtenerOCrearCliente(conexion, usuarioId) {
+    const [clientesExistentes] = await conexion.query('SELECT id FROM clientes WHERE usuario_id = ?', [usuarioId]);
+
+    if (clientesExistentes.length > 0) {
+      return clientesExistentes[0].id;
+    }
+
+    const insertClienteSql = `INSERT INTO clientes (usuario_id, fecha_nacimiento, genero) VALUES (?, NULL, NULL)`;
+    const [result] = await conexion.query(insertClienteSql, [usuarioId]);
+    return result.insertId;
+  }
+
+  /**
+   * Asignar empleado, recurso y horario a cada servicio de una visita.
+   * Bloquea las agendas y recursos candidatos y resuelve la combinación ya con el bloqueo tomado.
+   * Las líneas normalizadas sin empleado ("cualquier barbero") ordenan sus candidatos con la
+   * estrategia de asignación configurada.
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {Object} datos - { lineas, fecha, horaInicio, zonaHoraria, excluirRetencionesDe, excluirCitaId }
+   *                         lineas normalizadas (disponibilidadService.normalizarLineas) o ya preparadas
+   * @returns {Promise<Object>} { empleadoId, fechaHoraInicio, fechaHoraFin, asignaciones, asignacionAutomatica }
+   *                            con DATETIME en UTC; asignacionAutomatica es null si todas las líneas tenían empleado
+   */
+  async asignarLineas(conexion, datos) {
+    const { lineas, fecha, horaInicio, zonaHoraria, excluirRetencionesDe = null, excluirCitaId = null } = datos;
+
+    const preparadas = lineas[0].empleados
+      ? lineas
+      : await disponibilidadService.prepararLineas(lineas, { conexion });
+
+    await disponibilidadService.bloquearCombinacion(conexion, preparadas, fecha);
+
+    // Con las agendas bloqueadas, las citas del día que cuenta la estrategia ya no cambian
+    const asignacionAutomatica = lineas[0].empleados
+      ? null
+      : await asignacionEmpleadoService.ordenarLineas(preparadas, lineas, { fecha, zonaHoraria, conexion });
+
+    const asignaciones = await disponibilidadService.verificarCombinacion(fecha, horaInicio, preparadas, {
+      zonaHoraria,
+      excluirRetencionesDe,
+      excluirCitaId,
+      conexion
+    });
+
+    if (!asignaciones) {
+      throw new ConflictError('El horario seleccionado ya no está disponible. Por favor elige otro.');
+    }
+
+    // Los minutos se traducen a UTC desde el inicio de la visita, igual que la duración de la cita
+    const inicio = ZonaHoraria.localAUtc(fecha, horaInicio, zonaHoraria);
+    const minutoInicio = asignaciones[0].inicio;
+    const aUtc = (minuto) => ZonaHoraria.aFechaSQL(new Date(inicio.getTime() + (minuto - minutoInicio) * 60000));
+
+    return {
+      empleadoId: asignaciones[0].empleadoId,
+      fechaHoraInicio: aUtc(minutoInicio),
+      fechaHoraFin: aUtc(asignaciones[asignaciones.length - 1].fin),
+      asignacionAutomatica,
+      asignaciones: asignaciones.map(asignacion => ({
+        servicioId: asignacion.servicioId,
+        empleadoId: asignacion.empleadoId,
+        recursoId: asignacion.recursoId,
+        orden: asignacion.orden,
+        fechaHoraInicio: aUtc(asignacion.inicio),
+        fechaHoraFin: aUtc(asignacion.fin)
+      }))
+    };
+  }
+
+  /**
+   * Crear la cita, su pago y el detalle de servicios
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {Object} datos - { clienteId, empleadoId, fechaHoraInicio, fechaHoraFin, cotizacion, asignaciones,
+   *                         asignacionAutomatica, usuarioId, serieId, serieIndice, origen, estado, fechaLlegada }
+   *                         con las fechas como DATETIME en UTC; origen es 'Web' salvo en recepción ('Presencial'),
+   *                         donde la cita se crea ya En proceso; asignaciones (de asignarLineas) indica
+   *                         empleado, recurso y horario de cada servicio, y asignacionAutomatica (también
+   *                         de asignarLineas) queda registrada si el servidor eligió al barbero
+   * @returns {Promise<number>} ID de la cita creada
+   */
+  async crearCita(conexion, datos) {
+    const {
+      clienteId, empleadoId, fechaHoraInicio, fechaHoraFin, cotizacion,
+      asignaciones = [], asignacionAutomatica = null, usuarioId = null, serieId = null, serieIndice = null,
+      origen = 'Web', estado = 'Pendiente', fechaLlegada = null
+    } = datos;
+
+    const insertCitaSql = `
+      INSERT INTO citas (
+        cliente_id, empleado_id, fecha_hora_inicio, fecha_hora_fin, estado_id, serie_id, serie_indice,
+        origen, fecha_llegada, fecha_inicio_atencion, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, (SELECT id FROM estados_citas WHERE nombre = ?), ?, ?, ?, ?, ?, NOW(), NOW())
+    `;
+    const [resultadoCita] = await conexion.query(insertCitaSql, [
+      clienteId, empleadoId, fechaHoraInicio, fechaHoraFin, estado, serieId, serieIndice,
+      origen, fechaLlegada, estado === 'En proceso' ? fechaHoraInicio : null
+    ]);
+    const citaId = resultadoCita.insertId;
+
+    await HistorialEstadoCita.crear(conexion, { cita_id: citaId, estado_nuevo: estado, usuario_id: usuarioId });
+
+    const insertPagoSql = `
+      INSERT INTO pagos (cita_id, monto_total, impuesto, metodo_pago_id, estado_pago_id, created_at, updated_at)
+      VALUES (?, ?, ?, 1, 1, NOW(), NOW())
+    `;
+    await conexion.query(insertPagoSql, [citaId, cotizacion.total, cotizacion.impuesto]);
+
+    for (const linea of cotizacion.lineas) {
+      const asignacion = asignaciones.find(item => item.servicioId === linea.servicio_id) || {};
+      const insertDetalleSql = `
+        INSERT INTO cita_servicio (
+          cita_id, servicio_id, precio_aplicado, descuento, notas,
+          empleado_id, recurso_id, fecha_hora_inicio, fecha_hora_fin, orden
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      await conexion.query(insertDetalleSql, [
+        citaId,
+        linea.servicio_id,
+        linea.subtotal,
+        linea.descuento,
+        linea.cantidad > 1 ? `Cantidad: ${linea.cantidad}` : null,
+        asignacion.empleadoId || null,
+        asignacion.recursoId || null,
+        asignacion.fechaHoraInicio || null,
+        asignacion.fechaHoraFin || null,
+        asignacion.orden || null
+      ]);
+    }
+
+    // Consumir un uso de la promoción; si se agotó mientras tanto, se revierte todo
+    if (cotizacion.promocion) {
+      const [resultadoPromocion] = await conexion.query(`
+        UPDATE promociones
+        SET usos_actuales = usos_actuales + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND (limite_usos IS NULL OR usos_actuales < limite_usos)
+      `, [cotizacion.promocion.id]);
+
+      if (resultadoPromocion.affectedRows === 0) {
+        throw new ConflictError('La promoción alcanzó su límite de usos. Vuelve a cotizar la reservación.');
+      }
+    }
+
+    if (asignacionAutomatica) {
+      await AsignacionAutomatica.crear(conexion, {
+        cita_id: citaId,
+        empleado_id: empleadoId,
+        estrategia: asignacionAutomatica.estrategia,
+        candidatos: asignacionAutomatica.candidatos,
+        usuario_id: usuarioId
+      });
+    }
+
+    return citaId;
+  }
+
+  /**
+   * Retener el horario de una visita mientras el cliente completa la reservación.
+   * Se resuelve con el mismo motor que la reserva (empleados, recursos y el orden de los servicios),
+   * así que un horario retenido es uno que procesarReservacion acepta.
+   * @param {Object} datos - { lineas, fecha, horaInicio, zonaHoraria, usuarioId }
+   *                         lineas normalizadas (disponibilidadService.normalizarLineas)
+   * @returns {Promise<Object>} { token, expira_en, fecha, inicio, fin, duracion, empleado_id }
+   */
+  async retenerHorario(datos) {
+    const { lineas, fecha, horaInicio, zonaHoraria, usuarioId } = datos;
+
+    return transaccion(async (connection) => {
+      // La retención previa del usuario no debe impedirle volver a elegir el mismo hueco
+      const visita = await this.asignarLineas(connection, {
+        lineas,
+        fecha,
+        horaInicio,
+        zonaHoraria,
+        excluirRetencionesDe: usuarioId
+      });
+
+      const retencion = await retencionHorarioService.retener(connection, {
+        usuarioId,
+        asignaciones: visita.asignaciones
+      });
+
+      const inicio = ZonaHoraria.parsearFechaUtc(visita.fechaHoraInicio);
+      const fin = ZonaHoraria.parsearFechaUtc(visita.fechaHoraFin);
+
+      return {
+        ...retencion,
+        fecha,
+        inicio: horaInicio,
+        fin: ZonaHoraria.utcALocal(fin, zonaHoraria).slice(11, 16),
+        duracion: Math.round((fin.getTime() - inicio.getTime()) / 60000),
+        empleado_id: visita.empleadoId
+      };
+    });
+  }
+
+  /**
+   * Mover una cita a otro horario del mismo barbero conservando pago y servicios.
+   * El aviso al cliente se encola en la misma transacción.
+   * @param {Object} datos - { citaId, clienteId, fecha, horaInicio, usuarioId, motivo }
+   *                         clienteId limita la reprogramación a las citas de ese cliente;
+   *                         fecha y horaInicio son la hora local del barbero
+   * @returns {Promise<Object>} { cita_id, anterior, zonaHoraria, inicio, fin }
+   */
+  async reprogramar(datos) {
+    const { citaId, clienteId = null, fecha, horaInicio, usuarioId, motivo = null } = datos;
+
+    return transaccion(async (connection) => {
+      let sqlCita = `
+        SELECT c.id, c.empleado_id, c.fecha_hora_inicio, c.fecha_hora_fin, ec.nombre AS estado_nombre
+        FROM citas c
+        INNER JOIN estados_citas ec ON c.estado_id = ec.id
+        WHERE c.id = ?
+      `;
+      const paramsCita = [citaId];
+
+      if (clienteId) {
+        sqlCita += ' AND c.cliente_id = ?';
+        paramsCita.push(clienteId);
+      }
+
+      const [citas] = await connection.query(`${sqlCita} FOR UPDATE`, paramsCita);
+
+      const cita = citas[0];
+      if (!cita) {
+        throw new NotFoundError('Cita no encontrada');
+      }
+
+      if (!['Pendiente', 'Confirmada'].includes(cita.estado_nombre)) {
+        throw new ValidationError(`No se puede reprogramar una cita en estado ${cita.estado_nombre}`);
+      }
+
+      if (cita.fecha_hora_inicio <= new Date()) {
+        throw new ValidationError('No se puede reprogramar una cita que ya comenzó');
+      }
+
+      // Se conservan los mismos servicios, por lo que la duración no cambia
+      const duracion = Math.round((cita.fecha_hora_fin - cita.fecha_hora_inicio) / 60000);
+      const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+      const inicio = ZonaHoraria.localAUtc(fecha, horaInicio, zonaHoraria);
+      const fin = new Date(inicio.getTime() + duracion * 60000);
+
+      const [lineas] = await connection.query(`
+        SELECT cs.servicio_id, COALESCE(cs.empleado_id, ?) AS empleado_id, cs.recurso_id,
+               cs.fecha_hora_inicio, cs.fecha_hora_fin
+        FROM cita_servicio cs
+        WHERE cs.cita_id = ? AND cs.fecha_hora_inicio IS NOT NULL
+        ORDER BY cs.orden, cs.fecha_hora_inicio
+      `, [cita.empleado_id, cita.id]);
+
+      if (lineas.length > 0) {
+        // Cada servicio conserva su empleado, su recurso y su duración en el nuevo horario
+        const { asignaciones } = await this.asignarLineas(connection, {
+          lineas: lineas.map(linea => ({
+            servicioId: linea.servicio_id,
+            duracion: Math.round((linea.fecha_hora_fin - linea.fecha_hora_inicio) / 60000),
+            empleados: [linea.empleado_id],
+            recursos: [linea.recurso_id]
+          })),
+          fecha,
+          horaInicio,
+          zonaHoraria,
+          excluirCitaId: cita.id,
+          excluirRetencionesDe: usuarioId
+        });
+
+        for (const asignacion of asignaciones) {
+          await connection.query(`
+            UPDATE cita_servicio
+            SET fecha_hora_inicio = ?, fecha_hora_fin = ?
+            WHERE cita_id = ? AND servicio_id = ?
+          `, [asignacion.fechaHoraInicio, asignacion.fechaHoraFin, cita.id, asignacion.servicioId]);
+        }
+      } else {
+        await disponibilidadService.bloquearAgenda(connection, cita.empleado_id, fecha);
+
+        // Mismas reglas que una reservación nueva, ignorando la propia cita
+        const disponible = await disponibilidadService.verificarDisponibilidad(cita.empleado_id, fecha, horaInicio, duracion, {
+          zonaHoraria,
+          excluirCitaId: cita.id,
+          excluirRetencionesDe: usuarioId,
+          conexion: connection
+        });
+
+        if (!disponible) {
+          throw new ConflictError('El horario seleccionado ya no está disponible. Por favor elige otro.');
+        }
+      }
+
+      await connection.query(`
+        UPDATE citas
+        SET fecha_hora_inicio = ?,
+            fecha_hora_fin = ?,
+            updated_at = NOW()
+        WHERE id = ?
+      `, [ZonaHoraria.aFechaSQL(inicio), ZonaHoraria.aFechaSQL(fin), cita.id]);
+
+      await connection.query(`
+        INSERT INTO reprogramaciones_citas (
+          cita_id, fecha_hora_inicio_anterior, fecha_hora_fin_anterior,
+          fecha_hora_inicio_nueva, fecha_hora_fin_nueva, reprogramado_por, motivo
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        cita.id,
+        ZonaHoraria.aFechaSQL(cita.fecha_hora_inicio),
+        ZonaHoraria.aFechaSQL(cita.fecha_hora_fin),
+        ZonaHoraria.aFechaSQL(inicio),
+        ZonaHoraria.aFechaSQL(fin),
+        usuarioId,
+        motivo
+      ]);
+
+      await retencionHorarioService.convertir(connection, usuarioId);
+
+      const anterior = {
+        fecha_hora_inicio: cita.fecha_hora_inicio,
+        fecha_hora_fin: cita.fecha_hora_fin
+      };
+      await notificacionService.enviarNotificacionesReprogramacion(cita.id, anterior, connection);
+
+      return {
+        cita_id: cita.id,
+        anterior,
+        zonaHoraria,
+        inicio,
+        fin
+      };
+    });
+  }
+}
+
+module.exports = new ReservacionService();
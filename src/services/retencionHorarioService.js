@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const Configuracion = require('../models/Configuracion');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+// Minutos de retención cuando no hay valor en configuraciones
+const RETENCION_MINUTOS_POR_DEFECTO = 10;
+
+/**
+ * Retenciones temporales de horarios.
+ * Cuando el cliente elige una hora se aparta ese hueco durante unos minutos para que
+ * nadie más lo reserve mientras completa el flujo. Las retenciones vigentes ocupan a sus
+ * empleados y recursos en el motor de disponibilidad; al confirmar la reservación se convierten en la cita
+ * y las vencidas las libera el programador de tareas.
+ */
+class RetencionHorarioService {
+  /**
+   * Obtener los minutos que dura una retención
+   * @returns {Promise<number>} Minutos
+   */
+  async obtenerMinutosRetencion() {
+    const minutos = parseInt(await Configuracion.obtenerValor('retencion_minutos', RETENCION_MINUTOS_POR_DEFECTO));
+    return minutos > 0 ? minutos : RETENCION_MINUTOS_POR_DEFECTO;
+  }
+
+  /**
+   * Retener para un usuario los horarios que la reservación asignó a su visita.
+   * Cada usuario tiene como máximo una retención: al retener otro horario se libera la anterior.
+   * Se guarda una fila por servicio con su empleado y su recurso, todas con el mismo token.
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta y la combinación ya bloqueada
+   * @param {Object} datos - { usuarioId, asignaciones } con las asignaciones de reservacionService.asignarLineas
+   * @returns {Promise<Object>} { token, expira_en }
+   */
+  async retener(conexion, datos) {
+    const { usuarioId, asignaciones } = datos;
+    const minutos = await this.obtenerMinutosRetencion();
+    const expiraEn = new Date(Date.now() + minutos * 60000);
+    const token = crypto.randomUUID();
+
+    await conexion.query('DELETE FROM retenciones_horario WHERE usuario_id = ?', [usuarioId]);
+
+    for (const asignacion of asignaciones) {
+      await conexion.query(`
+        INSERT INTO retenciones_horario (token, empleado_id, recurso_id, usuario_id, fecha_hora_inicio, fecha_hora_fin, expira_en)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        token, asignacion.empleadoId, asignacion.recursoId || null, usuarioId,
+        asignacion.fechaHoraInicio, asignacion.fechaHoraFin, ZonaHoraria.aFechaSQL(expiraEn)
+      ]);
+    }
+
+    return { token, expira_en: expiraEn.toISOString() };
+  }
+
+  /**
+   * Liberar la retención de un usuario antes de que venza
+   * @param {string} token - Token de la retención
+   * @param {number} usuarioId - ID del usuario dueño de la retención
+   * @returns {Promise<void>}
+   */
+  async liberar(token, usuarioId) {
+    const result = await query('DELETE FROM retenciones_horario WHERE token = ? AND usuario_id = ?', [token, usuarioId]);
+
+    if (result.affectedRows === 0) {
+      throw new NotFoundError('Retención no encontrada');
+    }
+  }
+
+  /**
+   * Convertir la retención del usuario en cita dentro de la transacción de la reservación
+   * @param {Object} conexion - Conexión de mysql2 con transacción abierta
+   * @param {number} usuarioId - ID del usuario que confirma la reservación
+   * @returns {Promise<void>}
+   */
+  async convertir(conexion, usuarioId) {
+    await conexion.query('DELETE FROM retenciones_horario WHERE usuario_id = ?', [usuarioId]);
+  }
+
+  /**
+   * Eliminar las retenciones vencidas
+   * @returns {Promise<number>} Cantidad de retenciones liberadas
+   */
+  async liberarExpiradas() {
+    try {
+      const result = await query('DELETE FROM retenciones_horario WHERE expira_en <= UTC_TIMESTAMP()');
+      return result.affectedRows;
+    } catch (error) {
+      throw new Error(`Error al liberar retenciones vencidas: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new RetencionHorarioService();
@@ -0,0 +1,415 @@
+const { query, transaccion } = require('../config/database');
+const Configuracion = require('../models/Configuracion');
+const disponibilidadService = require('./disponibilidadService');
+const cotizacionService = require('./cotizacionService');
+const reservacionService = require('./reservacionService');
+const cancelacionService = require('./cancelacionService');
+const notificacionService = require('./notificacionService');
+const ZonaHoraria = require('../utils/zonaHoraria');
+const { ConflictError, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+// Alcance de una edición o cancelación dentro de una serie
+const ALCANCES = ['una', 'futuras'];
+
+// Estados de cita que todavía se pueden mover o cancelar
+const ESTADOS_MODIFICABLES = ['Pendiente', 'Confirmada'];
+
+/**
+ * Citas recurrentes.
+ * Una serie guarda la regla (cada N semanas, un día de la semana, hasta una fecha o una
+ * cantidad de citas) y genera una cita independiente por ocurrencia, cada una validada
+ * con el motor de disponibilidad. Las ocurrencias que no caben se informan como conflictos
+ * sin impedir crear las demás.
+ */
+class SerieCitasService {
+  /**
+   * Obtener la cantidad máxima de citas por serie
+   * @returns {Promise<number>} Máximo de ocurrencias
+   */
+  async obtenerMaxOcurrencias() {
+    const maximo = await Configuracion.obtenerValor('serie_max_ocurrencias', 26);
+    return Number(maximo) > 0 ? Number(maximo) : 26;
+  }
+
+  /**
+   * Sumar días a una fecha 'YYYY-MM-DD'
+   * @param {string} fecha - Fecha base
+   * @param {number} dias - Días a sumar (negativo para restar)
+   * @returns {string} Fecha resultante 'YYYY-MM-DD'
+   */
+  sumarDias(fecha, dias) {
+    const resultado = new Date(`${fecha}T00:00:00Z`);
+    resultado.setUTCDate(resultado.getUTCDate() + dias);
+    return resultado.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Días entre dos fechas 'YYYY-MM-DD'
+   * @param {string} desde - Fecha inicial
+   * @param {string} hasta - Fecha final
+   * @returns {number} Diferencia en días
+   */
+  diasEntre(desde, hasta) {
+    return Math.round((new Date(`${hasta}T00:00:00Z`) - new Date(`${desde}T00:00:00Z`)) / 86400000);
+  }
+
+  /**
+   * Día de la semana de una fecha 'YYYY-MM-DD' (0=Domingo ... 6=Sábado)
+   * @param {string} fecha - Fecha
+   * @returns {number} Día de la semana
+   */
+  diaSemana(fecha) {
+    return new Date(`${fecha}T00:00:00Z`).getUTCDay();
+  }
+
+  /**
+   * Generar las fechas de una regla de recurrencia
+   * @param {Object} regla - { fechaInicio, frecuenciaSemanas, diaSemana, fechaFin, ocurrencias }
+   *                         diaSemana por defecto es el de fechaInicio; se requiere fechaFin u ocurrencias
+   * @param {number} maxOcurrencias - Máximo de citas permitido
+   * @returns {Array<string>} Fechas 'YYYY-MM-DD' de cada ocurrencia
+   */
+  generarFechas(regla, maxOcurrencias) {
+    const { fechaInicio, fechaFin = null } = regla;
+    const frecuenciaSemanas = parseInt(regla.frecuenciaSemanas) || 1;
+    const ocurrencias = regla.ocurrencias ? parseInt(regla.ocurrencias) : null;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(fechaInicio || '')) {
+      throw new ValidationError('fechaInicio debe tener formato YYYY-MM-DD');
+    }
+    if (fechaFin && !/^\d{4}-\d{2}-\d{2}$/.test(fechaFin)) {
+      throw new ValidationError('fechaFin debe tener formato YYYY-MM-DD');
+    }
+    if (!fechaFin && !ocurrencias) {
+      throw new ValidationError('La serie necesita una fecha de fin o una cantidad de citas');
+    }
+    if (fechaFin && fechaFin < fechaInicio) {
+      throw new ValidationError('La fecha de fin debe ser posterior a la fecha de inicio');
+    }
+    if (frecuenciaSemanas < 1 || frecuenciaSemanas > 12) {
+      throw new ValidationError('La frecuencia debe estar entre 1 y 12 semanas');
+    }
+    if (ocurrencias !== null && (ocurrencias < 1 || ocurrencias > maxOcurrencias)) {
+      throw new ValidationError(`La serie debe tener entre 1 y ${maxOcurrencias} citas`);
+    }
+
+    const diaSemana = regla.diaSemana === undefined || regla.diaSemana === null
+      ? this.diaSemana(fechaInicio)
+      : parseInt(regla.diaSemana);
+
+    if (isNaN(diaSemana) || diaSemana < 0 || diaSemana > 6) {
+      throw new ValidationError('diaSemana debe estar entre 0 (Domingo) y 6 (Sábado)');
+    }
+
+    // Primera fecha con el día de la semana pedido a partir de fechaInicio
+    let fecha = this.sumarDias(fechaInicio, (diaSemana - this.diaSemana(fechaInicio) + 7) % 7);
+    const fechas = [];
+
+    while ((ocurrencias === null || fechas.length < ocurrencias) && (!fechaFin || fecha <= fechaFin)) {
+      if (fechas.length >= maxOcurrencias) {
+        throw new ValidationError(`La serie no puede generar más de ${maxOcurrencias} citas`);
+      }
+      fechas.push(fecha);
+      fecha = this.sumarDias(fecha, frecuenciaSemanas * 7);
+    }
+
+    if (fechas.length === 0) {
+      throw new ValidationError('La regla de recurrencia no genera ninguna fecha');
+    }
+
+    return fechas;
+  }
+
+  /**
+   * Revisar la disponibilidad de cada ocurrencia sin crear nada
+   * @param {Object} datos - { empleadoId, servicios, horaInicio, regla }
+   * @returns {Promise<Object>} { duracion, ocurrencias: [{ indice, fecha, hora, disponible, motivo }] }
+   */
+  async previsualizar(datos) {
+    const { empleadoId, servicios, horaInicio, regla } = datos;
+    const fechas = this.generarFechas(regla, await this.obtenerMaxOcurrencias());
+    const { duracion } = await cotizacionService.cotizar({ servicios, fecha: fechas[0], empleadoId });
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId });
+
+    const ocurrencias = [];
+    for (const [posicion, fecha] of fechas.entries()) {
+      const disponible = await disponibilidadService.verificarDisponibilidad(empleadoId, fecha, horaInicio, duracion, { zonaHoraria });
+      ocurrencias.push({
+        indice: posicion + 1,
+        fecha,
+        hora: horaInicio,
+        disponible,
+        motivo: disponible ? null : 'El barbero no está disponible en ese horario'
+      });
+    }
+
+    return { duracion, ocurrencias };
+  }
+
+  /**
+   * Crear una serie y una cita por cada ocurrencia disponible
+   * @param {Object} datos - { clienteId, usuarioId, empleadoId, servicios, horaInicio, regla }
+   * @returns {Promise<Object>} { serie_id, citas: [...], conflictos: [...] }
+   */
+  async crear(datos) {
+    const { clienteId, usuarioId, empleadoId, servicios, horaInicio, regla } = datos;
+    const fechas = this.generarFechas(regla, await this.obtenerMaxOcurrencias());
+    const seleccion = disponibilidadService.normalizarServicios(servicios);
+
+    // Valida los servicios antes de registrar la serie
+    await cotizacionService.cotizar({ servicios: seleccion, fecha: fechas[0], empleadoId });
+
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId });
+    const resultadoSerie = await query(`
+      INSERT INTO series_citas (
+        cliente_id, empleado_id, servicios, frecuencia_semanas, dia_semana, hora_inicio,
+        fecha_inicio, fecha_fin, ocurrencias, creado_por
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      clienteId,
+      empleadoId,
+      JSON.stringify(seleccion),
+      parseInt(regla.frecuenciaSemanas) || 1,
+      this.diaSemana(fechas[0]),
+      horaInicio,
+      fechas[0],
+      regla.fechaFin || null,
+      regla.ocurrencias ? parseInt(regla.ocurrencias) : null,
+      usuarioId
+    ]);
+    const serieId = resultadoSerie.insertId;
+
+    const citas = [];
+    const conflictos = [];
+
+    for (const [posicion, fecha] of fechas.entries()) {
+      const indice = posicion + 1;
+
+      try {
+        // Cada ocurrencia se cotiza con los precios y promociones de su propia fecha
+        const cotizacion = await cotizacionService.cotizar({ servicios: seleccion, fecha, empleadoId });
+
+        // Una transacción por ocurrencia: un conflicto no revierte las demás citas
+        const citaId = await transaccion(async (connection) => {
+          // Todos los servicios con el barbero de la serie; los recursos se asignan en cada fecha
+          const visita = await reservacionService.asignarLineas(connection, {
+            lineas: disponibilidadService.normalizarLineas(seleccion, empleadoId),
+            fecha,
+            horaInicio,
+            zonaHoraria
+          });
+
+          const nuevaCitaId = await reservacionService.crearCita(connection, {
+            clienteId,
+            empleadoId,
+            fechaHoraInicio: visita.fechaHoraInicio,
+            fechaHoraFin: visita.fechaHoraFin,
+            asignaciones: visita.asignaciones,
+            cotizacion,
+            serieId,
+            serieIndice: indice
+          });
+
+          // La primera cita recibe la confirmación completa; las demás solo se agendan
+          // en Google Calendar para no saturar al cliente con correos
+          if (citas.length === 0) {
+            await notificacionService.enviarNotificacionesConfirmacion(nuevaCitaId, connection);
+          } else {
+            await notificacionService.agendarEventoCita(nuevaCitaId, connection);
+          }
+
+          return nuevaCitaId;
+        });
+
+        citas.push({ indice, cita_id: citaId, fecha, hora: horaInicio, total: cotizacion.total });
+      } catch (error) {
+        if (!this.esConflicto(error)) throw error;
+        conflictos.push({ indice, fecha, hora: horaInicio, motivo: this.motivoConflicto(error) });
+      }
+    }
+
+    if (citas.length === 0) {
+      await query('DELETE FROM series_citas WHERE id = ?', [serieId]);
+      throw new ConflictError('Ninguna de las fechas de la serie está disponible');
+    }
+
+    return { serie_id: serieId, zona_horaria: zonaHoraria, citas, conflictos };
+  }
+
+  /**
+   * Indicar si un error afecta solo a una ocurrencia (se informa y se sigue con las demás)
+   * @param {Error} error - Error capturado
+   * @returns {boolean} true si es un conflicto de la ocurrencia
+   */
+  esConflicto(error) {
+    return ['ConflictError', 'ValidationError'].includes(error.name)
+      || error.code === 'ER_LOCK_WAIT_TIMEOUT'
+      || error.code === 'ER_LOCK_DEADLOCK';
+  }
+
+  /**
+   * Mensaje de conflicto para una ocurrencia
+   * @param {Error} error - Error capturado
+   * @returns {string} Motivo legible
+   */
+  motivoConflicto(error) {
+    return error.code ? 'El horario está siendo reservado por otro cliente' : error.message;
+  }
+
+  /**
+   * Obtener una cita que pertenece a una serie
+   * @param {number} citaId - ID de la cita
+   * @param {number|null} clienteId - Limita la búsqueda a las citas de ese cliente
+   * @returns {Promise<Object>} Cita con serie_id, serie_indice y empleado_id
+   */
+  async obtenerCitaDeSerie(citaId, clienteId = null) {
+    let sql = `
+      SELECT c.id, c.serie_id, c.serie_indice, c.empleado_id, c.fecha_hora_inicio
+      FROM citas c
+      WHERE c.id = ?
+    `;
+    const params = [citaId];
+
+    if (clienteId) {
+      sql += ' AND c.cliente_id = ?';
+      params.push(clienteId);
+    }
+
+    const [cita] = await query(sql, params);
+
+    if (!cita) {
+      throw new NotFoundError('Cita no encontrada');
+    }
+    if (!cita.serie_id) {
+      throw new ValidationError('La cita no pertenece a una serie recurrente');
+    }
+
+    return cita;
+  }
+
+  /**
+   * Obtener esta ocurrencia y las siguientes de la serie que todavía se pueden modificar
+   * @param {Object} cita - Cita de referencia (con serie_id y fecha_hora_inicio)
+   * @returns {Promise<Array>} Ocurrencias ordenadas por fecha
+   */
+  async obtenerOcurrenciasFuturas(cita) {
+    return query(`
+      SELECT c.id, c.serie_indice, c.fecha_hora_inicio
+      FROM citas c
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      WHERE c.serie_id = ?
+        AND c.fecha_hora_inicio >= ?
+        AND ec.nombre IN (${ESTADOS_MODIFICABLES.map(() => '?').join(', ')})
+      ORDER BY c.fecha_hora_inicio
+    `, [cita.serie_id, ZonaHoraria.aFechaSQL(cita.fecha_hora_inicio), ...ESTADOS_MODIFICABLES]);
+  }
+
+  /**
+   * Validar el alcance de una edición o cancelación
+   * @param {string} alcance - 'una' o 'futuras'
+   * @returns {string} Alcance validado
+   */
+  validarAlcance(alcance = 'una') {
+    if (!ALCANCES.includes(alcance)) {
+      throw new ValidationError(`alcance debe ser uno de: ${ALCANCES.join(', ')}`);
+    }
+    return alcance;
+  }
+
+  /**
+   * Reprogramar esta ocurrencia y todas las siguientes de la serie.
+   * Cada ocurrencia se desplaza los mismos días que la cita elegida y toma la nueva hora;
+   * las que no caben se informan como conflictos y conservan su horario.
+   * @param {Object} datos - { citaId, clienteId, fecha, horaInicio, usuarioId, motivo }
+   * @returns {Promise<Object>} { serie_id, reprogramadas: [...], conflictos: [...] }
+   */
+  async reprogramarFuturas(datos) {
+    const { citaId, clienteId = null, fecha, horaInicio, usuarioId, motivo = null } = datos;
+    const cita = await this.obtenerCitaDeSerie(citaId, clienteId);
+    const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+    const fechaLocal = (fechaUtc) => ZonaHoraria.utcALocal(fechaUtc, zonaHoraria).split(' ')[0];
+    const desplazamiento = this.diasEntre(fechaLocal(cita.fecha_hora_inicio), fecha);
+
+    const ocurrencias = await this.obtenerOcurrenciasFuturas(cita);
+    const reprogramadas = [];
+    const conflictos = [];
+
+    for (const ocurrencia of ocurrencias) {
+      const nuevaFecha = this.sumarDias(fechaLocal(ocurrencia.fecha_hora_inicio), desplazamiento);
+
+      try {
+        const resultado = await reservacionService.reprogramar({
+          citaId: ocurrencia.id,
+          clienteId,
+          fecha: nuevaFecha,
+          horaInicio,
+          usuarioId,
+          motivo
+        });
+        reprogramadas.push({ indice: ocurrencia.serie_indice, fecha: nuevaFecha, hora: horaInicio, ...resultado });
+      } catch (error) {
+        if (!this.esConflicto(error)) throw error;
+        conflictos.push({
+          indice: ocurrencia.serie_indice,
+          cita_id: ocurrencia.id,
+          fecha: nuevaFecha,
+          hora: horaInicio,
+          motivo: this.motivoConflicto(error)
+        });
+      }
+    }
+
+    // La regla de la serie pasa a describir el nuevo horario
+    await query(`
+      UPDATE series_citas
+      SET dia_semana = ?, hora_inicio = ?, updated_at = NOW()
+      WHERE id = ?
+    `, [this.diaSemana(fecha), horaInicio, cita.serie_id]);
+
+    return { serie_id: cita.serie_id, zona_horaria: zonaHoraria, reprogramadas, conflictos };
+  }
+
+  /**
+   * Cancelar esta ocurrencia y todas las siguientes de la serie.
+   * Cada cita pasa por la política de cancelación; las que no se pueden cancelar se informan.
+   * @param {Object} datos - { citaId, clienteId, usuarioId, motivo, esPersonal, exonerarCargo }
+   * @returns {Promise<Object>} { serie_id, canceladas: [...], errores: [...] }
+   */
+  async cancelarFuturas(datos) {
+    const { citaId, clienteId = null } = datos;
+    const cita = await this.obtenerCitaDeSerie(citaId, clienteId);
+    const ocurrencias = await this.obtenerOcurrenciasFuturas(cita);
+    const canceladas = [];
+    const errores = [];
+
+    for (const ocurrencia of ocurrencias) {
+      try {
+        const resultado = await cancelacionService.cancelar({ ...datos, citaId: ocurrencia.id });
+        canceladas.push({ indice: ocurrencia.serie_indice, ...resultado });
+      } catch (error) {
+        if (!this.esConflicto(error)) throw error;
+        errores.push({ indice: ocurrencia.serie_indice, cita_id: ocurrencia.id, motivo: error.message });
+      }
+    }
+
+    // Sin citas previas activas la serie queda cancelada; si no, termina antes de esta ocurrencia
+    const [{ anteriores }] = await query(`
+      SELECT COUNT(*) AS anteriores
+      FROM citas c
+      INNER JOIN estados_citas ec ON c.estado_id = ec.id
+      WHERE c.serie_id = ? AND c.fecha_hora_inicio < ? AND ec.nombre <> 'Cancelada'
+    `, [cita.serie_id, ZonaHoraria.aFechaSQL(cita.fecha_hora_inicio)]);
+
+    if (Number(anteriores) === 0) {
+      await query(`UPDATE series_citas SET estado = 'Cancelada', updated_at = NOW() WHERE id = ?`, [cita.serie_id]);
+    } else {
+      const zonaHoraria = await ZonaHoraria.obtenerZonaHoraria({ empleadoId: cita.empleado_id });
+      const fecha = ZonaHoraria.utcALocal(cita.fecha_hora_inicio, zonaHoraria).split(' ')[0];
+      await query(`UPDATE series_citas SET fecha_fin = ?, updated_at = NOW() WHERE id = ?`, [this.sumarDias(fecha, -1), cita.serie_id]);
+    }
+
+    return { serie_id: cita.serie_id, canceladas, errores };
+  }
+}
+
+module.exports = new SerieCitasService();
@@ -0,0 +1,313 @@
+const { ValidationError } = require('../middleware/errorHandler');
+const ZonaHoraria = require('./zonaHoraria');
+
+// Caracteres que deben escaparse al insertar un valor dentro de HTML
+const ENTIDADES_HTML = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const ETIQUETA = /{{([\s\S]*?)}}/g;
+// NOMBRE, NOMBRE.campo, this o @indice, seguido de filtros: | filtro | filtro:arg | filtro:"arg con espacios"
+const EXPRESION = /^(this|@\w+|[A-Za-z_]\w*(?:\.\w+)*)((?:\s*\|\s*\w+(?:\s*:\s*(?:"[^"]*"|[^\s|"]+))?)*)$/;
+const FILTRO = /\|\s*(\w+)(?:\s*:\s*(?:"([^"]*)"|([^\s|"]+)))?/g;
+const BLOQUES = ['if', 'unless', 'each'];
+
+const FORMATOS_FECHA = {
+  larga: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
+  corta: { day: '2-digit', month: '2-digit', year: 'numeric' }
+};
+
+const vacio = valor => valor === undefined || valor === null || valor === '';
+
+/**
+ * Filtros disponibles: cada uno recibe el valor, su argumento y las opciones del render
+ * ({ zonaHoraria, moneda }). Un valor vacío queda vacío salvo con 'defecto'.
+ */
+const FILTROS = {
+  mayusculas: valor => String(valor).toLocaleUpperCase('es-ES'),
+  minusculas: valor => String(valor).toLocaleLowerCase('es-ES'),
+  fecha: (valor, formato, opciones) =>
+    ZonaHoraria.formatearFecha(valor, opciones.zonaHoraria || 'UTC', FORMATOS_FECHA[formato || 'larga']),
+  hora: (valor, argumento, opciones) => ZonaHoraria.formatearHora(valor, opciones.zonaHoraria || 'UTC'),
+  moneda: (valor, codigo, opciones) => new Intl.NumberFormat('es-ES', {
+    style: 'currency',
+    currency: codigo || opciones.moneda || 'USD'
+  }).format(Number(valor)),
+  defecto: (valor, texto) => valor
+};
+
+// Argumentos válidos de cada filtro (los que no aparecen no aceptan argumento)
+const ARGUMENTOS_FILTROS = {
+  fecha: argumento => Object.keys(FORMATOS_FECHA).includes(argumento),
+  moneda: argumento => /^[A-Z]{3}$/.test(argumento),
+  defecto: () => true
+};
+
+/**
+ * Motor de plantillas de correo y mensajes.
+ * Lenguaje sin lógica arbitraria, al estilo de Handlebars:
+ *   {{NOMBRE}}, {{NOMBRE | filtro}}, {{NOMBRE | filtro:argumento}}
+ *   {{#if NOMBRE}}...{{else}}...{{/if}} y {{#unless NOMBRE}}...{{/unless}}
+ *   {{#each LISTA}}...{{else}}...{{/each}}, con los campos del elemento, {{this}}, {{@indice}} (desde 1),
+ *   {{@primero}} y {{@ultimo}} dentro del bucle
+ * Filtros: mayusculas, minusculas, fecha (larga o corta), hora, moneda (código ISO opcional) y
+ * defecto:"texto". En contenido HTML los valores se escapan, de modo que un nombre o un comentario
+ * escrito por un usuario no puede inyectar etiquetas en el correo.
+ */
+class MotorPlantillas {
+  /**
+   * Escapar un valor para insertarlo en HTML
+   * @param {*} valor - Valor a escapar
+   * @returns {string} Texto seguro para HTML
+   */
+  static escaparHtml(valor) {
+    return String(valor).replace(/[&<>"']/g, caracter => ENTIDADES_HTML[caracter]);
+  }
+
+  /**
+   * Obtener los nombres de los filtros disponibles
+   * @returns {Array<string>} Filtros
+   */
+  static obtenerFiltros() {
+    return Object.keys(FILTROS);
+  }
+
+  /**
+   * Analizar una plantilla
+   * @param {string} contenido - Texto de la plantilla
+   * @returns {Array<Object>} Nodos: { tipo: 'texto' | 'valor' | 'bloque', ... }
+   * @throws {ValidationError} Con la línea del primer error de sintaxis
+   */
+  static compilar(contenido) {
+    const raiz = { nodos: [] };
+    const pila = [];
+    let actual = raiz;
+    let posicion = 0;
+    let coincidencia;
+
+    const error = (indice, mensaje) => {
+      const linea = contenido.slice(0, indice).split('\n').length;
+      return new ValidationError(`Línea ${linea}: ${mensaje}`);
+    };
+
+    const agregarTexto = (texto, indice) => {
+      const abierta = texto.indexOf('{{');
+      if (abierta !== -1) {
+        throw error(indice + abierta, '{{ sin cerrar');
+      }
+      if (texto) actual.nodos.push({ tipo: 'texto', texto });
+    };
+
+    ETIQUETA.lastIndex = 0;
+    while ((coincidencia = ETIQUETA.exec(contenido)) !== null) {
+      agregarTexto(contenido.slice(posicion, coincidencia.index), posicion);
+      posicion = ETIQUETA.lastIndex;
+
+      const etiqueta = coincidencia[1].trim();
+      const indice = coincidencia.index;
+
+      if (etiqueta.startsWith('#')) {
+        const [, bloque = '', ruta] = etiqueta.match(/^#(\w*)\s*([\s\S]*)$/);
+        if (!BLOQUES.includes(bloque)) {
+          throw error(indice, `bloque desconocido {{#${bloque}}}. Bloques: ${BLOQUES.join(', ')}`);
+        }
+        if (!/^(this|@\w+|[A-Za-z_]\w*(?:\.\w+)*)$/.test(ruta)) {
+          throw error(indice, `{{#${bloque}}} necesita el nombre de una variable`);
+        }
+
+        const nodo = { tipo: 'bloque', bloque, ruta, nodos: [], alternativa: null, indice };
+        actual.nodos.push(nodo);
+        pila.push(nodo);
+        actual = nodo;
+      } else if (etiqueta === 'else') {
+        const bloque = pila[pila.length - 1];
+        if (!bloque) {
+          throw error(indice, '{{else}} fuera de un bloque');
+        }
+        if (bloque.alternativa) {
+          throw error(indice, `{{else}} repetido en {{#${bloque.bloque}}}`);
+        }
+        bloque.alternativa = { nodos: [] };
+        actual = bloque.alternativa;
+      } else if (etiqueta.startsWith('/')) {
+        const cierre = etiqueta.slice(1).trim();
+        const bloque = pila.pop();
+        if (!bloque) {
+          throw error(indice, `{{/${cierre}}} sin {{#${cierre}}}`);
+        }
+        if (bloque.bloque !== cierre) {
+          throw error(indice, `se esperaba {{/${bloque.bloque}}} y se encontró {{/${cierre}}}`);
+        }
+        actual = pila.length > 0 ? (pila[pila.length - 1].alternativa || pila[pila.length - 1]) : raiz;
+      } else {
+        actual.nodos.push(this.compilarValor(etiqueta, mensaje => error(indice, mensaje)));
+      }
+    }
+
+    agregarTexto(contenido.slice(posicion), posicion);
+
+    if (pila.length > 0) {
+      const bloque = pila[pila.length - 1];
+      throw error(bloque.indice, `{{#${bloque.bloque}}} sin {{/${bloque.bloque}}}`);
+    }
+
+    return raiz.nodos;
+  }
+
+  /**
+   * Analizar una expresión {{NOMBRE | filtro:argumento}}
+   * @param {string} etiqueta - Contenido de la etiqueta sin llaves
+   * @param {Function} error - Crea el error con la línea de la etiqueta
+   * @returns {Object} Nodo { tipo: 'valor', ruta, filtros: [{ nombre, argumento }] }
+   */
+  static compilarValor(etiqueta, error) {
+    const partes = etiqueta.match(EXPRESION);
+    if (!partes) {
+      throw error(`expresión inválida {{${etiqueta}}}`);
+    }
+
+    const filtros = [];
+    let filtro;
+    FILTRO.lastIndex = 0;
+    while ((filtro = FILTRO.exec(partes[2])) !== null) {
+      const nombre = filtro[1];
+      const argumento = filtro[2] !== undefined ? filtro[2] : filtro[3];
+
+      if (!FILTROS[nombre]) {
+        throw error(`filtro desconocido "${nombre}". Filtros: ${this.obtenerFiltros().join(', ')}`);
+      }
+      if (argumento !== undefined && !(ARGUMENTOS_FILTROS[nombre] && ARGUMENTOS_FILTROS[nombre](argumento))) {
+        throw error(`argumento inválido "${argumento}" para el filtro ${nombre}`);
+      }
+      filtros.push({ nombre, argumento });
+    }
+
+    return { tipo: 'valor', ruta: partes[1], filtros };
+  }
+
+  /**
+   * Validar la sintaxis de una plantilla
+   * @param {string} contenido - Texto de la plantilla
+   * @param {string} campo - Nombre del campo para el mensaje de error
+   * @returns {void}
+   * @throws {ValidationError} Si la plantilla tiene errores de sintaxis
+   */
+  static validar(contenido, campo = 'plantilla') {
+    if (!contenido) return;
+
+    try {
+      this.compilar(contenido);
+    } catch (error) {
+      throw new ValidationError(`Error de sintaxis en ${campo}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Renderizar una plantilla
+   * @param {string} contenido - Texto de la plantilla
+   * @param {Object} variables - Valores por nombre de variable
+   * @param {Object} opciones - { html } true para escapar los valores, { zonaHoraria, moneda } para los filtros
+   * @returns {string} Texto final (las variables sin valor quedan vacías)
+   * @throws {ValidationError} Si la plantilla tiene errores de sintaxis
+   */
+  static renderizar(contenido, variables, opciones = {}) {
+    if (!contenido) return contenido;
+
+    return this.renderizarNodos(this.compilar(contenido), [variables], opciones);
+  }
+
+  /**
+   * Renderizar nodos compilados
+   * @param {Array<Object>} nodos - Nodos de compilar
+   * @param {Array<Object>} ambitos - Ámbitos de variables, del más externo al del bucle actual
+   * @param {Object} opciones - Opciones de renderizar
+   * @returns {string} Texto
+   */
+  static renderizarNodos(nodos, ambitos, opciones) {
+    return nodos.map(nodo => {
+      if (nodo.tipo === 'texto') return nodo.texto;
+      if (nodo.tipo === 'valor') return this.renderizarValor(nodo, ambitos, opciones);
+
+      const valor = this.resolver(nodo.ruta, ambitos);
+
+      if (nodo.bloque === 'each') {
+        const elementos = Array.isArray(valor) ? valor : [];
+        if (elementos.length === 0) {
+          return nodo.alternativa ? this.renderizarNodos(nodo.alternativa.nodos, ambitos, opciones) : '';
+        }
+
+        return elementos.map((elemento, indice) => this.renderizarNodos(nodo.nodos, [...ambitos, {
+          elemento,
+          '@indice': indice + 1,
+          '@primero': indice === 0,
+          '@ultimo': indice === elementos.length - 1
+        }], opciones)).join('');
+      }
+
+      const verdadero = Array.isArray(valor) ? valor.length > 0 : Boolean(valor);
+      const rama = (nodo.bloque === 'if') === verdadero ? nodo : nodo.alternativa;
+      return rama ? this.renderizarNodos(rama.nodos, ambitos, opciones) : '';
+    }).join('');
+  }
+
+  /**
+   * Renderizar una expresión con sus filtros
+   * @param {Object} nodo - Nodo { ruta, filtros }
+   * @param {Array<Object>} ambitos - Ámbitos de variables
+   * @param {Object} opciones - Opciones de renderizar
+   * @returns {string} Valor final
+   */
+  static renderizarValor(nodo, ambitos, opciones) {
+    let valor = this.resolver(nodo.ruta, ambitos);
+
+    for (const { nombre, argumento } of nodo.filtros) {
+      if (nombre === 'defecto') {
+        if (vacio(valor)) valor = argumento || '';
+      } else if (!vacio(valor)) {
+        valor = FILTROS[nombre](valor, argumento, opciones);
+      }
+    }
+
+    if (vacio(valor)) return '';
+    return opciones.html ? this.escaparHtml(valor) : String(valor);
+  }
+
+  /**
+   * Buscar el valor de una variable, del bucle más interno hacia afuera.
+   * Solo se leen propiedades propias de los objetos, nunca su prototipo.
+   * @param {string} ruta - this, @indice, NOMBRE o NOMBRE.campo
+   * @param {Array<Object>} ambitos - Ámbitos de variables
+   * @returns {*} Valor, o undefined si no existe
+   */
+  static resolver(ruta, ambitos) {
+    const propia = (objeto, clave) => objeto !== null && typeof objeto === 'object' &&
+      Object.prototype.hasOwnProperty.call(objeto, clave);
+    const bucle = ambitos.length > 1 ? ambitos[ambitos.length - 1] : null;
+
+    if (ruta === 'this') return bucle ? bucle.elemento : undefined;
+    if (ruta.startsWith('@')) return bucle && propia(bucle, ruta) ? bucle[ruta] : undefined;
+
+    const [primera, ...resto] = ruta.split('.');
+    let valor;
+
+    for (let i = ambitos.length - 1; i >= 0; i--) {
+      const ambito = i === 0 ? ambitos[0] : ambitos[i].elemento;
+      if (propia(ambito, primera)) {
+        valor = ambito[primera];
+        break;
+      }
+    }
+
+    for (const clave of resto) {
+      valor = propia(valor, clave) ? valor[clave] : undefined;
+    }
+
+    return valor;
+  }
+}
+
+module.exports = MotorPlantillas;
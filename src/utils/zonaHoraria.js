@@ -0,0 +1,245 @@
+const Configuracion = require('../models/Configuracion');
+
+// Zona horaria usada cuando no hay ninguna configurada (Ecuador, UTC-5 sin horario de verano)
+const ZONA_HORARIA_POR_DEFECTO = process.env.ZONA_HORARIA || 'America/Guayaquil';
+
+/**
+ * Utilidades de zona horaria del negocio.
+ * Las fechas se guardan en UTC en la base de datos; toda conversión hacia o desde
+ * la hora local del negocio debe pasar por aquí. Usa zonas IANA mediante Intl,
+ * por lo que los cambios de horario de verano se calculan correctamente.
+ */
+class ZonaHoraria {
+  /**
+   * Clave de configuración de la zona horaria
+   * @param {Object} ambito - { empleadoId } para la zona de un barbero concreto
+   * @returns {string} Clave en la tabla configuraciones
+   */
+  static obtenerClave(ambito = {}) {
+    if (ambito.empleadoId) {
+      return `zona_horaria_empleado_${ambito.empleadoId}`;
+    }
+    return 'zona_horaria';
+  }
+
+  /**
+   * Verificar si una zona horaria IANA es válida
+   * @param {string} zona - Zona horaria (ej. 'America/Bogota')
+   * @returns {boolean} true si es válida
+   */
+  static esValida(zona) {
+    if (!zona || typeof zona !== 'string') return false;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zona });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Obtener la zona horaria aplicable
+   * Orden de prioridad: barbero, negocio y por último el valor por defecto
+   * @param {Object} ambito - { empleadoId }
+   * @returns {Promise<string>} Zona horaria IANA
+   */
+  static async obtenerZonaHoraria(ambito = {}) {
+    const claves = [];
+    if (ambito.empleadoId) claves.push(this.obtenerClave(ambito));
+    claves.push(this.obtenerClave());
+
+    for (const clave of claves) {
+      try {
+        const zona = await Configuracion.obtenerValor(clave);
+        if (this.esValida(zona)) return zona;
+      } catch (error) {
+        console.error(`⚠️ [zonaHoraria.obtenerZonaHoraria] No se pudo leer ${clave}:`, error.message);
+      }
+    }
+
+    return ZONA_HORARIA_POR_DEFECTO;
+  }
+
+  /**
+   * Guardar la zona horaria del negocio o de un barbero
+   * @param {string} zona - Zona horaria IANA
+   * @param {Object} ambito - { empleadoId }
+   * @returns {Promise<Object>} Configuración guardada
+   */
+  static async establecerZonaHoraria(zona, ambito = {}) {
+    if (!this.esValida(zona)) {
+      throw new Error(`Zona horaria inválida: ${zona}`);
+    }
+
+    return await Configuracion.crearOActualizar(this.obtenerClave(ambito), {
+      valor: zona,
+      descripcion: ambito.empleadoId
+        ? `Zona horaria del empleado ${ambito.empleadoId}`
+        : 'Zona horaria del negocio (IANA)',
+      tipo: 'string',
+      categoria: 'general'
+    });
+  }
+
+  /**
+   * Descomponer un instante UTC en sus partes de hora local
+   * @param {Date} fecha - Instante
+   * @param {string} zona - Zona horaria IANA
+   * @returns {Object} { anio, mes, dia, hora, minuto, segundo }
+   */
+  static obtenerPartes(fecha, zona) {
+    const partes = new Intl.DateTimeFormat('en-US', {
+      timeZone: zona,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(fecha);
+
+    const valor = (tipo) => Number(partes.find(parte => parte.type === tipo).value);
+
+    return {
+      anio: valor('year'),
+      mes: valor('month'),
+      dia: valor('day'),
+      hora: valor('hour'),
+      minuto: valor('minute'),
+      segundo: valor('second')
+    };
+  }
+
+  /**
+   * Desfase de la zona respecto a UTC en un instante dado
+   * @param {Date} fecha - Instante
+   * @param {string} zona - Zona horaria IANA
+   * @returns {number} Desfase en minutos (ej. -300 para UTC-5)
+   */
+  static obtenerDesfase(fecha, zona) {
+    const p = this.obtenerPartes(fecha, zona);
+    const comoUtc = Date.UTC(p.anio, p.mes - 1, p.dia, p.hora, p.minuto, p.segundo);
+    return Math.round((comoUtc - fecha.getTime()) / 60000);
+  }
+
+  /**
+   * Convertir una fecha y hora locales del negocio a un instante UTC
+   * En los cambios de horario de verano, una hora repetida se toma en su primera aparición
+   * y una hora que no existe se adelanta lo que dura el salto (02:30 pasa a ser 03:30).
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {string} hora - Hora 'HH:MM' o 'HH:MM:SS'
+   * @param {string} zona - Zona horaria IANA
+   * @returns {Date} Instante en UTC
+   */
+  static localAUtc(fecha, hora = '00:00', zona) {
+    const [anio, mes, dia] = fecha.split('-').map(Number);
+    const [h, m, s] = hora.split(':').map(Number);
+    const comoUtc = Date.UTC(anio, mes - 1, dia, h, m || 0, s || 0);
+
+    // Desfases de un día antes y uno después: un cambio de horario queda entre ambos
+    const DIA_MS = 24 * 60 * 60 * 1000;
+    const desfaseAntes = this.obtenerDesfase(new Date(comoUtc - DIA_MS), zona);
+    const desfaseDespues = this.obtenerDesfase(new Date(comoUtc + DIA_MS), zona);
+
+    const validos = [desfaseAntes, desfaseDespues]
+      .map(desfase => comoUtc - desfase * 60000)
+      .filter(instante => comoUtc - this.obtenerDesfase(new Date(instante), zona) * 60000 === instante);
+
+    if (validos.length === 0) {
+      return new Date(comoUtc - desfaseAntes * 60000);
+    }
+    return new Date(Math.min(...validos));
+  }
+
+  /**
+   * Convertir un instante UTC a texto en hora local del negocio
+   * @param {Date|string} fecha - Instante (Date o 'YYYY-MM-DD HH:MM:SS' en UTC)
+   * @param {string} zona - Zona horaria IANA
+   * @param {string} separador - Separador entre fecha y hora (' ' o 'T')
+   * @returns {string} 'YYYY-MM-DD HH:MM:SS'
+   */
+  static utcALocal(fecha, zona, separador = ' ') {
+    const p = this.obtenerPartes(this.parsearFechaUtc(fecha), zona);
+    const dos = (n) => String(n).padStart(2, '0');
+
+    return `${p.anio}-${dos(p.mes)}-${dos(p.dia)}${separador}${dos(p.hora)}:${dos(p.minuto)}:${dos(p.segundo)}`;
+  }
+
+  /**
+   * Interpretar un valor de fecha guardado en UTC
+   * @param {Date|string} fecha - Date o 'YYYY-MM-DD HH:MM:SS' en UTC
+   * @returns {Date} Instante
+   */
+  static parsearFechaUtc(fecha) {
+    if (fecha instanceof Date) return fecha;
+    const texto = String(fecha).replace(' ', 'T');
+    return new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(texto) ? texto : `${texto}Z`);
+  }
+
+  /**
+   * Formatear un instante como DATETIME de MySQL en UTC
+   * @param {Date} fecha - Instante
+   * @returns {string} 'YYYY-MM-DD HH:MM:SS'
+   */
+  static aFechaSQL(fecha) {
+    return fecha.toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  /**
+   * Obtener los límites UTC de un día local del negocio
+   * @param {string} fecha - Fecha 'YYYY-MM-DD'
+   * @param {string} zona - Zona horaria IANA
+   * @returns {Object} { inicio: Date, fin: Date }
+   */
+  static rangoDiaUtc(fecha, zona) {
+    const [anio, mes, dia] = fecha.split('-').map(Number);
+    const siguiente = new Date(Date.UTC(anio, mes - 1, dia + 1)).toISOString().slice(0, 10);
+
+    return {
+      inicio: this.localAUtc(fecha, '00:00', zona),
+      fin: this.localAUtc(siguiente, '00:00', zona)
+    };
+  }
+
+  /**
+   * Obtener la fecha y los minutos actuales en la zona del negocio
+   * @param {string} zona - Zona horaria IANA
+   * @returns {Object} { fecha: 'YYYY-MM-DD', minutos }
+   */
+  static ahora(zona) {
+    const [fecha, hora] = this.utcALocal(new Date(), zona).split(' ');
+    const [h, m] = hora.split(':').map(Number);
+
+    return { fecha, minutos: h * 60 + m };
+  }
+
+  /**
+   * Formatear la fecha de un instante para mostrarla al usuario
+   * @param {Date|string} fecha - Instante en UTC
+   * @param {string} zona - Zona horaria IANA
+   * @param {Object} opciones - Opciones de Intl.DateTimeFormat
+   * @returns {string} Fecha formateada en español
+   */
+  static formatearFecha(fecha, zona, opciones = {}) {
+    return this.parsearFechaUtc(fecha).toLocaleDateString('es-ES', { ...opciones, timeZone: zona });
+  }
+
+  /**
+   * Formatear la hora de un instante para mostrarla al usuario
+   * @param {Date|string} fecha - Instante en UTC
+   * @param {string} zona - Zona horaria IANA
+   * @returns {string} Hora 'HH:MM'
+   */
+  static formatearHora(fecha, zona) {
+    return this.parsearFechaUtc(fecha).toLocaleTimeString('es-ES', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZone: zona
+    });
+  }
+}
+
+module.exports = ZonaHoraria;
@@ -273,10 +273,14 @@ const validarConfiguracionNotificaciones = [
     .optional()
     .isBoolean()
     .withMessage('Notificación SMS debe ser true o false'),
+  body('notificacion_whatsapp')
+    .optional()
+    .isBoolean()
+    .withMessage('Notificación por WhatsApp debe ser true o false'),
   body('recordatorio_horas_antes')
     .optional()
-    .isInt({ min: 1, max: 168 })
-    .withMessage('Recordatorio debe ser entre 1 y 168 horas (1 semana)')
+    .isInt({ min: 0, max: 168 })
+    .withMessage('Recordatorio debe ser entre 0 (sin recordatorio propio) y 168 horas (1 semana)')
 ];
 
 /**
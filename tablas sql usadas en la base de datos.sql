@@ -17,6 +17,74 @@ USE `peluqueria_db`;
 /*!40101 SET @OLD_SQL_MODE=@@SQL_MODE, SQL_MODE='NO_AUTO_VALUE_ON_ZERO' */;
 /*!40111 SET @OLD_SQL_NOTES=@@SQL_NOTES, SQL_NOTES=0 */;
 
+--
+-- Table structure for table `asignaciones_automaticas`
+--
+
+DROP TABLE IF EXISTS `asignaciones_automaticas`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `asignaciones_automaticas` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `cita_id` int NOT NULL,
+  `empleado_id` int NOT NULL COMMENT 'Empleado elegido por el servidor',
+  `estrategia` varchar(30) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT 'rotacion, menos_citas o prioridad_comision',
+  `candidatos` json NOT NULL COMMENT 'Empleados evaluados en orden de preferencia [{ empleado_id, citas_dia, comision_porcentaje, ultima_asignacion }]',
+  `usuario_id` int DEFAULT NULL COMMENT 'Usuario que hizo la reservación',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_asignacion_cita` (`cita_id`),
+  KEY `idx_asignacion_empleado_fecha` (`empleado_id`,`created_at`),
+  KEY `usuario_id` (`usuario_id`),
+  CONSTRAINT `asignaciones_automaticas_ibfk_1` FOREIGN KEY (`cita_id`) REFERENCES `citas` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `asignaciones_automaticas_ibfk_2` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`),
+  CONSTRAINT `asignaciones_automaticas_ibfk_3` FOREIGN KEY (`usuario_id`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `asignaciones_automaticas`
+--
+
+LOCK TABLES `asignaciones_automaticas` WRITE;
+/*!40000 ALTER TABLE `asignaciones_automaticas` DISABLE KEYS */;
+/*!40000 ALTER TABLE `asignaciones_automaticas` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `asignaciones_plantilla_horario`
+--
+
+DROP TABLE IF EXISTS `asignaciones_plantilla_horario`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `asignaciones_plantilla_horario` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `empleado_id` int NOT NULL,
+  `plantilla_id` int NOT NULL,
+  `vigente_desde` date NOT NULL,
+  `vigente_hasta` date DEFAULT NULL COMMENT 'NULL = sin fecha de fin',
+  `semana_inicial` tinyint NOT NULL DEFAULT '1' COMMENT 'Semana del ciclo que corresponde a la semana de vigente_desde',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_asignaciones_empleado` (`empleado_id`,`vigente_desde`),
+  KEY `plantilla_id` (`plantilla_id`),
+  CONSTRAINT `asignaciones_plantilla_horario_ibfk_1` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `asignaciones_plantilla_horario_ibfk_2` FOREIGN KEY (`plantilla_id`) REFERENCES `plantillas_horario` (`id`),
+  CONSTRAINT `chk_vigencia_plantilla` CHECK (((`vigente_hasta` is null) or (`vigente_desde` <= `vigente_hasta`)))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `asignaciones_plantilla_horario`
+--
+
+LOCK TABLES `asignaciones_plantilla_horario` WRITE;
+/*!40000 ALTER TABLE `asignaciones_plantilla_horario` DISABLE KEYS */;
+/*!40000 ALTER TABLE `asignaciones_plantilla_horario` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `ausencias_empleados`
 --
@@ -31,11 +99,18 @@ CREATE TABLE `ausencias_empleados` (
   `fecha_fin` datetime NOT NULL,
   `motivo` enum('Vacaciones','Enfermedad','Permiso','Otro') COLLATE utf8mb4_unicode_ci NOT NULL,
   `descripcion` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `estado` enum('Pendiente','Aprobada','Rechazada','Cancelada') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'Pendiente' COMMENT 'Solo las ausencias aprobadas bloquean la agenda',
+  `revisado_por` int DEFAULT NULL COMMENT 'Usuario que aprobó o rechazó la solicitud',
+  `revisado_en` timestamp NULL DEFAULT NULL,
+  `comentario_revision` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   KEY `empleado_id` (`empleado_id`),
+  KEY `idx_ausencias_estado` (`estado`,`fecha_inicio`),
+  KEY `revisado_por` (`revisado_por`),
   CONSTRAINT `ausencias_empleados_ibfk_1` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `ausencias_empleados_ibfk_2` FOREIGN KEY (`revisado_por`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL,
   CONSTRAINT `chk_fechas_ausencia` CHECK ((`fecha_inicio` < `fecha_fin`))
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
@@ -49,6 +124,74 @@ LOCK TABLES `ausencias_empleados` WRITE;
 /*!40000 ALTER TABLE `ausencias_empleados` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `bandeja_salida`
+--
+
+DROP TABLE IF EXISTS `bandeja_salida`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `bandeja_salida` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `canal` enum('email','push','calendario','sms','whatsapp') COLLATE utf8mb4_unicode_ci NOT NULL,
+  `tipo` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT 'Entrega registrada para el canal: confirmacion_cita, recordatorio_cita, crear_evento...',
+  `cita_id` int DEFAULT NULL,
+  `usuario_id` int DEFAULT NULL COMMENT 'Destinatario cuando el mensaje no sale de una cita',
+  `datos` json DEFAULT NULL COMMENT 'Datos adicionales de la entrega',
+  `estado` enum('Pendiente','Procesando','Enviado','Fallido') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'Pendiente',
+  `intentos` int NOT NULL DEFAULT '0',
+  `maximo_intentos` int NOT NULL DEFAULT '5',
+  `proximo_intento` datetime NOT NULL COMMENT 'UTC',
+  `bloqueado_hasta` datetime DEFAULT NULL COMMENT 'Entrega en curso; vencido, otro proceso la retoma (UTC)',
+  `ultimo_error` text COLLATE utf8mb4_unicode_ci,
+  `fecha_envio` datetime DEFAULT NULL COMMENT 'UTC',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_bandeja_estado_intento` (`estado`,`proximo_intento`),
+  KEY `cita_id` (`cita_id`),
+  KEY `usuario_id` (`usuario_id`),
+  CONSTRAINT `bandeja_salida_ibfk_1` FOREIGN KEY (`cita_id`) REFERENCES `citas` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `bandeja_salida_ibfk_2` FOREIGN KEY (`usuario_id`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `chk_bandeja_intentos` CHECK ((`maximo_intentos` > 0))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `bandeja_salida`
+--
+
+LOCK TABLES `bandeja_salida` WRITE;
+/*!40000 ALTER TABLE `bandeja_salida` DISABLE KEYS */;
+/*!40000 ALTER TABLE `bandeja_salida` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `bloqueos_agenda`
+--
+
+DROP TABLE IF EXISTS `bloqueos_agenda`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `bloqueos_agenda` (
+  `empleado_id` int NOT NULL,
+  `fecha` date NOT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`empleado_id`,`fecha`),
+  CONSTRAINT `bloqueos_agenda_ibfk_1` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `bloqueos_agenda`
+--
+
+LOCK TABLES `bloqueos_agenda` WRITE;
+/*!40000 ALTER TABLE `bloqueos_agenda` DISABLE KEYS */;
+/*!40000 ALTER TABLE `bloqueos_agenda` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `calendarios_google`
 --
@@ -249,10 +392,19 @@ CREATE TABLE `cita_servicio` (
   `precio_aplicado` decimal(10,2) NOT NULL COMMENT 'Precio al momento de la cita',
   `descuento` decimal(10,2) DEFAULT '0.00',
   `notas` text COLLATE utf8mb4_unicode_ci,
+  `empleado_id` int DEFAULT NULL COMMENT 'Empleado que realiza este servicio (NULL = el de la cita)',
+  `recurso_id` int DEFAULT NULL COMMENT 'Silla, lavacabezas o estación usada por este servicio',
+  `fecha_hora_inicio` datetime DEFAULT NULL COMMENT 'Inicio de este servicio en UTC (NULL = toda la cita)',
+  `fecha_hora_fin` datetime DEFAULT NULL,
+  `orden` tinyint DEFAULT NULL COMMENT 'Orden del servicio dentro de la visita',
   PRIMARY KEY (`cita_id`,`servicio_id`),
   KEY `servicio_id` (`servicio_id`),
+  KEY `idx_cita_servicio_empleado` (`empleado_id`,`fecha_hora_inicio`),
+  KEY `idx_cita_servicio_recurso` (`recurso_id`,`fecha_hora_inicio`),
   CONSTRAINT `cita_servicio_ibfk_1` FOREIGN KEY (`cita_id`) REFERENCES `citas` (`id`) ON DELETE CASCADE,
-  CONSTRAINT `cita_servicio_ibfk_2` FOREIGN KEY (`servicio_id`) REFERENCES `servicios` (`id`)
+  CONSTRAINT `cita_servicio_ibfk_2` FOREIGN KEY (`servicio_id`) REFERENCES `servicios` (`id`),
+  CONSTRAINT `cita_servicio_ibfk_3` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`),
+  CONSTRAINT `cita_servicio_ibfk_4` FOREIGN KEY (`recurso_id`) REFERENCES `recursos` (`id`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
@@ -289,10 +441,16 @@ CREATE TABLE `citas` (
   `origen` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT 'Web, App, Telefónico, Presencial',
   `cancelado_por` int DEFAULT NULL COMMENT 'ID del usuario que canceló la cita',
   `motivo_cancelacion` text COLLATE utf8mb4_unicode_ci,
+  `serie_id` int DEFAULT NULL COMMENT 'Serie recurrente a la que pertenece la cita',
+  `serie_indice` int DEFAULT NULL COMMENT 'Posición de la cita dentro de la serie (desde 1)',
+  `fecha_llegada` datetime DEFAULT NULL COMMENT 'Llegada del cliente registrada en recepción (UTC)',
+  `fecha_inicio_atencion` datetime DEFAULT NULL COMMENT 'Momento en que pasó a En proceso (UTC)',
+  `fecha_fin_atencion` datetime DEFAULT NULL COMMENT 'Momento en que pasó a Completada (UTC)',
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
   KEY `cancelado_por` (`cancelado_por`),
+  KEY `idx_citas_serie` (`serie_id`),
   KEY `idx_citas_fecha` (`fecha_hora_inicio`),
   KEY `idx_citas_cliente` (`cliente_id`),
   KEY `idx_citas_empleado` (`empleado_id`),
@@ -301,6 +459,7 @@ CREATE TABLE `citas` (
   CONSTRAINT `citas_ibfk_2` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`),
   CONSTRAINT `citas_ibfk_3` FOREIGN KEY (`estado_id`) REFERENCES `estados_citas` (`id`),
   CONSTRAINT `citas_ibfk_4` FOREIGN KEY (`cancelado_por`) REFERENCES `usuarios` (`id`),
+  CONSTRAINT `citas_ibfk_5` FOREIGN KEY (`serie_id`) REFERENCES `series_citas` (`id`) ON DELETE SET NULL,
   CONSTRAINT `chk_fecha_hora` CHECK ((`fecha_hora_inicio` < `fecha_hora_fin`))
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
@@ -345,6 +504,84 @@ LOCK TABLES `clientes` WRITE;
 /*!40000 ALTER TABLE `clientes` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `cola_recepcion`
+--
+
+DROP TABLE IF EXISTS `cola_recepcion`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `cola_recepcion` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `cliente_id` int NOT NULL,
+  `tipo` enum('Sin cita','Con cita') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'Sin cita',
+  `cita_id` int DEFAULT NULL COMMENT 'Cita reservada (Con cita) o creada al llamar al cliente (Sin cita)',
+  `empleado_id` int DEFAULT NULL COMMENT 'Barbero pedido o asignado; NULL = cualquiera',
+  `servicios` json NOT NULL COMMENT 'Servicios solicitados [{ id, cantidad }]',
+  `duracion` int NOT NULL COMMENT 'Minutos estimados de atención',
+  `estado` enum('En espera','Llamado','Atendido','Retirado') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'En espera',
+  `notas` text COLLATE utf8mb4_unicode_ci,
+  `registrado_por` int DEFAULT NULL COMMENT 'Usuario de recepción que registró la llegada',
+  `fecha_llegada` datetime NOT NULL COMMENT 'UTC',
+  `fecha_llamado` datetime DEFAULT NULL COMMENT 'UTC',
+  `fecha_salida` datetime DEFAULT NULL COMMENT 'Atendido o retirado (UTC)',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_cola_estado_llegada` (`estado`,`fecha_llegada`),
+  KEY `cliente_id` (`cliente_id`),
+  KEY `cita_id` (`cita_id`),
+  KEY `empleado_id` (`empleado_id`),
+  KEY `registrado_por` (`registrado_por`),
+  CONSTRAINT `cola_recepcion_ibfk_1` FOREIGN KEY (`cliente_id`) REFERENCES `clientes` (`id`),
+  CONSTRAINT `cola_recepcion_ibfk_2` FOREIGN KEY (`cita_id`) REFERENCES `citas` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `cola_recepcion_ibfk_3` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `cola_recepcion_ibfk_4` FOREIGN KEY (`registrado_por`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `chk_cola_duracion` CHECK ((`duracion` > 0))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `cola_recepcion`
+--
+
+LOCK TABLES `cola_recepcion` WRITE;
+/*!40000 ALTER TABLE `cola_recepcion` DISABLE KEYS */;
+/*!40000 ALTER TABLE `cola_recepcion` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `comisiones_servicio`
+--
+
+DROP TABLE IF EXISTS `comisiones_servicio`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `comisiones_servicio` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `servicio_id` int NOT NULL,
+  `empleado_id` int DEFAULT NULL COMMENT 'NULL = aplica a todos los empleados',
+  `comision_porcentaje` decimal(5,2) NOT NULL COMMENT 'Reemplaza empleados.comision_porcentaje para este servicio',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_comision_servicio_empleado` (`servicio_id`,`empleado_id`),
+  KEY `empleado_id` (`empleado_id`),
+  CONSTRAINT `comisiones_servicio_ibfk_1` FOREIGN KEY (`servicio_id`) REFERENCES `servicios` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `comisiones_servicio_ibfk_2` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_comision_servicio_porcentaje` CHECK ((`comision_porcentaje` between 0 and 100))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `comisiones_servicio`
+--
+
+LOCK TABLES `comisiones_servicio` WRITE;
+/*!40000 ALTER TABLE `comisiones_servicio` DISABLE KEYS */;
+/*!40000 ALTER TABLE `comisiones_servicio` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `configuraciones`
 --
@@ -357,10 +594,15 @@ CREATE TABLE `configuraciones` (
   `clave` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL,
   `valor` text COLLATE utf8mb4_unicode_ci NOT NULL,
   `descripcion` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `tipo` varchar(20) COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'string',
+  `categoria` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'general',
+  `editable` tinyint(1) DEFAULT '1',
+  `visible` tinyint(1) DEFAULT '1',
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
-  UNIQUE KEY `clave` (`clave`)
+  UNIQUE KEY `clave` (`clave`),
+  KEY `idx_configuraciones_categoria` (`categoria`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
@@ -370,6 +612,7 @@ CREATE TABLE `configuraciones` (
 
 LOCK TABLES `configuraciones` WRITE;
 /*!40000 ALTER TABLE `configuraciones` DISABLE KEYS */;
+INSERT INTO `configuraciones` (`clave`, `valor`, `descripcion`, `tipo`, `categoria`) VALUES ('zona_horaria','America/Guayaquil','Zona horaria del negocio (IANA). Por barbero: zona_horaria_empleado_<id>','string','general'),('impuesto_porcentaje','0','Porcentaje de impuesto aplicado a las reservaciones','number','reservaciones'),('retencion_minutos','10','Minutos que se reserva un horario mientras el cliente completa la reservación','number','reservaciones'),('cancelacion_horas_minimas','24','Horas mínimas de anticipación para cancelar una cita sin cargo','number','reservaciones'),('cancelacion_permitir_tardia','true','Permitir que el cliente cancele dentro del plazo mínimo pagando el cargo','boolean','reservaciones'),('cancelacion_cargo_tipo','porcentaje','Tipo de cargo por cancelación tardía (porcentaje o monto)','string','reservaciones'),('cancelacion_cargo_valor','0','Porcentaje del total o monto fijo cobrado por cancelación tardía','number','reservaciones'),('cancelacion_estados_permitidos','[\"Pendiente\",\"Confirmada\"]','Estados de cita que se pueden cancelar','json','reservaciones'),('lista_espera_minutos_oferta','30','Minutos que tiene un cliente en lista de espera para aceptar un horario ofrecido','number','reservaciones'),('serie_max_ocurrencias','26','Cantidad máxima de citas que puede generar una serie recurrente','number','reservaciones'),('asignacion_empleado_estrategia','rotacion','Cómo se elige barbero cuando el cliente reserva con cualquiera (rotacion, menos_citas o prioridad_comision)','string','reservaciones');
 /*!40000 ALTER TABLE `configuraciones` ENABLE KEYS */;
 UNLOCK TABLES;
 
@@ -554,12 +797,16 @@ CREATE TABLE `empleado_servicio` (
   `empleado_id` int NOT NULL,
   `servicio_id` int NOT NULL,
   `puede_realizar` tinyint(1) DEFAULT '1',
+  `precio` decimal(10,2) DEFAULT NULL COMMENT 'Precio de este empleado para el servicio (NULL = servicios.precio)',
+  `duracion` int DEFAULT NULL COMMENT 'Duración en minutos de este empleado (NULL = servicios.duracion)',
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`empleado_id`,`servicio_id`),
   KEY `servicio_id` (`servicio_id`),
   CONSTRAINT `empleado_servicio_ibfk_1` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`) ON DELETE CASCADE,
-  CONSTRAINT `empleado_servicio_ibfk_2` FOREIGN KEY (`servicio_id`) REFERENCES `servicios` (`id`) ON DELETE CASCADE
+  CONSTRAINT `empleado_servicio_ibfk_2` FOREIGN KEY (`servicio_id`) REFERENCES `servicios` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_empleado_servicio_precio` CHECK (((`precio` is null) or (`precio` >= 0))),
+  CONSTRAINT `chk_empleado_servicio_duracion` CHECK (((`duracion` is null) or (`duracion` > 0)))
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
@@ -684,7 +931,7 @@ CREATE TABLE `estados_pago` (
 
 LOCK TABLES `estados_pago` WRITE;
 /*!40000 ALTER TABLE `estados_pago` DISABLE KEYS */;
-INSERT INTO `estados_pago` VALUES (1,'Pendiente','Pago aún no procesado','2025-05-10 17:17:04','2025-05-10 17:17:04'),(2,'Procesando','Pago en proceso','2025-05-10 17:17:04','2025-05-10 17:17:04'),(3,'Completado','Pago completado correctamente','2025-05-10 17:17:04','2025-05-10 17:17:04'),(4,'Fallido','Error en el procesamiento del pago','2025-05-10 17:17:04','2025-05-10 17:17:04'),(5,'Reembolsado','Pago devuelto al cliente','2025-05-10 17:17:04','2025-05-10 17:17:04'),(6,'Parcial','Pago parcial realizado','2025-05-10 17:17:04','2025-05-10 17:17:04');
+INSERT INTO `estados_pago` VALUES (1,'Pendiente','Pago aún no procesado','2025-05-10 17:17:04','2025-05-10 17:17:04'),(2,'Procesando','Pago en proceso','2025-05-10 17:17:04','2025-05-10 17:17:04'),(3,'Completado','Pago completado correctamente','2025-05-10 17:17:04','2025-05-10 17:17:04'),(4,'Fallido','Error en el procesamiento del pago','2025-05-10 17:17:04','2025-05-10 17:17:04'),(5,'Reembolsado','Pago devuelto al cliente','2025-05-10 17:17:04','2025-05-10 17:17:04'),(6,'Parcial','Pago parcial realizado','2025-05-10 17:17:04','2025-05-10 17:17:04'),(7,'Anulado','Pago anulado por cancelación sin cargo','2025-05-10 17:17:04','2025-05-10 17:17:04'),(8,'Cargo por cancelación','Solo se cobra el cargo por cancelación tardía','2025-05-10 17:17:04','2025-05-10 17:17:04'),(9,'Reembolso pendiente','Cita cancelada con devolución pendiente al cliente','2025-05-10 17:17:04','2025-05-10 17:17:04');
 /*!40000 ALTER TABLE `estados_pago` ENABLE KEYS */;
 UNLOCK TABLES;
 
@@ -724,6 +971,40 @@ LOCK TABLES `eventos_google_calendar` WRITE;
 /*!40000 ALTER TABLE `eventos_google_calendar` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `excepciones_horario`
+--
+
+DROP TABLE IF EXISTS `excepciones_horario`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `excepciones_horario` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `empleado_id` int DEFAULT NULL COMMENT 'NULL = aplica a toda la barbería',
+  `fecha` date NOT NULL,
+  `tipo` enum('Cerrado','Horario especial') COLLATE utf8mb4_unicode_ci NOT NULL,
+  `hora_inicio` time DEFAULT NULL,
+  `hora_fin` time DEFAULT NULL,
+  `motivo` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_excepciones_fecha` (`fecha`,`empleado_id`),
+  KEY `empleado_id` (`empleado_id`),
+  CONSTRAINT `excepciones_horario_ibfk_1` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_horas_excepcion` CHECK (((`tipo` = 'Cerrado') or (`hora_inicio` < `hora_fin`)))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `excepciones_horario`
+--
+
+LOCK TABLES `excepciones_horario` WRITE;
+/*!40000 ALTER TABLE `excepciones_horario` DISABLE KEYS */;
+/*!40000 ALTER TABLE `excepciones_horario` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `fichas_clientes`
 --
@@ -856,6 +1137,42 @@ LOCK TABLES `galerias` WRITE;
 /*!40000 ALTER TABLE `galerias` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `historial_estados_cita`
+--
+
+DROP TABLE IF EXISTS `historial_estados_cita`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `historial_estados_cita` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `cita_id` int NOT NULL,
+  `estado_anterior_id` int DEFAULT NULL COMMENT 'NULL en el registro de creación de la cita',
+  `estado_nuevo_id` int NOT NULL,
+  `usuario_id` int DEFAULT NULL COMMENT 'Usuario que hizo el cambio; NULL si lo hizo el sistema',
+  `motivo` text COLLATE utf8mb4_unicode_ci,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_historial_estados_cita` (`cita_id`,`created_at`),
+  KEY `estado_anterior_id` (`estado_anterior_id`),
+  KEY `estado_nuevo_id` (`estado_nuevo_id`),
+  KEY `usuario_id` (`usuario_id`),
+  CONSTRAINT `historial_estados_cita_ibfk_1` FOREIGN KEY (`cita_id`) REFERENCES `citas` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `historial_estados_cita_ibfk_2` FOREIGN KEY (`estado_anterior_id`) REFERENCES `estados_citas` (`id`),
+  CONSTRAINT `historial_estados_cita_ibfk_3` FOREIGN KEY (`estado_nuevo_id`) REFERENCES `estados_citas` (`id`),
+  CONSTRAINT `historial_estados_cita_ibfk_4` FOREIGN KEY (`usuario_id`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `historial_estados_cita`
+--
+
+LOCK TABLES `historial_estados_cita` WRITE;
+/*!40000 ALTER TABLE `historial_estados_cita` DISABLE KEYS */;
+/*!40000 ALTER TABLE `historial_estados_cita` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `historial_servicios_cliente`
 --
@@ -927,6 +1244,84 @@ LOCK TABLES `horarios_empleados` WRITE;
 /*!40000 ALTER TABLE `horarios_empleados` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `liquidaciones_nomina`
+--
+
+DROP TABLE IF EXISTS `liquidaciones_nomina`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `liquidaciones_nomina` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `periodo_id` int NOT NULL,
+  `empleado_id` int NOT NULL,
+  `salario_base` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `citas_completadas` int NOT NULL DEFAULT '0',
+  `total_servicios` decimal(10,2) NOT NULL DEFAULT '0.00' COMMENT 'Suma de precio_aplicado - descuento',
+  `comision_servicios` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `total_productos` decimal(10,2) NOT NULL DEFAULT '0.00' COMMENT 'Ventas cobradas sin impuesto',
+  `comision_productos` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `propinas` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `total_pagar` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `detalle` json DEFAULT NULL COMMENT 'Líneas de servicios y ventas usadas en el cálculo',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_liquidacion_periodo_empleado` (`periodo_id`,`empleado_id`),
+  KEY `empleado_id` (`empleado_id`),
+  CONSTRAINT `liquidaciones_nomina_ibfk_1` FOREIGN KEY (`periodo_id`) REFERENCES `periodos_nomina` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `liquidaciones_nomina_ibfk_2` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `liquidaciones_nomina`
+--
+
+LOCK TABLES `liquidaciones_nomina` WRITE;
+/*!40000 ALTER TABLE `liquidaciones_nomina` DISABLE KEYS */;
+/*!40000 ALTER TABLE `liquidaciones_nomina` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `lista_espera`
+--
+
+DROP TABLE IF EXISTS `lista_espera`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `lista_espera` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `cliente_id` int NOT NULL,
+  `empleado_id` int DEFAULT NULL COMMENT 'NULL = cualquier barbero',
+  `fecha_desde` date NOT NULL,
+  `fecha_hasta` date NOT NULL,
+  `hora_desde` time DEFAULT NULL,
+  `hora_hasta` time DEFAULT NULL,
+  `servicios` json NOT NULL COMMENT 'Servicios solicitados [{ id, cantidad }]',
+  `duracion` int NOT NULL COMMENT 'Duración total en minutos',
+  `estado` enum('Activa','Ofertada','Atendida','Cancelada','Expirada') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'Activa',
+  `notas` text COLLATE utf8mb4_unicode_ci,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_lista_espera_busqueda` (`estado`,`fecha_desde`,`fecha_hasta`),
+  KEY `cliente_id` (`cliente_id`),
+  KEY `empleado_id` (`empleado_id`),
+  CONSTRAINT `lista_espera_ibfk_1` FOREIGN KEY (`cliente_id`) REFERENCES `clientes` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `lista_espera_ibfk_2` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_lista_espera_fechas` CHECK ((`fecha_desde` <= `fecha_hasta`))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `lista_espera`
+--
+
+LOCK TABLES `lista_espera` WRITE;
+/*!40000 ALTER TABLE `lista_espera` DISABLE KEYS */;
+/*!40000 ALTER TABLE `lista_espera` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `logs`
 --
@@ -959,6 +1354,46 @@ LOCK TABLES `logs` WRITE;
 /*!40000 ALTER TABLE `logs` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `mensajes_enviados`
+--
+
+DROP TABLE IF EXISTS `mensajes_enviados`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `mensajes_enviados` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `canal` enum('sms','whatsapp') COLLATE utf8mb4_unicode_ci NOT NULL,
+  `proveedor` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT 'Adaptador que hizo el envío: http, whatsapp, archivo',
+  `destinatario` varchar(20) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `contenido` text COLLATE utf8mb4_unicode_ci,
+  `plantilla_id` int DEFAULT NULL,
+  `estado` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT 'enviado, fallido',
+  `id_externo` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT 'ID del mensaje en el proveedor',
+  `mensaje_error` text COLLATE utf8mb4_unicode_ci,
+  `fecha_envio` datetime DEFAULT NULL,
+  `cita_id` int DEFAULT NULL,
+  `usuario_id` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `plantilla_id` (`plantilla_id`),
+  KEY `usuario_id` (`usuario_id`),
+  KEY `idx_mensajes_cita` (`cita_id`),
+  CONSTRAINT `mensajes_enviados_ibfk_1` FOREIGN KEY (`plantilla_id`) REFERENCES `plantillas_mensaje` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `mensajes_enviados_ibfk_2` FOREIGN KEY (`cita_id`) REFERENCES `citas` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `mensajes_enviados_ibfk_3` FOREIGN KEY (`usuario_id`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `mensajes_enviados`
+--
+
+LOCK TABLES `mensajes_enviados` WRITE;
+/*!40000 ALTER TABLE `mensajes_enviados` DISABLE KEYS */;
+/*!40000 ALTER TABLE `mensajes_enviados` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `metodos_pago`
 --
@@ -1127,6 +1562,49 @@ LOCK TABLES `notificaciones_push_enviadas` WRITE;
 /*!40000 ALTER TABLE `notificaciones_push_enviadas` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `ofertas_lista_espera`
+--
+
+DROP TABLE IF EXISTS `ofertas_lista_espera`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `ofertas_lista_espera` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `lista_espera_id` int NOT NULL,
+  `token` char(36) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `empleado_id` int NOT NULL,
+  `fecha_hora_inicio` datetime NOT NULL,
+  `fecha_hora_fin` datetime NOT NULL,
+  `expira_en` datetime NOT NULL,
+  `estado` enum('Pendiente','Aceptada','Rechazada','Expirada') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'Pendiente',
+  `cita_origen_id` int DEFAULT NULL COMMENT 'Cita cancelada que liberó el horario',
+  `cita_id` int DEFAULT NULL COMMENT 'Cita creada al aceptar la oferta',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `token` (`token`),
+  KEY `idx_ofertas_estado_expira` (`estado`,`expira_en`),
+  KEY `idx_ofertas_horario` (`empleado_id`,`fecha_hora_inicio`),
+  KEY `lista_espera_id` (`lista_espera_id`),
+  KEY `cita_origen_id` (`cita_origen_id`),
+  KEY `cita_id` (`cita_id`),
+  CONSTRAINT `ofertas_lista_espera_ibfk_1` FOREIGN KEY (`lista_espera_id`) REFERENCES `lista_espera` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `ofertas_lista_espera_ibfk_2` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `ofertas_lista_espera_ibfk_3` FOREIGN KEY (`cita_origen_id`) REFERENCES `citas` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `ofertas_lista_espera_ibfk_4` FOREIGN KEY (`cita_id`) REFERENCES `citas` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `ofertas_lista_espera`
+--
+
+LOCK TABLES `ofertas_lista_espera` WRITE;
+/*!40000 ALTER TABLE `ofertas_lista_espera` DISABLE KEYS */;
+/*!40000 ALTER TABLE `ofertas_lista_espera` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `pagos`
 --
@@ -1146,6 +1624,8 @@ CREATE TABLE `pagos` (
   `factura_emitida` tinyint(1) DEFAULT '0',
   `fecha_pago` timestamp NULL DEFAULT NULL,
   `notas` text COLLATE utf8mb4_unicode_ci,
+  `cargo_cancelacion` decimal(10,2) DEFAULT '0.00' COMMENT 'Cargo cobrado por cancelación tardía',
+  `monto_reembolso` decimal(10,2) DEFAULT '0.00' COMMENT 'Monto a devolver al cliente tras una cancelación',
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (`id`),
@@ -1168,6 +1648,71 @@ LOCK TABLES `pagos` WRITE;
 /*!40000 ALTER TABLE `pagos` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `periodos_nomina`
+--
+
+DROP TABLE IF EXISTS `periodos_nomina`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `periodos_nomina` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `fecha_inicio` date NOT NULL,
+  `fecha_fin` date NOT NULL,
+  `estado` enum('Abierto','Cerrado') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'Abierto',
+  `notas` text COLLATE utf8mb4_unicode_ci,
+  `cerrado_por` int DEFAULT NULL COMMENT 'Usuario que cerró el período',
+  `fecha_cierre` timestamp NULL DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_periodo_nomina_fechas` (`fecha_inicio`,`fecha_fin`),
+  KEY `cerrado_por` (`cerrado_por`),
+  CONSTRAINT `periodos_nomina_ibfk_1` FOREIGN KEY (`cerrado_por`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `chk_fechas_periodo_nomina` CHECK ((`fecha_inicio` <= `fecha_fin`))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `periodos_nomina`
+--
+
+LOCK TABLES `periodos_nomina` WRITE;
+/*!40000 ALTER TABLE `periodos_nomina` DISABLE KEYS */;
+/*!40000 ALTER TABLE `periodos_nomina` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `plantilla_horario_turnos`
+--
+
+DROP TABLE IF EXISTS `plantilla_horario_turnos`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `plantilla_horario_turnos` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `plantilla_id` int NOT NULL,
+  `semana` tinyint NOT NULL DEFAULT '1' COMMENT 'Semana dentro del ciclo de rotación (1..semanas_rotacion)',
+  `dia_semana` tinyint NOT NULL COMMENT '1=Lunes, 2=Martes, ..., 7=Domingo',
+  `hora_inicio` time NOT NULL,
+  `hora_fin` time NOT NULL,
+  `es_descanso` tinyint(1) DEFAULT '0',
+  PRIMARY KEY (`id`),
+  KEY `idx_turnos_plantilla_dia` (`plantilla_id`,`semana`,`dia_semana`),
+  CONSTRAINT `plantilla_horario_turnos_ibfk_1` FOREIGN KEY (`plantilla_id`) REFERENCES `plantillas_horario` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_horas_turno` CHECK ((`hora_inicio` < `hora_fin`))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `plantilla_horario_turnos`
+--
+
+LOCK TABLES `plantilla_horario_turnos` WRITE;
+/*!40000 ALTER TABLE `plantilla_horario_turnos` DISABLE KEYS */;
+/*!40000 ALTER TABLE `plantilla_horario_turnos` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `plantillas_correo`
 --
@@ -1181,7 +1726,7 @@ CREATE TABLE `plantillas_correo` (
   `asunto` varchar(255) COLLATE utf8mb4_unicode_ci NOT NULL,
   `contenido_html` text COLLATE utf8mb4_unicode_ci NOT NULL,
   `contenido_texto` text COLLATE utf8mb4_unicode_ci COMMENT 'Versión en texto plano para clientes que no admiten HTML',
-  `tipo` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT 'confirmacion_cita, recordatorio, cancelacion, bienvenida, etc.',
+  `tipo` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT 'confirmacion_cita, recordatorio_cita, cancelacion_cita, bienvenida, etc. (ver src/config/plantillasCorreo.js)',
   `activo` tinyint(1) DEFAULT '1',
   `variables` text COLLATE utf8mb4_unicode_ci COMMENT 'Lista de variables disponibles separadas por coma',
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
@@ -1196,10 +1741,71 @@ CREATE TABLE `plantillas_correo` (
 
 LOCK TABLES `plantillas_correo` WRITE;
 /*!40000 ALTER TABLE `plantillas_correo` DISABLE KEYS */;
-INSERT INTO `plantillas_correo` VALUES (1,'Confirmación de Cita','Confirmación de tu cita en Peluquería','<html><body><h1>¡Cita Confirmada!</h1><p>Hola {{NOMBRE_CLIENTE}},</p><p>Tu cita ha sido confirmada para el día {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}}.</p><p>Servicios reservados: {{SERVICIOS}}</p><p>Para cancelar o reprogramar, llámanos al {{TELEFONO_SALON}} o responde a este correo.</p><p>¡Esperamos verte pronto!</p><p>Equipo de la Peluquería</p></body></html>','¡Cita Confirmada!\n\nHola {{NOMBRE_CLIENTE}},\n\nTu cita ha sido confirmada para el día {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}}.\n\nServicios reservados: {{SERVICIOS}}\n\nPara cancelar o reprogramar, llámanos al {{TELEFONO_SALON}} o responde a este correo.\n\n¡Esperamos verte pronto!\n\nEquipo de la Peluquería','confirmacion_cita',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,NOMBRE_ESTILISTA,SERVICIOS,TELEFONO_SALON','2025-05-10 17:22:50','2025-05-10 17:22:50'),(2,'Recordatorio de Cita','Recordatorio: Tu cita en Peluquería mañana','<html><body><h1>Recordatorio de Cita</h1><p>Hola {{NOMBRE_CLIENTE}},</p><p>Te recordamos que tienes una cita programada para mañana {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}}.</p><p>Servicios reservados: {{SERVICIOS}}</p><p>¡Esperamos verte pronto!</p><p>Equipo de la Peluquería</p></body></html>','Recordatorio de Cita\n\nHola {{NOMBRE_CLIENTE}},\n\nTe recordamos que tienes una cita programada para mañana {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}}.\n\nServicios reservados: {{SERVICIOS}}\n\n¡Esperamos verte pronto!\n\nEquipo de la Peluquería','recordatorio',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,NOMBRE_ESTILISTA,SERVICIOS','2025-05-10 17:22:50','2025-05-10 17:22:50'),(3,'Cancelación de Cita','Cancelación de cita en Peluquería','<html><body><h1>Cita Cancelada</h1><p>Hola {{NOMBRE_CLIENTE}},</p><p>Confirmamos que tu cita programada para el {{FECHA_CITA}} a las {{HORA_CITA}} ha sido cancelada.</p><p>Si deseas reprogramar, puedes hacerlo a través de nuestra página web o llamándonos al {{TELEFONO_SALON}}.</p><p>Equipo de la Peluquería</p></body></html>','Cita Cancelada\n\nHola {{NOMBRE_CLIENTE}},\n\nConfirmamos que tu cita programada para el {{FECHA_CITA}} a las {{HORA_CITA}} ha sido cancelada.\n\nSi deseas reprogramar, puedes hacerlo a través de nuestra página web o llamándonos al {{TELEFONO_SALON}}.\n\nEquipo de la Peluquería','cancelacion',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,TELEFONO_SALON','2025-05-10 17:22:50','2025-05-10 17:22:50'),(4,'Bienvenida','Bienvenido/a a Peluquería','<html><body><h1>¡Bienvenido/a a nuestra familia!</h1><p>Hola {{NOMBRE_CLIENTE}},</p><p>Queremos darte la bienvenida a Peluquería. Estamos emocionados de tenerte como cliente.</p><p>Nuestro equipo está dedicado a brindarte la mejor experiencia en cuidado personal.</p><p>Como regalo de bienvenida, te ofrecemos un {{PROMOCION_BIENVENIDA}} en tu primera visita.</p><p>¡Esperamos verte pronto!</p><p>Equipo de la Peluquería</p></body></html>','¡Bienvenido/a a nuestra familia!\n\nHola {{NOMBRE_CLIENTE}},\n\nQueremos darte la bienvenida a Peluquería. Estamos emocionados de tenerte como cliente.\n\nNuestro equipo está dedicado a brindarte la mejor experiencia en cuidado personal.\n\nComo regalo de bienvenida, te ofrecemos un {{PROMOCION_BIENVENIDA}} en tu primera visita.\n\n¡Esperamos verte pronto!\n\nEquipo de la Peluquería','bienvenida',1,'NOMBRE_CLIENTE,PROMOCION_BIENVENIDA','2025-05-10 17:22:50','2025-05-10 17:22:50'),(5,'Promoción','¡Promoción especial para ti!','<html><body><h1>¡Oferta Especial!</h1><p>Hola {{NOMBRE_CLIENTE}},</p><p>Queremos ofrecerte una promoción especial: {{DESCRIPCION_PROMOCION}}</p><p>Esta oferta es válida hasta el {{FECHA_LIMITE_PROMOCION}}.</p><p>Para aprovecharla, menciona el código {{CODIGO_PROMOCION}} al hacer tu reserva.</p><p>¡Te esperamos!</p><p>Equipo de la Peluquería</p></body></html>','¡Oferta Especial!\n\nHola {{NOMBRE_CLIENTE}},\n\nQueremos ofrecerte una promoción especial: {{DESCRIPCION_PROMOCION}}\n\nEsta oferta es válida hasta el {{FECHA_LIMITE_PROMOCION}}.\n\nPara aprovecharla, menciona el código {{CODIGO_PROMOCION}} al hacer tu reserva.\n\n¡Te esperamos!\n\nEquipo de la Peluquería','promocion',1,'NOMBRE_CLIENTE,DESCRIPCION_PROMOCION,FECHA_LIMITE_PROMOCION,CODIGO_PROMOCION','2025-05-10 17:22:50','2025-05-10 17:22:50');
+INSERT INTO `plantillas_correo` VALUES (1,'Confirmación de Cita','Confirmación de tu cita en Peluquería','<html><body><h1>¡Cita Confirmada!</h1><p>Hola {{NOMBRE_CLIENTE}},</p><p>Tu cita ha sido confirmada para el día {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}}.</p><p>Servicios reservados: {{SERVICIOS}}</p><p>Para cancelar o reprogramar, llámanos al {{TELEFONO_SALON}} o responde a este correo.</p><p>¡Esperamos verte pronto!</p><p>Equipo de la Peluquería</p></body></html>','¡Cita Confirmada!\n\nHola {{NOMBRE_CLIENTE}},\n\nTu cita ha sido confirmada para el día {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}}.\n\nServicios reservados: {{SERVICIOS}}\n\nPara cancelar o reprogramar, llámanos al {{TELEFONO_SALON}} o responde a este correo.\n\n¡Esperamos verte pronto!\n\nEquipo de la Peluquería','confirmacion_cita',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,NOMBRE_ESTILISTA,SERVICIOS,TELEFONO_SALON','2025-05-10 17:22:50','2025-05-10 17:22:50'),(2,'Recordatorio de Cita','Recordatorio: Tu cita en Peluquería el {{FECHA_CITA}}','<html><body><h1>Recordatorio de Cita</h1><p>Hola {{NOMBRE_CLIENTE}},</p><p>Te recordamos que tienes una cita programada para el {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}}.</p><p>Servicios reservados: {{SERVICIOS}}</p><p>¡Esperamos verte pronto!</p><p>Equipo de la Peluquería</p></body></html>','Recordatorio de Cita\n\nHola {{NOMBRE_CLIENTE}},\n\nTe recordamos que tienes una cita programada para el {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}}.\n\nServicios reservados: {{SERVICIOS}}\n\n¡Esperamos verte pronto!\n\nEquipo de la Peluquería','recordatorio_cita',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,NOMBRE_ESTILISTA,SERVICIOS','2025-05-10 17:22:50','2025-05-10 17:22:50'),(3,'Cancelación de Cita','Cancelación de cita en Peluquería','<html><body><h1>Cita Cancelada</h1><p>Hola {{NOMBRE_CLIENTE}},</p><p>Confirmamos que tu cita programada para el {{FECHA_CITA}} a las {{HORA_CITA}} ha sido cancelada.</p><p>Si deseas reprogramar, puedes hacerlo a través de nuestra página web o llamándonos al {{TELEFONO_SALON}}.</p><p>Equipo de la Peluquería</p></body></html>','Cita Cancelada\n\nHola {{NOMBRE_CLIENTE}},\n\nConfirmamos que tu cita programada para el {{FECHA_CITA}} a las {{HORA_CITA}} ha sido cancelada.\n\nSi deseas reprogramar, puedes hacerlo a través de nuestra página web o llamándonos al {{TELEFONO_SALON}}.\n\nEquipo de la Peluquería','cancelacion_cita',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,TELEFONO_SALON','2025-05-10 17:22:50','2025-05-10 17:22:50'),(4,'Bienvenida','Bienvenido/a a Peluquería','<html><body><h1>¡Bienvenido/a a nuestra familia!</h1><p>Hola {{NOMBRE_CLIENTE}},</p><p>Queremos darte la bienvenida a Peluquería. Estamos emocionados de tenerte como cliente.</p><p>Nuestro equipo está dedicado a brindarte la mejor experiencia en cuidado personal.</p><p>¡Esperamos verte pronto!</p><p>Equipo de la Peluquería</p></body></html>','¡Bienvenido/a a nuestra familia!\n\nHola {{NOMBRE_CLIENTE}},\n\nQueremos darte la bienvenida a Peluquería. Estamos emocionados de tenerte como cliente.\n\nNuestro equipo está dedicado a brindarte la mejor experiencia en cuidado personal.\n\n¡Esperamos verte pronto!\n\nEquipo de la Peluquería','bienvenida',1,'NOMBRE_CLIENTE','2025-05-10 17:22:50','2025-05-10 17:22:50'),(5,'Promoción','¡Promoción especial para ti!','<html><body><h1>¡Oferta Especial!</h1><p>Hola {{NOMBRE_CLIENTE}},</p><p>Queremos ofrecerte una promoción especial: {{DESCRIPCION_PROMOCION}}</p><p>Esta oferta es válida hasta el {{FECHA_LIMITE_PROMOCION}}.</p><p>Para aprovecharla, menciona el código {{CODIGO_PROMOCION}} al hacer tu reserva.</p><p>¡Te esperamos!</p><p>Equipo de la Peluquería</p></body></html>','¡Oferta Especial!\n\nHola {{NOMBRE_CLIENTE}},\n\nQueremos ofrecerte una promoción especial: {{DESCRIPCION_PROMOCION}}\n\nEsta oferta es válida hasta el {{FECHA_LIMITE_PROMOCION}}.\n\nPara aprovecharla, menciona el código {{CODIGO_PROMOCION}} al hacer tu reserva.\n\n¡Te esperamos!\n\nEquipo de la Peluquería','promocion',1,'NOMBRE_CLIENTE,DESCRIPCION_PROMOCION,FECHA_LIMITE_PROMOCION,CODIGO_PROMOCION','2025-05-10 17:22:50','2025-05-10 17:22:50');
 /*!40000 ALTER TABLE `plantillas_correo` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `plantillas_horario`
+--
+
+DROP TABLE IF EXISTS `plantillas_horario`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `plantillas_horario` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `nombre` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `descripcion` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `semanas_rotacion` tinyint NOT NULL DEFAULT '1' COMMENT 'Semanas del ciclo; 2 = semanas alternas',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `nombre` (`nombre`),
+  CONSTRAINT `chk_semanas_rotacion` CHECK ((`semanas_rotacion` between 1 and 8))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `plantillas_horario`
+--
+
+LOCK TABLES `plantillas_horario` WRITE;
+/*!40000 ALTER TABLE `plantillas_horario` DISABLE KEYS */;
+/*!40000 ALTER TABLE `plantillas_horario` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `plantillas_mensaje`
+--
+
+DROP TABLE IF EXISTS `plantillas_mensaje`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `plantillas_mensaje` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `nombre` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `canal` enum('sms','whatsapp') COLLATE utf8mb4_unicode_ci NOT NULL,
+  `tipo` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT 'confirmacion_cita, recordatorio_cita, cancelacion_cita',
+  `contenido` text COLLATE utf8mb4_unicode_ci NOT NULL,
+  `activo` tinyint(1) DEFAULT '1',
+  `variables` text COLLATE utf8mb4_unicode_ci COMMENT 'Lista de variables disponibles separadas por coma',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_plantillas_mensaje_tipo` (`tipo`,`canal`,`activo`)
+) ENGINE=InnoDB AUTO_INCREMENT=7 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `plantillas_mensaje`
+--
+
+LOCK TABLES `plantillas_mensaje` WRITE;
+/*!40000 ALTER TABLE `plantillas_mensaje` DISABLE KEYS */;
+INSERT INTO `plantillas_mensaje` VALUES (1,'Confirmación de Cita (SMS)','sms','confirmacion_cita','Hola {{NOMBRE_CLIENTE}}, tu cita con {{NOMBRE_ESTILISTA}} quedó confirmada para el {{FECHA_CITA}} a las {{HORA_CITA}}.',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,NOMBRE_ESTILISTA,SERVICIOS','2026-10-19 12:00:00','2026-10-19 12:00:00'),(2,'Recordatorio de Cita (SMS)','sms','recordatorio_cita','Hola {{NOMBRE_CLIENTE}}, te recordamos tu cita del {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}}.',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,NOMBRE_ESTILISTA,SERVICIOS','2026-10-19 12:00:00','2026-10-19 12:00:00'),(3,'Cancelación de Cita (SMS)','sms','cancelacion_cita','Hola {{NOMBRE_CLIENTE}}, tu cita del {{FECHA_CITA}} a las {{HORA_CITA}} fue cancelada.',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,NOMBRE_ESTILISTA','2026-10-19 12:00:00','2026-10-19 12:00:00'),(4,'Confirmación de Cita (WhatsApp)','whatsapp','confirmacion_cita','¡Hola {{NOMBRE_CLIENTE}}! ✅ Tu cita quedó confirmada.\n\n📅 {{FECHA_CITA}}\n🕐 {{HORA_CITA}}\n💈 {{NOMBRE_ESTILISTA}}\n✂️ {{SERVICIOS}}',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,NOMBRE_ESTILISTA,SERVICIOS','2026-10-19 12:00:00','2026-10-19 12:00:00'),(5,'Recordatorio de Cita (WhatsApp)','whatsapp','recordatorio_cita','¡Hola {{NOMBRE_CLIENTE}}! ⏰ Te recordamos tu cita.\n\n📅 {{FECHA_CITA}}\n🕐 {{HORA_CITA}}\n💈 {{NOMBRE_ESTILISTA}}\n✂️ {{SERVICIOS}}',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,NOMBRE_ESTILISTA,SERVICIOS','2026-10-19 12:00:00','2026-10-19 12:00:00'),(6,'Cancelación de Cita (WhatsApp)','whatsapp','cancelacion_cita','Hola {{NOMBRE_CLIENTE}}, tu cita del {{FECHA_CITA}} a las {{HORA_CITA}} con {{NOMBRE_ESTILISTA}} fue cancelada. Puedes reservar un nuevo horario cuando quieras.',1,'NOMBRE_CLIENTE,FECHA_CITA,HORA_CITA,NOMBRE_ESTILISTA','2026-10-19 12:00:00','2026-10-19 12:00:00');
+/*!40000 ALTER TABLE `plantillas_mensaje` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `productos`
 --
@@ -1327,6 +1933,101 @@ LOCK TABLES `promociones` WRITE;
 /*!40000 ALTER TABLE `promociones` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `recordatorios_cita`
+--
+
+DROP TABLE IF EXISTS `recordatorios_cita`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `recordatorios_cita` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `cita_id` int NOT NULL,
+  `horas_antes` int NOT NULL COMMENT 'Anticipación del recordatorio respecto al inicio de la cita',
+  `fecha_hora_cita` datetime NOT NULL COMMENT 'Inicio de la cita (UTC) para el que se calculó; al reprogramar se calculan de nuevo',
+  `fecha_programada` datetime NOT NULL COMMENT 'Momento del recordatorio (UTC)',
+  `estado` enum('Enviado','Omitido') COLLATE utf8mb4_unicode_ci NOT NULL COMMENT 'Enviado: encolado en la bandeja de salida',
+  `canales` json DEFAULT NULL COMMENT 'Canales por los que se encoló (email, push)',
+  `motivo_omision` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_recordatorio_cita_momento` (`cita_id`,`fecha_hora_cita`,`horas_antes`),
+  CONSTRAINT `recordatorios_cita_ibfk_1` FOREIGN KEY (`cita_id`) REFERENCES `citas` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `recordatorios_cita`
+--
+
+LOCK TABLES `recordatorios_cita` WRITE;
+/*!40000 ALTER TABLE `recordatorios_cita` DISABLE KEYS */;
+/*!40000 ALTER TABLE `recordatorios_cita` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `recursos`
+--
+
+DROP TABLE IF EXISTS `recursos`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `recursos` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `nombre` varchar(100) COLLATE utf8mb4_unicode_ci NOT NULL,
+  `tipo` varchar(50) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT 'Silla, Lavacabezas, Estación de color...',
+  `descripcion` text COLLATE utf8mb4_unicode_ci,
+  `activo` tinyint(1) DEFAULT '1',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_recursos_tipo` (`tipo`,`activo`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `recursos`
+--
+
+LOCK TABLES `recursos` WRITE;
+/*!40000 ALTER TABLE `recursos` DISABLE KEYS */;
+/*!40000 ALTER TABLE `recursos` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `reprogramaciones_citas`
+--
+
+DROP TABLE IF EXISTS `reprogramaciones_citas`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `reprogramaciones_citas` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `cita_id` int NOT NULL,
+  `fecha_hora_inicio_anterior` datetime NOT NULL,
+  `fecha_hora_fin_anterior` datetime NOT NULL,
+  `fecha_hora_inicio_nueva` datetime NOT NULL,
+  `fecha_hora_fin_nueva` datetime NOT NULL,
+  `reprogramado_por` int DEFAULT NULL COMMENT 'ID del usuario que reprogramó la cita',
+  `motivo` text COLLATE utf8mb4_unicode_ci,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_reprogramaciones_cita` (`cita_id`),
+  KEY `reprogramado_por` (`reprogramado_por`),
+  CONSTRAINT `reprogramaciones_citas_ibfk_1` FOREIGN KEY (`cita_id`) REFERENCES `citas` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `reprogramaciones_citas_ibfk_2` FOREIGN KEY (`reprogramado_por`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `reprogramaciones_citas`
+--
+
+LOCK TABLES `reprogramaciones_citas` WRITE;
+/*!40000 ALTER TABLE `reprogramaciones_citas` DISABLE KEYS */;
+/*!40000 ALTER TABLE `reprogramaciones_citas` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `resenas`
 --
@@ -1367,6 +2068,44 @@ LOCK TABLES `resenas` WRITE;
 /*!40000 ALTER TABLE `resenas` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `retenciones_horario`
+--
+
+DROP TABLE IF EXISTS `retenciones_horario`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `retenciones_horario` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `token` char(36) COLLATE utf8mb4_unicode_ci NOT NULL COMMENT 'Compartido por las filas de una misma visita, una por servicio',
+  `empleado_id` int NOT NULL,
+  `recurso_id` int DEFAULT NULL COMMENT 'Recurso apartado para el servicio, si lo usa',
+  `usuario_id` int NOT NULL,
+  `fecha_hora_inicio` datetime NOT NULL,
+  `fecha_hora_fin` datetime NOT NULL,
+  `expira_en` datetime NOT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `token` (`token`),
+  KEY `idx_retenciones_empleado_horario` (`empleado_id`,`fecha_hora_inicio`,`fecha_hora_fin`),
+  KEY `idx_retenciones_recurso_horario` (`recurso_id`,`fecha_hora_inicio`,`fecha_hora_fin`),
+  KEY `idx_retenciones_expira_en` (`expira_en`),
+  KEY `usuario_id` (`usuario_id`),
+  CONSTRAINT `retenciones_horario_ibfk_1` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `retenciones_horario_ibfk_2` FOREIGN KEY (`usuario_id`) REFERENCES `usuarios` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `retenciones_horario_ibfk_3` FOREIGN KEY (`recurso_id`) REFERENCES `recursos` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `retenciones_horario`
+--
+
+LOCK TABLES `retenciones_horario` WRITE;
+/*!40000 ALTER TABLE `retenciones_horario` DISABLE KEYS */;
+/*!40000 ALTER TABLE `retenciones_horario` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `roles`
 --
@@ -1394,6 +2133,47 @@ INSERT INTO `roles` VALUES (1,'administrador','Control total del sistema','2025-
 /*!40000 ALTER TABLE `roles` ENABLE KEYS */;
 UNLOCK TABLES;
 
+--
+-- Table structure for table `series_citas`
+--
+
+DROP TABLE IF EXISTS `series_citas`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `series_citas` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `cliente_id` int NOT NULL,
+  `empleado_id` int NOT NULL,
+  `servicios` json NOT NULL COMMENT 'Servicios de cada cita: [{"id":1,"cantidad":1}]',
+  `frecuencia_semanas` tinyint NOT NULL DEFAULT '1' COMMENT 'Cada cuántas semanas se repite',
+  `dia_semana` tinyint NOT NULL COMMENT '0=Domingo ... 6=Sábado',
+  `hora_inicio` time NOT NULL COMMENT 'Hora local del barbero',
+  `fecha_inicio` date NOT NULL,
+  `fecha_fin` date DEFAULT NULL COMMENT 'Última fecha de la serie (NULL si se limita por ocurrencias)',
+  `ocurrencias` int DEFAULT NULL COMMENT 'Cantidad de citas (NULL si se limita por fecha_fin)',
+  `estado` enum('Activa','Cancelada') COLLATE utf8mb4_unicode_ci NOT NULL DEFAULT 'Activa',
+  `creado_por` int DEFAULT NULL COMMENT 'ID del usuario que creó la serie',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_series_cliente` (`cliente_id`),
+  KEY `idx_series_empleado` (`empleado_id`),
+  KEY `creado_por` (`creado_por`),
+  CONSTRAINT `series_citas_ibfk_1` FOREIGN KEY (`cliente_id`) REFERENCES `clientes` (`id`),
+  CONSTRAINT `series_citas_ibfk_2` FOREIGN KEY (`empleado_id`) REFERENCES `empleados` (`id`),
+  CONSTRAINT `series_citas_ibfk_3` FOREIGN KEY (`creado_por`) REFERENCES `usuarios` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `series_citas`
+--
+
+LOCK TABLES `series_citas` WRITE;
+/*!40000 ALTER TABLE `series_citas` DISABLE KEYS */;
+/*!40000 ALTER TABLE `series_citas` ENABLE KEYS */;
+UNLOCK TABLES;
+
 --
 -- Table structure for table `servicios`
 --
@@ -1409,6 +2189,7 @@ CREATE TABLE `servicios` (
   `duracion` int NOT NULL COMMENT 'Duración en minutos',
   `precio` decimal(10,2) NOT NULL,
   `imagen` varchar(255) COLLATE utf8mb4_unicode_ci DEFAULT NULL,
+  `tipo_recurso` varchar(50) COLLATE utf8mb4_unicode_ci DEFAULT NULL COMMENT 'Tipo de recurso que necesita el servicio (recursos.tipo)',
   `activo` tinyint(1) DEFAULT '1',
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -1425,7 +2206,7 @@ CREATE TABLE `servicios` (
 
 LOCK TABLES `servicios` WRITE;
 /*!40000 ALTER TABLE `servicios` DISABLE KEYS */;
-INSERT INTO `servicios` VALUES (1,1,'black','gfd',20,3.00,NULL,1,'2025-05-10 19:30:00','2025-05-10 19:30:00');
+INSERT INTO `servicios` VALUES (1,1,'black','gfd',20,3.00,NULL,NULL,1,'2025-05-10 19:30:00','2025-05-10 19:30:00');
 /*!40000 ALTER TABLE `servicios` ENABLE KEYS */;
 UNLOCK TABLES;
 
@@ -1478,6 +2259,7 @@ CREATE TABLE `usuarios` (
   `notificacion_correo` tinyint(1) DEFAULT '1',
   `notificacion_push` tinyint(1) DEFAULT '0',
   `notificacion_sms` tinyint(1) DEFAULT '0',
+  `notificacion_whatsapp` tinyint(1) DEFAULT '0',
   `recordatorio_horas_antes` int DEFAULT '24',
   `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
   `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -0,0 +1,55 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const { query } = require('../../src/config/database');
+const PlantillaCorreo = require('../../src/models/PlantillaCorreo');
+const MotorPlantillas = require('../../src/utils/motorPlantillas');
+const { PLANTILLAS_CORREO, VARIABLES_EJEMPLO } = require('../../src/config/plantillasCorreo');
+
+describe('PlantillaCorreo: validación al guardar', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  test('crear rechaza una plantilla con errores de sintaxis sin tocar la base de datos', async () => {
+    await expect(PlantillaCorreo.crear({
+      nombre: 'Confirmación',
+      asunto: 'Tu cita del {{FECHA_CITA}}',
+      contenido_html: '<p>{{#if DESCUENTO}}Ahorraste</p>',
+      tipo: 'confirmacion_cita'
+    })).rejects.toThrow('Error de sintaxis en contenido_html: Línea 1: {{#if}} sin {{/if}}');
+
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('actualizar valida solo los campos que se envían', async () => {
+    await expect(PlantillaCorreo.actualizar(1, { asunto: '{{NOMBRE | gritar}}' }))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+    expect(query).not.toHaveBeenCalled();
+
+    query
+      .mockResolvedValueOnce({ affectedRows: 1 })
+      .mockResolvedValueOnce([{ id: 1, nombre: 'Renombrada' }]);
+
+    await expect(PlantillaCorreo.actualizar(1, { nombre: 'Renombrada' })).resolves.toMatchObject({ id: 1 });
+  });
+});
+
+describe('PlantillaCorreo: catálogo', () => {
+  test('los tipos predefinidos empiezan por los correos del sistema', () => {
+    const tipos = PlantillaCorreo.obtenerTiposPredefinidos();
+
+    expect(tipos.slice(0, Object.keys(PLANTILLAS_CORREO).length)).toEqual(Object.keys(PLANTILLAS_CORREO));
+    expect(PlantillaCorreo.obtenerCatalogo().map(item => item.tipo)).toEqual(Object.keys(PLANTILLAS_CORREO));
+  });
+
+  test.each(Object.keys(PLANTILLAS_CORREO))('la plantilla predeterminada de %s es válida y se renderiza con los datos de ejemplo', (tipo) => {
+    const plantilla = PLANTILLAS_CORREO[tipo];
+
+    expect(() => PlantillaCorreo.validarSintaxis(plantilla)).not.toThrow();
+
+    for (const campo of ['asunto', 'contenido_html', 'contenido_texto']) {
+      const texto = MotorPlantillas.renderizar(plantilla[campo], VARIABLES_EJEMPLO, { html: campo === 'contenido_html', zonaHoraria: 'UTC' });
+      expect(texto).not.toContain('{{');
+    }
+  });
+});
@@ -0,0 +1,21 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaccion: jest.fn(), pool: {} }));
+jest.mock('../../src/config/firebaseAdmin', () => ({ admin: {} }));
+jest.mock('../../src/services/emailService', () => ({ enviarBienvenida: jest.fn().mockResolvedValue() }));
+
+const BandejaSalida = require('../../src/models/BandejaSalida');
+const bandejaSalidaService = require('../../src/services/bandejaSalidaService');
+const emailService = require('../../src/services/emailService');
+require('../../src/services/authService');
+
+describe('authService: correo de bienvenida', () => {
+  test('registra su propia entrega sin depender de notificacionService', async () => {
+    expect(require.cache[require.resolve('../../src/services/notificacionService')]).toBeUndefined();
+
+    const crear = jest.spyOn(BandejaSalida, 'crear').mockResolvedValue(1);
+    await expect(bandejaSalidaService.encolar({}, [{ canal: 'email', tipo: 'bienvenida', usuarioId: 4 }])).resolves.toEqual([1]);
+    expect(crear).toHaveBeenCalled();
+
+    await bandejaSalidaService.entregas.get('email:bienvenida')({ usuario_id: 4 });
+    expect(emailService.enviarBienvenida).toHaveBeenCalledWith(4);
+  });
+});
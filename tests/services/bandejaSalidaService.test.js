@@ -0,0 +1,64 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaccion: jest.fn(callback => callback({})) }));
+
+const BandejaSalida = require('../../src/models/BandejaSalida');
+const bandejaSalidaService = require('../../src/services/bandejaSalidaService');
+
+describe('bandejaSalidaService.calcularEspera', () => {
+  test('duplica la espera en cada intento a partir de un minuto', () => {
+    expect([1, 2, 3, 4, 5].map(intentos => bandejaSalidaService.calcularEspera(intentos))).toEqual([60, 120, 240, 480, 960]);
+  });
+
+  test('nunca espera más de 6 horas', () => {
+    expect(bandejaSalidaService.calcularEspera(9)).toBe(15360);
+    expect(bandejaSalidaService.calcularEspera(10)).toBe(6 * 60 * 60);
+    expect(bandejaSalidaService.calcularEspera(30)).toBe(6 * 60 * 60);
+  });
+});
+
+describe('bandejaSalidaService: registro y entrega', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    bandejaSalidaService.entregas.clear();
+  });
+
+  test('rechaza un canal desconocido', () => {
+    expect(() => bandejaSalidaService.registrarEntrega('fax', 'confirmacion_cita', jest.fn()))
+      .toThrow('Canal de notificación desconocido: fax');
+  });
+
+  test('no encola mensajes sin entrega registrada', async () => {
+    const crear = jest.spyOn(BandejaSalida, 'crear').mockResolvedValue(1);
+
+    await expect(bandejaSalidaService.encolar(null, [{ canal: 'email', tipo: 'bienvenida' }]))
+      .rejects.toThrow('No hay entrega registrada para email:bienvenida');
+    expect(crear).not.toHaveBeenCalled();
+  });
+
+  test('encola con la conexión de la transacción que lo origina', async () => {
+    const conexion = {};
+    const crear = jest.spyOn(BandejaSalida, 'crear').mockResolvedValue(12);
+    bandejaSalidaService.registrarEntrega('email', 'bienvenida', jest.fn());
+
+    await expect(bandejaSalidaService.encolar(conexion, [{ canal: 'email', tipo: 'bienvenida', usuarioId: 4 }])).resolves.toEqual([12]);
+    expect(crear).toHaveBeenCalledWith(conexion, expect.objectContaining({ canal: 'email', tipo: 'bienvenida', usuario_id: 4, cita_id: null }));
+  });
+
+  test('un error programa el reintento con espera y al agotar los intentos queda fallido', async () => {
+    jest.spyOn(BandejaSalida, 'tomarPendientes').mockResolvedValue([
+      { id: 1, canal: 'push', tipo: 'recordatorio_cita', intentos: 1, maximo_intentos: 5 },
+      { id: 2, canal: 'push', tipo: 'recordatorio_cita', intentos: 5, maximo_intentos: 5 },
+      { id: 3, canal: 'email', tipo: 'bienvenida', intentos: 1, maximo_intentos: 5 }
+    ]);
+    const marcarEnviado = jest.spyOn(BandejaSalida, 'marcarEnviado').mockResolvedValue();
+    const marcarError = jest.spyOn(BandejaSalida, 'marcarError').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    bandejaSalidaService.registrarEntrega('push', 'recordatorio_cita', jest.fn().mockRejectedValue(new Error('FCM caído')));
+    bandejaSalidaService.registrarEntrega('email', 'bienvenida', jest.fn().mockResolvedValue());
+
+    await expect(bandejaSalidaService.procesarPendientes()).resolves.toEqual({ enviados: 1, reintentos: 1, fallidos: 1 });
+    expect(marcarEnviado).toHaveBeenCalledWith(3);
+    expect(marcarError).toHaveBeenCalledWith(1, 'FCM caído', 60);
+    expect(marcarError).toHaveBeenCalledWith(2, 'FCM caído', null);
+  });
+});
@@ -0,0 +1,133 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+jest.mock('../../src/models/Configuracion', () => ({ obtenerValor: jest.fn() }));
+jest.mock('../../src/models/Promocion', () => ({
+  validarPromocion: jest.fn(),
+  obtenerServiciosAsociados: jest.fn()
+}));
+
+const { query } = require('../../src/config/database');
+const Configuracion = require('../../src/models/Configuracion');
+const Promocion = require('../../src/models/Promocion');
+const cotizacionService = require('../../src/services/cotizacionService');
+
+const CATALOGO = [
+  { id: 1, nombre: 'Corte', precio: '15.00', duracion: 30 },
+  { id: 2, nombre: 'Barba', precio: '10.00', duracion: 20 },
+  { id: 3, nombre: 'Tinte', precio: '33.33', duracion: 45 }
+];
+
+// Simula las consultas de obtenerLineas: servicios del catálogo y precios propios del empleado
+const prepararCatalogo = (propios = []) => {
+  query.mockImplementation(async (sql, params) => {
+    if (sql.includes('FROM empleado_servicio')) return propios;
+    return CATALOGO.filter(servicio => params.includes(servicio.id));
+  });
+};
+
+describe('cotizacionService.cotizar', () => {
+  beforeEach(() => {
+    query.mockReset();
+    Configuracion.obtenerValor.mockReset().mockResolvedValue(0);
+    Promocion.validarPromocion.mockReset();
+    Promocion.obtenerServiciosAsociados.mockReset();
+    prepararCatalogo();
+  });
+
+  test('suma precio por cantidad, duración e impuesto', async () => {
+    Configuracion.obtenerValor.mockResolvedValue('19');
+
+    const cotizacion = await cotizacionService.cotizar({ servicios: [{ id: 1, cantidad: 2 }, 2] });
+
+    expect(cotizacion.lineas.map(linea => [linea.servicio_id, linea.subtotal, linea.total])).toEqual([[1, 30, 30], [2, 10, 10]]);
+    expect(cotizacion).toMatchObject({
+      duracion: 80,
+      subtotal: 40,
+      descuento: 0,
+      base_imponible: 40,
+      impuesto_porcentaje: 19,
+      impuesto: 7.6,
+      total: 47.6,
+      promocion: null
+    });
+  });
+
+  test('agrupa el mismo servicio repetido en una sola línea', async () => {
+    const cotizacion = await cotizacionService.cotizar({ servicios: [1, 1, { id: 1, cantidad: 2 }] });
+
+    expect(cotizacion.lineas).toHaveLength(1);
+    expect(cotizacion.lineas[0]).toMatchObject({ cantidad: 4, subtotal: 60, duracion: 120 });
+  });
+
+  test('usa el precio y la duración propios del empleado', async () => {
+    prepararCatalogo([{ empleado_id: 7, servicio_id: 1, precio: '18.50', duracion: 40 }]);
+
+    const cotizacion = await cotizacionService.cotizar({ servicios: [1, 2], empleadoId: 7 });
+
+    expect(cotizacion.lineas[0]).toMatchObject({ empleado_id: 7, precio_unitario: 18.5, duracion: 40 });
+    expect(cotizacion.lineas[1]).toMatchObject({ empleado_id: 7, precio_unitario: 10, duracion: 20 });
+    expect(cotizacion.total).toBe(28.5);
+  });
+
+  test('un descuento porcentual se aplica antes del impuesto', async () => {
+    Configuracion.obtenerValor.mockResolvedValue(10);
+    Promocion.validarPromocion.mockResolvedValue({ id: 4, codigo: 'OTONO', nombre: 'Otoño', tipo: 'Porcentaje', valor: '20', aplicable_a: 'Todos' });
+
+    const cotizacion = await cotizacionService.cotizar({ servicios: [1, 2], codigoPromocion: 'OTONO', fecha: '2026-10-20' });
+
+    expect(cotizacion).toMatchObject({ subtotal: 25, descuento: 5, base_imponible: 20, impuesto: 2, total: 22 });
+    expect(cotizacion.promocion).toEqual({ id: 4, codigo: 'OTONO', nombre: 'Otoño', tipo: 'Porcentaje', valor: 20 });
+  });
+
+  test('un monto fijo se reparte entre las líneas sin perder centavos', async () => {
+    Promocion.validarPromocion.mockResolvedValue({ id: 5, tipo: 'Monto Fijo', valor: '10', aplicable_a: 'Todos' });
+
+    const cotizacion = await cotizacionService.cotizar({ servicios: [1, 2, 3], codigoPromocion: 'DIEZ' });
+    const repartido = cotizacion.lineas.reduce((total, linea) => total + linea.descuento, 0);
+
+    expect(cotizacion.descuento).toBe(10);
+    expect(Math.round(repartido * 100) / 100).toBe(10);
+    expect(cotizacion.total).toBe(48.33);
+  });
+
+  test('un monto fijo nunca deja el total en negativo', async () => {
+    Promocion.validarPromocion.mockResolvedValue({ id: 6, tipo: 'Monto Fijo', valor: '100', aplicable_a: 'Todos' });
+
+    const cotizacion = await cotizacionService.cotizar({ servicios: [2], codigoPromocion: 'CIEN' });
+
+    expect(cotizacion).toMatchObject({ descuento: 10, total: 0 });
+  });
+
+  test('servicio gratis regala una unidad del servicio aplicable más económico', async () => {
+    Promocion.validarPromocion.mockResolvedValue({ id: 7, tipo: 'Servicio Gratis', valor: '0', aplicable_a: 'Servicios Específicos' });
+    Promocion.obtenerServiciosAsociados.mockResolvedValue([{ id: 1 }, { id: 3 }]);
+
+    const cotizacion = await cotizacionService.cotizar({ servicios: [{ id: 1, cantidad: 2 }, 2, 3], codigoPromocion: 'GRATIS' });
+
+    expect(cotizacion.lineas.map(linea => linea.descuento)).toEqual([15, 0, 0]);
+    expect(cotizacion.total).toBe(58.33);
+  });
+
+  test('rechaza una promoción que no aplica a los servicios elegidos', async () => {
+    Promocion.validarPromocion.mockResolvedValue({ id: 8, tipo: 'Porcentaje', valor: '10', aplicable_a: 'Servicios Específicos' });
+    Promocion.obtenerServiciosAsociados.mockResolvedValue([{ id: 3 }]);
+
+    await expect(cotizacionService.cotizar({ servicios: [1], codigoPromocion: 'TINTE' }))
+      .rejects.toThrow('El código de promoción no aplica a los servicios seleccionados');
+  });
+
+  test('rechaza servicios inexistentes, selección vacía y cantidades inválidas', async () => {
+    await expect(cotizacionService.cotizar({ servicios: [1, 99] })).rejects.toMatchObject({ name: 'ValidationError' });
+    await expect(cotizacionService.cotizar({ servicios: [] })).rejects.toThrow('Debes seleccionar al menos un servicio');
+    await expect(cotizacionService.cotizar({ servicios: [{ id: 1, cantidad: -1 }] }))
+      .rejects.toThrow('La cantidad de cada servicio debe ser al menos 1');
+  });
+});
+
+describe('cotizacionService.totalCoincide', () => {
+  test('compara el total al centavo', () => {
+    expect(cotizacionService.totalCoincide('47.60', { total: 47.6 })).toBe(true);
+    expect(cotizacionService.totalCoincide(47.604, { total: 47.6 })).toBe(true);
+    expect(cotizacionService.totalCoincide(47.59, { total: 47.6 })).toBe(false);
+    expect(cotizacionService.totalCoincide(10.01, { total: 10 })).toBe(false);
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaccion: jest.fn() }));
+jest.mock('../../src/config/firebaseAdmin', () => ({ admin: {} }));
+jest.mock('../../src/services/authService', () => ({}));
+jest.mock('../../src/services/notificacionService', () => ({
+  actualizarNotificacionesCita: jest.fn(),
+  cancelarNotificacionesCita: jest.fn(),
+  enviarInvitacionResena: jest.fn()
+}));
+jest.mock('../../src/services/listaEsperaService', () => ({}));
+jest.mock('../../src/models/ColaRecepcion', () => ({}));
+jest.mock('../../src/models/HistorialEstadoCita', () => ({ crear: jest.fn() }));
+
+const estadoCitaService = require('../../src/services/estadoCitaService');
+const HistorialEstadoCita = require('../../src/models/HistorialEstadoCita');
+const notificacionService = require('../../src/services/notificacionService');
+const { ROLES } = require('../../src/middleware/auth');
+
+describe('estadoCitaService: tabla de transiciones', () => {
+  test.each([
+    ['Pendiente', ['Confirmada', 'En proceso', 'Cancelada', 'No asistió']],
+    ['Confirmada', ['En proceso', 'Cancelada', 'No asistió']],
+    ['En proceso', ['Completada']],
+    ['No asistió', ['Confirmada']],
+    ['Completada', []],
+    ['Cancelada', []]
+  ])('desde %s sin rol se puede pasar a %j', (estado, siguientes) => {
+    expect(estadoCitaService.obtenerTransicionesPermitidas(estado)).toEqual(siguientes);
+  });
+
+  test('un cliente solo puede confirmar o cancelar', () => {
+    expect(estadoCitaService.obtenerTransicionesPermitidas('Pendiente', ROLES.cliente)).toEqual(['Confirmada', 'Cancelada']);
+    expect(estadoCitaService.obtenerTransicionesPermitidas('Confirmada', ROLES.cliente)).toEqual(['Cancelada']);
+    expect(estadoCitaService.obtenerTransicionesPermitidas('En proceso', ROLES.cliente)).toEqual([]);
+  });
+
+  test('solo administración corrige una inasistencia', () => {
+    expect(estadoCitaService.obtenerTransicionesPermitidas('No asistió', ROLES.administrador)).toEqual(['Confirmada']);
+    expect(estadoCitaService.obtenerTransicionesPermitidas('No asistió', ROLES.empleado)).toEqual([]);
+  });
+
+  test('los estados terminales no tienen salida', () => {
+    const grafo = estadoCitaService.obtenerGrafo();
+    expect(grafo.Completada).toEqual({});
+    expect(grafo.Cancelada).toEqual({});
+  });
+
+  test('reconoce los nombres de estado sin importar mayúsculas', () => {
+    expect(estadoCitaService.obtenerEstado('No Asistió')).toBe('No asistió');
+    expect(estadoCitaService.obtenerEstado('pendiente')).toBe('Pendiente');
+    expect(() => estadoCitaService.obtenerEstado('Archivada')).toThrow('Estado de cita desconocido: Archivada');
+  });
+
+  test('obtiene el nombre del rol desde su ID', () => {
+    expect(estadoCitaService.obtenerRol(ROLES.empleado)).toBe('empleado');
+    expect(estadoCitaService.obtenerRol(String(ROLES.cliente))).toBe('cliente');
+    expect(estadoCitaService.obtenerRol(null)).toBeNull();
+  });
+});
+
+describe('estadoCitaService.transicionar', () => {
+  let conexion;
+
+  beforeEach(() => {
+    conexion = { query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+    HistorialEstadoCita.crear.mockReset().mockResolvedValue(1);
+  });
+
+  test('rechaza una transición que no existe sin tocar la cita', async () => {
+    await expect(estadoCitaService.transicionar(conexion, { id: 1, estado: 'Completada' }, 'Pendiente'))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+    expect(conexion.query).not.toHaveBeenCalled();
+  });
+
+  test('rechaza un rol sin permiso para la transición', async () => {
+    await expect(estadoCitaService.transicionar(conexion, { id: 1, estado: 'Confirmada' }, 'En proceso', { rolId: ROLES.cliente }))
+      .rejects.toMatchObject({ name: 'PermissionError' });
+    expect(conexion.query).not.toHaveBeenCalled();
+  });
+
+  test('registra el cambio permitido en el historial y corre sus efectos de la transacción', async () => {
+    const cambio = await estadoCitaService.transicionar(conexion, { id: 9, estado: 'Pendiente' }, 'Confirmada', { usuarioId: 3, rolId: ROLES.cliente });
+
+    expect(cambio).toEqual({ citaId: 9, desde: 'Pendiente', hacia: 'Confirmada', usuarioId: 3, motivo: null });
+    expect(notificacionService.actualizarNotificacionesCita).toHaveBeenCalledWith(9, conexion);
+
+    expect(conexion.query).toHaveBeenCalled();
+    expect(HistorialEstadoCita.crear).toHaveBeenCalledWith(conexion, expect.objectContaining({
+      cita_id: 9,
+      estado_anterior: 'Pendiente',
+      estado_nuevo: 'Confirmada',
+      usuario_id: 3
+    }));
+  });
+});
+
+describe('estadoCitaService: efectos', () => {
+  test('separa los efectos de dentro y de después de la transacción', () => {
+    const nombres = (cambio, enTransaccion) => estadoCitaService.obtenerEfectos(cambio, enTransaccion).map(efecto => efecto.nombre);
+
+    expect(nombres({ desde: 'Confirmada', hacia: 'Cancelada' }, true)).toEqual(['cancelarNotificaciones']);
+    expect(nombres({ desde: 'Confirmada', hacia: 'Cancelada' }, false)).toEqual(['ofrecerHorarioLiberado', 'retirarDeCola']);
+    expect(nombres({ desde: 'En proceso', hacia: 'Completada' }, true)).toEqual(['invitarAResenar']);
+    expect(nombres({ desde: 'Pendiente', hacia: 'No asistió' }, true)).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaccion: jest.fn(callback => callback({})) }));
+jest.mock('../../src/services/emailService', () => ({}));
+jest.mock('../../src/services/googleCalendarService', () => ({}));
+jest.mock('../../src/services/notificacionPushService', () => ({}));
+jest.mock('../../src/services/mensajeriaService', () => ({ obtenerCanales: jest.fn(() => []) }));
+jest.mock('../../src/models/RecordatorioCita', () => ({ crear: jest.fn() }));
+
+const { query } = require('../../src/config/database');
+const RecordatorioCita = require('../../src/models/RecordatorioCita');
+const bandejaSalidaService = require('../../src/services/bandejaSalidaService');
+const notificacionService = require('../../src/services/notificacionService');
+const ZonaHoraria = require('../../src/utils/zonaHoraria');
+
+describe('notificacionService.enviarRecordatorioManual', () => {
+  const enHoras = horas => ZonaHoraria.aFechaSQL(new Date(Date.now() + horas * 60 * 60 * 1000));
+  const cita = (datos = {}) => ({
+    id: 3, fecha_hora_inicio: enHoras(5.5), estado: 'Confirmada',
+    email: 'cliente@correo.com', notificacion_correo: 1, notificacion_push: 0, ...datos
+  });
+  let encolar;
+
+  beforeEach(() => {
+    query.mockReset();
+    RecordatorioCita.crear.mockReset().mockResolvedValue(true);
+    encolar = jest.spyOn(bandejaSalidaService, 'encolar').mockResolvedValue([1]);
+  });
+
+  afterEach(() => {
+    encolar.mockRestore();
+  });
+
+  test('registra el recordatorio con las horas que faltan y lo encola por los canales del cliente', async () => {
+    query.mockResolvedValue([cita()]);
+
+    await expect(notificacionService.enviarRecordatorioManual(3)).resolves.toEqual({ horas_antes: 5, canales: ['email'] });
+    expect(RecordatorioCita.crear).toHaveBeenCalledWith({}, expect.objectContaining({ cita_id: 3, horas_antes: 5, estado: 'Enviado', canales: ['email'] }));
+    expect(encolar).toHaveBeenCalledWith({}, [{ canal: 'email', tipo: 'recordatorio_cita', citaId: 3 }]);
+  });
+
+  test('no envía dos veces un momento ya registrado', async () => {
+    query.mockResolvedValue([cita()]);
+    RecordatorioCita.crear.mockResolvedValue(false);
+
+    await expect(notificacionService.enviarRecordatorioManual(3)).rejects.toMatchObject({ name: 'ConflictError' });
+    expect(encolar).not.toHaveBeenCalled();
+  });
+
+  test('rechaza citas inexistentes, terminadas o de clientes sin canales activos', async () => {
+    query.mockResolvedValueOnce([]);
+    await expect(notificacionService.enviarRecordatorioManual(3)).rejects.toMatchObject({ name: 'NotFoundError' });
+
+    query.mockResolvedValueOnce([cita({ estado: 'Cancelada' })]);
+    await expect(notificacionService.enviarRecordatorioManual(3)).rejects.toMatchObject({ name: 'ValidationError' });
+
+    query.mockResolvedValueOnce([cita({ fecha_hora_inicio: enHoras(-1) })]);
+    await expect(notificacionService.enviarRecordatorioManual(3)).rejects.toMatchObject({ name: 'ValidationError' });
+
+    query.mockResolvedValueOnce([cita({ notificacion_correo: 0 })]);
+    await expect(notificacionService.enviarRecordatorioManual(3)).rejects.toThrow('El cliente no tiene canales de notificación activos');
+
+    expect(RecordatorioCita.crear).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaccion: jest.fn() }));
+
+const { transaccion } = require('../../src/config/database');
+const disponibilidadService = require('../../src/services/disponibilidadService');
+const planificadorHorarioService = require('../../src/services/planificadorHorarioService');
+const ZonaHoraria = require('../../src/utils/zonaHoraria');
+
+describe('planificadorHorarioService.copiarSemana', () => {
+  const JORNADA = [{ inicio: 540, fin: 1080 }];
+  let conexion;
+  let bloquearAgenda;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    conexion = { query: jest.fn().mockResolvedValue([{ affectedRows: 0 }]) };
+    transaccion.mockImplementation(callback => callback(conexion));
+
+    jest.spyOn(ZonaHoraria, 'obtenerZonaHoraria').mockResolvedValue('America/Bogota');
+    jest.spyOn(planificadorHorarioService, 'obtenerEmpleados').mockResolvedValue([
+      { id: 2, empleado_nombre: 'Ana Ruiz' },
+      { id: 1, empleado_nombre: 'Luis Gómez' }
+    ]);
+    // La semana origen cierra el lunes y trabaja de 9:00 a 18:00 el resto de días
+    jest.spyOn(planificadorHorarioService, 'obtenerPlanDia')
+      .mockImplementation(async (empleadoId, fecha) => (fecha === '2026-10-19' ? [] : JORNADA));
+    jest.spyOn(disponibilidadService, 'obtenerHorarioBase').mockResolvedValue({ intervalos: JORNADA, descansos: [] });
+    bloquearAgenda = jest.spyOn(disponibilidadService, 'bloquearAgenda').mockResolvedValue();
+  });
+
+  test('no cierra un día con citas reservadas y lo devuelve en dias_omitidos', async () => {
+    jest.spyOn(planificadorHorarioService, 'obtenerCitasDia').mockImplementation(async (empleadoId, fecha) => (
+      empleadoId === 1 && fecha === '2026-10-26'
+        ? [{ id: 40, estado: 'Confirmada', intervalos: [{ inicio: 600, fin: 630 }] }]
+        : []
+    ));
+
+    const resultado = await planificadorHorarioService.copiarSemana({ fecha: '2026-10-21', semanas: 1 });
+
+    expect(resultado.dias_omitidos).toEqual([
+      { empleado_id: 1, empleado_nombre: 'Luis Gómez', fecha: '2026-10-26', citas: [{ id: 40, estado: 'Confirmada' }] }
+    ]);
+    expect(resultado).toMatchObject({ semana_origen: '2026-10-19', dias_modificados: 1, excepciones_creadas: 1 });
+
+    const consultas = conexion.query.mock.calls.map(([sql, params]) => [sql.trim().split(/\s+/)[0], params[0], params[1]]);
+    expect(consultas).not.toContainEqual(['DELETE', '2026-10-26', 1]);
+    expect(consultas).toContainEqual(['INSERT', 2, '2026-10-26']);
+  });
+
+  test('bloquea cada día destino, empleado por empleado en orden de ID', async () => {
+    jest.spyOn(planificadorHorarioService, 'obtenerCitasDia').mockResolvedValue([]);
+
+    await planificadorHorarioService.copiarSemana({ fecha: '2026-10-19', semanas: 2 });
+
+    const bloqueos = bloquearAgenda.mock.calls.map(([, empleadoId, fecha]) => `${empleadoId}|${fecha}`);
+    expect(bloqueos).toHaveLength(28);
+    expect(bloqueos.slice(0, 2)).toEqual(['1|2026-10-26', '1|2026-10-27']);
+    expect(bloqueos[14]).toBe('2|2026-10-26');
+  });
+
+  test('una cita dentro del plan copiado no impide el cambio', async () => {
+    jest.spyOn(planificadorHorarioService, 'obtenerCitasDia')
+      .mockResolvedValue([{ id: 41, estado: 'Pendiente', intervalos: [{ inicio: 600, fin: 630 }] }]);
+    jest.spyOn(planificadorHorarioService, 'obtenerPlanDia').mockResolvedValue([{ inicio: 540, fin: 720 }]);
+
+    const resultado = await planificadorHorarioService.copiarSemana({ fecha: '2026-10-19', semanas: 1 });
+
+    expect(resultado.dias_omitidos).toEqual([]);
+    expect(resultado.dias_modificados).toBe(14);
+  });
+
+  test('limita las semanas que se copian', async () => {
+    await expect(planificadorHorarioService.copiarSemana({ fecha: '2026-10-19', semanas: 13 }))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), transaccion: jest.fn(callback => callback(mockConexion)) }));
+jest.mock('../../src/config/firebaseAdmin', () => ({ admin: {} }));
+jest.mock('../../src/services/notificacionService', () => ({}));
+jest.mock('../../src/models/Configuracion', () => ({ obtenerValor: jest.fn().mockResolvedValue(10) }));
+
+const mockConexion = { query: jest.fn() };
+const disponibilidadService = require('../../src/services/disponibilidadService');
+const reservacionService = require('../../src/services/reservacionService');
+const retencionHorarioService = require('../../src/services/retencionHorarioService');
+
+const ASIGNACIONES = [
+  { servicioId: 1, empleadoId: 3, recursoId: 7, orden: 1, fechaHoraInicio: '2026-10-20 14:00:00', fechaHoraFin: '2026-10-20 14:30:00' },
+  { servicioId: 2, empleadoId: 4, recursoId: null, orden: 2, fechaHoraInicio: '2026-10-20 14:30:00', fechaHoraFin: '2026-10-20 14:50:00' }
+];
+
+describe('retencionHorarioService.retener', () => {
+  beforeEach(() => {
+    mockConexion.query.mockReset().mockResolvedValue([{ affectedRows: 1 }]);
+  });
+
+  test('libera la retención anterior y aparta cada servicio con su empleado y su recurso', async () => {
+    const retencion = await retencionHorarioService.retener(mockConexion, { usuarioId: 9, asignaciones: ASIGNACIONES });
+
+    const [borrado, ...inserciones] = mockConexion.query.mock.calls;
+    expect(borrado).toEqual(['DELETE FROM retenciones_horario WHERE usuario_id = ?', [9]]);
+    expect(inserciones.map(([, params]) => params.slice(0, 6))).toEqual([
+      [retencion.token, 3, 7, 9, '2026-10-20 14:00:00', '2026-10-20 14:30:00'],
+      [retencion.token, 4, null, 9, '2026-10-20 14:30:00', '2026-10-20 14:50:00']
+    ]);
+  });
+});
+
+describe('reservacionService.retenerHorario', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    mockConexion.query.mockReset().mockResolvedValue([{ affectedRows: 1 }]);
+  });
+
+  test('valida el horario con el mismo motor que la reserva, sin contar la retención propia', async () => {
+    const lineas = [{ servicioId: 1, cantidad: 1, empleadoId: 3, recursoId: null }, { servicioId: 2, cantidad: 1, empleadoId: 4, recursoId: null }];
+    const asignarLineas = jest.spyOn(reservacionService, 'asignarLineas').mockResolvedValue({
+      empleadoId: 3,
+      fechaHoraInicio: '2026-10-20 14:00:00',
+      fechaHoraFin: '2026-10-20 14:50:00',
+      asignaciones: ASIGNACIONES,
+      asignacionAutomatica: null
+    });
+
+    const retencion = await reservacionService.retenerHorario({
+      lineas, fecha: '2026-10-20', horaInicio: '09:00', zonaHoraria: 'America/Bogota', usuarioId: 9
+    });
+
+    expect(asignarLineas).toHaveBeenCalledWith(mockConexion, expect.objectContaining({ lineas, horaInicio: '09:00', excluirRetencionesDe: 9 }));
+    expect(retencion).toMatchObject({ fecha: '2026-10-20', inicio: '09:00', fin: '09:50', duracion: 50, empleado_id: 3 });
+  });
+
+  test('no retiene un horario que la reserva rechazaría', async () => {
+    jest.spyOn(disponibilidadService, 'bloquearCombinacion').mockResolvedValue();
+    jest.spyOn(disponibilidadService, 'verificarCombinacion').mockResolvedValue(null);
+    const preparadas = [{ servicioId: 1, cantidad: 1, duracion: 30, empleados: [3], recursos: [7] }];
+
+    await expect(reservacionService.retenerHorario({
+      lineas: preparadas, fecha: '2026-10-20', horaInicio: '09:00', zonaHoraria: 'America/Bogota', usuarioId: 9
+    })).rejects.toMatchObject({ name: 'ConflictError' });
+    expect(mockConexion.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('disponibilidadService.obtenerOcupacionRecursos', () => {
+  test('cuenta los recursos retenidos por otros clientes', async () => {
+    const consultar = jest.spyOn(disponibilidadService, 'consultar')
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ recurso_id: 7, fecha_hora_inicio: '2026-10-20 14:00:00', fecha_hora_fin: '2026-10-20 14:30:00' }]);
+
+    const ocupacion = await disponibilidadService.obtenerOcupacionRecursos([7], '2026-10-20', { zonaHoraria: 'America/Bogota', excluirRetencionesDe: 9 });
+
+    expect(ocupacion.get(7)).toEqual([{ inicio: 540, fin: 570 }]);
+    const [sqlRetenciones, paramsRetenciones] = consultar.mock.calls[1];
+    expect(sqlRetenciones).toContain('FROM retenciones_horario');
+    expect(paramsRetenciones[paramsRetenciones.length - 1]).toBe(9);
+  });
+});
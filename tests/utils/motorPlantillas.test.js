@@ -0,0 +1,117 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const MotorPlantillas = require('../../src/utils/motorPlantillas');
+
+const renderizar = (contenido, variables = {}, opciones = {}) => MotorPlantillas.renderizar(contenido, variables, opciones);
+
+describe('MotorPlantillas: variables y escape', () => {
+  test('reemplaza variables y deja vacías las que no tienen valor', () => {
+    expect(renderizar('Hola {{NOMBRE}}, {{APELLIDO}}.', { NOMBRE: 'Ana' })).toBe('Hola Ana, .');
+  });
+
+  test('escapa los valores en HTML pero no en texto', () => {
+    const variables = { COMENTARIO: '<script>alert("x")</script> & \'y\'' };
+
+    expect(renderizar('<p>{{COMENTARIO}}</p>', variables, { html: true }))
+      .toBe('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;y&#39;</p>');
+    expect(renderizar('{{COMENTARIO}}', variables)).toBe(variables.COMENTARIO);
+  });
+
+  test('no lee propiedades del prototipo', () => {
+    expect(renderizar('{{constructor}}{{toString}}{{NOMBRE.constructor}}', { NOMBRE: 'Ana' })).toBe('');
+  });
+
+  test('lee campos anidados', () => {
+    expect(renderizar('{{CITA.ESTILISTA}}', { CITA: { ESTILISTA: 'Luis' } })).toBe('Luis');
+  });
+});
+
+describe('MotorPlantillas: bloques', () => {
+  test('#if y #unless con {{else}}', () => {
+    const plantilla = '{{#if DESCUENTO}}con descuento{{else}}sin descuento{{/if}}';
+
+    expect(renderizar(plantilla, { DESCUENTO: 5 })).toBe('con descuento');
+    expect(renderizar(plantilla, { DESCUENTO: 0 })).toBe('sin descuento');
+    expect(renderizar('{{#unless NOTAS}}Sin notas{{/unless}}', { NOTAS: '' })).toBe('Sin notas');
+  });
+
+  test('una lista vacía cuenta como falso', () => {
+    expect(renderizar('{{#if LISTA}}sí{{else}}no{{/if}}', { LISTA: [] })).toBe('no');
+  });
+
+  test('#each recorre la lista con @indice, @primero y @ultimo', () => {
+    const plantilla = '{{#each SERVICIOS}}{{@indice}}.{{NOMBRE}}{{#if @primero}}*{{/if}}{{#unless @ultimo}}, {{/unless}}{{/each}}';
+    const variables = { SERVICIOS: [{ NOMBRE: 'Corte' }, { NOMBRE: 'Barba' }, { NOMBRE: 'Tinte' }] };
+
+    expect(renderizar(plantilla, variables)).toBe('1.Corte*, 2.Barba, 3.Tinte');
+  });
+
+  test('#each usa {{else}} con la lista vacía y {{this}} con valores simples', () => {
+    const plantilla = '{{#each ETIQUETAS}}[{{this}}]{{else}}ninguna{{/each}}';
+
+    expect(renderizar(plantilla, { ETIQUETAS: ['a', 'b'] })).toBe('[a][b]');
+    expect(renderizar(plantilla, { ETIQUETAS: [] })).toBe('ninguna');
+  });
+
+  test('dentro de #each se leen también las variables de fuera', () => {
+    const plantilla = '{{#each SERVICIOS}}{{NOMBRE}} con {{ESTILISTA}};{{/each}}';
+    const variables = { ESTILISTA: 'Luis', SERVICIOS: [{ NOMBRE: 'Corte' }] };
+
+    expect(renderizar(plantilla, variables)).toBe('Corte con Luis;');
+  });
+});
+
+describe('MotorPlantillas: filtros', () => {
+  test('mayusculas, minusculas y defecto', () => {
+    expect(renderizar('{{NOMBRE | mayusculas}} {{NOMBRE | minusculas}}', { NOMBRE: 'Ñandú' })).toBe('ÑANDÚ ñandú');
+    expect(renderizar('{{NOTAS | defecto:"Sin notas" | mayusculas}}', {})).toBe('SIN NOTAS');
+  });
+
+  test('moneda usa la moneda de las opciones o la indicada', () => {
+    const texto = renderizar('{{TOTAL | moneda}}|{{TOTAL | moneda:USD}}', { TOTAL: 1234.5 }, { moneda: 'EUR' });
+    const [euros, dolares] = texto.split('|');
+
+    expect(euros).toContain('€');
+    expect(euros).toContain('1234,50');
+    expect(dolares).toContain('US$');
+  });
+
+  test('fecha y hora en la zona horaria de las opciones', () => {
+    const variables = { INICIO: '2026-06-01 14:00:00' };
+    const opciones = { zonaHoraria: 'America/Bogota' };
+
+    expect(renderizar('{{INICIO | fecha:corta}} {{INICIO | hora}}', variables, opciones)).toBe('01/06/2026 09:00');
+    expect(renderizar('{{INICIO | fecha}}', variables, opciones)).toMatch(/lunes, 1 de junio de 2026/);
+  });
+});
+
+describe('MotorPlantillas: validación de sintaxis', () => {
+  test('acepta las plantillas válidas', () => {
+    expect(() => MotorPlantillas.validar('{{#each L}}{{NOMBRE | mayusculas}}{{else}}-{{/each}}')).not.toThrow();
+    expect(() => MotorPlantillas.validar('')).not.toThrow();
+  });
+
+  test.each([
+    ['{{#if A}}sin cierre', '{{#if}} sin {{/if}}'],
+    ['{{#if A}}x{{/each}}', 'se esperaba {{/if}} y se encontró {{/each}}'],
+    ['{{/if}}', '{{/if}} sin {{#if}}'],
+    ['{{else}}', '{{else}} fuera de un bloque'],
+    ['{{#while A}}{{/while}}', 'bloque desconocido {{#while}}'],
+    ['{{#if}}{{/if}}', '{{#if}} necesita el nombre de una variable'],
+    ['{{NOMBRE | gritar}}', 'filtro desconocido "gritar"'],
+    ['{{FECHA | fecha:media}}', 'argumento inválido "media" para el filtro fecha'],
+    ['{{NOMBRE}', '{{ sin cerrar'],
+    ['{{NOMBRE COMPLETO}}', 'expresión inválida']
+  ])('rechaza %s', (plantilla, mensaje) => {
+    expect(() => MotorPlantillas.validar(plantilla, 'contenido_html')).toThrow(mensaje);
+  });
+
+  test('el error indica el campo y la línea', () => {
+    expect(() => MotorPlantillas.validar('<p>\n{{#if A}}\n</p>', 'contenido_html'))
+      .toThrow('Error de sintaxis en contenido_html: Línea 2: {{#if}} sin {{/if}}');
+  });
+
+  test('lanza un ValidationError', () => {
+    expect(() => MotorPlantillas.validar('{{#each}}')).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+});
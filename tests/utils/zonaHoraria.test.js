@@ -0,0 +1,61 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn() }));
+
+const ZonaHoraria = require('../../src/utils/zonaHoraria');
+
+const utc = (fecha, hora, zona) => ZonaHoraria.localAUtc(fecha, hora, zona).toISOString();
+
+describe('ZonaHoraria.localAUtc', () => {
+  test('convierte una hora local sin cambio de horario', () => {
+    expect(utc('2026-06-01', '09:00', 'America/Bogota')).toBe('2026-06-01T14:00:00.000Z');
+    expect(utc('2026-03-07', '10:00', 'America/New_York')).toBe('2026-03-07T15:00:00.000Z');
+  });
+
+  test('usa el nuevo desfase el día que empieza el horario de verano', () => {
+    // America/New_York pasa de UTC-5 a UTC-4 a las 02:00 del 8 de marzo de 2026
+    expect(utc('2026-03-08', '01:30', 'America/New_York')).toBe('2026-03-08T06:30:00.000Z');
+    expect(utc('2026-03-08', '03:00', 'America/New_York')).toBe('2026-03-08T07:00:00.000Z');
+    expect(utc('2026-03-08', '10:00', 'America/New_York')).toBe('2026-03-08T14:00:00.000Z');
+  });
+
+  test('adelanta una hora que no existe por el salto del horario de verano', () => {
+    expect(utc('2026-03-08', '02:30', 'America/New_York')).toBe('2026-03-08T07:30:00.000Z');
+    expect(utc('2026-03-29', '02:30', 'Europe/Madrid')).toBe('2026-03-29T01:30:00.000Z');
+  });
+
+  test('toma la primera aparición de una hora repetida al terminar el horario de verano', () => {
+    expect(utc('2026-11-01', '01:30', 'America/New_York')).toBe('2026-11-01T05:30:00.000Z');
+    expect(utc('2026-10-25', '02:30', 'Europe/Madrid')).toBe('2026-10-25T00:30:00.000Z');
+  });
+
+  test('acepta segundos en la hora', () => {
+    expect(utc('2026-06-01', '09:15:30', 'UTC')).toBe('2026-06-01T09:15:30.000Z');
+  });
+});
+
+describe('ZonaHoraria.utcALocal', () => {
+  test('convierte DATETIME en UTC a la hora local', () => {
+    expect(ZonaHoraria.utcALocal('2026-06-01 14:00:00', 'America/Bogota')).toBe('2026-06-01 09:00:00');
+    expect(ZonaHoraria.utcALocal(new Date('2026-03-08T07:00:00Z'), 'America/New_York', 'T')).toBe('2026-03-08T03:00:00');
+  });
+
+  test('muestra las dos apariciones de una hora repetida', () => {
+    expect(ZonaHoraria.utcALocal('2026-11-01 05:30:00', 'America/New_York')).toBe('2026-11-01 01:30:00');
+    expect(ZonaHoraria.utcALocal('2026-11-01 06:30:00', 'America/New_York')).toBe('2026-11-01 01:30:00');
+  });
+
+  test('ida y vuelta conserva la hora local fuera de los cambios de horario', () => {
+    const instante = ZonaHoraria.localAUtc('2026-11-01', '10:45', 'America/New_York');
+    expect(ZonaHoraria.utcALocal(instante, 'America/New_York')).toBe('2026-11-01 10:45:00');
+  });
+});
+
+describe('ZonaHoraria.rangoDiaUtc', () => {
+  test('un día con salto de horario dura 23 horas y uno con hora repetida 25', () => {
+    const primavera = ZonaHoraria.rangoDiaUtc('2026-03-08', 'America/New_York');
+    const otono = ZonaHoraria.rangoDiaUtc('2026-11-01', 'America/New_York');
+
+    expect((primavera.fin - primavera.inicio) / 3600000).toBe(23);
+    expect((otono.fin - otono.inicio) / 3600000).toBe(25);
+    expect(otono.inicio.toISOString()).toBe('2026-11-01T04:00:00.000Z');
+  });
+});